@@ -0,0 +1,286 @@
+// Comment thread client shared by the tracker pages. Load it before the page script:
+//
+//   <script src="comments-client.js"></script>
+//   MetaculusComments.init({ thread: 'bond' });
+//
+// It drives the page's comments panel (#commentsForm, #commentList, #commentStatus, ...): loads the
+// thread from `/.netlify/functions/comments`, nests replies, pages back through older comments and
+// posts new ones as Netlify Form submissions. `submitForm`, `setStatus` and `getOrCreateHandle` are
+// exported for the pages' feedback forms.
+(function () {
+    'use strict';
+
+    // Replies nest this many levels deep; deeper replies stay at the last level.
+    const MAX_DEPTH = 3;
+
+    // Loaded comments (oldest first) and the cursor for the next, older batch.
+    let state = { thread: null, items: [], nextCursor: null, emptyClass: 'panel-subtitle' };
+
+    function encodeNetlifyForm(formEl) {
+        const data = new FormData(formEl);
+        return new URLSearchParams(data).toString();
+    }
+
+    async function submitForm(formEl) {
+        const body = encodeNetlifyForm(formEl);
+        const res = await fetch('/', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    }
+
+    function randInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+
+    function generateForecastHandle() {
+        const a = [
+            'Tetlock', 'Brier', 'BaseRate', 'Calibration', 'OutsideView', 'Signal', 'Noise', 'GJP',
+            'Fermi', 'Bayes', 'Odds', 'Median', 'Priors', 'Update', 'Superforecaster'
+        ];
+        const b = [
+            'SuperSoldier', 'Sleuth', 'Sniper', 'Monk', 'Wizard', 'Oracle', 'Hedgehog', 'Fox',
+            'Quant', 'Scout', 'Analyst', 'Forecaster', 'Estimator', 'Caster'
+        ];
+        const left = a[randInt(0, a.length - 1)];
+        const right = b[randInt(0, b.length - 1)];
+        const num = randInt(10, 999);
+        return `${left}${right}${num}`;
+    }
+
+    function getOrCreateHandle() {
+        const key = 'sf_handle_v1';
+        try {
+            const existing = localStorage.getItem(key);
+            if (existing && typeof existing === 'string') return existing;
+            const h = generateForecastHandle();
+            localStorage.setItem(key, h);
+            return h;
+        } catch {
+            return generateForecastHandle();
+        }
+    }
+
+    function setStatus(el, msg, kind) {
+        if (!el) return;
+        el.textContent = msg || '';
+        el.className = 'form-status' + (kind ? ` ${kind}` : '');
+    }
+
+    function formatCommentTime(iso) {
+        if (!iso) return '';
+        const d = new Date(iso);
+        if (Number.isNaN(d.getTime())) return '';
+        return d.toLocaleString('en-US', { month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', timeZone: 'UTC', hour12: true }) + ' UTC';
+    }
+
+    function startReply(c) {
+        const parentInput = document.getElementById('commentParentId');
+        const replying = document.getElementById('commentReplying');
+        const replyingTo = document.getElementById('commentReplyingTo');
+        if (parentInput) parentInput.value = c.id;
+        if (replyingTo) replyingTo.textContent = typeof c.handle === 'string' ? c.handle : 'AnonymousForecaster';
+        if (replying) replying.style.display = '';
+        const msg = document.getElementById('commentMessage');
+        if (msg) msg.focus();
+    }
+
+    function cancelReply() {
+        const parentInput = document.getElementById('commentParentId');
+        const replying = document.getElementById('commentReplying');
+        if (parentInput) parentInput.value = '';
+        if (replying) replying.style.display = 'none';
+    }
+
+    function buildCommentItem(c, { orphan }) {
+        const item = document.createElement('div');
+        item.className = 'comment-item';
+
+        const head = document.createElement('div');
+        head.className = 'comment-head';
+
+        const handle = document.createElement('div');
+        handle.className = 'comment-handle';
+        handle.textContent = typeof c.handle === 'string' ? c.handle : 'AnonymousForecaster';
+
+        const time = document.createElement('div');
+        time.textContent = formatCommentTime(c.createdAt);
+
+        head.appendChild(handle);
+        head.appendChild(time);
+        item.appendChild(head);
+
+        if (orphan) {
+            const context = document.createElement('div');
+            context.className = 'comment-context';
+            context.textContent = '↪ Reply to an older or removed comment';
+            item.appendChild(context);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'comment-body';
+        body.textContent = typeof c.message === 'string' ? c.message : '';
+        item.appendChild(body);
+
+        if (c.id) {
+            const actions = document.createElement('div');
+            actions.className = 'comment-actions';
+            const replyBtn = document.createElement('button');
+            replyBtn.type = 'button';
+            replyBtn.className = 'comment-reply-btn';
+            replyBtn.textContent = 'Reply';
+            replyBtn.addEventListener('click', () => startReply(c));
+            actions.appendChild(replyBtn);
+            item.appendChild(actions);
+        }
+        return item;
+    }
+
+    // Nests replies under their parent. Replies whose parent is not loaded yet are shown at the top level.
+    function renderCommentList(comments) {
+        const listEl = document.getElementById('commentList');
+        if (!listEl) return;
+        listEl.innerHTML = '';
+
+        const items = Array.isArray(comments) ? comments : [];
+        if (!items.length) {
+            const empty = document.createElement('div');
+            empty.className = state.emptyClass;
+            empty.textContent = 'No comments yet.';
+            listEl.appendChild(empty);
+            return;
+        }
+
+        const byId = new Map(items.filter((c) => c.id).map((c) => [c.id, c]));
+        const children = new Map();
+        const roots = [];
+        for (const c of items) {
+            if (c.parentId && c.parentId !== c.id && byId.has(c.parentId)) {
+                if (!children.has(c.parentId)) children.set(c.parentId, []);
+                children.get(c.parentId).push(c);
+            } else {
+                roots.push(c);
+            }
+        }
+
+        const rendered = new Set();
+        const appendThread = (container, c, depth) => {
+            if (rendered.has(c)) return;
+            rendered.add(c);
+            const item = buildCommentItem(c, { orphan: Boolean(c.parentId) && !byId.has(c.parentId) });
+            container.appendChild(item);
+            const replies = children.get(c.id) || [];
+            if (!replies.length) return;
+            let target = container;
+            if (depth < MAX_DEPTH) {
+                target = document.createElement('div');
+                target.className = 'comment-replies';
+                item.appendChild(target);
+            }
+            for (const r of replies) appendThread(target, r, Math.min(depth + 1, MAX_DEPTH));
+        };
+        for (const c of roots) appendThread(listEl, c, 0);
+        // Reply cycles (a -> b -> a) have no root; show them flat rather than not at all.
+        for (const c of items) appendThread(listEl, c, MAX_DEPTH);
+    }
+
+    function renderLoadMore() {
+        const btn = document.getElementById('commentLoadMore');
+        if (btn) btn.style.display = state.nextCursor ? '' : 'none';
+    }
+
+    async function fetchCommentPage(thread, cursor) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+        try {
+            const params = new URLSearchParams({ thread });
+            if (cursor) params.set('cursor', cursor);
+            const res = await fetch(`/.netlify/functions/comments?${params.toString()}`, {
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            return { comments: Array.isArray(data?.comments) ? data.comments : [], nextCursor: data?.nextCursor || null };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    async function loadComments() {
+        const statusEl = document.getElementById('commentStatus');
+        try {
+            setStatus(statusEl, 'Loading…', '');
+            const page = await fetchCommentPage(state.thread, null);
+            state = { ...state, items: page.comments, nextCursor: page.nextCursor };
+            renderCommentList(state.items);
+            setStatus(statusEl, '', '');
+        } catch {
+            state = { ...state, items: [], nextCursor: null };
+            renderCommentList([]);
+            setStatus(statusEl, 'Comments unavailable.', 'err');
+        }
+        renderLoadMore();
+    }
+
+    async function loadOlderComments() {
+        if (!state.thread || !state.nextCursor) return;
+        const statusEl = document.getElementById('commentStatus');
+        const btn = document.getElementById('commentLoadMore');
+        if (btn) btn.disabled = true;
+        try {
+            setStatus(statusEl, 'Loading older comments…', '');
+            const page = await fetchCommentPage(state.thread, state.nextCursor);
+            const known = new Set(state.items.map((c) => c.id));
+            const older = page.comments.filter((c) => !c.id || !known.has(c.id));
+            state = { ...state, items: [...older, ...state.items], nextCursor: page.nextCursor };
+            renderCommentList(state.items);
+            setStatus(statusEl, '', '');
+        } catch {
+            setStatus(statusEl, 'Could not load older comments.', 'err');
+        } finally {
+            if (btn) btn.disabled = false;
+            renderLoadMore();
+        }
+    }
+
+    // `emptyClass` styles the "No comments yet." line with the page's own note class.
+    function init({ thread, emptyClass }) {
+        state = { thread, items: [], nextCursor: null, emptyClass: emptyClass || 'panel-subtitle' };
+
+        const commentsForm = document.getElementById('commentsForm');
+        const commentsStatus = document.getElementById('commentStatus');
+        const handleInput = document.getElementById('commentHandle');
+        if (handleInput) handleInput.value = getOrCreateHandle();
+
+        if (commentsForm) {
+            commentsForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                setStatus(commentsStatus, 'Posting…', '');
+                try {
+                    await submitForm(commentsForm);
+                    setStatus(commentsStatus, 'Posted.', 'ok');
+                    const msg = document.getElementById('commentMessage');
+                    if (msg) msg.value = '';
+                    cancelReply();
+                    await loadComments();
+                } catch {
+                    setStatus(commentsStatus, 'Failed to post. Please try again.', 'err');
+                }
+            });
+        }
+
+        const refreshBtn = document.getElementById('commentRefresh');
+        if (refreshBtn) refreshBtn.addEventListener('click', () => loadComments());
+        const loadMoreBtn = document.getElementById('commentLoadMore');
+        if (loadMoreBtn) loadMoreBtn.addEventListener('click', () => loadOlderComments());
+        const cancelReplyBtn = document.getElementById('commentReplyCancel');
+        if (cancelReplyBtn) cancelReplyBtn.addEventListener('click', () => cancelReply());
+
+        loadComments();
+    }
+
+    window.MetaculusComments = { init, submitForm, setStatus, getOrCreateHandle };
+})();
@@ -0,0 +1,199 @@
+// Embed loader for the trackers. Drop into any page (wiki, notebook, dashboard):
+//
+//   <div data-metaculus-tracker="bond-yield"></div>
+//   <script src="https://<site>/embed.js" async></script>
+//
+// `data-metaculus-tracker` is the function name: bond-yield, fx-tracker, oil-calibrated or
+// ivv-holdings-weight. By default the loader renders a compact card from that function's JSON;
+// `data-mode="iframe"` embeds the tracker page in `?embed=1` mode instead (headline card + main chart)
+// and resizes the iframe from the page's `metaculus-tracker:resize` messages. In both modes
+// `data-question="<id>"` selects a registry question instead of the tracker's default.
+(function () {
+    'use strict';
+
+    const script = document.currentScript;
+    const ORIGIN = script && script.src ? new URL(script.src).origin : window.location.origin;
+    const STYLE_ID = 'metaculus-tracker-embed-style';
+
+    const TRACKERS = {
+        'bond-yield': { page: 'german-bond-tracker.html', title: 'German 10Y Bund yield', render: renderBond },
+        'fx-tracker': { page: 'february-2026-currency-tracker.html', title: 'Currency leaderboard', render: renderFx },
+        'oil-calibrated': { page: 'brent-wti-spread-tracker.html', title: 'Brent − WTI spread', render: renderOil },
+        // Recent snapshots only; the default window downloads months of holdings files.
+        'ivv-holdings-weight': { page: 'ivv-basket-weight-tracker.html', title: 'AI basket weight in IVV', render: renderIvv, params: { days: '10' } }
+    };
+
+    const CSS = `
+        .mt-embed { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #0f0f1a 0%, #1a1a2e 100%); color: #e0e0e0; border: 1px solid rgba(255,255,255,0.1); border-radius: 12px; padding: 14px 16px; max-width: 420px; box-sizing: border-box; }
+        .mt-embed * { box-sizing: border-box; }
+        .mt-embed-title { font-size: 0.8rem; color: #888; text-transform: uppercase; letter-spacing: 0.4px; margin-bottom: 6px; }
+        .mt-embed-main { font-size: 1.8rem; font-weight: 800; color: #fff; }
+        .mt-embed-sub { font-size: 0.85rem; color: #aaa; margin-top: 4px; line-height: 1.4; }
+        .mt-embed-rows { margin-top: 8px; display: grid; grid-template-columns: auto 1fr auto; gap: 4px 10px; font-size: 0.85rem; }
+        .mt-embed-rows .mt-up { color: #4ade80; }
+        .mt-embed-rows .mt-down { color: #f87171; }
+        .mt-embed-foot { display: flex; justify-content: space-between; gap: 8px; margin-top: 10px; font-size: 0.75rem; color: #777; }
+        .mt-embed-foot a { color: #00d4ff; text-decoration: none; }
+        .mt-embed-error { color: #f87171; font-size: 0.85rem; }
+        iframe.mt-embed-frame { width: 100%; border: 0; display: block; }
+    `;
+
+    function injectStyle() {
+        if (document.getElementById(STYLE_ID)) return;
+        const style = document.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = CSS;
+        document.head.appendChild(style);
+    }
+
+    function el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined && text !== null) node.textContent = text;
+        return node;
+    }
+
+    function isNum(v) {
+        return typeof v === 'number' && Number.isFinite(v);
+    }
+
+    function signed(v, digits) {
+        return (v >= 0 ? '+' : '−') + Math.abs(v).toFixed(digits);
+    }
+
+    function renderBond(data) {
+        const parts = [];
+        const y = data.currentYield;
+        parts.push(el('div', 'mt-embed-main', isNum(y) ? `${y.toFixed(2)}%` : '—'));
+        if (isNum(y) && isNum(data.baselineYield) && isNum(data.thresholdBp)) {
+            const upper = data.baselineYield + data.thresholdBp / 100;
+            const lower = data.baselineYield - data.thresholdBp / 100;
+            const toUpper = Math.round((upper - y) * 1000) / 10;
+            const toLower = Math.round((y - lower) * 1000) / 10;
+            parts.push(el('div', 'mt-embed-sub', `${signed((y - data.baselineYield) * 100, 1)}bp vs ${data.baselineDate} baseline ${data.baselineYield.toFixed(2)}%`));
+            parts.push(el('div', 'mt-embed-sub', `Upper trigger ${upper.toFixed(2)}%: ${toUpper}bp away · Lower ${lower.toFixed(2)}%: ${toLower}bp away`));
+        }
+        return { parts, asOf: data.asOfDate };
+    }
+
+    function renderFx(data) {
+        const parts = [];
+        const standings = Array.isArray(data.standings) ? data.standings : [];
+        const leader = standings[0];
+        parts.push(el('div', 'mt-embed-main', leader ? `${leader.code} ${signed(leader.pctChange, 2)}%` : '—'));
+        parts.push(el('div', 'mt-embed-sub', `Change vs ${data.baselineDate} close (${data.quote})`));
+        const rows = el('div', 'mt-embed-rows');
+        standings.slice(0, 5).forEach((s, i) => {
+            rows.appendChild(el('div', '', `${i + 1}.`));
+            rows.appendChild(el('div', '', s.code));
+            rows.appendChild(el('div', s.pctChange >= 0 ? 'mt-up' : 'mt-down', `${signed(s.pctChange, 2)}%`));
+        });
+        parts.push(rows);
+        return { parts, asOf: data.asOfDate };
+    }
+
+    function renderOil(data) {
+        const parts = [];
+        const spread = data.spread || {};
+        parts.push(el('div', 'mt-embed-main', isNum(spread.calibrated) ? `$${spread.calibrated.toFixed(2)}` : '—'));
+        parts.push(el('div', 'mt-embed-sub', 'Calibrated spot spread (futures + smoothed EIA basis)'));
+        if (isNum(spread.last_eia)) {
+            parts.push(el('div', 'mt-embed-sub', `Last EIA print: $${spread.last_eia.toFixed(2)} (${spread.last_eia_date})`));
+        }
+        return { parts, asOf: data.lastUpdated };
+    }
+
+    function renderIvv(data) {
+        const parts = [];
+        const dates = data.series && Array.isArray(data.series.dates) ? data.series.dates : [];
+        const total = data.series && Array.isArray(data.series.total) ? data.series.total : [];
+        const latest = total.length ? total[total.length - 1] : null;
+        parts.push(el('div', 'mt-embed-main', isNum(latest) ? `${latest.toFixed(2)}%` : '—'));
+        const tickers = data.basket && Array.isArray(data.basket.tickers) ? data.basket.tickers.join(', ') : '';
+        if (tickers) parts.push(el('div', 'mt-embed-sub', tickers));
+        return { parts, asOf: dates.length ? dates[dates.length - 1] : null };
+    }
+
+    async function renderCard(host, name, cfg) {
+        injectStyle();
+        const card = el('div', 'mt-embed');
+        card.appendChild(el('div', 'mt-embed-title', cfg.title));
+        const body = el('div', '', 'Loading…');
+        card.appendChild(body);
+        const foot = el('div', 'mt-embed-foot');
+        const asOf = el('span', '', '');
+        const link = el('a', '', 'Full tracker ↗');
+        link.href = `${ORIGIN}/${cfg.page}`;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        foot.appendChild(asOf);
+        foot.appendChild(link);
+        card.appendChild(foot);
+        host.replaceChildren(card);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 15000);
+        try {
+            const params = new URLSearchParams(cfg.params || {});
+            const question = host.getAttribute('data-question');
+            if (question) params.set('question', question);
+            const qs = params.toString();
+            const res = await fetch(`${ORIGIN}/.netlify/functions/${name}${qs ? `?${qs}` : ''}`, {
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            const out = cfg.render(data);
+            body.replaceChildren(...out.parts);
+            asOf.textContent = out.asOf ? `As of ${out.asOf}` : '';
+        } catch {
+            body.replaceChildren(el('div', 'mt-embed-error', 'Tracker data unavailable.'));
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    const frames = [];
+
+    function renderFrame(host, name, cfg) {
+        injectStyle();
+        const frame = document.createElement('iframe');
+        frame.className = 'mt-embed-frame';
+        frame.title = cfg.title;
+        frame.loading = 'lazy';
+        frame.style.height = `${Number(host.getAttribute('data-height')) || 480}px`;
+        const params = new URLSearchParams({ embed: '1' });
+        const question = host.getAttribute('data-question');
+        if (question) params.set('question', question);
+        frame.src = `${ORIGIN}/${cfg.page}?${params.toString()}`;
+        frames.push(frame);
+        host.replaceChildren(frame);
+    }
+
+    window.addEventListener('message', (e) => {
+        if (e.origin !== ORIGIN) return;
+        const msg = e.data;
+        if (!msg || msg.type !== 'metaculus-tracker:resize' || !Number.isFinite(msg.height)) return;
+        const frame = frames.find((f) => f.contentWindow === e.source);
+        if (frame) frame.style.height = `${Math.max(120, Math.ceil(msg.height))}px`;
+    });
+
+    function init() {
+        document.querySelectorAll('[data-metaculus-tracker]').forEach((host) => {
+            if (host.getAttribute('data-metaculus-tracker-ready')) return;
+            host.setAttribute('data-metaculus-tracker-ready', '1');
+            const name = host.getAttribute('data-metaculus-tracker');
+            const cfg = TRACKERS[name];
+            if (!cfg) {
+                host.textContent = `Unknown tracker "${name}".`;
+                return;
+            }
+            if (host.getAttribute('data-mode') === 'iframe') renderFrame(host, name, cfg);
+            else renderCard(host, name, cfg);
+        });
+    }
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+    else init();
+})();
@@ -0,0 +1,62 @@
+// Netlify Scheduled Function (every 15 minutes, see netlify.toml): evaluates the alert rules of every
+// registered question still inside its resolution window against its tracker endpoint and posts new
+// alerts to ALERT_WEBHOOK_URLS (see lib/alerts.js). The response lists what fired, what was
+// deduplicated, which closed questions were skipped and any tracker errors.
+
+const { QUESTIONS } = require("./lib/questions");
+const { getAlertStore, runAlerts } = require("./lib/alerts");
+const { connectBlobs } = require("./lib/blobs");
+
+const HANDLERS = {
+  "fx-tracker": () => require("./fx-tracker").handler,
+  "bond-yield": () => require("./bond-yield").handler,
+  "oil-calibrated": () => require("./oil-calibrated").handler,
+  "ivv-holdings-weight": () => require("./ivv-holdings-weight").handler,
+};
+
+async function loadPayload(question) {
+  const handler = HANDLERS[question.tracker];
+  if (!handler) throw new Error(`No handler for tracker ${question.tracker}`);
+  const res = await handler()({ httpMethod: "GET", queryStringParameters: { question: question.id } });
+  let body = null;
+  try {
+    body = JSON.parse(res.body);
+  } catch {
+    // Reported below.
+  }
+  if (res.statusCode !== 200 || !body) {
+    throw new Error(`${question.tracker} returned ${res.statusCode}${body && body.message ? `: ${body.message}` : ""}`);
+  }
+  return body;
+}
+
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
+  try {
+    const store = getAlertStore();
+    if (!store) throw new Error("Alert store is off (set ALERTS_DIR or run on Netlify)");
+
+    const result = await runAlerts({ store, questions: QUESTIONS, loadPayload });
+
+    return {
+      statusCode: 200,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        ranAt: new Date().toISOString(),
+        fired: result.fired.map(({ key, text, deliveries }) => ({ key, text, deliveries })),
+        suppressed: result.suppressed,
+        skipped: result.skipped,
+        errors: result.errors,
+      }),
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        error: "alerts_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
@@ -0,0 +1,89 @@
+// Netlify Scheduled Function (daily, see netlify.toml): calls each archived tracker handler with its
+// default question and stores the JSON it returned under "<tracker>/<UTC date>" (see lib/archive.js).
+//
+// Only 200 responses are stored; a re-run on the same day replaces that day's snapshot. The response
+// lists what was stored and what failed, which is what shows up in the scheduled-function log.
+//
+// The trackers are captured in parallel under one time budget, below the 30-second limit of scheduled
+// functions: a slow tracker (an `ivv-holdings-weight` cold start downloads many holdings files) is
+// reported as timed out without costing the others their snapshot. Holdings files it downloaded before
+// the deadline are already in the upstream cache, so the next run picks up from there.
+
+const { toISODate } = require("./lib/dates");
+const { ARCHIVED_TRACKERS, getArchiveStore, putSnapshot } = require("./lib/archive");
+const { connectBlobs } = require("./lib/blobs");
+
+const TIME_BUDGET_MS = 25 * 1000;
+
+const HANDLERS = {
+  "fx-tracker": () => require("./fx-tracker").handler,
+  "bond-yield": () => require("./bond-yield").handler,
+  "oil-calibrated": () => require("./oil-calibrated").handler,
+  "ivv-holdings-weight": () => require("./ivv-holdings-weight").handler,
+  "ivv-live-basket": () => require("./ivv-live-basket").handler,
+};
+
+async function captureTracker(store, tracker, date) {
+  const res = await HANDLERS[tracker]()({ httpMethod: "GET", queryStringParameters: {} });
+  let payload = null;
+  try {
+    payload = JSON.parse(res.body);
+  } catch {
+    // Reported below as a failure.
+  }
+  if (res.statusCode !== 200 || !payload) {
+    const message = payload && payload.message ? payload.message : `HTTP ${res.statusCode}`;
+    return { tracker, stored: false, statusCode: res.statusCode, message };
+  }
+  await putSnapshot(store, { tracker, date, capturedAt: new Date().toISOString(), payload });
+  return { tracker, stored: true, statusCode: res.statusCode };
+}
+
+// Rejects with a timeout error if `promise` has not settled within `ms`.
+function withinBudget(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${Math.round(ms / 1000)}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
+  try {
+    const store = getArchiveStore();
+    if (!store) throw new Error("Tracker archive is off (set TRACKER_ARCHIVE_DIR or run on Netlify)");
+
+    const date = toISODate(new Date());
+    const settled = await Promise.allSettled(
+      ARCHIVED_TRACKERS.map((tracker) => withinBudget(captureTracker(store, tracker, date), TIME_BUDGET_MS))
+    );
+    const results = settled.map((r, i) =>
+      r.status === "fulfilled"
+        ? r.value
+        : { tracker: ARCHIVED_TRACKERS[i], stored: false, message: r.reason instanceof Error ? r.reason.message : String(r.reason) }
+    );
+
+    const failed = results.filter((r) => !r.stored);
+
+    return {
+      statusCode: failed.length === results.length ? 502 : 200,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        date,
+        backend: store.backend,
+        stored: results.filter((r) => r.stored).map((r) => r.tracker),
+        failed: failed.map(({ tracker, statusCode, message }) => ({ tracker, statusCode: statusCode ?? null, message })),
+      }),
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        error: "archive_snapshots_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
@@ -0,0 +1,66 @@
+// Netlify Function: read the daily tracker archive written by `archive-snapshots`.
+//
+//   ?tracker=<name>&date=YYYY-MM-DD  the stored snapshot (404 if that day was not archived)
+//   ?tracker=<name>                  the archived dates for that tracker
+//   (no params)                      the archived dates for every tracker
+
+const { parseISODate } = require("./lib/dates");
+const { ARCHIVED_TRACKERS, getArchiveStore, getSnapshot, listSnapshotDates } = require("./lib/archive");
+const { connectBlobs } = require("./lib/blobs");
+
+const LIST_CDN_CACHE_SECONDS = 5 * 60; // 5 minutes
+const SNAPSHOT_CDN_CACHE_SECONDS = 24 * 60 * 60; // 1 day
+
+function jsonResponse(statusCode, body, cdnMaxAge = null) {
+  const headers = { "Content-Type": "application/json; charset=utf-8" };
+  if (cdnMaxAge) {
+    headers["Cache-Control"] = "public, max-age=0, must-revalidate";
+    headers["Netlify-CDN-Cache-Control"] = `public, max-age=${cdnMaxAge}`;
+  } else {
+    headers["Cache-Control"] = "no-store";
+  }
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+function badRequest(error, message) {
+  return jsonResponse(400, message ? { error, message } : { error });
+}
+
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
+  try {
+    const qs = event.queryStringParameters || {};
+    const tracker = typeof qs.tracker === "string" && qs.tracker ? qs.tracker : null;
+    const date = typeof qs.date === "string" && qs.date ? qs.date : null;
+    if (tracker && !ARCHIVED_TRACKERS.includes(tracker)) {
+      return badRequest("invalid_tracker", `tracker must be one of ${ARCHIVED_TRACKERS.join(", ")}`);
+    }
+    if (date && (!tracker || !parseISODate(date))) {
+      return badRequest("invalid_params", "date must be YYYY-MM-DD and needs a tracker");
+    }
+
+    const store = getArchiveStore();
+    if (!store) {
+      return jsonResponse(503, { error: "archive_unavailable", message: "Tracker archive is not configured." });
+    }
+
+    if (tracker && date) {
+      const snapshot = await getSnapshot(store, tracker, date);
+      if (!snapshot) return jsonResponse(404, { error: "snapshot_not_found", tracker, date });
+      return jsonResponse(200, snapshot, SNAPSHOT_CDN_CACHE_SECONDS);
+    }
+
+    if (tracker) {
+      return jsonResponse(200, { tracker, dates: await listSnapshotDates(store, tracker) }, LIST_CDN_CACHE_SECONDS);
+    }
+
+    const trackers = {};
+    for (const name of ARCHIVED_TRACKERS) trackers[name] = await listSnapshotDates(store, name);
+    return jsonResponse(200, { trackers }, LIST_CDN_CACHE_SECONDS);
+  } catch (err) {
+    return jsonResponse(502, {
+      error: "archive_failed",
+      message: err instanceof Error ? err.message : String(err),
+    });
+  }
+};
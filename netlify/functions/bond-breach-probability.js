@@ -0,0 +1,213 @@
+// Netlify Function: Probability that the Bund yield breaches the ±N bp trigger before the question's
+// last trading day, from a barrier-hitting model calibrated on daily Bundesbank yield changes
+// (see lib/breach-probability.js).
+//
+// `series` replays the estimate for every observed day since the baseline (volatility calibrated only
+// on data up to that day); `projection` shows how the probabilities decay over the remaining TARGET2
+// business days if the yield stays where it is.
+
+const { resolveQuestion, summarizeQuestion } = require("./lib/questions");
+const { bundesbankSeriesUrl, fetchBundesbankSeries } = require("./lib/bundesbank");
+const { parseISODate, toISODate, addDays } = require("./lib/dates");
+const { countBusinessDaysAfter, businessDatesBetween } = require("./lib/calendars");
+const {
+  BGK_BETA,
+  DEFAULT_LOOKBACK_OBSERVATIONS,
+  calibrateDailyVolBp,
+  breachProbabilities,
+} = require("./lib/breach-probability");
+
+const MIN_LOOKBACK = 20;
+const MAX_LOOKBACK = 2500;
+const FETCH_CALENDAR_DAYS_PER_OBSERVATION = 1.6; // weekends + holidays, with margin
+
+const DEFAULT_CDN_CACHE_SECONDS = 60 * 60; // 1 hour
+const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function roundProb(p) {
+  return Math.round(p * 1e6) / 1e6;
+}
+
+function formatTimestampUtc(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return d.toLocaleString("en-US", {
+    timeZone: "UTC",
+    year: "numeric",
+    month: "long",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true,
+  }) + " GMT";
+}
+
+function badRequest(error, message) {
+  return {
+    statusCode: 400,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(message ? { error, message } : { error }),
+  };
+}
+
+function roundProbabilities({ upper, lower, either }) {
+  return { upper: roundProb(upper), lower: roundProb(lower), either: roundProb(either) };
+}
+
+exports.handler = async (event = {}) => {
+  try {
+    const qs = event.queryStringParameters || {};
+    const question = resolveQuestion(qs, "bond-yield");
+    if (!question) return badRequest("invalid_question");
+    if (!question.threshold || !Number.isFinite(question.threshold.bp)) {
+      return badRequest("invalid_question", `${question.id} has no bp threshold`);
+    }
+
+    let lookback = DEFAULT_LOOKBACK_OBSERVATIONS;
+    if (typeof qs.lookback === "string" && qs.lookback) {
+      lookback = Number(qs.lookback);
+      if (!Number.isInteger(lookback) || lookback < MIN_LOOKBACK || lookback > MAX_LOOKBACK) {
+        return badRequest("invalid_params", `lookback must be an integer between ${MIN_LOOKBACK} and ${MAX_LOOKBACK}`);
+      }
+    }
+
+    const seriesId = question.instrument.seriesId;
+    const thresholdBp = question.threshold.bp;
+    const baselineDate = question.baselineDate;
+    const periodStart = question.window.start;
+    const lastTradingDay = question.window.lastTradingDay;
+    const calendar = question.instrument.calendar;
+
+    const fetchedAt = new Date().toISOString();
+    const fetchStart = toISODate(
+      addDays(parseISODate(baselineDate), -Math.ceil(lookback * FETCH_CALENDAR_DAYS_PER_OBSERVATION))
+    );
+    const yieldByDate = await fetchBundesbankSeries(seriesId, {
+      startDate: fetchStart,
+      endDate: lastTradingDay,
+      bounded: true,
+      client: "bond-breach-probability",
+    });
+
+    const baselineYield = yieldByDate[baselineDate];
+    if (!Number.isFinite(baselineYield)) throw new Error(`Missing baseline yield on ${baselineDate}`);
+    const upperTrigger = round2(baselineYield + thresholdBp / 100);
+    const lowerTrigger = round2(baselineYield - thresholdBp / 100);
+
+    // Replay the estimate for the baseline day and each observed day of the period.
+    const replayDates = Object.keys(yieldByDate)
+      .filter((d) => d === baselineDate || (d >= periodStart && d <= lastTradingDay))
+      .sort();
+
+    let breach = null;
+    let breachedUpper = false;
+    let breachedLower = false;
+    let calibration = null;
+    const series = [];
+    for (const date of replayDates) {
+      const y = yieldByDate[date];
+      if (date >= periodStart) {
+        if (y >= upperTrigger) breachedUpper = true;
+        if (y <= lowerTrigger) breachedLower = true;
+        if (!breach && (breachedUpper || breachedLower)) {
+          breach = { date, yield: y, direction: breachedUpper ? "upper" : "lower" };
+        }
+      }
+
+      calibration = calibrateDailyVolBp(yieldByDate, { endDate: date, lookback });
+      if (!calibration) throw new Error(`Not enough yield history before ${date} to calibrate volatility`);
+      const changeBp = Math.round((y - baselineYield) * 100);
+      const remainingTradingDays = countBusinessDaysAfter(calendar, date, lastTradingDay);
+      const probabilities = breachProbabilities({
+        changeBp,
+        thresholdBp,
+        dailyVolBp: calibration.dailyVolBp,
+        remainingDays: remainingTradingDays,
+        breachedUpper,
+        breachedLower,
+      });
+      series.push({ date, yield: y, changeBp, remainingTradingDays, ...roundProbabilities(probabilities) });
+    }
+
+    const latest = series.at(-1);
+    const asOfDate = latest.date;
+
+    // If the yield stayed at today's level, how the probabilities would decay to the deadline.
+    const projection = [];
+    for (const date of businessDatesBetween(calendar, asOfDate, lastTradingDay)) {
+      const remainingTradingDays = countBusinessDaysAfter(calendar, date, lastTradingDay);
+      const probabilities = breachProbabilities({
+        changeBp: latest.changeBp,
+        thresholdBp,
+        dailyVolBp: calibration.dailyVolBp,
+        remainingDays: remainingTradingDays,
+        breachedUpper,
+        breachedLower,
+      });
+      projection.push({ date, remainingTradingDays, ...roundProbabilities(probabilities) });
+    }
+
+    const body = {
+      question: summarizeQuestion(question),
+      seriesId,
+      thresholdBp,
+      baselineDate,
+      baselineYield,
+      upperTrigger,
+      lowerTrigger,
+      period: { start: periodStart, lastTradingDay },
+      asOfDate,
+      currentYield: latest.yield,
+      changeBp: latest.changeBp,
+      remainingTradingDays: latest.remainingTradingDays,
+      breach,
+      probabilities: { upper: latest.upper, lower: latest.lower, either: latest.either },
+      calibration: {
+        lookbackObservations: lookback,
+        observations: calibration.observations,
+        from: calibration.from,
+        to: calibration.to,
+        dailyVolBp: Math.round(calibration.dailyVolBp * 1000) / 1000,
+      },
+      model: {
+        method: "brownian-barrier",
+        continuityCorrection: BGK_BETA,
+        note: "Driftless daily random walk; RMS of daily changes as volatility; barriers shifted 0.5826σ for daily monitoring.",
+      },
+      series,
+      projection,
+      fetchedAt,
+      lastUpdated: formatTimestampUtc(fetchedAt),
+      source: {
+        provider: "Deutsche Bundesbank",
+        url: bundesbankSeriesUrl(seriesId),
+      },
+    };
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "public, max-age=0, must-revalidate",
+        "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
+      },
+      body: JSON.stringify(body),
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "no-store",
+      },
+      body: JSON.stringify({
+        error: "bond_breach_probability_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
@@ -0,0 +1,132 @@
+// Netlify Function: German Bund yield curve (2Y, 5Y, 10Y, 30Y) from the Deutsche Bundesbank term
+// structure, on one date and on the question's baseline date, plus the 2s10s slope (10Y − 2Y, in bp)
+// for every day from the baseline on.
+//
+// `?date=YYYY-MM-DD` picks the curve date (default: latest); a date without a complete curve (holiday,
+// not yet published) falls back to the last earlier date that has all tenors. `?question=` selects
+// the baseline as in `bond-yield`.
+
+const { resolveQuestion, summarizeQuestion } = require("./lib/questions");
+const { BUND_TENORS, bundesbankSeriesUrl, fetchBundesbankSeries } = require("./lib/bundesbank");
+const { parseISODate, toISODate, addDays, roundTo } = require("./lib/dates");
+
+const MAX_SERIES_POINTS = 140;
+// Calendar days fetched before the earliest date needed, to find a complete curve across holidays.
+const LOOKBACK_DAYS = 14;
+
+const DEFAULT_CDN_CACHE_SECONDS = 60 * 60; // 1 hour
+const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
+
+const TENORS = Object.keys(BUND_TENORS);
+
+function badRequest(body) {
+  return {
+    statusCode: 400,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(body),
+  };
+}
+
+// Dates (ascending) on which every tenor has an observation.
+function completeCurveDates(yieldsByTenor) {
+  return Object.keys(yieldsByTenor[TENORS[0]])
+    .filter((date) => TENORS.every((tenor) => Number.isFinite(yieldsByTenor[tenor][date])))
+    .sort();
+}
+
+function curveOn(yieldsByTenor, date) {
+  return Object.fromEntries(TENORS.map((tenor) => [tenor, yieldsByTenor[tenor][date]]));
+}
+
+function lastOnOrBefore(sortedDates, date) {
+  for (let i = sortedDates.length - 1; i >= 0; i -= 1) {
+    if (sortedDates[i] <= date) return sortedDates[i];
+  }
+  return null;
+}
+
+function slopeBp(curve) {
+  return roundTo((curve["10Y"] - curve["2Y"]) * 100, 1);
+}
+
+exports.handler = async (event = {}) => {
+  const qs = event.queryStringParameters || {};
+  const question = resolveQuestion(qs, "bond-yield");
+  if (!question) return badRequest({ error: "invalid_question" });
+  const requestedDate = typeof qs.date === "string" && qs.date ? qs.date : null;
+  if (requestedDate && !parseISODate(requestedDate)) return badRequest({ error: "invalid_date" });
+
+  try {
+    const baselineDate = question.baselineDate;
+    const fetchedAt = new Date().toISOString();
+    const earliest = requestedDate && requestedDate < baselineDate ? requestedDate : baselineDate;
+    const startDate = toISODate(addDays(parseISODate(earliest), -LOOKBACK_DAYS));
+
+    const fetched = await Promise.all(
+      TENORS.map((tenor) =>
+        fetchBundesbankSeries(BUND_TENORS[tenor].seriesId, { startDate, bounded: true, client: "bond-curve" })
+      )
+    );
+    const yieldsByTenor = Object.fromEntries(TENORS.map((tenor, i) => [tenor, fetched[i]]));
+
+    const dates = completeCurveDates(yieldsByTenor);
+    const asOfDate = requestedDate ? lastOnOrBefore(dates, requestedDate) : dates.at(-1);
+    if (!asOfDate) throw new Error(`No complete Bund curve on or before ${requestedDate || "today"}`);
+    const baselineCurveDate = lastOnOrBefore(dates, baselineDate);
+
+    const current = curveOn(yieldsByTenor, asOfDate);
+    const baseline = baselineCurveDate ? curveOn(yieldsByTenor, baselineCurveDate) : null;
+
+    const tenors = TENORS.map((tenor) => ({
+      tenor,
+      years: BUND_TENORS[tenor].years,
+      seriesId: BUND_TENORS[tenor].seriesId,
+      yield: current[tenor],
+      baselineYield: baseline ? baseline[tenor] : null,
+      changeBp: baseline ? roundTo((current[tenor] - baseline[tenor]) * 100, 1) : null,
+    }));
+
+    const slope = dates
+      .filter((date) => date >= (baselineCurveDate || baselineDate) && date <= asOfDate)
+      .map((date) => ({ date, bp: slopeBp(curveOn(yieldsByTenor, date)) }));
+
+    const body = {
+      question: summarizeQuestion(question),
+      fetchedAt,
+      asOfDate,
+      baselineDate,
+      baselineCurveDate,
+      tenors,
+      slope2s10s: {
+        current: slopeBp(current),
+        baseline: baseline ? slopeBp(baseline) : null,
+        changeBp: baseline ? roundTo(slopeBp(current) - slopeBp(baseline), 1) : null,
+        series: slope.length > MAX_SERIES_POINTS ? slope.slice(-MAX_SERIES_POINTS) : slope,
+      },
+      source: {
+        provider: "Deutsche Bundesbank",
+        urls: Object.fromEntries(TENORS.map((tenor) => [tenor, bundesbankSeriesUrl(BUND_TENORS[tenor].seriesId)])),
+      },
+    };
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "public, max-age=0, must-revalidate",
+        "Access-Control-Allow-Origin": "*",
+        "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
+      },
+      body: JSON.stringify(body),
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        error: "bond_curve_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
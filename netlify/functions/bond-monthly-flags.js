@@ -1,50 +1,35 @@
-// Netlify Function: Monthly Bund ±20bp breach flags (historical) from Deutsche Bundesbank API.
+// Netlify Function: Monthly Bund ±N bp breach flags (historical) from Deutsche Bundesbank API.
 //
 // Default window: 2025-01 through 2026-01 (inclusive), as requested.
+//
+// `?thresholdBp=20` (or a list, `10,20,30`): the first threshold sets each month's `status` and
+// trigger fields, and every listed one gets an entry in the month's `breaches`.
+// `?baseRates=1` adds `baseRates`, the share of months whose range breached each threshold (default
+// 5..50bp, or the listed ones), by direction and by trailing-volatility regime (lib/base-rates.js).
+// The window then defaults to all history since HISTORY_START_MONTH through the last complete month.
+
+const { toISODate, addDays } = require("./lib/dates");
+const { BUND_TENORS, bundesbankSeriesUrl, fetchBundesbankSeries } = require("./lib/bundesbank");
+const { VOL_LOOKBACK, breachesAt, trailingVolBp, regimeCutoffs, regimeOf, baseRateTable } = require("./lib/base-rates");
 
-const SERIES_ID = "BBSSY.D.REN.EUR.A630.000000WT1010.A";
-const BASE_URL =
-  "https://api.statistiken.bundesbank.de/rest/data/BBSSY/D.REN.EUR.A630.000000WT1010.A";
+const SERIES_ID = BUND_TENORS["10Y"].seriesId;
+const BASE_URL = bundesbankSeriesUrl(SERIES_ID);
 
 const DEFAULT_START_MONTH = "2025-01";
 const DEFAULT_END_MONTH = "2026-01";
-const THRESHOLD_BP = 20;
+const DEFAULT_THRESHOLD_BP = 20;
+const MAX_THRESHOLD_BP = 500;
+const MAX_THRESHOLDS = 20;
+
+// Base rates: euro-era history (months before the series starts come back as UNKNOWN and are skipped).
+const HISTORY_START_MONTH = "1999-01";
+const BASE_RATE_THRESHOLDS = [5, 10, 15, 20, 25, 30, 35, 40, 45, 50];
+// Months of closes fetched before the window for the trailing volatility (VOL_LOOKBACK closes).
+const VOL_LOOKBACK_MONTHS = 4;
 
 const DEFAULT_CDN_CACHE_SECONDS = 6 * 60 * 60; // 6 hours
 const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 7 * 24 * 60 * 60; // 7 days
 
-function parseISODate(dateStr) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
-  if (!m) return null;
-  const year = Number(m[1]);
-  const month = Number(m[2]);
-  const day = Number(m[3]);
-  const date = new Date(Date.UTC(year, month - 1, day));
-  if (
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-  return date;
-}
-
-function toISODate(date) {
-  return date.toISOString().slice(0, 10);
-}
-
-function addDays(date, days) {
-  const d = new Date(date.getTime());
-  d.setUTCDate(d.getUTCDate() + days);
-  return d;
-}
-
-function isWeekday(date) {
-  const day = date.getUTCDay();
-  return day >= 1 && day <= 5;
-}
-
 function formatTimestampUtc(iso) {
   const d = new Date(iso);
   if (Number.isNaN(d.getTime())) return iso;
@@ -99,85 +84,71 @@ function listMonthsInclusive(startMonthObj, endMonthObj) {
   return out;
 }
 
-async function fetchBundesbankJson(startPeriod, endPeriod) {
-  // Prefer a bounded request; fall back to the unbounded series if the API rejects params.
-  const urlWithRange = `${BASE_URL}?${new URLSearchParams({
-    startPeriod,
-    endPeriod,
-  }).toString()}`;
-
-  const tryFetch = async (url) => {
-    const res = await fetch(url, {
-      headers: { Accept: "application/json", "User-Agent": "Mozilla/5.0 (Netlify bond-monthly-flags)" },
-      signal: AbortSignal.timeout(15_000),
-    });
-    if (!res.ok) throw new Error(`Bundesbank request failed: ${res.status} ${res.statusText}`);
-    return res.json();
-  };
-
-  try {
-    return await tryFetch(urlWithRange);
-  } catch {
-    return tryFetch(BASE_URL);
-  }
-}
-
-function parseBundSeries(json, startPeriod, endPeriod) {
-  const obs = json?.data?.dataSets?.[0]?.series?.["0:0:0:0:0:0"]?.observations;
-  if (!obs || typeof obs !== "object") {
-    throw new Error("Bundesbank response missing observations");
-  }
-
-  const values = json?.data?.structure?.dimensions?.observation?.[0]?.values;
-  if (!Array.isArray(values)) throw new Error("Bundesbank response missing observation values");
-
-  const keys = Object.keys(obs)
-    .map((k) => Number(k))
-    .filter((n) => Number.isFinite(n))
-    .sort((a, b) => a - b);
-
+// "10,20" -> [10, 20]; null when any entry is not a whole number of bp in 1..MAX_THRESHOLD_BP.
+function parseThresholds(value) {
+  const parts = String(value)
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (!parts.length || parts.length > MAX_THRESHOLDS) return null;
   const out = [];
-  for (const idx of keys) {
-    const date = values[idx]?.id || values[idx]?.name || null;
-    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
-    if (date < startPeriod || date > endPeriod) continue;
-
-    const dateObj = parseISODate(date);
-    if (!dateObj || !isWeekday(dateObj)) continue;
-
-    const raw = obs[String(idx)]?.[0];
-    const y = Math.round(Number(raw) * 100) / 100;
-    if (!Number.isFinite(y)) continue;
-    if (y === 0) continue; // non-trading placeholder
-
-    out.push({ date, yield: y });
+  for (const p of parts) {
+    if (!/^\d+$/.test(p)) return null;
+    const bp = Number(p);
+    if (bp < 1 || bp > MAX_THRESHOLD_BP) return null;
+    if (!out.includes(bp)) out.push(bp);
   }
-
-  out.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
   return out;
 }
 
+function breachLabel({ upper, lower }) {
+  return upper && lower ? "BOTH" : upper ? "UPPER" : lower ? "LOWER" : null;
+}
+
 exports.handler = async (event) => {
+  const qs = (event && event.queryStringParameters) || {};
+  const thresholdsGiven = typeof qs.thresholdBp === "string" && qs.thresholdBp !== "";
+  const thresholds = thresholdsGiven ? parseThresholds(qs.thresholdBp) : [DEFAULT_THRESHOLD_BP];
+  if (!thresholds) {
+    return {
+      statusCode: 400,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({ error: "invalid_threshold", message: `thresholdBp: whole bp from 1 to ${MAX_THRESHOLD_BP}` }),
+    };
+  }
+  const thresholdBp = thresholds[0];
+  const withBaseRates = qs.baseRates === "1" || qs.baseRates === "true";
+
   try {
-    const qs = event.queryStringParameters || {};
-    const startMonthStr = typeof qs.startMonth === "string" ? qs.startMonth : DEFAULT_START_MONTH;
-    const endMonthStr = typeof qs.endMonth === "string" ? qs.endMonth : DEFAULT_END_MONTH;
+    const now = new Date();
+    const lastCompleteMonth = addMonths({ year: now.getUTCFullYear(), month: now.getUTCMonth() + 1 }, -1);
+    const startMonthStr =
+      typeof qs.startMonth === "string" ? qs.startMonth : withBaseRates ? HISTORY_START_MONTH : DEFAULT_START_MONTH;
+    const endMonthStr =
+      typeof qs.endMonth === "string" ? qs.endMonth : withBaseRates ? toMonthStr(lastCompleteMonth) : DEFAULT_END_MONTH;
 
     const startMonth = parseMonth(startMonthStr);
     const endMonth = parseMonth(endMonthStr);
     if (!startMonth || !endMonth) throw new Error("Invalid startMonth/endMonth (expected YYYY-MM)");
     if (monthIndex(startMonth) > monthIndex(endMonth)) throw new Error("startMonth must be <= endMonth");
 
-    const baselineMonth = addMonths(startMonth, -1);
+    const lookbackMonth = addMonths(startMonth, -VOL_LOOKBACK_MONTHS);
     const afterEndMonth = addMonths(endMonth, 1);
 
-    const startPeriod = `${toMonthStr(baselineMonth)}-01`;
+    const startPeriod = `${toMonthStr(lookbackMonth)}-01`;
     const endExclusive = monthStartDateUtc(afterEndMonth);
     const endPeriod = toISODate(addDays(endExclusive, -1));
 
     const fetchedAt = new Date().toISOString();
-    const json = await fetchBundesbankJson(startPeriod, endPeriod);
-    const points = parseBundSeries(json, startPeriod, endPeriod);
+    const yieldByDate = await fetchBundesbankSeries(SERIES_ID, {
+      startDate: startPeriod,
+      endDate: endPeriod,
+      bounded: true,
+      client: "bond-monthly-flags",
+    });
+    const points = Object.keys(yieldByDate)
+      .sort()
+      .map((date) => ({ date, yield: yieldByDate[date] }));
     if (!points.length) throw new Error("No yield points available for requested window");
 
     const months = listMonthsInclusive(startMonth, endMonth);
@@ -215,8 +186,8 @@ exports.handler = async (event) => {
       }
 
       const baselineYield = baselinePoint.yield;
-      const upperTrigger = Math.round((baselineYield + THRESHOLD_BP / 100) * 100) / 100;
-      const lowerTrigger = Math.round((baselineYield - THRESHOLD_BP / 100) * 100) / 100;
+      const upperTrigger = Math.round((baselineYield + thresholdBp / 100) * 100) / 100;
+      const lowerTrigger = Math.round((baselineYield - thresholdBp / 100) * 100) / 100;
 
       let minYield = Infinity;
       let maxYield = -Infinity;
@@ -228,8 +199,8 @@ exports.handler = async (event) => {
       const breachedUpper = maxYield >= upperTrigger;
       const breachedLower = minYield <= lowerTrigger;
       const status = breachedUpper || breachedLower ? "YES" : "NO";
-      const breach =
-        breachedUpper && breachedLower ? "BOTH" : breachedUpper ? "UPPER" : breachedLower ? "LOWER" : null;
+      const breach = breachLabel({ upper: breachedUpper, lower: breachedLower });
+      const range = { baselineYield, minYield, maxYield };
 
       results.push({
         month: monthStr,
@@ -244,12 +215,34 @@ exports.handler = async (event) => {
         breach,
         status,
         points: monthPoints.length,
+        maxRiseBp: Math.round((maxYield - baselineYield) * 1000) / 10,
+        maxFallBp: Math.round((baselineYield - minYield) * 1000) / 10,
+        breaches: Object.fromEntries(thresholds.map((bp) => [bp, breachLabel(breachesAt(range, bp))])),
+        trailingVolBp: trailingVolBp(yieldByDate, baselinePoint.date),
       });
     }
 
+    let baseRates = null;
+    if (withBaseRates) {
+      const evaluated = results.filter((m) => m.status === "YES" || m.status === "NO");
+      const cutoffs = regimeCutoffs(evaluated);
+      for (const m of evaluated) m.regime = regimeOf(m.trailingVolBp, cutoffs);
+      // Regime of the month after the latest close, i.e. of a question opening now.
+      const currentVolBp = trailingVolBp(yieldByDate, points.at(-1).date);
+      baseRates = {
+        months: evaluated.length,
+        firstMonth: evaluated.length ? evaluated[0].month : null,
+        lastMonth: evaluated.length ? evaluated.at(-1).month : null,
+        regimes: cutoffs ? { lookbackCloses: VOL_LOOKBACK, ...cutoffs } : null,
+        current: { asOfDate: points.at(-1).date, trailingVolBp: currentVolBp, regime: regimeOf(currentVolBp, cutoffs) },
+        table: baseRateTable(evaluated, thresholdsGiven ? thresholds : BASE_RATE_THRESHOLDS),
+      };
+    }
+
     const body = {
       seriesId: SERIES_ID,
-      thresholdBp: THRESHOLD_BP,
+      thresholdBp,
+      thresholds,
       startMonth: startMonthStr,
       endMonth: endMonthStr,
       startPeriod,
@@ -257,6 +250,7 @@ exports.handler = async (event) => {
       fetchedAt,
       lastUpdated: formatTimestampUtc(fetchedAt),
       months: results,
+      baseRates,
       source: {
         provider: "Deutsche Bundesbank",
         url: BASE_URL,
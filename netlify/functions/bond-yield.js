@@ -1,36 +1,17 @@
-// Netlify Function: Live German 10Y Bund yield from Deutsche Bundesbank API.
+// Netlify Function: Live German Bund yield from Deutsche Bundesbank API.
+//
+// Series and baseline date come from the question registry (`?question=`, default Feb 2026 ±20bp).
+// `?tenor=2Y|5Y|10Y|30Y` switches to another maturity of the Bundesbank term structure (default: the
+// question's tenor); `thresholdBp` is only reported for the question's own tenor.
+
+const { resolveQuestion, summarizeQuestion } = require("./lib/questions");
+const { BUND_TENORS, bundesbankSeriesUrl, fetchBundesbankSeries } = require("./lib/bundesbank");
 
-const SERIES_ID = "BBSSY.D.REN.EUR.A630.000000WT1010.A";
-const URL =
-  "https://api.statistiken.bundesbank.de/rest/data/BBSSY/D.REN.EUR.A630.000000WT1010.A";
-const BASELINE_DATE = "2026-01-30";
 const MAX_SERIES_POINTS = 140;
 
 const DEFAULT_CDN_CACHE_SECONDS = 60 * 60; // 1 hour
 const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
 
-function parseISODate(dateStr) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
-  if (!m) return null;
-  const year = Number(m[1]);
-  const month = Number(m[2]);
-  const day = Number(m[3]);
-  const date = new Date(Date.UTC(year, month - 1, day));
-  if (
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-  return date;
-}
-
-function isWeekday(date) {
-  const day = date.getUTCDay();
-  return day >= 1 && day <= 5;
-}
-
 function formatTimestampUtc(iso) {
   const d = new Date(iso);
   if (Number.isNaN(d.getTime())) return iso;
@@ -45,93 +26,52 @@ function formatTimestampUtc(iso) {
   }) + " GMT";
 }
 
-exports.handler = async () => {
+exports.handler = async (event = {}) => {
   try {
-    const fetchedAt = new Date().toISOString();
-
-    const res = await fetch(URL, {
-      headers: { Accept: "application/json", "User-Agent": "Mozilla/5.0 (Netlify bond-yield)" },
-      signal: AbortSignal.timeout(15_000),
-    });
-    if (!res.ok) {
-      throw new Error(`Bundesbank request failed: ${res.status} ${res.statusText}`);
+    const qs = event.queryStringParameters || {};
+    const question = resolveQuestion(qs, "bond-yield");
+    if (!question) {
+      return {
+        statusCode: 400,
+        headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+        body: JSON.stringify({ error: "invalid_question" }),
+      };
     }
-    const json = await res.json();
-
-    const obs = json?.data?.dataSets?.[0]?.series?.["0:0:0:0:0:0"]?.observations;
-    if (!obs || typeof obs !== "object") {
-      throw new Error("Bundesbank response missing observations");
+    const tenor = typeof qs.tenor === "string" && qs.tenor ? qs.tenor.toUpperCase() : question.instrument.tenor;
+    if (!BUND_TENORS[tenor]) {
+      return {
+        statusCode: 400,
+        headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+        body: JSON.stringify({ error: "invalid_tenor", tenors: Object.keys(BUND_TENORS) }),
+      };
     }
+    const isQuestionTenor = tenor === question.instrument.tenor;
+    const seriesId = isQuestionTenor ? question.instrument.seriesId : BUND_TENORS[tenor].seriesId;
+    const url = bundesbankSeriesUrl(seriesId);
+    const baselineDate = question.baselineDate;
 
-    const keys = Object.keys(obs).map((k) => Number(k)).filter((n) => Number.isFinite(n));
-    if (!keys.length) throw new Error("Bundesbank response has no observation keys");
-    const values = json?.data?.structure?.dimensions?.observation?.[0]?.values;
-    const hasValues = Array.isArray(values);
-
-    let series = null;
-    let baselineYield = null;
-    let asOfDate = null;
-    let currentYield = null;
-
-    if (hasValues) {
-      const sorted = keys.sort((a, b) => a - b);
-      const out = [];
-      for (const idx of sorted) {
-        const date = values[idx]?.id || values[idx]?.name || null;
-        if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
-        if (date < BASELINE_DATE) continue;
-
-        const dateObj = parseISODate(date);
-        if (!dateObj || !isWeekday(dateObj)) continue;
-
-        const raw = obs[String(idx)]?.[0];
-        const y = Math.round(Number(raw) * 100) / 100;
-        if (!Number.isFinite(y)) continue;
-        if (y === 0) continue; // Bundesbank includes 0.00 on non-trading days (e.g. weekends)
-
-        out.push({ date, yield: y });
-      }
-
-      const baselinePoint = out.find((p) => p.date === BASELINE_DATE);
-      if (baselinePoint) baselineYield = baselinePoint.yield;
+    const fetchedAt = new Date().toISOString();
 
-      if (out.length > MAX_SERIES_POINTS) {
-        series = out.slice(-MAX_SERIES_POINTS);
-      } else {
-        series = out;
-      }
+    const yieldByDate = await fetchBundesbankSeries(seriesId, { client: "bond-yield" });
+    const dates = Object.keys(yieldByDate).sort();
+    if (!dates.length) throw new Error("Bundesbank current yield is not available");
 
-      if (series.length) {
-        asOfDate = series[series.length - 1].date;
-        currentYield = series[series.length - 1].yield;
-      }
-    }
+    const out = dates.filter((d) => d >= baselineDate).map((date) => ({ date, yield: yieldByDate[date] }));
+    const baselineYield = Number.isFinite(yieldByDate[baselineDate]) ? yieldByDate[baselineDate] : null;
+    const series = out.length > MAX_SERIES_POINTS ? out.slice(-MAX_SERIES_POINTS) : out;
 
-    if (currentYield === null) {
-      // Fallback: find latest non-zero weekday observation (handles weekend lookups).
-      const sortedDesc = keys.sort((a, b) => b - a);
-      for (const idx of sortedDesc) {
-        const date = hasValues && values[idx] ? values[idx].id || values[idx].name || null : null;
-        if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
-        const dateObj = parseISODate(date);
-        if (!dateObj || !isWeekday(dateObj)) continue;
-        const raw = obs[String(idx)]?.[0];
-        const y = Math.round(Number(raw) * 100) / 100;
-        if (!Number.isFinite(y) || y === 0) continue;
-        currentYield = y;
-        asOfDate = date;
-        break;
-      }
-    }
-
-    if (currentYield === null || asOfDate === null) {
-      throw new Error("Bundesbank current yield is not available");
-    }
+    // Latest published weekday observation (also covers lookups where nothing is newer than the baseline).
+    const asOfDate = dates.at(-1);
+    const currentYield = yieldByDate[asOfDate];
 
     const body = {
-      seriesId: SERIES_ID,
-      baselineDate: BASELINE_DATE,
+      question: summarizeQuestion(question),
+      tenor,
+      seriesId,
+      baselineDate,
       baselineYield,
+      thresholdBp: isQuestionTenor && question.threshold ? question.threshold.bp : null,
+      period: { start: question.window.start, lastTradingDay: question.window.lastTradingDay },
       fetchedAt,
       lastUpdated: formatTimestampUtc(fetchedAt),
       asOfDate,
@@ -139,7 +79,7 @@ exports.handler = async () => {
       series,
       source: {
         provider: "Deutsche Bundesbank",
-        url: URL,
+        url,
       },
     };
 
@@ -148,6 +88,7 @@ exports.handler = async () => {
       headers: {
         "Content-Type": "application/json; charset=utf-8",
         "Cache-Control": "public, max-age=0, must-revalidate",
+        "Access-Control-Allow-Origin": "*",
         "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
       },
       body: JSON.stringify(body),
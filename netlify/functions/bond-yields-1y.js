@@ -1,55 +1,40 @@
-// Netlify Function: 1-year 10Y government yield comparison (DE/US/GB/FR/IT).
+// Netlify Function: 1-year 10Y government yield comparison (DE/US/GB/FR/IT/ES/NL/JP/CH) and spreads
+// over the Bund.
 //
 // Germany (DE) uses Deutsche Bundesbank (same source as the main tracker).
-// Others use FRED (Federal Reserve Bank of St. Louis) CSV exports.
+// Others use FRED (Federal Reserve Bank of St. Louis) CSV exports, one request per country so a
+// failing series only drops that country; `errors` is keyed by country code.
 
-const BUNDESBANK_SERIES_ID = "BBSSY.D.REN.EUR.A630.000000WT1010.A";
-const BUNDESBANK_URL =
-  "https://api.statistiken.bundesbank.de/rest/data/BBSSY/D.REN.EUR.A630.000000WT1010.A";
+const { parseISODate, toISODate, addDays, roundTo } = require("./lib/dates");
+const { BUND_TENORS, bundesbankSeriesUrl, fetchBundesbankSeries } = require("./lib/bundesbank");
+const { fetchFredSeries } = require("./lib/fred");
+
+const BUNDESBANK_SERIES_ID = BUND_TENORS["10Y"].seriesId;
+const BUNDESBANK_URL = bundesbankSeriesUrl(BUNDESBANK_SERIES_ID);
 
 const FRED = {
   US: { id: "DGS10", name: "United States" },
   GB: { id: "IRLTLT01GBD156N", name: "United Kingdom" },
   FR: { id: "IRLTLT01FRD156N", name: "France" },
   IT: { id: "IRLTLT01ITD156N", name: "Italy" },
+  ES: { id: "IRLTLT01ESD156N", name: "Spain" },
+  NL: { id: "IRLTLT01NLD156N", name: "Netherlands" },
+  JP: { id: "IRLTLT01JPD156N", name: "Japan" },
+  CH: { id: "IRLTLT01CHD156N", name: "Switzerland" },
 };
 
+// Spreads over the Bund (yield − DE yield, in bp) on the dates both series have.
+const SPREADS = [
+  { code: "IT", name: "BTP − Bund" },
+  { code: "FR", name: "OAT − Bund" },
+  { code: "ES", name: "Bonos − Bund" },
+  { code: "US", name: "UST − Bund" },
+];
+
 const WINDOW_DAYS = 365;
 const DEFAULT_CDN_CACHE_SECONDS = 60 * 60; // 1 hour
 const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
 
-function parseISODate(dateStr) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
-  if (!m) return null;
-  const year = Number(m[1]);
-  const month = Number(m[2]);
-  const day = Number(m[3]);
-  const date = new Date(Date.UTC(year, month - 1, day));
-  if (
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-  return date;
-}
-
-function toISODate(date) {
-  return date.toISOString().slice(0, 10);
-}
-
-function addDays(date, days) {
-  const d = new Date(date.getTime());
-  d.setUTCDate(d.getUTCDate() + days);
-  return d;
-}
-
-function isWeekday(date) {
-  const day = date.getUTCDay();
-  return day >= 1 && day <= 5;
-}
-
 function formatTimestampUtc(iso) {
   const d = new Date(iso);
   if (Number.isNaN(d.getTime())) return iso;
@@ -66,102 +51,29 @@ function formatTimestampUtc(iso) {
   );
 }
 
-function intersection(a, b) {
-  const out = new Set();
-  for (const v of a) {
-    if (b.has(v)) out.add(v);
-  }
-  return out;
+function toYieldPoints(valueByDate) {
+  return Object.keys(valueByDate || {})
+    .sort()
+    .map((date) => ({ date, yield: valueByDate[date] }));
 }
 
-async function fetchBundesbankSeries({ startDate, endDate }) {
-  const res = await fetch(BUNDESBANK_URL, {
-    headers: { Accept: "application/json", "User-Agent": "Mozilla/5.0 (Netlify bond-yields-1y)" },
-    signal: AbortSignal.timeout(12_000),
-  });
-  if (!res.ok) {
-    throw new Error(`Bundesbank request failed: ${res.status} ${res.statusText}`);
-  }
-  const json = await res.json();
-
-  const obs = json?.data?.dataSets?.[0]?.series?.["0:0:0:0:0:0"]?.observations;
-  if (!obs || typeof obs !== "object") {
-    throw new Error("Bundesbank response missing observations");
-  }
-
-  const values = json?.data?.structure?.dimensions?.observation?.[0]?.values;
-  if (!Array.isArray(values)) throw new Error("Bundesbank response missing observation values");
-
-  const keys = Object.keys(obs).map((k) => Number(k)).filter((n) => Number.isFinite(n));
-  const sorted = keys.sort((a, b) => a - b);
-
-  const out = [];
-  for (const idx of sorted) {
-    const date = values[idx]?.id || values[idx]?.name || null;
-    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
-    if (date < startDate || date > endDate) continue;
-
-    const dateObj = parseISODate(date);
-    if (!dateObj || !isWeekday(dateObj)) continue;
-
-    const raw = obs[String(idx)]?.[0];
-    const y = Math.round(Number(raw) * 100) / 100;
-    if (!Number.isFinite(y) || y === 0) continue;
-
-    out.push({ date, yield: y });
-  }
-
-  return out;
+function spreadPoints(points, bundPoints) {
+  const bundByDate = new Map(bundPoints.map((p) => [p.date, p.yield]));
+  return points
+    .filter((p) => bundByDate.has(p.date))
+    .map((p) => ({ date: p.date, bp: roundTo((p.yield - bundByDate.get(p.date)) * 100, 1) }));
 }
 
-async function fetchFredMultiSeries(seriesIds, { startDate, endDate }) {
-  const params = new URLSearchParams({ id: seriesIds.join(","), cosd: startDate, coed: endDate });
-  const url = `https://fred.stlouisfed.org/graph/fredgraph.csv?${params.toString()}`;
-
-  const res = await fetch(url, {
-    headers: { Accept: "text/csv", "User-Agent": "Mozilla/5.0 (Netlify bond-yields-1y)" },
-    signal: AbortSignal.timeout(12_000),
-  });
-  if (!res.ok) {
-    throw new Error(`FRED request failed: ${res.status} ${res.statusText}`);
-  }
-
-  const text = await res.text();
-  const lines = text.trim().split(/\r?\n/);
-  if (lines.length < 2) throw new Error("FRED response too short");
-
-  const header = lines[0].split(",").map((s) => s.trim());
-  if (!header.length || header[0].toUpperCase() !== "DATE") {
-    throw new Error("FRED response header missing DATE column");
-  }
-  const ids = header.slice(1);
-  if (!ids.length) throw new Error("FRED response missing series columns");
-
-  const outById = Object.fromEntries(ids.map((id) => [id, []]));
-
-  for (let i = 1; i < lines.length; i += 1) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    const cols = line.split(",");
-    const date = (cols[0] || "").trim();
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
-    if (date < startDate || date > endDate) continue;
-
-    const dateObj = parseISODate(date);
-    if (!dateObj || !isWeekday(dateObj)) continue;
+function errorMessage(reason) {
+  return reason instanceof Error ? reason.message : String(reason);
+}
 
-    for (let j = 0; j < ids.length; j += 1) {
-      const id = ids[j];
-      const valueStr = (cols[j + 1] || "").trim();
-      if (!id) continue;
-      if (!valueStr || valueStr === ".") continue;
-      const y = Math.round(Number(valueStr) * 100) / 100;
-      if (!Number.isFinite(y)) continue;
-      outById[id].push({ date, yield: y });
-    }
+function intersection(a, b) {
+  const out = new Set();
+  for (const v of a) {
+    if (b.has(v)) out.add(v);
   }
-
-  return outById;
+  return out;
 }
 
 exports.handler = async (event) => {
@@ -176,28 +88,32 @@ exports.handler = async (event) => {
     const fetchedAt = new Date().toISOString();
 
     const errors = {};
-    const series = { DE: [], US: [], GB: [], FR: [], IT: [] };
+    const fredCodes = Object.keys(FRED);
+    const series = Object.fromEntries(["DE", ...fredCodes].map((code) => [code, []]));
 
-    const fredIds = Object.values(FRED).map((v) => v.id);
-    const [deRes, fredRes] = await Promise.allSettled([
-      fetchBundesbankSeries({ startDate, endDate }),
-      fetchFredMultiSeries(fredIds, { startDate, endDate }),
+    const [deRes, ...fredResults] = await Promise.allSettled([
+      fetchBundesbankSeries(BUNDESBANK_SERIES_ID, { startDate, endDate, client: "bond-yields-1y" }),
+      ...fredCodes.map((code) => fetchFredSeries([FRED[code].id], { startDate, endDate, client: "bond-yields-1y" })),
     ]);
 
     if (deRes.status === "fulfilled") {
-      series.DE = deRes.value;
+      series.DE = toYieldPoints(deRes.value);
     } else {
-      errors.DE = deRes.reason instanceof Error ? deRes.reason.message : String(deRes.reason);
+      errors.DE = errorMessage(deRes.reason);
     }
 
-    if (fredRes.status === "fulfilled") {
-      const outById = fredRes.value || {};
-      series.US = Array.isArray(outById[FRED.US.id]) ? outById[FRED.US.id] : [];
-      series.GB = Array.isArray(outById[FRED.GB.id]) ? outById[FRED.GB.id] : [];
-      series.FR = Array.isArray(outById[FRED.FR.id]) ? outById[FRED.FR.id] : [];
-      series.IT = Array.isArray(outById[FRED.IT.id]) ? outById[FRED.IT.id] : [];
-    } else {
-      errors.FRED = fredRes.reason instanceof Error ? fredRes.reason.message : String(fredRes.reason);
+    fredCodes.forEach((code, i) => {
+      const res = fredResults[i];
+      if (res.status === "fulfilled") {
+        series[code] = toYieldPoints((res.value || {})[FRED[code].id]);
+      } else {
+        errors[code] = errorMessage(res.reason);
+      }
+    });
+
+    const spreads = {};
+    for (const { code, name } of SPREADS) {
+      spreads[`${code}-DE`] = { name, code, vs: "DE", series: spreadPoints(series[code], series.DE) };
     }
 
     const availableCodes = Object.keys(series).filter((code) => series[code] && series[code].length);
@@ -233,12 +149,12 @@ exports.handler = async (event) => {
           seriesId: BUNDESBANK_SERIES_ID,
           url: BUNDESBANK_URL,
         },
-        US: { name: FRED.US.name, provider: "FRED", seriesId: FRED.US.id },
-        GB: { name: FRED.GB.name, provider: "FRED", seriesId: FRED.GB.id },
-        FR: { name: FRED.FR.name, provider: "FRED", seriesId: FRED.FR.id },
-        IT: { name: FRED.IT.name, provider: "FRED", seriesId: FRED.IT.id },
+        ...Object.fromEntries(
+          fredCodes.map((code) => [code, { name: FRED[code].name, provider: "FRED", seriesId: FRED[code].id }])
+        ),
       },
       series,
+      spreads,
       source: {
         germany: { provider: "Deutsche Bundesbank", url: BUNDESBANK_URL },
         others: { provider: "FRED", url: "https://fred.stlouisfed.org/" },
@@ -0,0 +1,83 @@
+// Netlify Function: Atom feed of new comments on one thread (`?thread=currency|bond|oil|ivv`).
+//
+// Reads the same Netlify Forms submissions as `comments`; each entry id is the submission id, so a
+// comment appears exactly once in a feed reader.
+
+const { tagId, siteOrigin, renderAtomFeed } = require("./lib/atom");
+const { handler: commentsHandler } = require("./comments");
+
+const MAX_ENTRIES = 50;
+
+const THREAD_PAGES = {
+  currency: { page: "february-2026-currency-tracker.html", title: "February 2026 Currency Tracker" },
+  bond: { page: "german-bond-tracker.html", title: "German 10Y Bond Yield Tracker" },
+  oil: { page: "brent-wti-spread-tracker.html", title: "Brent − WTI Spot Spread Tracker" },
+  ivv: { page: "ivv-basket-weight-tracker.html", title: "AI Companies Weight Tracker" },
+};
+
+exports.handler = async (event = {}) => {
+  const qs = event.queryStringParameters || {};
+  const thread = typeof qs.thread === "string" ? qs.thread : "";
+  const threadPage = THREAD_PAGES[thread] || null;
+  if (!threadPage) {
+    return {
+      statusCode: 400,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({ error: "invalid_thread" }),
+    };
+  }
+
+  try {
+    const res = await commentsHandler({ httpMethod: "GET", queryStringParameters: { thread } });
+    // Configuration and upstream errors from `comments` are passed through unchanged.
+    if (res.statusCode !== 200) return res;
+    const body = JSON.parse(res.body);
+
+    const origin = siteOrigin(event);
+    const pageUrl = `${origin}/${threadPage.page}`;
+    const entries = body.comments
+      .filter((c) => c.id && c.createdAt)
+      .slice()
+      .reverse()
+      .slice(0, MAX_ENTRIES)
+      .map((c) => {
+        const firstLine = c.message.split("\n")[0];
+        return {
+          id: tagId("comments", thread, c.id),
+          title: `${c.handle}: ${firstLine.length > 80 ? `${firstLine.slice(0, 79)}…` : firstLine}`,
+          updated: c.createdAt,
+          link: `${pageUrl}#comments`,
+          author: c.handle,
+          content: c.message,
+        };
+      });
+
+    const xml = renderAtomFeed({
+      id: tagId("comments", thread),
+      title: `${threadPage.title} — comments`,
+      selfUrl: `${origin}/.netlify/functions/comments-feed?thread=${encodeURIComponent(thread)}`,
+      alternateUrl: pageUrl,
+      updated: body.fetchedAt,
+      entries,
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/atom+xml; charset=utf-8",
+        "Cache-Control": res.headers["Cache-Control"],
+        "Netlify-CDN-Cache-Control": res.headers["Netlify-CDN-Cache-Control"],
+      },
+      body: xml,
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        error: "comments_feed_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
@@ -0,0 +1,94 @@
+// Netlify Function: moderation for the comment threads. Requires
+// `Authorization: Bearer <COMMENTS_MODERATION_TOKEN>`.
+//
+// GET  ?thread=<thread>              every comment with its spam flags, plus the hidden ones
+// POST { "action": "hide" | "unhide" | "delete", "id": "<submission id>" }
+//
+// hide/unhide mark the submission as spam/ham through the Netlify Forms API (hidden submissions are
+// left out of the public `comments` GET); delete removes it for good.
+
+const {
+  THREADS,
+  netlifyApiConfig,
+  netlifyApiRequest,
+  getFormsByName,
+  fetchSubmissions,
+  toComment,
+  sortByCreatedAt,
+  flagSpam,
+  isAuthorized,
+} = require("./lib/comments");
+
+const MAX_COMMENTS = 200;
+
+const ACTIONS = {
+  hide: (id) => ({ method: "PUT", path: `/submissions/${encodeURIComponent(id)}/spam` }),
+  unhide: (id) => ({ method: "PUT", path: `/submissions/${encodeURIComponent(id)}/ham` }),
+  delete: (id) => ({ method: "DELETE", path: `/submissions/${encodeURIComponent(id)}` }),
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(body),
+  };
+}
+
+async function listThread(thread, config) {
+  const byName = await getFormsByName(config);
+  const formId = byName[THREADS[thread].formName] || null;
+  if (!formId) return json(502, { error: "form_not_found" });
+
+  const [visible, hidden] = await Promise.all([
+    fetchSubmissions({ formId, token: config.token, maxItems: MAX_COMMENTS }),
+    fetchSubmissions({ formId, token: config.token, maxItems: MAX_COMMENTS, state: "spam" }),
+  ]);
+  return json(200, {
+    thread,
+    fetchedAt: new Date().toISOString(),
+    comments: flagSpam(sortByCreatedAt(visible.map(toComment).filter(Boolean))),
+    hidden: sortByCreatedAt(hidden.map(toComment).filter(Boolean)),
+  });
+}
+
+exports.handler = async (event = {}) => {
+  try {
+    const moderationToken = process.env.COMMENTS_MODERATION_TOKEN || "";
+    if (!moderationToken) return json(501, { error: "moderation_not_configured" });
+    if (!isAuthorized(event.headers, moderationToken)) return json(401, { error: "unauthorized" });
+
+    const config = netlifyApiConfig();
+    if (!config) return json(501, { error: "comments_not_configured" });
+
+    if (event.httpMethod === "GET") {
+      const qs = event.queryStringParameters || {};
+      const thread = typeof qs.thread === "string" ? qs.thread : "";
+      if (!THREADS[thread]) return json(400, { error: "invalid_thread" });
+      return await listThread(thread, config);
+    }
+
+    if (event.httpMethod !== "POST") return json(405, { error: "method_not_allowed" });
+
+    let payload = null;
+    try {
+      payload = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "");
+    } catch {
+      // Reported below.
+    }
+    const action = payload && ACTIONS[payload.action] ? payload.action : null;
+    const id = payload && typeof payload.id === "string" && /^[\w-]{1,64}$/.test(payload.id) ? payload.id : null;
+    if (!action || !id) {
+      return json(400, { error: "invalid_params", actions: Object.keys(ACTIONS) });
+    }
+
+    const { method, path } = ACTIONS[action](id);
+    await netlifyApiRequest(path, config.token, { method });
+    return json(200, { id, action, ok: true });
+  } catch (err) {
+    return json(502, {
+      error: "comments_moderation_failed",
+      message: err instanceof Error ? err.message : String(err),
+    });
+  }
+};
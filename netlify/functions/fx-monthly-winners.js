@@ -2,6 +2,10 @@
 //
 // Default window: 2025-01 through 2026-01 (inclusive), as requested.
 
+const { addDays } = require("./lib/dates");
+const { fetchYahooDailyCloses } = require("./lib/yahoo");
+const { connectBlobs } = require("./lib/blobs");
+
 const TICKERS = {
   EUR: "EURUSD=X",
   JPY: "JPYUSD=X",
@@ -19,38 +23,6 @@ const DEFAULT_END_MONTH = "2026-01";
 const DEFAULT_CDN_CACHE_SECONDS = 6 * 60 * 60; // 6 hours
 const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 7 * 24 * 60 * 60; // 7 days
 
-function parseISODate(dateStr) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
-  if (!m) return null;
-  const year = Number(m[1]);
-  const month = Number(m[2]);
-  const day = Number(m[3]);
-  const date = new Date(Date.UTC(year, month - 1, day));
-  if (
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-  return date;
-}
-
-function toISODate(date) {
-  return date.toISOString().slice(0, 10);
-}
-
-function addDays(date, days) {
-  const d = new Date(date.getTime());
-  d.setUTCDate(d.getUTCDate() + days);
-  return d;
-}
-
-function isWeekday(date) {
-  const day = date.getUTCDay();
-  return day >= 1 && day <= 5;
-}
-
 function intersection(a, b) {
   const out = new Set();
   for (const v of a) {
@@ -113,64 +85,6 @@ function listMonthsInclusive(startMonthObj, endMonthObj) {
   return out;
 }
 
-async function fetchYahooDailyCloses(symbol, startInclusive, endExclusive) {
-  const period1 = Math.floor(startInclusive.getTime() / 1000);
-  const period2 = Math.floor(endExclusive.getTime() / 1000);
-
-  const params = new URLSearchParams({
-    period1: String(period1),
-    period2: String(period2),
-    interval: "1d",
-    events: "history",
-    includeAdjustedClose: "true",
-  });
-
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(
-    symbol
-  )}?${params.toString()}`;
-
-  const res = await fetch(url, {
-    headers: {
-      Accept: "application/json",
-      "User-Agent": "Mozilla/5.0 (Netlify fx-monthly-winners)",
-    },
-    signal: AbortSignal.timeout(12_000),
-  });
-  if (!res.ok) {
-    throw new Error(`Yahoo request failed for ${symbol}: ${res.status} ${res.statusText}`);
-  }
-  const json = await res.json();
-
-  const chart = json?.chart;
-  if (!chart) throw new Error(`Yahoo response missing chart for ${symbol}`);
-  if (chart.error) throw new Error(`Yahoo chart error for ${symbol}: ${JSON.stringify(chart.error)}`);
-
-  const result = (chart.result && chart.result[0]) || null;
-  if (!result) throw new Error(`Yahoo response missing result for ${symbol}`);
-
-  const timestamps = result.timestamp || [];
-  const closes = result?.indicators?.quote?.[0]?.close || [];
-  if (!Array.isArray(timestamps) || !Array.isArray(closes)) {
-    throw new Error(`Yahoo response missing timestamp/close arrays for ${symbol}`);
-  }
-
-  const closeByDate = {};
-  for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
-    const ts = timestamps[i];
-    const close = closes[i];
-    if (close === null || close === undefined) continue;
-    const dateStr = new Date(ts * 1000).toISOString().slice(0, 10);
-    const dateObj = parseISODate(dateStr);
-    if (!dateObj || !isWeekday(dateObj)) continue;
-
-    const closeValue = Number(close);
-    if (!Number.isFinite(closeValue)) continue;
-    closeByDate[dateStr] = closeValue;
-  }
-
-  return closeByDate;
-}
-
 function lastDateBeforeOrEqual(sortedDates, upperExclusive) {
   let last = null;
   for (const d of sortedDates) {
@@ -180,7 +94,8 @@ function lastDateBeforeOrEqual(sortedDates, upperExclusive) {
   return last;
 }
 
-exports.handler = async (event) => {
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
   try {
     const qs = event.queryStringParameters || {};
     const startMonthStr = typeof qs.startMonth === "string" ? qs.startMonth : DEFAULT_START_MONTH;
@@ -203,7 +118,9 @@ exports.handler = async (event) => {
     const entries = Object.entries(TICKERS);
     const closeMaps = await Promise.all(
       entries.map(async ([code, symbol]) => {
-        const closeByDate = await fetchYahooDailyCloses(symbol, fetchStart, fetchEndExclusive);
+        const closeByDate = await fetchYahooDailyCloses(symbol, fetchStart, fetchEndExclusive, {
+          client: "fx-monthly-winners",
+        });
         return [code, { symbol, closeByDate }];
       })
     );
@@ -1,69 +1,105 @@
-// Netlify Function: Live FX tracker data (Feb 2026) from Yahoo Finance "Close" prices.
-
-const TICKERS = {
-  EUR: "EURUSD=X",
-  JPY: "JPYUSD=X",
-  GBP: "GBPUSD=X",
-  CNY: "CNYUSD=X",
-  CHF: "CHFUSD=X",
-  AUD: "AUDUSD=X",
-  CAD: "CADUSD=X",
-  MXN: "MXNUSD=X",
-};
-
-const MONTH = "2026-02";
-const MONTH_START = "2026-02-01";
-const MONTH_END = "2026-02-28";
-const BASELINE_DATE = "2026-01-30";
+// Netlify Function: Live FX tracker data from Yahoo Finance "Close" prices.
+// Gaps (a ticker or date Yahoo dropped) are filled from ECB reference rates, then FRED H.10; every
+// close in `series.provider` is tagged with the provider it came from.
+//
+// The month, baseline and currency set come from the question registry (`?question=`, default Feb 2026).
+// `month=YYYY-MM`, `currencies=EUR,JPY,...` and `quote=USD` override them for recurring monthly FX
+// questions; a custom window's baseline is the last common close before the month starts.
+//
+// `winProbability` (and `series.winProbability`, one value per day of the month) is a Monte Carlo
+// estimate of each currency finishing on top, from trailing-year volatility/correlation of the same
+// closes (see lib/fx-probability.js).
+//
+// Trading days follow the question's FX holiday calendar (lib/calendars.js): New Year's Day and
+// Christmas closes are ignored, and `lastTradingDay` is the month's final as-of date.
+
+const { resolveQuestion, summarizeQuestion } = require("./lib/questions");
+const { parseISODate, toISODate, addDays, roundTo } = require("./lib/dates");
+const { isBusinessDay, countBusinessDaysAfter, lastBusinessDayOnOrBefore } = require("./lib/calendars");
+const { FX_PROVIDERS, yahooFxSymbol, fetchFxCloses } = require("./lib/fx");
+const {
+  DEFAULT_LOOKBACK_DAYS: VOL_LOOKBACK_DAYS,
+  DEFAULT_PATHS,
+  estimateFxCovariance,
+  simulateWinProbabilities,
+} = require("./lib/fx-probability");
+const { hashSeed } = require("./lib/random");
+const { connectBlobs } = require("./lib/blobs");
 
 const DEFAULT_ROUND_DECIMALS = 4;
 const DEFAULT_CDN_CACHE_SECONDS = 60 * 60; // 1 hour
 const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
 
-function parseISODate(dateStr) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
-  if (!m) return null;
-  const year = Number(m[1]);
-  const month = Number(m[2]);
-  const day = Number(m[3]);
-  const date = new Date(Date.UTC(year, month - 1, day));
-  // Basic validation (e.g. 2026-02-31 should fail).
-  if (
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
+const MAX_CURRENCIES = 16;
+const BASELINE_LOOKBACK_DAYS = 14; // covers the longest holiday gaps before a month starts
+
+function intersection(a, b) {
+  const out = new Set();
+  for (const v of a) {
+    if (b.has(v)) out.add(v);
   }
-  return date;
+  return out;
 }
 
-function toISODate(date) {
-  return date.toISOString().slice(0, 10);
+function badRequest(error, message) {
+  return {
+    statusCode: 400,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(message ? { error, message } : { error }),
+  };
 }
 
-function addDays(date, days) {
-  const d = new Date(date.getTime());
-  d.setUTCDate(d.getUTCDate() + days);
-  return d;
+function parseCodeList(value) {
+  return value
+    .split(",")
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean);
 }
 
-function isWeekday(date) {
-  const day = date.getUTCDay();
-  return day >= 1 && day <= 5;
-}
+// Month window + currency set for this request: the question's, unless overridden by query params.
+// Returns `{ error }` for malformed params.
+function resolveFxWindow(qs, question) {
+  const questionCodes = Object.keys(question.instrument.tickers);
+  const questionQuote = question.instrument.quote || "USD";
 
-function roundTo(value, decimals) {
-  const factor = 10 ** decimals;
-  return Math.round(value * factor) / factor;
-}
+  const month = typeof qs.month === "string" && qs.month ? qs.month : question.window.month;
+  const m = /^(\d{4})-(\d{2})$/.exec(month);
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return { error: "month must be YYYY-MM" };
 
-function intersection(a, b) {
-  const out = new Set();
-  for (const v of a) {
-    if (b.has(v)) out.add(v);
+  const quote = typeof qs.quote === "string" && qs.quote ? qs.quote.trim().toUpperCase() : questionQuote;
+  if (!/^[A-Z]{3}$/.test(quote)) return { error: "quote must be a 3-letter currency code" };
+
+  const codes =
+    typeof qs.currencies === "string" && qs.currencies ? parseCodeList(qs.currencies) : questionCodes;
+  if (!codes.length || codes.length > MAX_CURRENCIES) {
+    return { error: `currencies must list 1-${MAX_CURRENCIES} codes` };
   }
-  return out;
+  const badCode = codes.find((c) => !/^[A-Z]{3}$/.test(c) || c === quote);
+  if (badCode) return { error: `invalid currency code: ${badCode}` };
+  if (new Set(codes).size !== codes.length) return { error: "currencies must not repeat" };
+
+  const isQuestionWindow =
+    month === question.window.month &&
+    quote === questionQuote &&
+    codes.length === questionCodes.length &&
+    codes.every((c) => questionCodes.includes(c));
+
+  const tickers = isQuestionWindow
+    ? question.instrument.tickers
+    : Object.fromEntries(codes.map((c) => [c, yahooFxSymbol(c, quote)]));
+
+  const year = Number(m[1]);
+  const monthIdx = Number(m[2]) - 1;
+  return {
+    isQuestionWindow,
+    month,
+    quote,
+    tickers,
+    monthStartStr: toISODate(new Date(Date.UTC(year, monthIdx, 1))),
+    monthEndStr: toISODate(new Date(Date.UTC(year, monthIdx + 1, 0))),
+    // Pinned by the question; custom windows derive it from the data.
+    baselineDateStr: isQuestionWindow ? question.baselineDate : null,
+  };
 }
 
 function formatTimestampUtc(iso) {
@@ -80,129 +116,100 @@ function formatTimestampUtc(iso) {
   }) + " GMT";
 }
 
-async function fetchYahooDailyCloses(symbol, startInclusive, endExclusive, { roundDecimals }) {
-  const period1 = Math.floor(startInclusive.getTime() / 1000);
-  const period2 = Math.floor(endExclusive.getTime() / 1000);
-
-  const params = new URLSearchParams({
-    period1: String(period1),
-    period2: String(period2),
-    interval: "1d",
-    events: "history",
-    includeAdjustedClose: "true",
-  });
-
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(
-    symbol
-  )}?${params.toString()}`;
-
-  const res = await fetch(url, {
-    headers: {
-      Accept: "application/json",
-      "User-Agent": "Mozilla/5.0 (Netlify fx-tracker)",
-    },
-    signal: AbortSignal.timeout(12_000),
-  });
-  if (!res.ok) {
-    throw new Error(`Yahoo request failed for ${symbol}: ${res.status} ${res.statusText}`);
-  }
-  const json = await res.json();
-
-  const chart = json?.chart;
-  if (!chart) throw new Error(`Yahoo response missing chart for ${symbol}`);
-  if (chart.error) throw new Error(`Yahoo chart error for ${symbol}: ${JSON.stringify(chart.error)}`);
-
-  const result = (chart.result && chart.result[0]) || null;
-  if (!result) throw new Error(`Yahoo response missing result for ${symbol}`);
-
-  const timestamps = result.timestamp || [];
-  const closes = result?.indicators?.quote?.[0]?.close || [];
-  if (!Array.isArray(timestamps) || !Array.isArray(closes)) {
-    throw new Error(`Yahoo response missing timestamp/close arrays for ${symbol}`);
-  }
-
-  const closeByDate = {};
-  for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
-    const ts = timestamps[i];
-    const close = closes[i];
-    if (close === null || close === undefined) continue;
-    const dateStr = new Date(ts * 1000).toISOString().slice(0, 10);
-    const dateObj = parseISODate(dateStr);
-    if (!dateObj || !isWeekday(dateObj)) continue;
-
-    let closeValue = Number(close);
-    if (!Number.isFinite(closeValue)) continue;
-    if (roundDecimals !== null) closeValue = roundTo(closeValue, roundDecimals);
-    closeByDate[dateStr] = closeValue;
-  }
-
-  return closeByDate;
-}
-
-exports.handler = async (event) => {
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
   try {
     const qs = event.queryStringParameters || {};
+    const question = resolveQuestion(qs, "fx-tracker");
+    if (!question) return badRequest("invalid_question");
+
+    const fxWindow = resolveFxWindow(qs, question);
+    if (fxWindow.error) return badRequest("invalid_params", fxWindow.error);
+    const { isQuestionWindow, month, quote, tickers, monthStartStr, monthEndStr } = fxWindow;
+    const calendar = question.instrument.calendar;
+    const lastTradingDay = lastBusinessDayOnOrBefore(calendar, monthEndStr);
+
     const asofParam = typeof qs.asof === "string" ? qs.asof : null;
     const noRound = qs.noRound === "1" || qs.noRound === "true";
 
     const asOfLimitDate =
       (asofParam && parseISODate(asofParam)) || new Date(Date.now());
-    const monthEnd = parseISODate(MONTH_END);
-    if (!monthEnd) throw new Error("Internal date config error: MONTH_END");
+    const monthEnd = parseISODate(monthEndStr);
+    const monthStart = parseISODate(monthStartStr);
 
     const asOfLimit = asOfLimitDate > monthEnd ? monthEnd : asOfLimitDate;
-    const baselineDate = parseISODate(BASELINE_DATE);
-    const fetchStart = addDays(baselineDate, -14);
+    const pinnedBaseline = fxWindow.baselineDateStr ? parseISODate(fxWindow.baselineDateStr) : null;
+    // A year before the baseline so the volatility estimate has a full window on every day.
+    const fetchStart = addDays(pinnedBaseline || monthStart, -(VOL_LOOKBACK_DAYS + BASELINE_LOOKBACK_DAYS));
     const fetchEndExclusive = addDays(asOfLimit, 1);
 
-    const roundDecimals = noRound ? null : DEFAULT_ROUND_DECIMALS;
+    // The resolution source's rounding, so the ranking matches lib/resolution.js.
+    const roundDecimals = noRound ? null : question.resolution?.roundDecimals ?? DEFAULT_ROUND_DECIMALS;
 
     const fetchedAt = new Date().toISOString();
 
-    const entries = Object.entries(TICKERS);
-    const closeMaps = await Promise.all(
-      entries.map(async ([code, symbol]) => {
-        const closeByDate = await fetchYahooDailyCloses(symbol, fetchStart, fetchEndExclusive, {
-          roundDecimals,
-        });
-        return [code, { symbol, closeByDate }];
-      })
+    // Unrounded closes feed the volatility estimate: a JPY quote near 0.0066 rounded to 4dp moves in
+    // ~1.5% steps. Only the displayed and ranked closes are rounded.
+    const { byCode, errors: providerErrors } = await fetchFxCloses(tickers, {
+      quote,
+      startInclusive: fetchStart,
+      endExclusive: fetchEndExclusive,
+      requiredDates: fxWindow.baselineDateStr ? [fxWindow.baselineDateStr] : [],
+      roundDecimals: null,
+      client: "fx-tracker",
+    });
+    const roundCloses = (closeByDate) =>
+      roundDecimals === null
+        ? closeByDate
+        : Object.fromEntries(Object.entries(closeByDate).map(([d, v]) => [d, roundTo(v, roundDecimals)]));
+    const seriesByCode = Object.fromEntries(
+      Object.entries(byCode).map(([code, v]) => [code, { symbol: tickers[code], ...v, closeByDate: roundCloses(v.closeByDate) }])
     );
 
-    const seriesByCode = Object.fromEntries(closeMaps);
+    // Baseline: pinned by the question, else the last close before the month common to every currency.
+    let baselineDateStr = fxWindow.baselineDateStr;
+    if (!baselineDateStr) {
+      let before = null;
+      for (const code of Object.keys(tickers)) {
+        const set = new Set(
+          Object.keys(seriesByCode[code].closeByDate).filter((d) => d < monthStartStr && isBusinessDay(calendar, d))
+        );
+        before = before ? intersection(before, set) : set;
+      }
+      baselineDateStr = before && before.size ? Array.from(before).sort().at(-1) : null;
+      if (!baselineDateStr) throw new Error(`No common close before ${monthStartStr} for the baseline`);
+    }
 
     // Baseline closes
     const baseline = {};
-    for (const code of Object.keys(TICKERS)) {
+    for (const code of Object.keys(tickers)) {
       const series = seriesByCode[code];
-      const v = series?.closeByDate?.[BASELINE_DATE];
+      const v = series?.closeByDate?.[baselineDateStr];
       if (v === undefined) {
-        throw new Error(`Missing baseline close for ${code} on ${BASELINE_DATE}`);
+        throw new Error(`Missing baseline close for ${code} on ${baselineDateStr}`);
       }
       baseline[code] = v;
     }
 
-    // Determine as-of date: latest common weekday close in Feb 2026 up to asOfLimit.
-    const monthStart = parseISODate(MONTH_START);
-    const monthStartStr = MONTH_START;
+    // Determine as-of date: latest common close on a trading day of the month up to asOfLimit.
     const asOfLimitStr = toISODate(asOfLimit);
     let candidates = null;
 
-    for (const code of Object.keys(TICKERS)) {
+    for (const code of Object.keys(tickers)) {
       const dates = Object.keys(seriesByCode[code].closeByDate || {}).filter((d) => {
-        return d >= monthStartStr && d <= MONTH_END && d <= asOfLimitStr;
+        return d >= monthStartStr && d <= lastTradingDay && d <= asOfLimitStr && isBusinessDay(calendar, d);
       });
       const set = new Set(dates);
       candidates = candidates ? intersection(candidates, set) : set;
     }
 
     const commonDates = candidates && candidates.size ? Array.from(candidates).sort() : [];
-    const asOfDate = commonDates.length ? commonDates.at(-1) : BASELINE_DATE;
+    const asOfDate = commonDates.length ? commonDates.at(-1) : baselineDateStr;
 
     const current = {};
     const pct = {};
     const standings = [];
-    for (const code of Object.keys(TICKERS)) {
+    for (const code of Object.keys(tickers)) {
       const currentClose = seriesByCode[code].closeByDate[asOfDate];
       if (currentClose === undefined) {
         throw new Error(`Missing as-of close for ${code} on ${asOfDate}`);
@@ -213,7 +220,7 @@ exports.handler = async (event) => {
       pct[code] = pctChange;
       standings.push({
         code,
-        ticker: TICKERS[code],
+        ticker: tickers[code],
         baselineClose: base,
         asOfClose: currentClose,
         pctChange,
@@ -221,13 +228,14 @@ exports.handler = async (event) => {
     }
     standings.sort((a, b) => b.pctChange - a.pctChange);
 
-    const seriesDates = [BASELINE_DATE, ...commonDates];
+    const seriesDates = [baselineDateStr, ...commonDates];
     const series = {
       dates: seriesDates,
       close: {},
       pct: {},
+      provider: {},
     };
-    for (const code of Object.keys(TICKERS)) {
+    for (const code of Object.keys(tickers)) {
       const base = baseline[code];
       const closeArr = seriesDates.map((d) => seriesByCode[code].closeByDate[d] ?? null);
       const pctArr = closeArr.map((v, idx) => {
@@ -237,12 +245,69 @@ exports.handler = async (event) => {
       });
       series.close[code] = closeArr;
       series.pct[code] = pctArr;
+      series.provider[code] = seriesDates.map((d) => seriesByCode[code].providerByDate[d] ?? null);
+    }
+
+    // Win probabilities for each day of the month. Every day uses the same seed (common random
+    // numbers) so day-to-day moves reflect the data, not simulation noise.
+    const codes = Object.keys(tickers);
+    const closeByDateByCode = Object.fromEntries(codes.map((code) => [code, byCode[code].closeByDate]));
+    const seed = hashSeed(`${month}:${quote}:${codes.join(",")}`);
+    series.winProbability = Object.fromEntries(codes.map((code) => [code, []]));
+    let probabilityModel = null;
+    seriesDates.forEach((date, idx) => {
+      const remainingDays = countBusinessDaysAfter(calendar, date, lastTradingDay);
+      const estimate = estimateFxCovariance(closeByDateByCode, codes, { endDate: date });
+      const pctByCode = Object.fromEntries(codes.map((code) => [code, series.pct[code][idx]]));
+      const usable = codes.every((code) => Number.isFinite(pctByCode[code])) && (estimate || remainingDays <= 0);
+      const probs = usable
+        ? simulateWinProbabilities({
+            codes,
+            pctByCode,
+            covariance: estimate?.covariance,
+            remainingDays,
+            paths: DEFAULT_PATHS,
+            seed,
+          })
+        : null;
+      for (const code of codes) series.winProbability[code].push(probs ? probs[code] : null);
+      if (date === asOfDate && probs) {
+        probabilityModel = {
+          method: "monte-carlo",
+          paths: DEFAULT_PATHS,
+          seed,
+          remainingTradingDays: remainingDays,
+          lookbackDays: VOL_LOOKBACK_DAYS,
+          returnsUsed: estimate ? estimate.returnsUsed : null,
+          window: estimate ? { start: estimate.fromDate, end: estimate.toDate } : null,
+          annualizedVolPct: estimate ? estimate.annualizedVol : null,
+          note: "Zero-drift jointly normal daily log returns; covariance from the trailing year of closes.",
+        };
+      }
+    });
+    const asOfIdx = seriesDates.lastIndexOf(asOfDate);
+    const winProbability = probabilityModel
+      ? Object.fromEntries(codes.map((code) => [code, series.winProbability[code][asOfIdx]]))
+      : null;
+    for (const row of standings) row.winProbability = winProbability ? winProbability[row.code] : null;
+
+    // Every close that did not come from Yahoo, so the page can flag it.
+    const fallbacks = [];
+    for (const code of Object.keys(tickers)) {
+      seriesDates.forEach((date, idx) => {
+        const provider = series.provider[code][idx];
+        if (provider && provider !== "yahoo") fallbacks.push({ code, date, provider });
+      });
     }
 
     const body = {
-      month: MONTH,
-      baselineDate: BASELINE_DATE,
+      question: isQuestionWindow ? summarizeQuestion(question) : null,
+      month,
+      quote,
+      currencies: Object.keys(tickers),
+      baselineDate: baselineDateStr,
       asOfDate,
+      lastTradingDay,
       fetchedAt,
       lastUpdated: formatTimestampUtc(fetchedAt),
       baseline,
@@ -250,12 +315,17 @@ exports.handler = async (event) => {
       pct,
       series,
       leader: standings[0] ? { code: standings[0].code, pctChange: standings[0].pctChange } : null,
-      tickers: TICKERS,
+      winProbability,
+      probabilityModel,
+      tickers,
       standings,
+      fallbacks,
+      providerErrors: Object.keys(providerErrors).length ? providerErrors : null,
       source: {
         provider: "Yahoo Finance",
         method: "chart",
         note: 'Uses daily "close" values from https://query1.finance.yahoo.com/v8/finance/chart/…',
+        fallbacks: ["ecb", "fred"].map((id) => ({ id, ...FX_PROVIDERS[id] })),
       },
     };
 
@@ -264,6 +334,7 @@ exports.handler = async (event) => {
       headers: {
         "Content-Type": "application/json; charset=utf-8",
         "Cache-Control": "public, max-age=0, must-revalidate",
+        "Access-Control-Allow-Origin": "*",
         "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
       },
       body: JSON.stringify(body),
@@ -0,0 +1,36 @@
+// Netlify Function: upstream data-freshness report for status.html (see lib/health.js).
+//
+// 200 with `{ checkedAt, overall: "ok" | "degraded", checks, config }` whenever the checks ran, so a
+// failing upstream shows up as a check result rather than an error; `config` lists which environment
+// variables are set, never their values.
+
+const { runHealthChecks } = require("./lib/health");
+const { connectBlobs } = require("./lib/blobs");
+
+const DEFAULT_CDN_CACHE_SECONDS = 5 * 60; // 5 minutes
+
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
+  try {
+    const report = await runHealthChecks();
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "public, max-age=0, must-revalidate",
+        "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}`,
+      },
+      body: JSON.stringify(report),
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        error: "health_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
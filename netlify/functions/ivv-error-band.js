@@ -1,6 +1,10 @@
 // Netlify Function: Estimate IVV basket live-model error band using daily closes.
 // Compares model-estimated basket weight (using prior holdings + price moves) vs next holdings snapshot.
 
+const { parseISODate, toISODate, addDays } = require("./lib/dates");
+const { fetchYahooDailyCloses } = require("./lib/yahoo");
+const { connectBlobs } = require("./lib/blobs");
+
 const IVV_HOLDINGS_MODULE = require("./ivv-holdings-weight");
 
 const DEFAULT_TICKERS = ["NVDA", "MSFT", "GOOGL", "GOOG", "AMZN", "META", "AMD"];
@@ -11,78 +15,17 @@ const DEFAULT_CDN_CACHE_SECONDS = 10 * 60; // 10 minutes
 const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 60 * 60; // 1 hour
 const DEFAULT_STALE_IF_ERROR_SECONDS = 24 * 60 * 60; // 1 day
 
-function parseISODate(dateStr) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
-  if (!m) return null;
-  const year = Number(m[1]);
-  const month = Number(m[2]);
-  const day = Number(m[3]);
-  const date = new Date(Date.UTC(year, month - 1, day));
-  if (
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-  return date;
-}
-
-function toISODate(date) {
-  return date.toISOString().slice(0, 10);
-}
-
-function addDays(date, days) {
-  const d = new Date(date.getTime());
-  d.setUTCDate(d.getUTCDate() + days);
-  return d;
-}
-
 function diffDays(a, b) {
   const ms = b.getTime() - a.getTime();
   return Math.max(0, Math.floor(ms / (24 * 60 * 60 * 1000)));
 }
 
-async function fetchYahooDaily(symbol, startDate, endDate) {
-  const period1 = Math.floor(startDate.getTime() / 1000);
-  const period2 = Math.floor(addDays(endDate, 1).getTime() / 1000);
-  const params = new URLSearchParams({
-    period1: String(period1),
-    period2: String(period2),
-    interval: "1d",
-    events: "history",
-    includeAdjustedClose: "true",
-  });
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${params.toString()}`;
-  const res = await fetch(url, {
-    headers: { Accept: "application/json", "User-Agent": `Mozilla/5.0 (Netlify ivv-error-band; ${symbol})` },
-    signal: AbortSignal.timeout(12_000),
-  });
-  if (!res.ok) {
-    throw new Error(`Yahoo request failed for ${symbol}: ${res.status} ${res.statusText}`);
-  }
-  const json = await res.json();
-  const result = json?.chart?.result?.[0];
-  if (!result) throw new Error(`Yahoo response missing result for ${symbol}`);
-
-  const timestamps = result.timestamp || [];
-  const closes = result?.indicators?.quote?.[0]?.close || [];
-  const out = {};
-  for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
-    const ts = timestamps[i];
-    const close = closes[i];
-    if (close === null || close === undefined) continue;
-    const iso = new Date(ts * 1000).toISOString().slice(0, 10);
-    out[iso] = Number(close);
-  }
-  return out;
-}
-
 function safeNumber(v) {
   return Number.isFinite(Number(v)) ? Number(v) : null;
 }
 
 exports.handler = async (event = {}) => {
+  connectBlobs(event);
   try {
     const qs = event.queryStringParameters || {};
     const tickersParam = typeof qs.tickers === "string" ? qs.tickers : null;
@@ -124,7 +67,9 @@ exports.handler = async (event = {}) => {
     const priceBySymbol = {};
     await Promise.all(
       symbols.map(async (sym) => {
-        priceBySymbol[sym] = await fetchYahooDaily(sym, priceStart, priceEnd);
+        priceBySymbol[sym] = await fetchYahooDailyCloses(sym, priceStart, addDays(priceEnd, 1), {
+          client: "ivv-error-band",
+        });
       })
     );
 
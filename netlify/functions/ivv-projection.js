@@ -0,0 +1,259 @@
+// Netlify Function: IVV basket-weight projections to the question's resolution date.
+//
+// Runs the linear, exponential-trend and Monte Carlo models that the tracker page used to run in the
+// browser, plus a log-return model driven by constituent prices (see lib/weight-projection.js), all
+// with seeded random numbers. Each model is backtested on daily iShares snapshots from the last
+// `?days=` calendar days: the forecast made `horizon` snapshots before each past date is scored with
+// the pinball loss of its p10/p50/p90 (lower is better).
+//
+// Every snapshot is one iShares CSV, so `days` is capped at 140: at most MAX_SNAPSHOTS trading days,
+// which a cold upstream cache downloads once (the same daily files ivv-holdings-weight reads for the
+// current year), and later requests only fetch new days. The backtest horizon is the remaining
+// snapshots to the resolution date, at most DEFAULT_BACKTEST_HORIZON, and `lookback` is capped so a
+// full window still leaves MIN_BACKTEST_ORIGINS origins; a shorter `days` that leaves fewer is a 400.
+
+const { resolveQuestion, summarizeQuestion } = require("./lib/questions");
+const { parseISODate, toISODate, addDays, roundTo } = require("./lib/dates");
+const { businessDatesBetween } = require("./lib/calendars");
+const { IVV_HOLDINGS_CSV_URL_TEMPLATE, fetchBasketWeightSeries } = require("./lib/ishares");
+const { fetchYahooDailyCloses } = require("./lib/yahoo");
+const { hashSeed } = require("./lib/random");
+const { connectBlobs } = require("./lib/blobs");
+const {
+  MODEL_KEYS,
+  MIN_LOOKBACK,
+  DEFAULT_PATHS,
+  runModel,
+  contextAt,
+  relativeLogReturns,
+  backtestModels,
+} = require("./lib/weight-projection");
+
+const MAX_SNAPSHOTS = 100;
+const MAX_HISTORY_DAYS = 140; // 20 weeks: at most MAX_SNAPSHOTS weekdays
+const DEFAULT_HISTORY_DAYS = MAX_HISTORY_DAYS;
+const DEFAULT_BACKTEST_HORIZON = 20; // cap, and the horizon once the resolution date has passed
+const MIN_BACKTEST_ORIGINS = 10;
+const DEFAULT_LOOKBACK = 60;
+const MAX_LOOKBACK = MAX_SNAPSHOTS - DEFAULT_BACKTEST_HORIZON - MIN_BACKTEST_ORIGINS + 1; // 71
+const BACKTEST_PATHS = 1000;
+const FETCH_CONCURRENCY = 6;
+const YAHOO_SYMBOL_FUND = "IVV";
+
+const DEFAULT_CDN_CACHE_SECONDS = 60 * 60; // 1 hour
+const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
+
+const MODEL_DESCRIPTIONS = {
+  linear: "OLS trend over the lookback, re-anchored on the last value; ±1.28σ(daily Δ)·√h band.",
+  exp: "OLS trend of log(weight), re-anchored on the last value; ±1.28σ(daily Δlog)·√h band.",
+  mc: "Random walk with the mean and σ of daily Δ (seeded Monte Carlo).",
+  logret: "Bootstrap of daily constituent log returns relative to IVV applied to each ticker's weight (seeded).",
+};
+
+function formatTimestampUtc(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return (
+    d.toLocaleString("en-US", {
+      timeZone: "UTC",
+      year: "numeric",
+      month: "long",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: true,
+    }) + " GMT"
+  );
+}
+
+function badRequest(error, message) {
+  return {
+    statusCode: 400,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(message ? { error, message } : { error }),
+  };
+}
+
+function parseIntParam(raw, { min, max, fallback }) {
+  if (typeof raw !== "string" || !raw) return fallback;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+function roundBands(bands) {
+  return {
+    p10: bands.p10.map((v) => roundTo(v, 4)),
+    p50: bands.p50.map((v) => roundTo(v, 4)),
+    p90: bands.p90.map((v) => roundTo(v, 4)),
+  };
+}
+
+// Constituent-vs-IVV relative log returns; null (model skipped) if any price series is unavailable.
+async function loadRelativeReturns(tickers, startDate, endDate) {
+  try {
+    const endExclusive = addDays(endDate, 1);
+    const fund = await fetchYahooDailyCloses(YAHOO_SYMBOL_FUND, startDate, endExclusive, { client: "ivv-projection" });
+    const closes = {};
+    for (const t of tickers) {
+      closes[t] = await fetchYahooDailyCloses(t, startDate, endExclusive, { client: "ivv-projection" });
+    }
+    const rows = relativeLogReturns(closes, fund);
+    return rows.length ? { rows } : { rows: null, reason: "No overlapping constituent prices" };
+  } catch (err) {
+    return { rows: null, reason: err instanceof Error ? err.message : String(err) };
+  }
+}
+
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
+  try {
+    const fetchedAt = new Date().toISOString();
+    const qs = event.queryStringParameters || {};
+    const question = resolveQuestion(qs, "ivv-holdings-weight");
+    if (!question) return badRequest("invalid_question");
+
+    const historyDays = parseIntParam(qs.days, { min: 30, max: MAX_HISTORY_DAYS, fallback: DEFAULT_HISTORY_DAYS });
+    const lookback = parseIntParam(qs.lookback, { min: MIN_LOOKBACK, max: MAX_LOOKBACK, fallback: DEFAULT_LOOKBACK });
+    const asofParam = typeof qs.asof === "string" && qs.asof ? parseISODate(qs.asof) : undefined;
+    if (historyDays === null || lookback === null || asofParam === null) {
+      return badRequest(
+        "invalid_params",
+        `days must be 30-${MAX_HISTORY_DAYS}, lookback ${MIN_LOOKBACK}-${MAX_LOOKBACK}, asof YYYY-MM-DD`
+      );
+    }
+
+    const resolutionDate = question.resolution.targetDate;
+    const todayIso = toISODate(new Date(Date.now()));
+    const asOfLimit = asofParam || parseISODate(todayIso < resolutionDate ? todayIso : resolutionDate);
+    const startDate = addDays(asOfLimit, -historyDays);
+
+    const calendar = question.instrument.calendar;
+    // The last `historyDays` calendar days, ending on asOfLimit.
+    const dates = businessDatesBetween(calendar, toISODate(startDate), toISODate(asOfLimit)).slice(-MAX_SNAPSHOTS);
+
+    // Backtest horizon: the snapshots left to the resolution date, within DEFAULT_BACKTEST_HORIZON.
+    const remaining = dates.length ? businessDatesBetween(calendar, dates.at(-1), resolutionDate).length : 0;
+    const horizon = remaining > 0 ? Math.min(remaining, DEFAULT_BACKTEST_HORIZON) : DEFAULT_BACKTEST_HORIZON;
+    const maxOrigins = Math.max(0, dates.length - lookback - horizon + 1);
+    if (maxOrigins < MIN_BACKTEST_ORIGINS) {
+      return badRequest(
+        "invalid_params",
+        `days=${historyDays} holds ${dates.length} trading days; lookback ${lookback} + horizon ${horizon} ` +
+          `leaves ${maxOrigins} backtest origins (need ${MIN_BACKTEST_ORIGINS})`
+      );
+    }
+
+    const basketTickers = question.instrument.tickers;
+    const points = await fetchBasketWeightSeries(dates, {
+      basketTickers,
+      concurrency: FETCH_CONCURRENCY,
+      client: "ivv-projection",
+    });
+    if (points.length < MIN_LOOKBACK) {
+      throw new Error(`Only ${points.length} holdings snapshots in the last ${historyDays} days`);
+    }
+
+    const latest = points.at(-1);
+    const asOfDate = latest.date;
+    // Projection axis: NYSE trading days after the last snapshot through the resolution date.
+    const futureDates = businessDatesBetween(calendar, asOfDate, resolutionDate);
+    const steps = futureDates.length;
+
+    const historyStart = parseISODate(points[0].date);
+    const returns = await loadRelativeReturns(basketTickers, addDays(historyStart, -Math.ceil(lookback * 1.6)), asOfLimit);
+    const seedBase = `${question.id}:${asOfDate}`;
+
+    const projections = {};
+    for (const key of MODEL_KEYS) {
+      const ctx = contextAt(points, points.length - 1, {
+        lookback,
+        relReturns: returns.rows,
+        seed: hashSeed(`${seedBase}:${key}`),
+        paths: DEFAULT_PATHS,
+      });
+      const bands = runModel(key, ctx, steps);
+      projections[key] = bands
+        ? { dates: futureDates, ...roundBands(bands) }
+        : { dates: futureDates, p10: null, p50: null, p90: null, reason: returns.reason || "Not enough price history" };
+    }
+
+    const scores = backtestModels(points, {
+      horizon,
+      lookback,
+      relReturns: returns.rows,
+      seedBase,
+      paths: BACKTEST_PATHS,
+    });
+    const models = {};
+    let best = null;
+    for (const key of MODEL_KEYS) {
+      const s = scores[key];
+      models[key] = {
+        description: MODEL_DESCRIPTIONS[key],
+        origins: s.origins,
+        pinballLoss: s.pinballLoss === null ? null : roundTo(s.pinballLoss, 5),
+        maeP50: s.maeP50 === null ? null : roundTo(s.maeP50, 5),
+        coverage80: s.coverage80 === null ? null : roundTo(s.coverage80, 4),
+      };
+      if (s.pinballLoss !== null && (!best || s.pinballLoss < scores[best].pinballLoss)) best = key;
+    }
+
+    const body = {
+      question: summarizeQuestion(question),
+      resolutionDate,
+      asOfDate,
+      currentWeight: latest.totalWeight,
+      remainingSnapshots: steps,
+      lookback,
+      projections,
+      backtest: {
+        metric: "pinball",
+        quantiles: [0.1, 0.5, 0.9],
+        horizon,
+        historyFrom: points[0].date,
+        historyTo: asOfDate,
+        historyDays,
+        snapshots: points.length,
+        maxSnapshots: MAX_SNAPSHOTS,
+        paths: BACKTEST_PATHS,
+        models,
+        best,
+        // Missing snapshots can still leave no origins; say so rather than return bare nulls.
+        ...(best
+          ? {}
+          : { reason: `${points.length} snapshots are too few for lookback ${lookback} + horizon ${horizon}` }),
+        note: "Mean pinball loss (pp) of p10/p50/p90 forecasts made `horizon` snapshots before each past snapshot.",
+      },
+      seed: hashSeed(seedBase),
+      history: { dates: points.map((p) => p.date), total: points.map((p) => p.totalWeight) },
+      fetchedAt,
+      lastUpdated: formatTimestampUtc(fetchedAt),
+      source: {
+        provider: "iShares / BlackRock; Yahoo Finance",
+        urlTemplate: IVV_HOLDINGS_CSV_URL_TEMPLATE,
+      },
+    };
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "public, max-age=0, must-revalidate",
+        "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
+      },
+      body: JSON.stringify(body),
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "no-store",
+      },
+      body: JSON.stringify({
+        error: "ivv_projection_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
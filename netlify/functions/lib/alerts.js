@@ -0,0 +1,258 @@
+// Threshold and event alerts for the trackers, sent to outgoing webhooks.
+//
+// Rules live on each question in the registry (`alerts: [{ id, type, ... }]`) and are evaluated
+// against the payload of the question's tracker endpoint:
+//   trigger_distance  yield within `withinBp` of the upper or lower trigger (bond-yield)
+//   leader_change     `leader.code` differs from the previous run (fx-tracker)
+//   spread_move       |calibrated spread - spread at the last alert| > `minChangeUsd` (oil-calibrated)
+//
+// Questions past their resolution window (the latest of `window.end` and the resolution's target,
+// deadline and resolve dates) are skipped without loading their payload.
+//
+// Each rule keeps a small state between runs, so an alert fires on the transition (entering the
+// trigger zone, a new leader) rather than on every run. Alert keys already sent within the dedupe
+// window are suppressed as well, which covers lost state and overlapping runs.
+//
+// State and the alert log are a ./json-store: Netlify Blobs store `alerts` on Netlify (connected by the
+// handler from its event, see lib/blobs.js), files under
+// ALERTS_DIR locally (`ALERTS=off|fs|blobs` forces a backend). Webhook URLs come from
+// ALERT_WEBHOOK_URLS (comma-separated); the JSON body carries both `text` (Slack) and `content`
+// (Discord).
+
+const { openJsonStore } = require("./json-store");
+const { toISODate } = require("./dates");
+
+const BLOBS_STORE_NAME = "alerts";
+const STATE_KEY = "state";
+const LOG_KEY = "log";
+const MAX_LOG_ENTRIES = 500;
+const DEFAULT_DEDUPE_HOURS = 24;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_USERNAME = "Metaculus trackers";
+
+let override = null;
+let cachedStore;
+
+// "Off" is not remembered, so a Blobs context connected later in the same container opens the store.
+function getAlertStore() {
+  if (!cachedStore) {
+    cachedStore = openJsonStore({ blobsStoreName: BLOBS_STORE_NAME, envBackend: "ALERTS", envDir: "ALERTS_DIR", override });
+  }
+  return cachedStore;
+}
+
+// Tests point the alert store at a directory (or turn it off) explicitly.
+function configureAlerts(options) {
+  override = options || null;
+  cachedStore = undefined;
+}
+
+function webhookUrlsFromEnv() {
+  return String(process.env.ALERT_WEBHOOK_URLS || "")
+    .split(",")
+    .map((u) => u.trim())
+    .filter(Boolean);
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function signed(v, digits) {
+  return `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(digits)}`;
+}
+
+// Last day (YYYY-MM-DD) on which the question's tracker can still move its outcome, or null if the
+// question has no dated window.
+function questionLastDate(question) {
+  const r = question.resolution || {};
+  const dates = [question.window?.end, r.targetDate, r.interpolationDeadline, r.resolvesAt ? r.resolvesAt.slice(0, 10) : null];
+  const known = dates.filter((d) => typeof d === "string" && d);
+  return known.length ? known.sort().at(-1) : null;
+}
+
+// "10Y Bund yield" for the question's instrument (the payload's tenor wins, as `?tenor=` can change it).
+function yieldLabel(question, payload) {
+  const instrument = question?.instrument || {};
+  const tenor = payload?.tenor || instrument.tenor;
+  const name = instrument.type === "bund" ? "Bund yield" : "yield";
+  return tenor ? `${tenor} ${name}` : name;
+}
+
+// Evaluators: `(rule, payload, prevState, question) -> { state, events: [{ key, text }] }`.
+const RULE_EVALUATORS = {
+  trigger_distance(rule, payload, prev, question) {
+    const { baselineYield, thresholdBp, currentYield, asOfDate } = payload || {};
+    if (![baselineYield, thresholdBp, currentYield].every(Number.isFinite)) return { state: prev, events: [] };
+    const triggers = {
+      upper: round2(baselineYield + thresholdBp / 100),
+      lower: round2(baselineYield - thresholdBp / 100),
+    };
+    const distanceBp = {
+      upper: Math.round((triggers.upper - currentYield) * 1000) / 10,
+      lower: Math.round((currentYield - triggers.lower) * 1000) / 10,
+    };
+    const state = {
+      asOfDate,
+      upper: distanceBp.upper <= rule.withinBp,
+      lower: distanceBp.lower <= rule.withinBp,
+    };
+    const events = [];
+    for (const side of ["upper", "lower"]) {
+      if (!state[side] || prev[side]) continue;
+      const where =
+        distanceBp[side] <= 0
+          ? `has reached the ${side} trigger ${triggers[side].toFixed(2)}%`
+          : `is ${distanceBp[side]}bp from the ${side} trigger ${triggers[side].toFixed(2)}%`;
+      events.push({
+        key: `${side}:${asOfDate}`,
+        text: `${yieldLabel(question, payload)} ${currentYield.toFixed(2)}% ${where} (baseline ${baselineYield.toFixed(2)}%, as of ${asOfDate}).`,
+      });
+    }
+    return { state, events };
+  },
+
+  leader_change(rule, payload, prev) {
+    const leader = payload?.leader?.code;
+    if (!leader) return { state: prev, events: [] };
+    const state = { leader, asOfDate: payload.asOfDate || null };
+    if (!prev.leader || prev.leader === leader) return { state, events: [] };
+    const pct = Number(payload.leader.pctChange);
+    const pctText = Number.isFinite(pct) ? ` at ${signed(pct, 2)}%` : "";
+    return {
+      state,
+      events: [
+        {
+          key: `${leader}:${state.asOfDate}`,
+          text: `FX leader changed: ${prev.leader} → ${leader}${pctText} (as of ${state.asOfDate}).`,
+        },
+      ],
+    };
+  },
+
+  spread_move(rule, payload, prev) {
+    const spread = payload?.spread?.calibrated;
+    const at = payload?.timestamp || null;
+    if (!Number.isFinite(spread)) return { state: prev, events: [] };
+    if (!Number.isFinite(prev.reference)) return { state: { reference: spread, referenceAt: at }, events: [] };
+    const change = round2(spread - prev.reference);
+    if (Math.abs(change) <= rule.minChangeUsd) return { state: prev, events: [] };
+    return {
+      state: { reference: spread, referenceAt: at },
+      events: [
+        {
+          key: String(at),
+          text: `Calibrated Brent−WTI spread moved ${signed(change, 2)} to $${spread.toFixed(2)} since ${prev.referenceAt}.`,
+        },
+      ],
+    };
+  },
+};
+
+// Posts one alert to every webhook. Never throws; each delivery is recorded with the target host only
+// (webhook paths are secrets).
+async function deliverAlert(text, webhooks) {
+  const body = JSON.stringify({ username: WEBHOOK_USERNAME, text, content: text });
+  return Promise.all(
+    webhooks.map(async (url) => {
+      let target = "invalid-url";
+      try {
+        target = new URL(url).host;
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        });
+        return { target, status: res.status, ok: res.ok };
+      } catch (err) {
+        return { target, status: null, ok: false, error: err instanceof Error ? err.message : String(err) };
+      }
+    })
+  );
+}
+
+// Evaluates every rule of `questions` (those with `alerts` and still open on `now`), sends new alerts
+// and persists state and log. `loadPayload(question)` returns the tracker payload; failures are
+// reported per question.
+async function runAlerts({
+  store,
+  questions,
+  loadPayload,
+  webhooks = webhookUrlsFromEnv(),
+  now = new Date(),
+  dedupeHours = DEFAULT_DEDUPE_HOURS,
+}) {
+  const state = (await store.get(STATE_KEY)) || {};
+  const log = (await store.get(LOG_KEY)) || [];
+  const dedupeSince = now.getTime() - dedupeHours * 60 * 60 * 1000;
+  const recentKeys = new Set(log.filter((e) => Date.parse(e.firedAt) >= dedupeSince).map((e) => e.key));
+
+  const today = toISODate(now);
+  const fired = [];
+  const suppressed = [];
+  const skipped = [];
+  const errors = [];
+  for (const question of questions) {
+    const rules = Array.isArray(question.alerts) ? question.alerts : [];
+    if (!rules.length) continue;
+    const lastDate = questionLastDate(question);
+    if (lastDate && today > lastDate) {
+      skipped.push(question.id);
+      continue;
+    }
+
+    let payload;
+    try {
+      payload = await loadPayload(question);
+    } catch (err) {
+      errors.push({ question: question.id, message: err instanceof Error ? err.message : String(err) });
+      continue;
+    }
+
+    for (const rule of rules) {
+      const evaluate = RULE_EVALUATORS[rule.type];
+      if (!evaluate) {
+        errors.push({ question: question.id, message: `Unknown alert rule type "${rule.type}"` });
+        continue;
+      }
+      const stateKey = `${question.id}/${rule.id}`;
+      const result = evaluate(rule, payload, state[stateKey] || {}, question);
+      state[stateKey] = result.state;
+
+      for (const event of result.events) {
+        const key = `${stateKey}/${event.key}`;
+        if (recentKeys.has(key)) {
+          suppressed.push(key);
+          continue;
+        }
+        const text = `${question.title}: ${event.text} ${question.metaculusUrl || ""}`.trim();
+        const deliveries = await deliverAlert(text, webhooks);
+        const entry = { key, question: question.id, rule: rule.id, text, firedAt: now.toISOString(), deliveries };
+        log.push(entry);
+        recentKeys.add(key);
+        fired.push(entry);
+      }
+    }
+  }
+
+  await store.set(STATE_KEY, state);
+  await store.set(LOG_KEY, log.slice(-MAX_LOG_ENTRIES));
+  return { fired, suppressed, skipped, errors };
+}
+
+async function readAlertLog(store) {
+  return (await store.get(LOG_KEY)) || [];
+}
+
+module.exports = {
+  BLOBS_STORE_NAME,
+  RULE_EVALUATORS,
+  configureAlerts,
+  getAlertStore,
+  questionLastDate,
+  webhookUrlsFromEnv,
+  deliverAlert,
+  runAlerts,
+  readAlertLog,
+};
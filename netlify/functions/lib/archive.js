@@ -0,0 +1,71 @@
+// Daily archive of tracker payloads: what each endpoint returned on a given day, so a disputed
+// resolution can be checked against what the pages showed. Keys are "<tracker>/<YYYY-MM-DD>" and
+// values are `{ tracker, date, capturedAt, payload }`.
+//
+// Storage is a ./json-store: the Netlify Blobs store `tracker-archive` on Netlify, files under
+// TRACKER_ARCHIVE_DIR locally (`TRACKER_ARCHIVE=off|fs|blobs` forces a backend), otherwise off.
+// Unlike the upstream cache, archive errors are not swallowed: callers report them.
+
+const { openJsonStore } = require("./json-store");
+
+const BLOBS_STORE_NAME = "tracker-archive";
+
+// Functions archived once per day by `archive-snapshots`.
+const ARCHIVED_TRACKERS = ["fx-tracker", "bond-yield", "oil-calibrated", "ivv-holdings-weight", "ivv-live-basket"];
+
+let override = null;
+let cachedStore;
+
+// Returns `{ backend, get, set, list }`, or null when the archive is off. "Off" is not remembered, so
+// a Blobs context connected later in the same container still opens the store.
+function getArchiveStore() {
+  if (!cachedStore) {
+    cachedStore = openJsonStore({
+      blobsStoreName: BLOBS_STORE_NAME,
+      envBackend: "TRACKER_ARCHIVE",
+      envDir: "TRACKER_ARCHIVE_DIR",
+      override,
+    });
+  }
+  return cachedStore;
+}
+
+// Tests and the local dev server point the archive at a directory (or turn it off) explicitly.
+function configureArchive(options) {
+  override = options || null;
+  cachedStore = undefined;
+}
+
+function snapshotKey(tracker, date) {
+  return `${tracker}/${date}`;
+}
+
+async function putSnapshot(store, { tracker, date, capturedAt, payload }) {
+  const record = { tracker, date, capturedAt, payload };
+  await store.set(snapshotKey(tracker, date), record);
+  return record;
+}
+
+async function getSnapshot(store, tracker, date) {
+  return store.get(snapshotKey(tracker, date));
+}
+
+// Archived dates for `tracker`, ascending.
+async function listSnapshotDates(store, tracker) {
+  const prefix = `${tracker}/`;
+  const keys = await store.list(prefix);
+  return keys
+    .map((k) => k.slice(prefix.length))
+    .filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))
+    .sort();
+}
+
+module.exports = {
+  BLOBS_STORE_NAME,
+  ARCHIVED_TRACKERS,
+  configureArchive,
+  getArchiveStore,
+  putSnapshot,
+  getSnapshot,
+  listSnapshotDates,
+};
@@ -0,0 +1,72 @@
+// Minimal Atom 1.0 (RFC 4287) writer for the feed functions.
+//
+// Entry ids are `tag:` URIs built from stable parts (tracker, question, observation date, comment id)
+// rather than from request URLs or fetch times, so feed readers never see the same entry twice.
+
+const TAG_AUTHORITY = "metaculus-trackers,2026";
+
+function tagId(...parts) {
+  return `tag:${TAG_AUTHORITY}:${parts.map((p) => encodeURIComponent(String(p))).join("/")}`;
+}
+
+// Code points XML 1.0 does not allow, even escaped: C0 controls other than tab/LF/CR, U+FFFE, U+FFFF.
+const XML_INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(XML_INVALID_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Atom wants full RFC 3339 timestamps; bare observation dates become midnight UTC.
+function atomDate(value) {
+  const s = String(value);
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T00:00:00Z` : s);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// Public origin for links: Netlify's `URL` env var, else the request's Host header.
+function siteOrigin(event = {}) {
+  if (process.env.URL) return process.env.URL.replace(/\/+$/, "");
+  const headers = event.headers || {};
+  const host = headers.host || headers.Host;
+  if (!host) return "";
+  const proto = headers["x-forwarded-proto"] || (/^(localhost|127\.0\.0\.1)(:|$)/.test(host) ? "http" : "https");
+  return `${proto}://${host}`;
+}
+
+// `entries` = [{ id, title, updated, link?, author?, content }], newest first. The feed's `updated` is
+// the newest entry's (or `updated` when there are none), so an unchanged feed renders identically.
+function renderAtomFeed({ id, title, subtitle, selfUrl, alternateUrl, updated, entries }) {
+  const feedUpdated = atomDate(entries[0]?.updated || updated) || new Date(0).toISOString();
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+  ];
+  if (subtitle) lines.push(`  <subtitle>${escapeXml(subtitle)}</subtitle>`);
+  lines.push(`  <updated>${feedUpdated}</updated>`);
+  if (selfUrl) lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`);
+  if (alternateUrl) lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(alternateUrl)}"/>`);
+  lines.push("  <author><name>Metaculus Trackers</name></author>");
+
+  for (const e of entries) {
+    lines.push("  <entry>");
+    lines.push(`    <id>${escapeXml(e.id)}</id>`);
+    lines.push(`    <title>${escapeXml(e.title)}</title>`);
+    lines.push(`    <updated>${atomDate(e.updated) || feedUpdated}</updated>`);
+    if (e.link) lines.push(`    <link rel="alternate" type="text/html" href="${escapeXml(e.link)}"/>`);
+    if (e.author) lines.push(`    <author><name>${escapeXml(e.author)}</name></author>`);
+    lines.push(`    <content type="text">${escapeXml(e.content)}</content>`);
+    lines.push("  </entry>");
+  }
+  lines.push("</feed>");
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = { TAG_AUTHORITY, tagId, escapeXml, atomDate, siteOrigin, renderAtomFeed };
@@ -0,0 +1,77 @@
+// Historical base rates for "will the yield move ±N bp from last month's close during the month"
+// questions, from the per-month ranges of `bond-monthly-flags`.
+//
+// A month breaches threshold N upward when its highest close reaches the baseline (last close of the
+// previous month) + N bp, rounded to 2dp like the question's triggers; downward likewise. Months are
+// split into volatility regimes by the RMS of the daily changes in the `VOL_LOOKBACK` closes before
+// the month starts, so the regime is known when the question opens: terciles of that trailing
+// volatility over the sample give "low", "normal" and "high".
+
+const { calibrateDailyVolBp } = require("./breach-probability");
+const { quantileSorted } = require("./stats");
+const { roundTo } = require("./dates");
+
+const VOL_LOOKBACK = 60; // ~3 months of trading days
+const REGIMES = ["low", "normal", "high"];
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// `{ upper, lower }` booleans for one evaluated month (`baselineYield`, `minYield`, `maxYield`).
+function breachesAt(month, thresholdBp) {
+  const upperTrigger = round2(month.baselineYield + thresholdBp / 100);
+  const lowerTrigger = round2(month.baselineYield - thresholdBp / 100);
+  return { upper: month.maxYield >= upperTrigger, lower: month.minYield <= lowerTrigger };
+}
+
+// Trailing daily volatility (bp) over the closes on or before `endDate`, or null without enough data.
+function trailingVolBp(yieldByDate, endDate) {
+  const cal = calibrateDailyVolBp(yieldByDate, { endDate, lookback: VOL_LOOKBACK });
+  return cal ? roundTo(cal.dailyVolBp, 2) : null;
+}
+
+// Tercile cut-offs of the months' trailing volatility.
+function regimeCutoffs(months) {
+  const vols = months
+    .map((m) => m.trailingVolBp)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  if (vols.length < REGIMES.length) return null;
+  return { lowMaxBp: roundTo(quantileSorted(vols, 1 / 3), 2), highMinBp: roundTo(quantileSorted(vols, 2 / 3), 2) };
+}
+
+function regimeOf(volBp, cutoffs) {
+  if (!cutoffs || !Number.isFinite(volBp)) return null;
+  if (volBp <= cutoffs.lowMaxBp) return "low";
+  if (volBp > cutoffs.highMinBp) return "high";
+  return "normal";
+}
+
+function rates(months, thresholdBp) {
+  const counts = { either: 0, upper: 0, lower: 0, both: 0 };
+  for (const m of months) {
+    const { upper, lower } = breachesAt(m, thresholdBp);
+    if (upper) counts.upper += 1;
+    if (lower) counts.lower += 1;
+    if (upper || lower) counts.either += 1;
+    if (upper && lower) counts.both += 1;
+  }
+  const n = months.length;
+  const rate = (k) => (n ? roundTo(k / n, 4) : null);
+  return { months: n, counts, either: rate(counts.either), upper: rate(counts.upper), lower: rate(counts.lower), both: rate(counts.both) };
+}
+
+// One row per threshold: breach shares over all evaluated months and per volatility regime. `months`
+// are evaluated months carrying `regime` (null when the trailing volatility is unknown).
+function baseRateTable(months, thresholds) {
+  return thresholds.map((thresholdBp) => ({
+    thresholdBp,
+    ...rates(months, thresholdBp),
+    byRegime: Object.fromEntries(
+      REGIMES.map((regime) => [regime, rates(months.filter((m) => m.regime === regime), thresholdBp)])
+    ),
+  }));
+}
+
+module.exports = { VOL_LOOKBACK, REGIMES, breachesAt, trailingVolBp, regimeCutoffs, regimeOf, baseRateTable };
@@ -0,0 +1,122 @@
+// Spot-vs-futures basis smoothing for oil-calibrated, plus a backtest that replays it on history.
+//
+// The live estimate is `futures close + smoothed basis`, where the basis is `EIA spot - futures
+// close` on the last `window` dates with both, smoothed by an EWMA with a half-life in business
+// days (observations on ICE/NYMEX settlement days, see lib/calendars.js). The backtest asks, for
+// each past evaluation day, what that estimate would have been using only EIA prints at least `lag`
+// aligned observations earlier, and scores it against the EIA print for the day itself. An aligned
+// observation is a date with both EIA prints and both futures closes, so a day missing any of them
+// does not count towards `lag`.
+
+const { mean } = require("./stats");
+const { isBusinessDay } = require("./calendars");
+
+const DEFAULT_HALF_LIFE = 3;
+const DEFAULT_WINDOW = 10;
+
+function ewmaParams(halfLife) {
+  const lambda = Math.pow(0.5, 1 / halfLife);
+  return { lambda, alpha: 1 - lambda };
+}
+
+// `rawBasisPointsAsc` = [{ value }, ...] oldest first. Seeded with the mean of the first three points.
+function computeSmoothedBasis(rawBasisPointsAsc, { halfLife = DEFAULT_HALF_LIFE } = {}) {
+  const n = rawBasisPointsAsc.length;
+  if (n === 0) return { smoothed: null, method: "none" };
+  if (n < 3) {
+    const m = rawBasisPointsAsc.reduce((a, p) => a + p.value, 0) / n;
+    return { smoothed: m, method: "mean_cold_start" };
+  }
+
+  const { lambda, alpha } = ewmaParams(halfLife);
+  let smoothed = (rawBasisPointsAsc[0].value + rawBasisPointsAsc[1].value + rawBasisPointsAsc[2].value) / 3;
+  for (let i = 3; i < n; i += 1) {
+    smoothed = alpha * rawBasisPointsAsc[i].value + lambda * smoothed;
+  }
+
+  return { smoothed, method: `ewma_half_life_${halfLife}bd` };
+}
+
+function errorStats(errors) {
+  if (!errors.length) return { mae: null, rmse: null };
+  return {
+    mae: mean(errors.map((e) => Math.abs(e))),
+    rmse: Math.sqrt(mean(errors.map((e) => e * e))),
+  };
+}
+
+// `eia` / `futures` are `{ wti: { date: price }, brent: { date: price } }`. Evaluation days are the last
+// `evalDays` dates with an EIA print and a futures close for both legs. Each (halfLife, window) pair
+// is scored on the same days; days without `window` earlier basis points are skipped for every pair,
+// so the rows stay comparable. `baseline` is the futures close with no basis correction. Holidays of
+// `calendar` are skipped. `lag` counts aligned dates, not ICE/NYMEX business days.
+function backtestBasisCalibration({ eia, futures, halfLives, windows, lag = 1, evalDays = 120, calendar = "ICE_NYMEX" }) {
+  const aligned = Object.keys(eia.wti || {})
+    .filter(
+      (d) =>
+        Number.isFinite(eia.wti[d]) &&
+        Number.isFinite(eia.brent?.[d]) &&
+        Number.isFinite(futures.wti?.[d]) &&
+        Number.isFinite(futures.brent?.[d]) &&
+        isBusinessDay(calendar, d)
+    )
+    .sort();
+  const basis = aligned.map((date) => ({
+    date,
+    wti: eia.wti[date] - futures.wti[date],
+    brent: eia.brent[date] - futures.brent[date],
+  }));
+
+  const maxWindow = Math.max(...windows);
+  const firstEval = Math.max(maxWindow + lag, aligned.length - evalDays);
+  const evalIdx = [];
+  for (let i = firstEval; i < aligned.length; i += 1) evalIdx.push(i);
+
+  const scoreRow = (estimate) => {
+    const errs = { wti: [], brent: [], spread: [] };
+    for (const i of evalIdx) {
+      const est = estimate(i);
+      const d = aligned[i];
+      const wtiErr = est.wti - eia.wti[d];
+      const brentErr = est.brent - eia.brent[d];
+      errs.wti.push(wtiErr);
+      errs.brent.push(brentErr);
+      errs.spread.push(brentErr - wtiErr);
+    }
+    return { n: evalIdx.length, wti: errorStats(errs.wti), brent: errorStats(errs.brent), spread: errorStats(errs.spread) };
+  };
+
+  const results = [];
+  for (const halfLife of halfLives) {
+    for (const window of windows) {
+      const row = scoreRow((i) => {
+        // Prints known on day i: basis points at least `lag` observations earlier.
+        const known = basis.slice(Math.max(0, i - lag - window + 1), i - lag + 1);
+        const d = aligned[i];
+        return {
+          wti: futures.wti[d] + computeSmoothedBasis(known.map((p) => ({ value: p.wti })), { halfLife }).smoothed,
+          brent: futures.brent[d] + computeSmoothedBasis(known.map((p) => ({ value: p.brent })), { halfLife }).smoothed,
+        };
+      });
+      results.push({ halfLife, window, ...row });
+    }
+  }
+
+  const baseline = scoreRow((i) => ({ wti: futures.wti[aligned[i]], brent: futures.brent[aligned[i]] }));
+
+  return {
+    evalFrom: evalIdx.length ? aligned[evalIdx[0]] : null,
+    evalTo: evalIdx.length ? aligned.at(-1) : null,
+    lag,
+    results,
+    baseline,
+  };
+}
+
+module.exports = {
+  DEFAULT_HALF_LIFE,
+  DEFAULT_WINDOW,
+  ewmaParams,
+  computeSmoothedBasis,
+  backtestBasisCalibration,
+};
@@ -0,0 +1,39 @@
+// Netlify Blobs wiring for the Lambda-compatible (`exports.handler`) functions.
+//
+// Netlify does not put the Blobs credentials of these functions in the environment: each invocation
+// carries them in `event.blobs` (edge URL and token) and the `x-nf-site-id` / `x-nf-deploy-id`
+// headers. `connectBlobs(event)` hands them to `@netlify/blobs`, which stores them in
+// NETLIFY_BLOBS_CONTEXT; lib/cache.js and lib/json-store.js pick the "blobs" backend from that. Every
+// handler that reads or writes a store calls it first. The token is per invocation, so stores look
+// up `getStore` on each operation instead of keeping one from an earlier request.
+
+const { warnOnce } = require("./log");
+
+// Returns true when the event carried a Blobs context and it was applied.
+function connectBlobs(event) {
+  if (!event || typeof event.blobs !== "string" || !event.blobs) return false;
+  try {
+    require("@netlify/blobs").connectLambda({ ...event, headers: event.headers || {} });
+    return true;
+  } catch (err) {
+    warnOnce(`Netlify Blobs context not applied: ${err instanceof Error ? err.message : String(err)}`);
+    return false;
+  }
+}
+
+function blobsContextAvailable() {
+  return Boolean(process.env.NETLIFY_BLOBS_CONTEXT || globalThis.netlifyBlobsContext);
+}
+
+// `getStore(name)` under the current context; throws naming the module when it is not installed.
+function getBlobsStore(name) {
+  let blobs;
+  try {
+    blobs = require("@netlify/blobs");
+  } catch (err) {
+    throw new Error(`@netlify/blobs is not installed (${err instanceof Error ? err.message : String(err)})`);
+  }
+  return blobs.getStore(name);
+}
+
+module.exports = { connectBlobs, blobsContextAvailable, getBlobsStore };
@@ -0,0 +1,79 @@
+// Probability that a yield moves ±N bp from its baseline before a deadline.
+//
+// Model: the yield change is a driftless random walk observed once per trading day, with the daily
+// volatility calibrated as the RMS of historical daily changes (in bp). Hitting probabilities use the
+// Brownian reflection principle; the double barrier uses the method-of-images series. Because a
+// breach is only checked on daily closes, each barrier is shifted outward by 0.5826·σ (Broadie,
+// Glasserman & Kou continuity correction for discretely monitored barriers).
+
+const { normalCdf, clamp01 } = require("./stats");
+
+const BGK_BETA = 0.5826;
+const DEFAULT_LOOKBACK_OBSERVATIONS = 250; // ~1 year of trading days
+const MIN_OBSERVATIONS = 20;
+const IMAGE_TERMS = 6;
+
+// RMS of daily changes (bp) over the last `lookback` observations on or before `endDate`.
+function calibrateDailyVolBp(yieldByDate, { endDate, lookback = DEFAULT_LOOKBACK_OBSERVATIONS } = {}) {
+  const dates = Object.keys(yieldByDate)
+    .filter((d) => !endDate || d <= endDate)
+    .sort()
+    .slice(-(lookback + 1));
+  const changes = [];
+  for (let i = 1; i < dates.length; i += 1) {
+    changes.push((yieldByDate[dates[i]] - yieldByDate[dates[i - 1]]) * 100);
+  }
+  if (changes.length < MIN_OBSERVATIONS) return null;
+  const meanSquare = changes.reduce((s, c) => s + c * c, 0) / changes.length;
+  return {
+    dailyVolBp: Math.sqrt(meanSquare),
+    observations: changes.length,
+    from: dates[0],
+    to: dates.at(-1),
+  };
+}
+
+// P(touch a barrier `distanceBp` away within `days` steps).
+function singleBarrierHitProbability(distanceBp, dailyVolBp, days) {
+  if (distanceBp <= 0) return 1;
+  if (days <= 0 || !(dailyVolBp > 0)) return 0;
+  const shifted = distanceBp + BGK_BETA * dailyVolBp;
+  return clamp01(2 * (1 - normalCdf(shifted / (dailyVolBp * Math.sqrt(days)))));
+}
+
+// P(touch either barrier) for a walk starting at 0 with barriers at +upBp and -downBp.
+function doubleBarrierHitProbability(upBp, downBp, dailyVolBp, days) {
+  if (upBp <= 0 || downBp <= 0) return 1;
+  if (days <= 0 || !(dailyVolBp > 0)) return 0;
+  const b = upBp + BGK_BETA * dailyVolBp;
+  const a = -(downBp + BGK_BETA * dailyVolBp);
+  const w = b - a;
+  const s = dailyVolBp * Math.sqrt(days);
+  let stay = 0;
+  for (let k = -IMAGE_TERMS; k <= IMAGE_TERMS; k += 1) {
+    const o = 2 * k * w;
+    stay +=
+      normalCdf((b + o) / s) - normalCdf((a + o) / s) - normalCdf((b - 2 * a + o) / s) + normalCdf((-a + o) / s);
+  }
+  return clamp01(1 - stay);
+}
+
+// `changeBp` is the current move from baseline; `breachedUpper/Lower` record touches already seen.
+function breachProbabilities({ changeBp, thresholdBp, dailyVolBp, remainingDays, breachedUpper, breachedLower }) {
+  const upBp = thresholdBp - changeBp;
+  const downBp = thresholdBp + changeBp;
+  const upper = breachedUpper ? 1 : singleBarrierHitProbability(upBp, dailyVolBp, remainingDays);
+  const lower = breachedLower ? 1 : singleBarrierHitProbability(downBp, dailyVolBp, remainingDays);
+  const either =
+    breachedUpper || breachedLower ? 1 : doubleBarrierHitProbability(upBp, downBp, dailyVolBp, remainingDays);
+  return { upper, lower, either };
+}
+
+module.exports = {
+  BGK_BETA,
+  DEFAULT_LOOKBACK_OBSERVATIONS,
+  calibrateDailyVolBp,
+  singleBarrierHitProbability,
+  doubleBarrierHitProbability,
+  breachProbabilities,
+};
@@ -0,0 +1,90 @@
+// Deutsche Bundesbank SDMX-JSON adapter (api.statistiken.bundesbank.de).
+//
+// Output is `{ "YYYY-MM-DD": value }` rounded to 2dp, weekdays only. The API publishes 0.00 on
+// non-trading days (weekends, holidays), so zero observations are treated as missing.
+
+const { isWeekdayISODate, roundTo } = require("./dates");
+const { fetchUpstream } = require("./http");
+
+const BUNDESBANK_DATA_URL = "https://api.statistiken.bundesbank.de/rest/data";
+const BUNDESBANK_TIMEOUT_MS = 15_000;
+
+// Bund yield curve: "daily yield of the current N year federal bond" series of the term structure.
+const BUND_TENORS = {
+  "2Y": { years: 2, seriesId: "BBSSY.D.REN.EUR.A630.000000WT0202.A" },
+  "5Y": { years: 5, seriesId: "BBSSY.D.REN.EUR.A630.000000WT0505.A" },
+  "10Y": { years: 10, seriesId: "BBSSY.D.REN.EUR.A630.000000WT1010.A" },
+  "30Y": { years: 30, seriesId: "BBSSY.D.REN.EUR.A630.000000WT3030.A" },
+};
+
+// "BBSSY.D.REN.EUR.A630.000000WT1010.A" -> ".../rest/data/BBSSY/D.REN.EUR.A630.000000WT1010.A"
+function bundesbankSeriesUrl(seriesId) {
+  const [flow, ...key] = seriesId.split(".");
+  return `${BUNDESBANK_DATA_URL}/${flow}/${key.join(".")}`;
+}
+
+function parseBundesbankObservations(json, { startDate = null, endDate = null } = {}) {
+  const obs = json?.data?.dataSets?.[0]?.series?.["0:0:0:0:0:0"]?.observations;
+  if (!obs || typeof obs !== "object") {
+    throw new Error("Bundesbank response missing observations");
+  }
+
+  const values = json?.data?.structure?.dimensions?.observation?.[0]?.values;
+  if (!Array.isArray(values)) throw new Error("Bundesbank response missing observation values");
+
+  const keys = Object.keys(obs)
+    .map((k) => Number(k))
+    .filter((n) => Number.isFinite(n))
+    .sort((a, b) => a - b);
+
+  const valueByDate = {};
+  for (const idx of keys) {
+    const date = values[idx]?.id || values[idx]?.name || null;
+    if (!isWeekdayISODate(date)) continue;
+    if (startDate && date < startDate) continue;
+    if (endDate && date > endDate) continue;
+
+    const raw = obs[String(idx)]?.[0];
+    if (raw === null || raw === undefined) continue;
+    const y = roundTo(raw, 2);
+    if (!Number.isFinite(y) || y === 0) continue;
+
+    valueByDate[date] = y;
+  }
+
+  return valueByDate;
+}
+
+// `bounded` asks the API for startPeriod/endPeriod only, falling back to the full series if the
+// ranged request is rejected. The date filter is applied client-side either way.
+async function fetchBundesbankSeries(seriesId, { startDate = null, endDate = null, bounded = false, client } = {}) {
+  const baseUrl = bundesbankSeriesUrl(seriesId);
+  const tryFetch = async (url) => {
+    const res = await fetchUpstream(url, { provider: "Bundesbank", client, timeoutMs: BUNDESBANK_TIMEOUT_MS });
+    return res.json();
+  };
+
+  let json;
+  if (bounded && (startDate || endDate)) {
+    const params = new URLSearchParams();
+    if (startDate) params.set("startPeriod", startDate);
+    if (endDate) params.set("endPeriod", endDate);
+    try {
+      json = await tryFetch(`${baseUrl}?${params.toString()}`);
+    } catch {
+      json = await tryFetch(baseUrl);
+    }
+  } else {
+    json = await tryFetch(baseUrl);
+  }
+
+  return parseBundesbankObservations(json, { startDate, endDate });
+}
+
+module.exports = {
+  BUNDESBANK_DATA_URL,
+  BUND_TENORS,
+  bundesbankSeriesUrl,
+  parseBundesbankObservations,
+  fetchBundesbankSeries,
+};
@@ -0,0 +1,114 @@
+// Persistent write-through cache for immutable upstream data (published daily closes, holdings
+// snapshots). Keys look like "<provider>/<kind>/<symbol>[/<date>]" and values are JSON.
+//
+// Backends:
+// - "blobs": Netlify Blobs store (used automatically once the handler called `connectBlobs(event)`,
+//            see lib/blobs.js).
+// - "fs":    one JSON file per key under UPSTREAM_CACHE_DIR (local dev / tests).
+// - "off":   no caching (default elsewhere, so unit tests never see stale fixtures).
+//
+// The cache is best-effort: read/write failures are swallowed and the caller falls back to fetching.
+// A Blobs backend that cannot be created (module missing) is logged once (lib/log.js), not silently
+// turned off.
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { blobsContextAvailable, getBlobsStore } = require("./blobs");
+const { warnOnce } = require("./log");
+
+const BLOBS_STORE_NAME = "upstream-cache";
+
+let override = null;
+// Store per resolved backend ("fs:<dir>", "blobs", "off"), so a Blobs context applied after the
+// first lookup still takes effect.
+const stores = new Map();
+
+function createFsStore(dir) {
+  const fileFor = (key) => path.join(dir, ...String(key).split("/").map((p) => encodeURIComponent(p))) + ".json";
+  return {
+    backend: "fs",
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch {
+        return null;
+      }
+    },
+    async set(key, value) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value));
+      await fs.rename(tmp, file);
+    },
+  };
+}
+
+function createBlobsStore() {
+  // Fails here (and is reported) when @netlify/blobs is not installed.
+  getBlobsStore(BLOBS_STORE_NAME);
+  return {
+    backend: "blobs",
+    async get(key) {
+      return (await getBlobsStore(BLOBS_STORE_NAME).get(key, { type: "json" })) ?? null;
+    },
+    async set(key, value) {
+      await getBlobsStore(BLOBS_STORE_NAME).setJSON(key, value);
+    },
+  };
+}
+
+function resolveBackend() {
+  const cfg = override || {};
+  const backend = cfg.backend || process.env.UPSTREAM_CACHE || null;
+  const dir = cfg.dir || process.env.UPSTREAM_CACHE_DIR || null;
+  if (backend) return { backend, dir };
+  if (blobsContextAvailable()) return { backend: "blobs", dir };
+  if (dir) return { backend: "fs", dir };
+  return { backend: "off", dir };
+}
+
+// Returns `{ backend, get(key), set(key, value) }`, or null when caching is off/unavailable.
+function getCacheStore() {
+  const { backend, dir } = resolveBackend();
+  const id = backend === "fs" ? `fs:${dir}` : backend;
+  if (stores.has(id)) return stores.get(id);
+  let store = null;
+  try {
+    if (backend === "fs" && dir) store = createFsStore(dir);
+    else if (backend === "blobs") store = createBlobsStore();
+  } catch (err) {
+    warnOnce(`upstream cache off: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  stores.set(id, store);
+  return store;
+}
+
+// Tests and the local dev server point the cache at a directory (or turn it off) explicitly.
+function configureCache(options) {
+  override = options || null;
+  stores.clear();
+}
+
+async function cacheGet(key) {
+  const store = getCacheStore();
+  if (!store) return null;
+  try {
+    return await store.get(key);
+  } catch {
+    return null;
+  }
+}
+
+async function cacheSet(key, value) {
+  const store = getCacheStore();
+  if (!store) return false;
+  try {
+    await store.set(key, value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { BLOBS_STORE_NAME, configureCache, getCacheStore, cacheGet, cacheSet };
@@ -0,0 +1,251 @@
+// Exchange and settlement holiday calendars. A business day is a weekday that is not a holiday of
+// the calendar; every "trading day" count in the functions goes through here instead of bare weekday
+// checks, so Good Friday or Christmas never counts as a day the market could move.
+//
+// - TARGET2: euro settlement days. The Bundesbank publishes no Bund yields on these.
+// - NYSE: US equities (IVV holdings files, Yahoo stock closes), including one-off closures.
+// - ICE_NYMEX: days with a settlement on both oil legs. WTI (NYMEX) follows the US exchange holidays
+//   and Brent (ICE Futures Europe) also closes on the UK New Year, Christmas and Boxing Day holidays.
+// - FX: the spot FX market trades around the clock on weekdays; only New Year's Day and Christmas
+//   have no meaningful close (Yahoo repeats the previous quote).
+//
+// Holidays are generated from rules per year, so the calendars need no yearly upkeep apart from
+// unscheduled closures (`ADHOC_CLOSURES`). A calendar with `validFrom` throws for earlier years
+// rather than answer from rules and closure lists that do not reach back that far.
+
+const { parseISODate, toISODate, addDays, isWeekday } = require("./dates");
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Easter Sunday (Gregorian calendar, anonymous algorithm).
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+// `n`-th `weekday` (0 = Sunday) of the month; n = -1 is the last one.
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = utcDate(year, month, 1);
+    return addDays(first, ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+  }
+  const last = utcDate(year, month + 1, 0);
+  return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+}
+
+// US exchange observance: Saturday holidays move to Friday, Sunday holidays to Monday.
+function observedUs(date) {
+  const day = date.getUTCDay();
+  if (day === 6) return addDays(date, -1);
+  if (day === 0) return addDays(date, 1);
+  return date;
+}
+
+// UK substitute days: a holiday on a weekend (or on a day another listed holiday already took) moves
+// to the next free weekday, e.g. Christmas on a Saturday gives Mon 27 and Boxing Day Tue 28.
+function substitutedUk(dates) {
+  const taken = new Set();
+  return dates.map((date) => {
+    let d = date;
+    while (!isWeekday(d) || taken.has(toISODate(d))) d = addDays(d, 1);
+    taken.add(toISODate(d));
+    return d;
+  });
+}
+
+function usExchangeHolidays(year) {
+  const easter = easterSunday(year);
+  const out = [];
+  // NYSE Rule 7.2: New Year's Day on a Saturday is not observed on the preceding Friday.
+  const newYear = utcDate(year, 1, 1);
+  if (newYear.getUTCDay() !== 6) out.push({ date: observedUs(newYear), name: "New Year's Day" });
+  out.push({ date: nthWeekday(year, 1, 1, 3), name: "Martin Luther King Jr. Day" });
+  out.push({ date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" });
+  out.push({ date: addDays(easter, -2), name: "Good Friday" });
+  out.push({ date: nthWeekday(year, 5, 1, -1), name: "Memorial Day" });
+  if (year >= 2022) out.push({ date: observedUs(utcDate(year, 6, 19)), name: "Juneteenth" });
+  out.push({ date: observedUs(utcDate(year, 7, 4)), name: "Independence Day" });
+  out.push({ date: nthWeekday(year, 9, 1, 1), name: "Labor Day" });
+  out.push({ date: nthWeekday(year, 11, 4, 4), name: "Thanksgiving Day" });
+  out.push({ date: observedUs(utcDate(year, 12, 25)), name: "Christmas Day" });
+  return out;
+}
+
+function iceEuropeHolidays(year) {
+  const [newYear] = substitutedUk([utcDate(year, 1, 1)]);
+  const [christmas, boxingDay] = substitutedUk([utcDate(year, 12, 25), utcDate(year, 12, 26)]);
+  return [
+    { date: newYear, name: "New Year's Day" },
+    { date: addDays(easterSunday(year), -2), name: "Good Friday" },
+    { date: christmas, name: "Christmas Day" },
+    { date: boxingDay, name: "Boxing Day" },
+  ];
+}
+
+// Unscheduled closures, by calendar. The NYSE list is complete from its `validFrom` year.
+const ADHOC_CLOSURES = {
+  NYSE: [
+    { date: "2001-09-11", name: "September 11 attacks" },
+    { date: "2001-09-12", name: "September 11 attacks" },
+    { date: "2001-09-13", name: "September 11 attacks" },
+    { date: "2001-09-14", name: "September 11 attacks" },
+    { date: "2004-06-11", name: "National Day of Mourning (Ronald Reagan)" },
+    { date: "2007-01-02", name: "National Day of Mourning (Gerald Ford)" },
+    { date: "2012-10-29", name: "Hurricane Sandy" },
+    { date: "2012-10-30", name: "Hurricane Sandy" },
+    { date: "2018-12-05", name: "National Day of Mourning (George H. W. Bush)" },
+    { date: "2025-01-09", name: "National Day of Mourning (Jimmy Carter)" },
+  ],
+  ICE_NYMEX: [],
+  TARGET2: [],
+  FX: [],
+};
+
+const CALENDARS = {
+  TARGET2: {
+    description: "TARGET2 euro settlement days (Bundesbank yields)",
+    holidays(year) {
+      const easter = easterSunday(year);
+      return [
+        { date: utcDate(year, 1, 1), name: "New Year's Day" },
+        { date: addDays(easter, -2), name: "Good Friday" },
+        { date: addDays(easter, 1), name: "Easter Monday" },
+        { date: utcDate(year, 5, 1), name: "Labour Day" },
+        { date: utcDate(year, 12, 25), name: "Christmas Day" },
+        { date: utcDate(year, 12, 26), name: "Christmas Holiday" },
+      ];
+    },
+  },
+  NYSE: {
+    description: "New York Stock Exchange (IVV holdings, US equity closes)",
+    // The exchange first closed for Martin Luther King Jr. Day in 1998.
+    validFrom: 1998,
+    holidays: usExchangeHolidays,
+  },
+  ICE_NYMEX: {
+    description: "ICE Brent and NYMEX WTI settlements (both legs)",
+    holidays(year) {
+      return [...usExchangeHolidays(year), ...iceEuropeHolidays(year)];
+    },
+  },
+  FX: {
+    description: "Spot FX closes",
+    holidays(year) {
+      return [
+        { date: utcDate(year, 1, 1), name: "New Year's Day" },
+        { date: utcDate(year, 12, 25), name: "Christmas Day" },
+      ];
+    },
+  },
+};
+
+const holidayCache = new Map();
+
+function getCalendar(name) {
+  const calendar = CALENDARS[name];
+  if (!calendar) throw new Error(`Unknown holiday calendar: ${name}`);
+  return calendar;
+}
+
+// `{ "YYYY-MM-DD": name }` of the weekday holidays of `calendar` in `year`.
+function holidaysInYear(name, year) {
+  const key = `${name}:${year}`;
+  if (!holidayCache.has(key)) {
+    const calendar = getCalendar(name);
+    if (calendar.validFrom && year < calendar.validFrom) {
+      throw new Error(`${name} holiday calendar starts in ${calendar.validFrom}, not ${year}`);
+    }
+    const byDate = {};
+    for (const h of calendar.holidays(year)) {
+      if (!isWeekday(h.date) || h.date.getUTCFullYear() !== year) continue;
+      const iso = toISODate(h.date);
+      if (!byDate[iso]) byDate[iso] = h.name;
+      else if (!byDate[iso].split(" / ").includes(h.name)) byDate[iso] = `${byDate[iso]} / ${h.name}`;
+    }
+    for (const h of ADHOC_CLOSURES[name] || []) {
+      if (h.date.startsWith(`${year}-`)) byDate[h.date] = h.name;
+    }
+    holidayCache.set(key, byDate);
+  }
+  return holidayCache.get(key);
+}
+
+function toDate(dateOrIso) {
+  return typeof dateOrIso === "string" ? parseISODate(dateOrIso) : dateOrIso;
+}
+
+// Holiday name for a Date or YYYY-MM-DD string, or null.
+function holidayName(name, dateOrIso) {
+  const d = toDate(dateOrIso);
+  if (!d) return null;
+  return holidaysInYear(name, d.getUTCFullYear())[toISODate(d)] || null;
+}
+
+function isBusinessDay(name, dateOrIso) {
+  const d = toDate(dateOrIso);
+  return Boolean(d && isWeekday(d) && !holidayName(name, d));
+}
+
+// Business days strictly after `fromDateStr` up to and including `toDateStr` (0 when out of order).
+function countBusinessDaysAfter(name, fromDateStr, toDateStr) {
+  return businessDatesBetween(name, fromDateStr, toDateStr).length;
+}
+
+// Business days as YYYY-MM-DD strings, strictly after `startIsoExclusive` through `endIsoInclusive`.
+function businessDatesBetween(name, startIsoExclusive, endIsoInclusive) {
+  const start = parseISODate(startIsoExclusive);
+  const end = parseISODate(endIsoInclusive);
+  if (!start || !end) return [];
+  const out = [];
+  for (let d = addDays(start, 1); d <= end; d = addDays(d, 1)) {
+    if (isBusinessDay(name, d)) out.push(toISODate(d));
+  }
+  return out;
+}
+
+function lastBusinessDayOnOrBefore(name, dateStr) {
+  let d = parseISODate(dateStr);
+  if (!d) return null;
+  while (!isBusinessDay(name, d)) d = addDays(d, -1);
+  return toISODate(d);
+}
+
+// `n` business days after (n > 0) or before (n < 0) `dateStr`; `dateStr` itself need not be one.
+function addBusinessDays(name, dateStr, n) {
+  let d = parseISODate(dateStr);
+  if (!d) return null;
+  const step = n < 0 ? -1 : 1;
+  for (let left = Math.abs(n); left > 0; ) {
+    d = addDays(d, step);
+    if (isBusinessDay(name, d)) left -= 1;
+  }
+  return toISODate(d);
+}
+
+module.exports = {
+  CALENDARS,
+  ADHOC_CLOSURES,
+  easterSunday,
+  holidaysInYear,
+  holidayName,
+  isBusinessDay,
+  countBusinessDaysAfter,
+  businessDatesBetween,
+  lastBusinessDayOnOrBefore,
+  addBusinessDays,
+};
@@ -0,0 +1,246 @@
+// Shared pieces of the comment threads: thread config, the Netlify Forms API, sanitizing and spam
+// heuristics. Used by `comments` (public GET), `comments-moderate` and `comments-feed`.
+//
+// Comments are Netlify Form submissions (one form per thread). "Hidden" means marked as spam through
+// the API: Netlify then leaves the submission out of the default (verified) listing, and "unhide"
+// marks it as ham again. Delete is permanent.
+
+const crypto = require("node:crypto");
+
+const THREADS = {
+  currency: { formName: "sf-comments-currency" },
+  bond: { formName: "sf-comments-bond" },
+  oil: { formName: "sf-comments-oil" },
+  ivv: { formName: "sf-comments-ivv" },
+};
+
+const NETLIFY_API_BASE = "https://api.netlify.com/api/v1";
+const PER_PAGE = 100;
+const MAX_PAGES = 2;
+const MAX_MESSAGE_LENGTH = 800;
+
+const FORMS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Spam heuristics. Comments that trip one are left out of the public GET (moderators still see them).
+const MAX_LINKS = 2;
+const DEFAULT_BANNED_WORDS = ["viagra", "cialis", "casino", "porn", "escort", "airdrop", "seo services"];
+
+let formsCache = { fetchedAt: 0, byName: {} };
+
+function sanitizeText(value, { maxLen }) {
+  if (typeof value !== "string") return null;
+  // Control characters (other than tab and newline) have no place in a comment and would break the
+  // Atom feed.
+  const trimmed = value
+    .replace(/\r\n/g, "\n")
+    .replace(/\r/g, "\n")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uFFFE\uFFFF]/g, "")
+    .trim();
+  if (!trimmed) return null;
+  if (trimmed.length > maxLen) return trimmed.slice(0, maxLen);
+  return trimmed;
+}
+
+function sanitizeHandle(value) {
+  const s = sanitizeText(value, { maxLen: 40 });
+  if (!s) return "AnonymousForecaster";
+  // Keep it simple and safe for display.
+  return s.replace(/[^\w.-]/g, "").slice(0, 40) || "AnonymousForecaster";
+}
+
+// Token and site id for the Netlify API, or null when comments are not configured.
+function netlifyApiConfig() {
+  const token =
+    process.env.NETLIFY_API_TOKEN ||
+    process.env.NETLIFY_ACCESS_TOKEN ||
+    process.env.NETLIFY_TOKEN ||
+    "";
+  const siteId = process.env.SITE_ID || process.env.NETLIFY_SITE_ID || "";
+  return token && siteId ? { token, siteId } : null;
+}
+
+// Returns parsed JSON, or null for empty responses (DELETE answers 204).
+async function netlifyApiRequest(path, token, { method = "GET" } = {}) {
+  const res = await fetch(`${NETLIFY_API_BASE}${path}`, {
+    method,
+    headers: {
+      Accept: "application/json",
+      Authorization: `Bearer ${token}`,
+      "User-Agent": "Mozilla/5.0 (Netlify comments)",
+    },
+    signal: AbortSignal.timeout(12_000),
+  });
+  if (!res.ok) {
+    throw new Error(`Netlify API request failed: ${res.status} ${res.statusText}`);
+  }
+  if (res.status === 204 || typeof res.json !== "function") return null;
+  return res.json();
+}
+
+async function getFormsByName({ siteId, token }) {
+  const now = Date.now();
+  if (formsCache.fetchedAt && now - formsCache.fetchedAt < FORMS_CACHE_TTL_MS) {
+    return formsCache.byName;
+  }
+
+  const forms = await netlifyApiRequest(`/sites/${encodeURIComponent(siteId)}/forms`, token);
+  const byName = {};
+  if (Array.isArray(forms)) {
+    for (const f of forms) {
+      const name = typeof f?.name === "string" ? f.name : null;
+      const id = typeof f?.id === "string" ? f.id : null;
+      if (name && id) byName[name] = id;
+    }
+  }
+
+  formsCache = { fetchedAt: now, byName };
+  return byName;
+}
+
+// Tests start from an empty forms cache.
+function resetFormsCache() {
+  formsCache = { fetchedAt: 0, byName: {} };
+}
+
+// Reads up to `maxItems` submissions (newest first, as the API returns them) starting at API page
+// `startPage`. `nextPage` is where the following call should start, or null when the form has no more.
+// `state: "spam"` lists the hidden submissions instead of the visible ones.
+async function fetchSubmissionPages({ formId, token, maxItems, startPage = 1, state = null }) {
+  const out = [];
+  let page = startPage;
+  let nextPage = null;
+  for (let i = 0; i < MAX_PAGES && out.length < maxItems; i += 1, page += 1) {
+    const stateParam = state ? `&state=${encodeURIComponent(state)}` : "";
+    const batch = await netlifyApiRequest(
+      `/forms/${encodeURIComponent(formId)}/submissions?per_page=${PER_PAGE}&page=${page}${stateParam}`,
+      token
+    );
+    if (!Array.isArray(batch) || batch.length === 0) {
+      nextPage = null;
+      break;
+    }
+    out.push(...batch);
+    nextPage = batch.length < PER_PAGE ? null : page + 1;
+    if (nextPage === null) break;
+  }
+  return { submissions: out.slice(0, maxItems), nextPage };
+}
+
+async function fetchSubmissions(options) {
+  return (await fetchSubmissionPages(options)).submissions;
+}
+
+// Opaque pagination cursor: the API page to continue from and the creation time of the oldest
+// comment already returned. Submissions posted in between push older ones onto later pages, so the
+// next call skips anything not older than `before` instead of returning it twice.
+function encodeCursor({ page, before }) {
+  return Buffer.from(JSON.stringify({ p: page, b: before })).toString("base64url");
+}
+
+// Returns `{ page, before }`, or null for a malformed cursor.
+function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || !/^[\w-]{1,200}$/.test(cursor)) return null;
+  try {
+    const { p, b } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Number.isInteger(p) || p < 1 || p > 10_000) return null;
+    if (b !== null && (typeof b !== "string" || Number.isNaN(Date.parse(b)))) return null;
+    return { page: p, before: b };
+  } catch {
+    return null;
+  }
+}
+
+function sanitizeId(value) {
+  return typeof value === "string" && /^[\w-]{1,64}$/.test(value.trim()) ? value.trim() : null;
+}
+
+// Submission -> `{ id, parentId, createdAt, handle, message }`, or null when there is no message.
+// `parentId` is the submission id of the comment this one replies to (hidden form field).
+function toComment(submission) {
+  const message = sanitizeText(submission?.data?.message, { maxLen: MAX_MESSAGE_LENGTH });
+  if (!message) return null;
+  return {
+    id: typeof submission?.id === "string" ? submission.id : null,
+    parentId: sanitizeId(submission?.data?.parentId),
+    createdAt: typeof submission?.created_at === "string" ? submission.created_at : null,
+    handle: sanitizeHandle(submission?.data?.handle),
+    message,
+  };
+}
+
+function sortByCreatedAt(comments) {
+  return comments.sort((a, b) => {
+    const at = a.createdAt || "";
+    const bt = b.createdAt || "";
+    if (at < bt) return -1;
+    if (at > bt) return 1;
+    return 0;
+  });
+}
+
+function bannedWords() {
+  const extra = String(process.env.COMMENTS_BANNED_WORDS || "")
+    .split(",")
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DEFAULT_BANNED_WORDS, ...extra];
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function normalizeMessage(message) {
+  return message.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// Returns `comments` (oldest first) with `spam: [reason, ...]` on each: "link_flood" (more than
+// MAX_LINKS links), "repeated_message" (same text as an earlier comment in the thread) and
+// "banned_word".
+function flagSpam(comments, { words = bannedWords() } = {}) {
+  const patterns = words.map((w) => new RegExp(`\\b${escapeRegExp(w)}\\b`, "i"));
+  const seen = new Set();
+  return comments.map((c) => {
+    const reasons = [];
+    const links = c.message.match(/\b(?:https?:\/\/|www\.)\S+/gi) || [];
+    if (links.length > MAX_LINKS) reasons.push("link_flood");
+    const normalized = normalizeMessage(c.message);
+    if (seen.has(normalized)) reasons.push("repeated_message");
+    seen.add(normalized);
+    if (patterns.some((re) => re.test(c.message) || re.test(c.handle))) reasons.push("banned_word");
+    return { ...c, spam: reasons };
+  });
+}
+
+// Constant-time check of a `Bearer <token>` Authorization header against `expected`.
+function isAuthorized(headers, expected) {
+  if (!expected) return false;
+  const h = headers || {};
+  const raw = h.authorization || h.Authorization || "";
+  const match = /^Bearer\s+(.+)$/i.exec(raw);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const want = Buffer.from(expected);
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+
+module.exports = {
+  THREADS,
+  MAX_LINKS,
+  DEFAULT_BANNED_WORDS,
+  sanitizeText,
+  sanitizeHandle,
+  netlifyApiConfig,
+  netlifyApiRequest,
+  getFormsByName,
+  resetFormsCache,
+  fetchSubmissionPages,
+  fetchSubmissions,
+  encodeCursor,
+  decodeCursor,
+  sanitizeId,
+  toComment,
+  sortByCreatedAt,
+  flagSpam,
+  isAuthorized,
+};
@@ -0,0 +1,40 @@
+// Minimal quote-aware CSV row parser shared by the CSV-based adapters (iShares, ECB).
+
+function parseCsvRow(line) {
+  const out = [];
+  let cur = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (line[i + 1] === '"') {
+          cur += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cur += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+      continue;
+    }
+    if (ch === ",") {
+      out.push(cur);
+      cur = "";
+      continue;
+    }
+    if (ch === "\r") continue;
+    cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+module.exports = { parseCsvRow };
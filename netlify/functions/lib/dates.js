@@ -0,0 +1,57 @@
+// Shared UTC date helpers for upstream adapters (ISO YYYY-MM-DD strings, weekday filtering).
+// Trading-day counts go through lib/calendars.js, which also knows the exchange holidays.
+
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function parseISODate(dateStr) {
+  const m = ISO_DATE_RE.exec(dateStr);
+  if (!m) return null;
+  const year = Number(m[1]);
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date;
+}
+
+function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const d = new Date(date.getTime());
+  d.setUTCDate(d.getUTCDate() + days);
+  return d;
+}
+
+function isWeekday(date) {
+  const day = date.getUTCDay();
+  return day >= 1 && day <= 5;
+}
+
+// True for a valid YYYY-MM-DD string that falls on Mon-Fri.
+function isWeekdayISODate(dateStr) {
+  if (typeof dateStr !== "string") return false;
+  const dateObj = parseISODate(dateStr);
+  return Boolean(dateObj && isWeekday(dateObj));
+}
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+module.exports = {
+  parseISODate,
+  toISODate,
+  addDays,
+  isWeekday,
+  isWeekdayISODate,
+  roundTo,
+};
@@ -0,0 +1,57 @@
+// ECB euro foreign exchange reference rates adapter (SDMX REST, EXR dataflow, csvdata format).
+//
+// The ECB publishes one reference rate per TARGET business day (~14:15 CET) as "units of currency per
+// EUR". Output is `{ [currency]: { "YYYY-MM-DD": unitsPerEur } }`, weekdays only.
+
+const { isWeekdayISODate } = require("./dates");
+const { fetchUpstream } = require("./http");
+const { parseCsvRow } = require("./csv");
+
+const ECB_EXR_URL = "https://data-api.ecb.europa.eu/service/data/EXR";
+const ECB_TIMEOUT_MS = 15_000;
+
+function parseEcbCsv(text, { startDate = null, endDate = null } = {}) {
+  const lines = String(text).split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length < 1) throw new Error("ECB response empty");
+
+  const header = parseCsvRow(lines[0].replace(/^\uFEFF/, "")).map((h) => h.trim());
+  const currencyCol = header.indexOf("CURRENCY");
+  const dateCol = header.indexOf("TIME_PERIOD");
+  const valueCol = header.indexOf("OBS_VALUE");
+  if (currencyCol < 0 || dateCol < 0 || valueCol < 0) {
+    throw new Error("ECB response header missing CURRENCY/TIME_PERIOD/OBS_VALUE columns");
+  }
+
+  const out = {};
+  for (let i = 1; i < lines.length; i += 1) {
+    const row = parseCsvRow(lines[i]);
+    const currency = (row[currencyCol] || "").trim();
+    const date = (row[dateCol] || "").trim();
+    const valueStr = (row[valueCol] || "").trim();
+    if (!currency || !isWeekdayISODate(date)) continue;
+    if (startDate && date < startDate) continue;
+    if (endDate && date > endDate) continue;
+    const v = Number(valueStr);
+    if (!valueStr || !Number.isFinite(v) || v <= 0) continue;
+    if (!out[currency]) out[currency] = {};
+    out[currency][date] = v;
+  }
+  return out;
+}
+
+async function fetchEcbReferenceRates(currencies, { startDate, endDate, client } = {}) {
+  const key = `D.${currencies.join("+")}.EUR.SP00.A`;
+  const params = new URLSearchParams({ format: "csvdata" });
+  if (startDate) params.set("startPeriod", startDate);
+  if (endDate) params.set("endPeriod", endDate);
+
+  const res = await fetchUpstream(`${ECB_EXR_URL}/${key}?${params.toString()}`, {
+    provider: "ECB",
+    client,
+    accept: "text/csv",
+    timeoutMs: ECB_TIMEOUT_MS,
+  });
+  return parseEcbCsv(await res.text(), { startDate, endDate });
+}
+
+module.exports = { ECB_EXR_URL, parseEcbCsv, fetchEcbReferenceRates };
@@ -0,0 +1,48 @@
+// EIA Open Data v2 adapter for daily petroleum spot prices (requires EIA_API_KEY).
+//
+// Returns `{ bySeries: { [seriesId]: { "YYYY-MM-DD": value } } }`, weekdays only.
+
+const { isWeekdayISODate, roundTo } = require("./dates");
+const { fetchUpstream } = require("./http");
+
+const EIA_SPOT_URL = "https://api.eia.gov/v2/petroleum/pri/spt/data/";
+const EIA_TIMEOUT_MS = 15_000;
+
+// `startDate`/`endDate` (YYYY-MM-DD) bound the period server-side; `length` caps the rows returned.
+async function fetchEiaSpot({ apiKey, series, length, startDate = null, endDate = null, roundDecimals = 2, client }) {
+  const params = new URLSearchParams();
+  params.set("api_key", apiKey);
+  params.set("frequency", "daily");
+  params.set("data[0]", "value");
+  for (const id of series) params.append("facets[series][]", id);
+  if (startDate) params.set("start", startDate);
+  if (endDate) params.set("end", endDate);
+  params.set("sort[0][column]", "period");
+  params.set("sort[0][direction]", "desc");
+  params.set("length", String(length));
+
+  const res = await fetchUpstream(`${EIA_SPOT_URL}?${params.toString()}`, {
+    provider: "EIA",
+    client,
+    timeoutMs: EIA_TIMEOUT_MS,
+  });
+  const json = await res.json();
+  const rows = json?.response?.data;
+  if (!Array.isArray(rows)) throw new Error("EIA response missing response.data array");
+
+  const bySeries = Object.fromEntries(series.map((id) => [id, {}]));
+  for (const row of rows) {
+    const id = row?.series;
+    const period = row?.period;
+    if (!bySeries[id]) continue;
+    if (!isWeekdayISODate(period)) continue;
+    if (row?.value === null || row?.value === undefined) continue;
+    const v = roundTo(row.value, roundDecimals);
+    if (!Number.isFinite(v)) continue;
+    bySeries[id][period] = v;
+  }
+
+  return { bySeries };
+}
+
+module.exports = { EIA_SPOT_URL, fetchEiaSpot };
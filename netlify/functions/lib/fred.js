@@ -0,0 +1,63 @@
+// FRED (St. Louis Fed) adapter via the fredgraph.csv export, which needs no API key.
+//
+// Returns `{ [seriesId]: { "YYYY-MM-DD": value } }` (rounded to 2dp unless `roundDecimals` says
+// otherwise; null keeps the raw value), weekdays only; FRED's "." missing-value marker is skipped.
+
+const { isWeekdayISODate, roundTo } = require("./dates");
+const { fetchUpstream } = require("./http");
+
+const FRED_CSV_URL = "https://fred.stlouisfed.org/graph/fredgraph.csv";
+const FRED_TIMEOUT_MS = 12_000;
+
+function parseFredCsv(text, { startDate = null, endDate = null, roundDecimals = 2 } = {}) {
+  const lines = String(text).trim().split(/\r?\n/);
+  if (lines.length < 2) throw new Error("FRED response too short");
+
+  const header = lines[0].split(",").map((s) => s.trim());
+  if (!header.length || header[0].toUpperCase() !== "DATE") {
+    throw new Error("FRED response header missing DATE column");
+  }
+  const ids = header.slice(1);
+  if (!ids.length) throw new Error("FRED response missing series columns");
+
+  const outById = Object.fromEntries(ids.filter(Boolean).map((id) => [id, {}]));
+
+  for (let i = 1; i < lines.length; i += 1) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const cols = line.split(",");
+    const date = (cols[0] || "").trim();
+    if (!isWeekdayISODate(date)) continue;
+    if (startDate && date < startDate) continue;
+    if (endDate && date > endDate) continue;
+
+    for (let j = 0; j < ids.length; j += 1) {
+      const id = ids[j];
+      const valueStr = (cols[j + 1] || "").trim();
+      if (!id) continue;
+      if (!valueStr || valueStr === ".") continue;
+      const y = roundDecimals === null ? Number(valueStr) : roundTo(valueStr, roundDecimals);
+      if (!Number.isFinite(y)) continue;
+      outById[id][date] = y;
+    }
+  }
+
+  return outById;
+}
+
+async function fetchFredSeries(seriesIds, { startDate, endDate, roundDecimals = 2, client } = {}) {
+  const params = new URLSearchParams({ id: seriesIds.join(",") });
+  if (startDate) params.set("cosd", startDate);
+  if (endDate) params.set("coed", endDate);
+
+  const res = await fetchUpstream(`${FRED_CSV_URL}?${params.toString()}`, {
+    provider: "FRED",
+    subject: seriesIds.join(","),
+    client,
+    accept: "text/csv",
+    timeoutMs: FRED_TIMEOUT_MS,
+  });
+  return parseFredCsv(await res.text(), { startDate, endDate, roundDecimals });
+}
+
+module.exports = { FRED_CSV_URL, parseFredCsv, fetchFredSeries };
@@ -0,0 +1,120 @@
+// "Currency of the month" win probabilities.
+//
+// Model: daily log returns of each currency vs the quote are jointly normal with zero drift and the
+// sample covariance of the trailing year of closes (the same window as fx-history). The remaining
+// trading days to month end are simulated in one step (the sum of n iid daily draws is N(0, n·Σ)),
+// each path's final % change is ranked and `winProbability` is the share of paths a currency tops.
+
+const { parseISODate, addDays, toISODate } = require("./dates");
+const { createRng, createNormalSampler } = require("./random");
+
+const DEFAULT_LOOKBACK_DAYS = 365;
+const DEFAULT_PATHS = 10000;
+const MIN_RETURNS = 20; // fewer than this and the covariance estimate is noise
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Sample covariance of daily log returns over the dates (within `[endDate - lookbackDays, endDate]`)
+// on which every currency has a close. Returns null if there are too few returns.
+function estimateFxCovariance(closeByDateByCode, codes, { endDate, lookbackDays = DEFAULT_LOOKBACK_DAYS } = {}) {
+  const end = parseISODate(endDate);
+  if (!end || !codes.length) return null;
+  const startStr = toISODate(addDays(end, -lookbackDays));
+
+  const dates = Object.keys(closeByDateByCode[codes[0]] || {})
+    .filter((d) => d >= startStr && d <= endDate)
+    .filter((d) =>
+      codes.every((code) => {
+        const v = closeByDateByCode[code]?.[d];
+        return Number.isFinite(v) && v > 0;
+      })
+    )
+    .sort();
+
+  const rows = [];
+  for (let i = 1; i < dates.length; i += 1) {
+    rows.push(codes.map((code) => Math.log(closeByDateByCode[code][dates[i]] / closeByDateByCode[code][dates[i - 1]])));
+  }
+  if (rows.length < MIN_RETURNS) return null;
+
+  const k = codes.length;
+  const mean = new Array(k).fill(0);
+  for (const row of rows) for (let j = 0; j < k; j += 1) mean[j] += row[j] / rows.length;
+
+  const covariance = Array.from({ length: k }, () => new Array(k).fill(0));
+  for (const row of rows) {
+    for (let a = 0; a < k; a += 1) {
+      for (let b = a; b < k; b += 1) covariance[a][b] += ((row[a] - mean[a]) * (row[b] - mean[b])) / (rows.length - 1);
+    }
+  }
+  for (let a = 0; a < k; a += 1) for (let b = 0; b < a; b += 1) covariance[a][b] = covariance[b][a];
+
+  const annualizedVol = Object.fromEntries(
+    codes.map((code, j) => [code, Math.sqrt(covariance[j][j] * TRADING_DAYS_PER_YEAR) * 100])
+  );
+  return { covariance, returnsUsed: rows.length, fromDate: dates[0], toDate: dates.at(-1), annualizedVol };
+}
+
+// Lower-triangular L with L·Lᵀ = matrix. Pegged or perfectly collinear currencies make the matrix
+// only positive semi-definite, so non-positive pivots get a zero column instead of failing.
+function cholesky(matrix) {
+  const k = matrix.length;
+  const L = Array.from({ length: k }, () => new Array(k).fill(0));
+  for (let j = 0; j < k; j += 1) {
+    let d = matrix[j][j];
+    for (let p = 0; p < j; p += 1) d -= L[j][p] * L[j][p];
+    if (!(d > 1e-18)) continue;
+    L[j][j] = Math.sqrt(d);
+    for (let i = j + 1; i < k; i += 1) {
+      let s = matrix[i][j];
+      for (let p = 0; p < j; p += 1) s -= L[i][p] * L[j][p];
+      L[i][j] = s / L[j][j];
+    }
+  }
+  return L;
+}
+
+// `pctByCode` is each currency's % change so far; returns `{ [code]: probability }` summing to 1.
+// With no trading days left the current leader wins outright (no covariance needed).
+function simulateWinProbabilities({ codes, pctByCode, covariance, remainingDays, paths = DEFAULT_PATHS, seed = 1 }) {
+  const k = codes.length;
+  const wins = new Array(k).fill(0);
+  const growth = codes.map((code) => 1 + pctByCode[code] / 100);
+
+  if (remainingDays <= 0) {
+    let best = 0;
+    for (let j = 1; j < k; j += 1) if (growth[j] > growth[best]) best = j;
+    wins[best] = 1;
+    return Object.fromEntries(codes.map((code, j) => [code, wins[j]]));
+  }
+
+  if (!covariance) throw new Error("covariance is required while trading days remain");
+  const L = cholesky(covariance);
+  const scale = Math.sqrt(remainingDays);
+  const nextNormal = createNormalSampler(createRng(seed));
+  const z = new Array(k).fill(0);
+  for (let path = 0; path < paths; path += 1) {
+    for (let j = 0; j < k; j += 1) z[j] = nextNormal();
+    let best = -1;
+    let bestValue = -Infinity;
+    for (let i = 0; i < k; i += 1) {
+      let shock = 0;
+      for (let j = 0; j <= i; j += 1) shock += L[i][j] * z[j];
+      const value = growth[i] * Math.exp(scale * shock);
+      if (value > bestValue) {
+        bestValue = value;
+        best = i;
+      }
+    }
+    wins[best] += 1;
+  }
+  return Object.fromEntries(codes.map((code, j) => [code, wins[j] / paths]));
+}
+
+module.exports = {
+  DEFAULT_LOOKBACK_DAYS,
+  DEFAULT_PATHS,
+  MIN_RETURNS,
+  estimateFxCovariance,
+  cholesky,
+  simulateWinProbabilities,
+};
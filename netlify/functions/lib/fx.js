@@ -0,0 +1,201 @@
+// Daily FX closes (units of `quote` per unit of currency, USD by default) with a provider fallback
+// chain:
+//
+//   1. Yahoo Finance chart closes ("EURUSD=X", ...)       -> provider "yahoo"
+//   2. ECB euro reference rates, crossed through EUR      -> provider "ecb"
+//   3. FRED H.10 noon buying rates, crossed through USD   -> provider "fred"
+//
+// Gaps are filled per currency and per date: a currency is only looked up in the next provider for
+// the dates it is missing on the trading calendar (the union of dates the primary provider returned
+// for any currency, plus `requiredDates` such as the baseline). If Yahoo is entirely unavailable the
+// first fallback that returns data defines the calendar instead.
+
+const { toISODate, addDays, roundTo } = require("./dates");
+const { fetchYahooDailyCloses } = require("./yahoo");
+const { fetchEcbReferenceRates } = require("./ecb");
+const { fetchFredSeries } = require("./fred");
+
+const FX_PROVIDERS = {
+  yahoo: { name: "Yahoo Finance", note: "daily chart close" },
+  ecb: { name: "ECB reference rates", note: "14:15 CET euro reference rate, crossed via EUR" },
+  fred: { name: "FRED H.10", note: "Federal Reserve noon buying rate in New York" },
+};
+
+// H.10 series quoted either as USD per unit (`invert: false`) or units per USD (`invert: true`).
+const FRED_H10_SERIES = {
+  EUR: { id: "DEXUSEU", invert: false },
+  GBP: { id: "DEXUSUK", invert: false },
+  AUD: { id: "DEXUSAL", invert: false },
+  NZD: { id: "DEXUSNZ", invert: false },
+  JPY: { id: "DEXJPUS", invert: true },
+  CNY: { id: "DEXCHUS", invert: true },
+  CHF: { id: "DEXSZUS", invert: true },
+  CAD: { id: "DEXCAUS", invert: true },
+  MXN: { id: "DEXMXUS", invert: true },
+  SEK: { id: "DEXSDUS", invert: true },
+  NOK: { id: "DEXNOUS", invert: true },
+  INR: { id: "DEXINUS", invert: true },
+  KRW: { id: "DEXKOUS", invert: true },
+};
+
+function errorMessage(err) {
+  return err instanceof Error ? err.message : String(err);
+}
+
+// Yahoo symbol for "quote per unit of code", e.g. ("EUR", "USD") -> "EURUSD=X".
+function yahooFxSymbol(code, quote = "USD") {
+  return `${code}${quote}=X`;
+}
+
+// ECB quotes units per EUR, so quote per unit of X = (quote per EUR) / (X per EUR).
+async function fetchEcbCrossCloses(codes, { quote = "USD", startDate, endDate, client }) {
+  const wanted = Array.from(new Set([quote, ...codes].filter((c) => c !== "EUR")));
+  const byCurrency = await fetchEcbReferenceRates(wanted, { startDate, endDate, client });
+  const perEur = (ccy, date) => (ccy === "EUR" ? 1 : byCurrency[ccy]?.[date]);
+
+  const dates = new Set();
+  for (const ccy of wanted) for (const date of Object.keys(byCurrency[ccy] || {})) dates.add(date);
+
+  const out = {};
+  for (const code of codes) {
+    const closeByDate = {};
+    for (const date of dates) {
+      const q = perEur(quote, date);
+      const c = perEur(code, date);
+      if (Number.isFinite(q) && Number.isFinite(c) && c > 0) closeByDate[date] = q / c;
+    }
+    out[code] = closeByDate;
+  }
+  return out;
+}
+
+// H.10 is quoted against USD, so quote per unit of X = (USD per X) / (USD per quote).
+async function fetchFredCrossCloses(codes, { quote = "USD", startDate, endDate, client }) {
+  const legs = Array.from(new Set([quote, ...codes].filter((c) => c !== "USD")));
+  const missing = legs.filter((c) => !FRED_H10_SERIES[c]);
+  if (missing.length) throw new Error(`FRED H.10 has no series for ${missing.join(", ")}`);
+  const byId = legs.length
+    ? await fetchFredSeries(
+        legs.map((c) => FRED_H10_SERIES[c].id),
+        { startDate, endDate, roundDecimals: null, client }
+      )
+    : {};
+
+  const usdPerByCcy = {};
+  for (const ccy of legs) {
+    const { id, invert } = FRED_H10_SERIES[ccy];
+    const m = {};
+    for (const [date, v] of Object.entries(byId[id] || {})) {
+      if (Number.isFinite(v) && v > 0) m[date] = invert ? 1 / v : v;
+    }
+    usdPerByCcy[ccy] = m;
+  }
+  const usdPer = (ccy, date) => (ccy === "USD" ? 1 : usdPerByCcy[ccy]?.[date]);
+
+  const dates = new Set();
+  for (const ccy of legs) for (const date of Object.keys(usdPerByCcy[ccy])) dates.add(date);
+
+  const out = {};
+  for (const code of codes) {
+    const closeByDate = {};
+    for (const date of dates) {
+      const c = usdPer(code, date);
+      const q = usdPer(quote, date);
+      if (Number.isFinite(c) && Number.isFinite(q) && q > 0) closeByDate[date] = c / q;
+    }
+    out[code] = closeByDate;
+  }
+  return out;
+}
+
+const FALLBACKS = [
+  { provider: "ecb", fetchCloses: fetchEcbCrossCloses },
+  { provider: "fred", fetchCloses: fetchFredCrossCloses },
+];
+
+// Returns `{ byCode: { [code]: { closeByDate, providerByDate } }, errors }` where `errors` maps
+// provider -> message (or code -> message for per-ticker Yahoo failures). Never throws for upstream
+// failures; callers decide whether the remaining gaps are fatal.
+async function fetchFxCloses(
+  tickers,
+  { quote = "USD", startInclusive, endExclusive, requiredDates = [], roundDecimals = null, client } = {}
+) {
+  const codes = Object.keys(tickers);
+  const startDate = toISODate(startInclusive);
+  const endDate = toISODate(addDays(endExclusive, -1));
+  const errors = {};
+
+  const byCode = Object.fromEntries(codes.map((code) => [code, { closeByDate: {}, providerByDate: {} }]));
+
+  const yahoo = await Promise.allSettled(
+    codes.map((code) => fetchYahooDailyCloses(tickers[code], startInclusive, endExclusive, { client }))
+  );
+  const calendar = new Set();
+  yahoo.forEach((res, i) => {
+    const code = codes[i];
+    if (res.status !== "fulfilled") {
+      errors.yahoo = errors.yahoo || {};
+      errors.yahoo[code] = errorMessage(res.reason);
+      return;
+    }
+    for (const [date, v] of Object.entries(res.value)) {
+      byCode[code].closeByDate[date] = v;
+      byCode[code].providerByDate[date] = "yahoo";
+      calendar.add(date);
+    }
+  });
+  for (const date of requiredDates) {
+    if (date >= startDate && date <= endDate) calendar.add(date);
+  }
+
+  const primaryEmpty = calendar.size === 0 || codes.every((c) => !Object.keys(byCode[c].closeByDate).length);
+  let calendarFromFallback = primaryEmpty;
+
+  for (const { provider, fetchCloses } of FALLBACKS) {
+    const needCodes = codes.filter((code) => {
+      const have = byCode[code].closeByDate;
+      if (!Object.keys(have).length) return true;
+      for (const date of calendar) if (have[date] === undefined) return true;
+      return false;
+    });
+    if (!needCodes.length) break;
+
+    let fetched;
+    try {
+      fetched = await fetchCloses(needCodes, { quote, startDate, endDate, client });
+    } catch (err) {
+      errors[provider] = errorMessage(err);
+      continue;
+    }
+
+    if (calendarFromFallback) {
+      for (const code of needCodes) {
+        for (const date of Object.keys(fetched[code] || {})) calendar.add(date);
+      }
+      if (calendar.size) calendarFromFallback = false;
+    }
+
+    for (const code of needCodes) {
+      const values = fetched[code] || {};
+      const target = byCode[code];
+      for (const date of calendar) {
+        if (target.closeByDate[date] !== undefined) continue;
+        const v = values[date];
+        if (!Number.isFinite(v)) continue;
+        target.closeByDate[date] = v;
+        target.providerByDate[date] = provider;
+      }
+    }
+  }
+
+  if (roundDecimals !== null && roundDecimals !== undefined) {
+    for (const code of codes) {
+      const m = byCode[code].closeByDate;
+      for (const date of Object.keys(m)) m[date] = roundTo(m[date], roundDecimals);
+    }
+  }
+
+  return { byCode, errors };
+}
+
+module.exports = { FX_PROVIDERS, FRED_H10_SERIES, yahooFxSymbol, fetchFxCloses };
@@ -0,0 +1,258 @@
+// Upstream data-freshness checks for the `health` function and status.html.
+//
+// Each check makes one small request to an upstream the trackers depend on and reports its latency
+// and the latest observation date. That date is compared with the newest date the upstream should
+// have by now: `lagBusinessDays` business days (on the check's holiday calendar) before today, which
+// covers publication delays (the Bundesbank posts a day's yield the next morning, EIA spot prices
+// come out weekly). Statuses:
+//   ok              latest observation on or after the expected date
+//   stale           the upstream answered but its data is older than expected
+//   error           the request failed or the response had no usable observation
+//   not_configured  an environment variable the check needs is missing
+//
+// Yahoo is asked for its chart directly (not through the cached daily closes). iShares files of past
+// days are cached once published, which is fine here: a cached file still proves it was published.
+
+const { toISODate, addDays, parseISODate } = require("./dates");
+const { lastBusinessDayOnOrBefore, addBusinessDays } = require("./calendars");
+const { fetchYahooChart } = require("./yahoo");
+const { fetchBundesbankSeries } = require("./bundesbank");
+const { fetchFredSeries } = require("./fred");
+const { fetchEiaSpot } = require("./eia");
+const { fetchHoldingsCsvText, extractFundHoldingsAsOfLabel, toAsOfDateParam } = require("./ishares");
+const { THREADS, netlifyApiConfig, getFormsByName } = require("./comments");
+const { getQuestion } = require("./questions");
+
+const CLIENT = "health";
+const ISHARES_MAX_FILES = 5;
+
+// Environment variables reported by name and presence only (values are never exposed).
+const CONFIG = [
+  { name: "EIA_API_KEY", usedBy: ["oil-calibrated"], required: true },
+  {
+    name: "NETLIFY_API_TOKEN",
+    aliases: ["NETLIFY_ACCESS_TOKEN", "NETLIFY_TOKEN"],
+    usedBy: ["comments", "comments-moderate", "comments-feed"],
+    required: true,
+  },
+  { name: "SITE_ID", aliases: ["NETLIFY_SITE_ID"], usedBy: ["comments", "comments-moderate", "comments-feed"], required: true },
+  { name: "COMMENTS_MODERATION_TOKEN", usedBy: ["comments-moderate"], required: false },
+  { name: "ALERT_WEBHOOK_URLS", usedBy: ["alerts"], required: false },
+  { name: "METACULUS_API_TOKEN", usedBy: ["metaculus-question"], required: false },
+];
+
+function isSet(entry) {
+  return [entry.name, ...(entry.aliases || [])].some((name) => Boolean(process.env[name]));
+}
+
+// Names of the CONFIG entries among `names` that are not set (under any alias).
+function missingEnv(...names) {
+  return names.filter((name) => !isSet(CONFIG.find((entry) => entry.name === name)));
+}
+
+function configReport() {
+  return CONFIG.map((entry) => ({
+    name: entry.name,
+    ...(entry.aliases ? { aliases: entry.aliases } : {}),
+    set: isSet(entry),
+    required: entry.required,
+    usedBy: entry.usedBy,
+  }));
+}
+
+function latestKey(byDate) {
+  const dates = Object.keys(byDate || {}).sort();
+  return dates.length ? dates[dates.length - 1] : null;
+}
+
+// Latest date with a close in a Yahoo chart result (today's bar included while the market is open).
+function latestChartDate(result) {
+  const timestamps = Array.isArray(result?.timestamp) ? result.timestamp : [];
+  const closes = result?.indicators?.quote?.[0]?.close || [];
+  let latest = null;
+  for (let i = 0; i < timestamps.length; i += 1) {
+    if (closes[i] === null || closes[i] === undefined) continue;
+    const date = new Date(timestamps[i] * 1000).toISOString().slice(0, 10);
+    if (!latest || date > latest) latest = date;
+  }
+  return latest;
+}
+
+function yahooCheck({ id, name, symbol, calendar, usedBy }) {
+  return {
+    id,
+    name,
+    provider: "Yahoo",
+    calendar,
+    lagBusinessDays: 1,
+    usedBy,
+    async run() {
+      const params = new URLSearchParams({ interval: "1d", range: "10d" });
+      const result = await fetchYahooChart(symbol, params, { client: CLIENT });
+      return { latestDate: latestChartDate(result), detail: symbol };
+    },
+  };
+}
+
+const bund = getQuestion("bund-10y-2026-02");
+const oil = getQuestion("brent-wti-2026-03-04");
+const ivv = getQuestion("ivv-ai-basket-2026-02-27");
+
+const CHECKS = [
+  yahooCheck({ id: "yahoo-fx", name: "Yahoo FX closes", symbol: "EURUSD=X", calendar: "FX", usedBy: ["fx-tracker"] }),
+  yahooCheck({
+    id: "yahoo-oil",
+    name: "Yahoo oil futures",
+    symbol: oil.instrument.yahoo.brent,
+    calendar: oil.instrument.calendar,
+    usedBy: ["oil-calibrated"],
+  }),
+  {
+    id: "bundesbank",
+    name: "Bundesbank 10Y Bund yield",
+    provider: "Bundesbank",
+    calendar: bund.instrument.calendar,
+    lagBusinessDays: 1,
+    usedBy: ["bond-yield", "bond-breach-probability", "bond-yields-1y"],
+    async run({ today }) {
+      const yieldByDate = await fetchBundesbankSeries(bund.instrument.seriesId, {
+        startDate: toISODate(addDays(parseISODate(today), -14)),
+        bounded: true,
+        client: CLIENT,
+      });
+      return { latestDate: latestKey(yieldByDate), detail: bund.instrument.seriesId };
+    },
+  },
+  {
+    id: "fred",
+    name: "FRED 10Y Treasury yield",
+    provider: "FRED",
+    calendar: "NYSE",
+    // H.15 yields for a day are posted on FRED the next business day.
+    lagBusinessDays: 2,
+    usedBy: ["bond-yields-1y"],
+    async run({ today }) {
+      const byId = await fetchFredSeries(["DGS10"], {
+        startDate: toISODate(addDays(parseISODate(today), -21)),
+        client: CLIENT,
+      });
+      return { latestDate: latestKey(byId.DGS10), detail: "DGS10" };
+    },
+  },
+  {
+    id: "eia",
+    name: "EIA Brent and WTI spot",
+    provider: "EIA",
+    calendar: oil.instrument.calendar,
+    // Spot prices are released weekly.
+    lagBusinessDays: 8,
+    usedBy: ["oil-calibrated"],
+    missingConfig: () => missingEnv("EIA_API_KEY"),
+    async run() {
+      const series = [oil.instrument.eia.wti, oil.instrument.eia.brent];
+      const { bySeries } = await fetchEiaSpot({ apiKey: process.env.EIA_API_KEY, series, length: 20, client: CLIENT });
+      // Both legs are needed for a spread, so the older of the two latest prints counts.
+      const latest = series.map((id) => latestKey(bySeries[id]));
+      return { latestDate: latest.includes(null) ? null : latest.sort()[0], detail: series.join(", ") };
+    },
+  },
+  {
+    id: "ishares",
+    name: "iShares IVV holdings",
+    provider: "iShares",
+    calendar: ivv.instrument.calendar,
+    lagBusinessDays: 1,
+    usedBy: ["ivv-holdings-weight", "ivv-projection", "ivv-live-basket"],
+    // Newest business-day file with a published as-of label.
+    async run({ today }) {
+      let date = lastBusinessDayOnOrBefore(ivv.instrument.calendar, today);
+      for (let i = 0; i < ISHARES_MAX_FILES; i += 1) {
+        const csv = await fetchHoldingsCsvText(toAsOfDateParam(parseISODate(date)), { client: CLIENT });
+        const label = extractFundHoldingsAsOfLabel(csv);
+        if (label) return { latestDate: date, detail: `Fund Holdings as of ${label}` };
+        date = addBusinessDays(ivv.instrument.calendar, date, -1);
+      }
+      return { latestDate: null, detail: `No holdings file in the last ${ISHARES_MAX_FILES} business days` };
+    },
+  },
+  {
+    id: "netlify-forms",
+    name: "Netlify Forms (comments)",
+    provider: "Netlify",
+    calendar: null,
+    usedBy: ["comments", "comments-moderate", "comments-feed"],
+    missingConfig: () => missingEnv("NETLIFY_API_TOKEN", "SITE_ID"),
+    // No observation date: the check passes when every thread's form exists.
+    async run() {
+      const byName = await getFormsByName(netlifyApiConfig());
+      const missing = Object.values(THREADS)
+        .map((t) => t.formName)
+        .filter((formName) => !byName[formName]);
+      if (missing.length) throw new Error(`Missing forms: ${missing.join(", ")}`);
+      return { latestDate: null, detail: `${Object.keys(THREADS).length} comment forms` };
+    },
+  },
+];
+
+function describeStatus(status, { latestDate, expectedDate }) {
+  if (status === "stale") return `Latest observation ${latestDate}, expected ${expectedDate} or later`;
+  if (status === "error") return "No observations in the response";
+  return null;
+}
+
+async function runCheck(check, { today }) {
+  const base = {
+    id: check.id,
+    name: check.name,
+    provider: check.provider,
+    calendar: check.calendar,
+    usedBy: check.usedBy,
+  };
+  const expectedDate = check.calendar ? addBusinessDays(check.calendar, today, -check.lagBusinessDays) : null;
+
+  const missing = check.missingConfig ? check.missingConfig() : [];
+  if (missing.length) {
+    return { ...base, status: "not_configured", latencyMs: null, latestDate: null, expectedDate, message: `Missing ${missing.join(", ")}` };
+  }
+
+  const started = Date.now();
+  try {
+    const { latestDate, detail } = await check.run({ today });
+    const latencyMs = Date.now() - started;
+    let status = "ok";
+    if (check.calendar && !latestDate) status = "error";
+    else if (expectedDate && latestDate < expectedDate) status = "stale";
+    return {
+      ...base,
+      status,
+      latencyMs,
+      latestDate,
+      expectedDate,
+      message: describeStatus(status, { latestDate, expectedDate }),
+      detail: detail || null,
+    };
+  } catch (err) {
+    return {
+      ...base,
+      status: "error",
+      latencyMs: Date.now() - started,
+      latestDate: null,
+      expectedDate,
+      message: err instanceof Error ? err.message : String(err),
+    };
+  }
+}
+
+// Runs every check in parallel. `overall` is "ok" only when every check is.
+async function runHealthChecks({ now = new Date(), checks = CHECKS } = {}) {
+  const today = toISODate(now);
+  const results = await Promise.all(checks.map((check) => runCheck(check, { today })));
+  return {
+    checkedAt: now.toISOString(),
+    overall: results.every((r) => r.status === "ok") ? "ok" : "degraded",
+    checks: results,
+    config: configReport(),
+  };
+}
+
+module.exports = { CHECKS, CONFIG, configReport, runHealthChecks };
@@ -0,0 +1,22 @@
+// Shared fetch wrapper for upstream adapters: one User-Agent format, per-provider timeouts and a
+// single error message shape ("<Provider> request failed[ for <subject>]: <status> <statusText>").
+
+const DEFAULT_TIMEOUT_MS = 12_000;
+
+function userAgent(client) {
+  return `Mozilla/5.0 (Netlify ${client || "metaculus-trackers"})`;
+}
+
+async function fetchUpstream(url, { provider, subject, client, accept = "application/json", timeoutMs, headers } = {}) {
+  const res = await fetch(url, {
+    headers: { Accept: accept, "User-Agent": userAgent(client), ...headers },
+    signal: AbortSignal.timeout(timeoutMs || DEFAULT_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const what = subject ? `${provider} request failed for ${subject}` : `${provider} request failed`;
+    throw new Error(`${what}: ${res.status} ${res.statusText}`);
+  }
+  return res;
+}
+
+module.exports = { DEFAULT_TIMEOUT_MS, userAgent, fetchUpstream };
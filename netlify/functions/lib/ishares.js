@@ -0,0 +1,190 @@
+// iShares holdings CSV adapter (IVV by default).
+//
+// iShares serves a CSV for any `asOfDate=YYYYMMDD`; dates without a snapshot come back with
+// `Fund Holdings as of,"-"`, which parses as `available: false` rather than an error.
+//
+// Published snapshots never change, so CSVs for past dates that carry a real as-of label are kept in
+// the upstream cache (see ./cache) and served from there on later requests.
+
+const { parseISODate, toISODate, roundTo } = require("./dates");
+const { fetchUpstream } = require("./http");
+const { parseCsvRow } = require("./csv");
+const { cacheGet, cacheSet } = require("./cache");
+
+const IVV_HOLDINGS_CSV_URL_TEMPLATE =
+  "https://www.ishares.com/us/products/239726/ishares-core-sp-500-etf/" +
+  "1467271812596.ajax?fileType=csv&fileName=IVV_holdings&dataType=fund&asOfDate={asOfDate}";
+const ISHARES_TIMEOUT_MS = 15_000;
+
+function toAsOfDateParam(date) {
+  const y = date.getUTCFullYear();
+  const m = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const d = String(date.getUTCDate()).padStart(2, "0");
+  return `${y}${m}${d}`;
+}
+
+function extractFundHoldingsAsOfLabel(csvText) {
+  const lines = csvText.split(/\r?\n/);
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/^\uFEFF/, "").trim();
+    if (!line.startsWith("Fund Holdings as of")) continue;
+    const cells = parseCsvRow(line);
+    const label = (cells[1] || "").trim();
+    if (!label || label === "-") return null;
+    return label;
+  }
+  return null;
+}
+
+function parseHoldingsCsvForBasket(csvText, { basketTickers }) {
+  const holdingsAsOfLabel = extractFundHoldingsAsOfLabel(csvText);
+  if (!holdingsAsOfLabel) {
+    return { available: false, holdingsAsOfLabel: null, weightByTicker: null, totalWeight: null };
+  }
+
+  if (holdingsAsOfLabel.trim() === "-") {
+    return { available: false, holdingsAsOfLabel: holdingsAsOfLabel.trim(), weightByTicker: null, totalWeight: null };
+  }
+
+  const lines = csvText.split(/\r?\n/);
+  let header = null;
+  let headerIdx = -1;
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i].replace(/^\uFEFF/, "");
+    if (line.startsWith("Ticker,")) {
+      header = parseCsvRow(line);
+      headerIdx = i;
+      break;
+    }
+  }
+  if (!header || headerIdx < 0) {
+    throw new Error('Holdings CSV missing header row starting with "Ticker,"');
+  }
+
+  const tickerCol = header.indexOf("Ticker");
+  const weightCol = header.indexOf("Weight (%)");
+  if (tickerCol < 0) throw new Error("Holdings CSV header missing Ticker column");
+  if (weightCol < 0) throw new Error('Holdings CSV header missing "Weight (%)" column');
+
+  const wanted = new Set(basketTickers.map((t) => t.toUpperCase()));
+  const weightByTicker = {};
+
+  for (let i = headerIdx + 1; i < lines.length; i += 1) {
+    const raw = lines[i];
+    const line = raw.replace(/^\uFEFF/, "");
+    if (!line.trim()) continue;
+
+    // Disclaimers start after a blank line; skip once they appear.
+    if (line.startsWith('"The content contained herein')) break;
+
+    const row = parseCsvRow(line);
+    const ticker = (row[tickerCol] || "").trim().toUpperCase();
+    if (!ticker) continue;
+    if (!wanted.has(ticker)) continue;
+
+    const weightStr = (row[weightCol] || "").trim();
+    const parsed = Number(weightStr.replace(/,/g, "").replace(/%/g, ""));
+    if (!Number.isFinite(parsed)) continue;
+    const weight = roundTo(parsed, 6);
+
+    weightByTicker[ticker] = roundTo((weightByTicker[ticker] || 0) + weight, 6);
+    // We do not early-exit based on "seen" because duplicates can exist (e.g., multiple share classes);
+    // summing and finishing the file keeps behavior stable.
+  }
+
+  const missingTickers = basketTickers.filter((t) => weightByTicker[t.toUpperCase()] === undefined);
+  if (missingTickers.length === basketTickers.length) {
+    // If *none* of the basket tickers are present, treat this as a missing snapshot rather than
+    // returning a misleading 0% total weight.
+    return { available: false, holdingsAsOfLabel, weightByTicker: null, totalWeight: null };
+  }
+  for (const t of missingTickers) {
+    weightByTicker[t.toUpperCase()] = 0;
+  }
+
+  const totalWeight = roundTo(
+    basketTickers.reduce((sum, t) => sum + (weightByTicker[t.toUpperCase()] || 0), 0),
+    6
+  );
+  return { available: true, holdingsAsOfLabel, weightByTicker, totalWeight, missingTickers };
+}
+
+async function fetchHoldingsCsvText(
+  asOfDateParam,
+  { client, fund = "IVV", urlTemplate = IVV_HOLDINGS_CSV_URL_TEMPLATE } = {}
+) {
+  const cacheKey = `ishares/holdings/${fund}/${asOfDateParam}`;
+  const cached = await cacheGet(cacheKey);
+  if (cached && typeof cached.csv === "string") return cached.csv;
+
+  const url = urlTemplate.replace("{asOfDate}", encodeURIComponent(asOfDateParam));
+  const res = await fetchUpstream(url, {
+    provider: "iShares",
+    client,
+    accept: "text/csv,*/*;q=0.9",
+    timeoutMs: ISHARES_TIMEOUT_MS,
+  });
+  const csv = await res.text();
+
+  // Only settled snapshots: a past as-of date with a published label (today's file can still change).
+  const todayParam = toISODate(new Date()).replace(/-/g, "");
+  if (asOfDateParam < todayParam && extractFundHoldingsAsOfLabel(csv)) {
+    await cacheSet(cacheKey, { asOfDate: asOfDateParam, csv });
+  }
+  return csv;
+}
+
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (true) {
+      const i = nextIndex;
+      nextIndex += 1;
+      if (i >= items.length) return;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const n = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: n }, () => worker()));
+  return results;
+}
+
+// Basket weight for each ISO date in `isoDates` (ascending points, one per available snapshot).
+// Dates without a snapshot, or whose CSV fails to download or parse, are skipped.
+async function fetchBasketWeightSeries(isoDates, { basketTickers, concurrency = 6, client } = {}) {
+  const points = await mapWithConcurrency(isoDates, concurrency, async (isoDate) => {
+    const dateObj = parseISODate(isoDate);
+    if (!dateObj) return null;
+    try {
+      const csvText = await fetchHoldingsCsvText(toAsOfDateParam(dateObj), { client });
+      const parsed = parseHoldingsCsvForBasket(csvText, { basketTickers });
+      if (!parsed.available) return null;
+
+      if (!Number.isFinite(parsed.totalWeight) || parsed.totalWeight < 0 || parsed.totalWeight > 100) return null;
+
+      return {
+        date: isoDate,
+        holdingsAsOfLabel: parsed.holdingsAsOfLabel,
+        weightByTicker: parsed.weightByTicker,
+        totalWeight: parsed.totalWeight,
+        missingTickers: parsed.missingTickers || [],
+      };
+    } catch (err) {
+      // Treat any per-date failure as a missing snapshot; older data is still served if available.
+      return null;
+    }
+  });
+  return points.filter(Boolean).sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+module.exports = {
+  IVV_HOLDINGS_CSV_URL_TEMPLATE,
+  toAsOfDateParam,
+  extractFundHoldingsAsOfLabel,
+  parseHoldingsCsvForBasket,
+  fetchHoldingsCsvText,
+  fetchBasketWeightSeries,
+};
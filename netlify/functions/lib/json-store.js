@@ -0,0 +1,87 @@
+// Small JSON key-value stores for data the functions write themselves (tracker archive, alert state).
+// Keys look like "<a>/<b>" and values are JSON.
+//
+// Backends, picked by `openJsonStore`:
+// - "blobs": a Netlify Blobs store (used automatically once the handler called `connectBlobs(event)`,
+//            see lib/blobs.js).
+// - "fs":    one JSON file per key under a directory (local dev / tests).
+// - "off":   no store (null), the default elsewhere.
+//
+// Errors are not swallowed; callers decide whether a failed read or write matters.
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { blobsContextAvailable, getBlobsStore } = require("./blobs");
+
+function createFsStore(dir) {
+  const fileFor = (key) => path.join(dir, ...String(key).split("/").map((p) => encodeURIComponent(p))) + ".json";
+  return {
+    backend: "fs",
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch (err) {
+        if (err && err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async set(key, value) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value));
+      await fs.rename(tmp, file);
+    },
+    // Keys directly under `prefix` ("a/" lists "a/x", not "a/x/y").
+    async list(prefix) {
+      const sub = path.join(dir, ...prefix.split("/").filter(Boolean).map((p) => encodeURIComponent(p)));
+      let names;
+      try {
+        names = await fs.readdir(sub);
+      } catch (err) {
+        if (err && err.code === "ENOENT") return [];
+        throw err;
+      }
+      return names
+        .filter((n) => n.endsWith(".json"))
+        .map((n) => `${prefix}${decodeURIComponent(n.slice(0, -".json".length))}`);
+    },
+  };
+}
+
+function createBlobsStore(name) {
+  // Throws here when @netlify/blobs is not installed; each operation then uses the current context.
+  getBlobsStore(name);
+  return {
+    backend: "blobs",
+    async get(key) {
+      return (await getBlobsStore(name).get(key, { type: "json" })) ?? null;
+    },
+    async set(key, value) {
+      await getBlobsStore(name).setJSON(key, value);
+    },
+    async list(prefix) {
+      const { blobs } = await getBlobsStore(name).list({ prefix });
+      return (blobs || []).map((b) => b.key);
+    },
+  };
+}
+
+// `override` ({ backend, dir }) wins over the env vars; Netlify Blobs is used when a Blobs context is
+// connected, a directory when only `envDir` is set. Returns `{ backend, get, set, list }` or null when off.
+function openJsonStore({ blobsStoreName, envBackend, envDir, override = null }) {
+  const cfg = override || {};
+  const backend = cfg.backend || process.env[envBackend] || null;
+  const dir = cfg.dir || process.env[envDir] || null;
+  let chosen = backend;
+  if (!chosen) {
+    if (blobsContextAvailable()) chosen = "blobs";
+    else if (dir) chosen = "fs";
+    else chosen = "off";
+  }
+  if (chosen === "fs" && dir) return createFsStore(dir);
+  if (chosen === "blobs") return createBlobsStore(blobsStoreName);
+  return null;
+}
+
+module.exports = { createFsStore, createBlobsStore, openJsonStore };
@@ -0,0 +1,13 @@
+// Server-side logging for the functions. Handlers do not log failures they already return (a check
+// result, a `failed` list, a fallback card); this is only for conditions no response carries, such as
+// a store that could not be created and was turned off. Each message is written once per instance.
+
+const warned = new Set();
+
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(message);
+}
+
+module.exports = { warnOnce };
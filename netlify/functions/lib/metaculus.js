@@ -0,0 +1,139 @@
+// Metaculus API adapter (`/api/posts/<id>/`).
+//
+// Normalizes a post to the fields the trackers show: title, status, open/close/resolve times,
+// resolution criteria and the community prediction (recency-weighted aggregate) history. Continuous
+// questions report the aggregate on Metaculus' internal [0, 1] scale; values are mapped back to real
+// units with the question's `scaling` (linear, or log when `zero_point` is set).
+//
+// `METACULUS_API_TOKEN`, when set, is sent as `Authorization: Token <token>`; `METACULUS_API_URL`
+// overrides the posts endpoint (e.g. a local mock).
+
+const { fetchUpstream } = require("./http");
+
+const METACULUS_API_URL = "https://www.metaculus.com/api/posts";
+const METACULUS_TIMEOUT_MS = 12_000;
+const MAX_HISTORY_POINTS = 500;
+
+function metaculusPostId(url) {
+  const m = /metaculus\.com\/questions\/(\d+)/.exec(String(url || ""));
+  return m ? Number(m[1]) : null;
+}
+
+function metaculusPostUrl(postId) {
+  const base = (process.env.METACULUS_API_URL || METACULUS_API_URL).replace(/\/+$/, "");
+  return `${base}/${encodeURIComponent(postId)}/`;
+}
+
+function toIso(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const d = typeof value === "number" ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function finiteOrNull(v) {
+  const n = Number(v);
+  return v === null || v === undefined || !Number.isFinite(n) ? null : n;
+}
+
+// Internal [0, 1] location -> question units.
+function unscaleContinuous(x, scaling) {
+  const min = finiteOrNull(scaling?.range_min);
+  const max = finiteOrNull(scaling?.range_max);
+  if (x === null || min === null || max === null) return x;
+  const zero = finiteOrNull(scaling?.zero_point);
+  if (zero === null) return min + (max - min) * x;
+  const ratio = (max - zero) / (min - zero);
+  return min + ((max - min) * (ratio ** x - 1)) / (ratio - 1);
+}
+
+// One aggregate entry -> `{ time, ... }` in question units (probability for binary questions,
+// per-option probabilities for multiple choice, median and interval for continuous ones).
+function normalizeAggregate(entry, type, { scaling, options }) {
+  if (!entry) return null;
+  const time = toIso(entry.end_time ?? entry.start_time);
+  const centers = Array.isArray(entry.centers) ? entry.centers.map(finiteOrNull) : [];
+  const lower = Array.isArray(entry.interval_lower_bounds) ? entry.interval_lower_bounds.map(finiteOrNull) : [];
+  const upper = Array.isArray(entry.interval_upper_bounds) ? entry.interval_upper_bounds.map(finiteOrNull) : [];
+  const forecasters = finiteOrNull(entry.forecaster_count);
+
+  if (type === "binary") {
+    return { time, probability: centers[0] ?? null, forecasters };
+  }
+  if (type === "multiple_choice") {
+    const probabilities = {};
+    (options || []).forEach((option, i) => {
+      probabilities[option] = centers[i] ?? null;
+    });
+    return { time, probabilities, forecasters };
+  }
+  return {
+    time,
+    median: unscaleContinuous(centers[0] ?? null, scaling),
+    lower: unscaleContinuous(lower[0] ?? null, scaling),
+    upper: unscaleContinuous(upper[0] ?? null, scaling),
+    forecasters,
+  };
+}
+
+function normalizeMetaculusPost(post) {
+  const q = post?.question;
+  if (!q) throw new Error(`Metaculus post ${post?.id ?? "?"} has no single question`);
+  const type = q.type || null;
+  const scaling = q.scaling || null;
+  const options = Array.isArray(q.options) ? q.options : null;
+
+  const aggregation = q.aggregations?.recency_weighted || {};
+  const rawHistory = Array.isArray(aggregation.history) ? aggregation.history : [];
+  const history = rawHistory
+    .slice(-MAX_HISTORY_POINTS)
+    .map((entry) => normalizeAggregate(entry, type, { scaling, options }))
+    .filter((p) => p && p.time);
+  const latest = aggregation.latest
+    ? normalizeAggregate(aggregation.latest, type, { scaling, options })
+    : history.at(-1) || null;
+
+  return {
+    postId: post.id,
+    questionId: q.id ?? null,
+    title: post.title || q.title || null,
+    url: `https://www.metaculus.com/questions/${post.id}/`,
+    type,
+    status: q.status || post.status || null,
+    resolution: q.resolution ?? null,
+    openTime: toIso(q.open_time ?? post.open_time),
+    closeTime: toIso(q.scheduled_close_time ?? post.scheduled_close_time),
+    resolveTime: toIso(q.scheduled_resolve_time ?? post.scheduled_resolve_time),
+    actualCloseTime: toIso(q.actual_close_time ?? post.actual_close_time),
+    resolutionCriteria: q.resolution_criteria || null,
+    finePrint: q.fine_print || null,
+    options,
+    scaling: scaling
+      ? {
+          min: finiteOrNull(scaling.range_min),
+          max: finiteOrNull(scaling.range_max),
+          zeroPoint: finiteOrNull(scaling.zero_point),
+        }
+      : null,
+    community: { latest, history },
+  };
+}
+
+async function fetchMetaculusPost(postId, { client, token = process.env.METACULUS_API_TOKEN } = {}) {
+  const res = await fetchUpstream(metaculusPostUrl(postId), {
+    provider: "Metaculus",
+    subject: `post ${postId}`,
+    client,
+    timeoutMs: METACULUS_TIMEOUT_MS,
+    headers: token ? { Authorization: `Token ${token}` } : undefined,
+  });
+  return normalizeMetaculusPost(await res.json());
+}
+
+module.exports = {
+  METACULUS_API_URL,
+  metaculusPostId,
+  metaculusPostUrl,
+  unscaleContinuous,
+  normalizeMetaculusPost,
+  fetchMetaculusPost,
+};
@@ -0,0 +1,86 @@
+// OpenGraph preview card (1200x630) shared by the PNG and SVG outputs of `og-image`.
+//
+// A card is `{ title, headline, headlineColor?, lines: [string], footer }`. Both renderers use the
+// same layout; the PNG draws with the bitmap font from lib/png.js (so text is upper case there) and
+// the SVG uses the viewer's sans-serif font.
+
+const { GLYPH_ADVANCE, GLYPH_HEIGHT, createRaster, encodePng } = require("./png");
+const { escapeXml } = require("./atom");
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PAD = 64;
+const MAX_LINES = 4;
+
+const COLORS = {
+  backgroundTop: "#0f0f1a",
+  backgroundBottom: "#16213e",
+  accent: "#00d4ff",
+  title: "#8a8fa8",
+  headline: "#ffffff",
+  line: "#c8cad6",
+  up: "#4ade80",
+  down: "#f87171",
+};
+
+// Text rows as `{ key, y (top), scale (bitmap font pixel size), color }`.
+function layout(card) {
+  const rows = [
+    { key: "title", text: card.title, y: PAD, scale: 5, color: COLORS.title },
+    { key: "headline", text: card.headline, y: 150, scale: 16, color: card.headlineColor || COLORS.headline },
+  ];
+  (card.lines || []).slice(0, MAX_LINES).forEach((text, i) => {
+    rows.push({ key: "line", text, y: 312 + i * 54, scale: 4, color: COLORS.line });
+  });
+  rows.push({ key: "footer", text: card.footer, y: HEIGHT - PAD - GLYPH_HEIGHT * 3, scale: 3, color: COLORS.accent });
+  return rows
+    .filter((r) => r.text)
+    .map((r) => ({ ...r, text: fitText(String(r.text), r.scale, WIDTH - 2 * PAD) }));
+}
+
+// Truncates with "..." so the bitmap rendering fits `maxWidth`; the SVG font is narrower on average.
+function fitText(text, scale, maxWidth) {
+  const maxChars = Math.floor((maxWidth / scale + 1) / GLYPH_ADVANCE);
+  const chars = [...text];
+  return chars.length <= maxChars ? text : `${chars.slice(0, maxChars - 3).join("")}...`;
+}
+
+function renderCardPng(card) {
+  const raster = createRaster(WIDTH, HEIGHT);
+  raster.fillGradient(COLORS.backgroundTop, COLORS.backgroundBottom);
+  raster.fillRect(0, 0, WIDTH, 10, COLORS.accent);
+  for (const row of layout(card)) {
+    raster.drawText(row.text, PAD, row.y, { scale: row.scale, color: row.color });
+  }
+  return encodePng(raster);
+}
+
+// Font size whose cap height roughly matches the bitmap font at `scale`.
+const SVG_FONT_SIZE_PER_SCALE = 9.5;
+
+function renderCardSvg(card) {
+  const text = layout(card).map((row) => {
+    const fontSize = Math.round(row.scale * SVG_FONT_SIZE_PER_SCALE);
+    const baseline = row.y + GLYPH_HEIGHT * row.scale;
+    const weight = row.key === "headline" ? 800 : row.key === "title" ? 600 : 400;
+    return `  <text x="${PAD}" y="${baseline}" font-size="${fontSize}" font-weight="${weight}" fill="${row.color}">${escapeXml(row.text)}</text>`;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">`,
+    "  <defs>",
+    '    <linearGradient id="bg" x1="0" y1="0" x2="0" y2="1">',
+    `      <stop offset="0" stop-color="${COLORS.backgroundTop}"/>`,
+    `      <stop offset="1" stop-color="${COLORS.backgroundBottom}"/>`,
+    "    </linearGradient>",
+    "  </defs>",
+    `  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>`,
+    `  <rect width="${WIDTH}" height="10" fill="${COLORS.accent}"/>`,
+    `  <g font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif">`,
+    ...text,
+    "  </g>",
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+module.exports = { WIDTH, HEIGHT, COLORS, renderCardPng, renderCardSvg };
@@ -0,0 +1,200 @@
+// Dependency-free PNG output for the preview cards: an RGB raster with rectangle fills, a 5x7 bitmap
+// font (upper case, digits and the punctuation the trackers print) and a truecolor PNG encoder on top
+// of node:zlib. Link unfurlers (Slack, X, Discord) only accept raster og:images, and the functions
+// bundle has no native image libraries.
+
+const zlib = require("node:zlib");
+
+// 5 columns x 7 rows per glyph, rows separated by "|". Lower case is drawn as upper case.
+const GLYPHS = {
+  " ": ".....|.....|.....|.....|.....|.....|.....",
+  0: ".###.|#...#|#..##|#.#.#|##..#|#...#|.###.",
+  1: "..#..|.##..|..#..|..#..|..#..|..#..|.###.",
+  2: ".###.|#...#|....#|...#.|..#..|.#...|#####",
+  3: "#####|...#.|..#..|...#.|....#|#...#|.###.",
+  4: "...#.|..##.|.#.#.|#..#.|#####|...#.|...#.",
+  5: "#####|#....|####.|....#|....#|#...#|.###.",
+  6: "..##.|.#...|#....|####.|#...#|#...#|.###.",
+  7: "#####|....#|...#.|..#..|.#...|.#...|.#...",
+  8: ".###.|#...#|#...#|.###.|#...#|#...#|.###.",
+  9: ".###.|#...#|#...#|.####|....#|...#.|.##..",
+  A: ".###.|#...#|#...#|#####|#...#|#...#|#...#",
+  B: "####.|#...#|#...#|####.|#...#|#...#|####.",
+  C: ".###.|#...#|#....|#....|#....|#...#|.###.",
+  D: "###..|#..#.|#...#|#...#|#...#|#..#.|###..",
+  E: "#####|#....|#....|####.|#....|#....|#####",
+  F: "#####|#....|#....|####.|#....|#....|#....",
+  G: ".###.|#...#|#....|#.###|#...#|#...#|.####",
+  H: "#...#|#...#|#...#|#####|#...#|#...#|#...#",
+  I: ".###.|..#..|..#..|..#..|..#..|..#..|.###.",
+  J: "..###|...#.|...#.|...#.|...#.|#..#.|.##..",
+  K: "#...#|#..#.|#.#..|##...|#.#..|#..#.|#...#",
+  L: "#....|#....|#....|#....|#....|#....|#####",
+  M: "#...#|##.##|#.#.#|#.#.#|#...#|#...#|#...#",
+  N: "#...#|#...#|##..#|#.#.#|#..##|#...#|#...#",
+  O: ".###.|#...#|#...#|#...#|#...#|#...#|.###.",
+  P: "####.|#...#|#...#|####.|#....|#....|#....",
+  Q: ".###.|#...#|#...#|#...#|#.#.#|#..#.|.##.#",
+  R: "####.|#...#|#...#|####.|#.#..|#..#.|#...#",
+  S: ".####|#....|#....|.###.|....#|....#|####.",
+  T: "#####|..#..|..#..|..#..|..#..|..#..|..#..",
+  U: "#...#|#...#|#...#|#...#|#...#|#...#|.###.",
+  V: "#...#|#...#|#...#|#...#|#...#|.#.#.|..#..",
+  W: "#...#|#...#|#...#|#.#.#|#.#.#|#.#.#|.#.#.",
+  X: "#...#|#...#|.#.#.|..#..|.#.#.|#...#|#...#",
+  Y: "#...#|#...#|.#.#.|..#..|..#..|..#..|..#..",
+  Z: "#####|....#|...#.|..#..|.#...|#....|#####",
+  ".": ".....|.....|.....|.....|.....|.##..|.##..",
+  ",": ".....|.....|.....|.....|.##..|..#..|.#...",
+  ":": ".....|.##..|.##..|.....|.##..|.##..|.....",
+  "%": "##...|##..#|...#.|..#..|.#...|#..##|...##",
+  "+": ".....|..#..|..#..|#####|..#..|..#..|.....",
+  "-": ".....|.....|.....|#####|.....|.....|.....",
+  "=": ".....|.....|#####|.....|#####|.....|.....",
+  "/": ".....|....#|...#.|..#..|.#...|#....|.....",
+  "(": "...#.|..#..|.#...|.#...|.#...|..#..|...#.",
+  ")": ".#...|..#..|...#.|...#.|...#.|..#..|.#...",
+  "$": "..#..|.####|#.#..|.###.|..#.#|####.|..#..",
+  "<": "...#.|..#..|.#...|#....|.#...|..#..|...#.",
+  ">": ".#...|..#..|...#.|....#|...#.|..#..|.#...",
+  "?": ".###.|#...#|....#|...#.|..#..|.....|..#..",
+  "'": "..#..|..#..|.#...|.....|.....|.....|.....",
+  "±": "..#..|..#..|#####|..#..|..#..|.....|#####",
+  "·": ".....|.....|.....|..#..|.....|.....|.....",
+  "→": ".....|..#..|...#.|#####|...#.|..#..|.....",
+};
+
+// Typographic characters the payload formatting uses, drawn with their ASCII look-alikes.
+const GLYPH_ALIASES = { "−": "-", "–": "-", "—": "-", "…": "...", "’": "'" };
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const GLYPH_ADVANCE = GLYPH_WIDTH + 1;
+
+const glyphCache = new Map();
+
+function glyphRows(ch) {
+  if (!glyphCache.has(ch)) {
+    const def = GLYPHS[ch] || GLYPHS["?"];
+    glyphCache.set(ch, def.split("|").map((row) => [...row].map((c) => c === "#")));
+  }
+  return glyphCache.get(ch);
+}
+
+function normalizeText(text) {
+  return [...String(text)]
+    .map((ch) => GLYPH_ALIASES[ch] ?? ch)
+    .join("")
+    .toUpperCase();
+}
+
+// Width in pixels of `text` drawn at `scale` (no trailing gap).
+function measureText(text, scale) {
+  const n = [...normalizeText(text)].length;
+  return n ? (n * GLYPH_ADVANCE - 1) * scale : 0;
+}
+
+// "#rrggbb" -> [r, g, b]
+function parseColor(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+  if (!m) throw new Error(`Invalid color: ${hex}`);
+  return [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)];
+}
+
+function createRaster(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  function fillRect(x, y, w, h, color) {
+    const [r, g, b] = Array.isArray(color) ? color : parseColor(color);
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(width, Math.floor(x + w));
+    const y1 = Math.min(height, Math.floor(y + h));
+    for (let py = y0; py < y1; py += 1) {
+      for (let px = x0; px < x1; px += 1) {
+        const i = (py * width + px) * 3;
+        pixels[i] = r;
+        pixels[i + 1] = g;
+        pixels[i + 2] = b;
+      }
+    }
+  }
+
+  // Vertical linear gradient over the whole raster.
+  function fillGradient(top, bottom) {
+    const a = parseColor(top);
+    const b = parseColor(bottom);
+    for (let py = 0; py < height; py += 1) {
+      const t = height > 1 ? py / (height - 1) : 0;
+      fillRect(0, py, width, 1, a.map((v, k) => Math.round(v + (b[k] - v) * t)));
+    }
+  }
+
+  // Draws `text` with its top-left corner at (x, y); each font pixel is a `scale` x `scale` square.
+  function drawText(text, x, y, { scale = 1, color = "#ffffff" } = {}) {
+    const rgb = parseColor(color);
+    let cx = x;
+    for (const ch of normalizeText(text)) {
+      glyphRows(ch).forEach((row, gy) => {
+        row.forEach((on, gx) => {
+          if (on) fillRect(cx + gx * scale, y + gy * scale, scale, scale, rgb);
+        });
+      });
+      cx += GLYPH_ADVANCE * scale;
+    }
+    return cx - x;
+  }
+
+  return { width, height, pixels, fillRect, fillGradient, drawText };
+}
+
+let crcTable = null;
+
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typed = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typed));
+  return Buffer.concat([length, typed, crc]);
+}
+
+// 8-bit truecolor PNG of a raster from createRaster().
+function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+  // compression, filter and interlace methods stay 0
+
+  // Every scanline uses filter type 0 (None).
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { GLYPH_WIDTH, GLYPH_HEIGHT, GLYPH_ADVANCE, measureText, parseColor, createRaster, crc32, encodePng };
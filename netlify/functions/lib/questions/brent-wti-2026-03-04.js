@@ -0,0 +1,26 @@
+// Question: Brent - WTI spot on 2026-03-04 (EIA).
+
+module.exports = {
+  id: "brent-wti-2026-03-04",
+  tracker: "oil-calibrated",
+  title: "Brent minus WTI spot spread on March 4, 2026",
+  metaculusUrl: "https://www.metaculus.com/questions/41689/brent-minus-wti-on-mar-4-2026/",
+  instrument: {
+    type: "spread",
+    eia: { wti: "RWTC", brent: "RBRTE" },
+    yahoo: { wti: "CL=F", brent: "BZ=F" },
+    calendar: "ICE_NYMEX",
+  },
+  baselineDate: null,
+  // UI tracking window (for charts). Keep explicit dates to avoid shifting as time passes.
+  window: { yearStart: "2026-01-01", start: "2026-02-01", end: "2026-03-04" },
+  threshold: null,
+  resolution: {
+    source: "U.S. Energy Information Administration (EIA)",
+    rule: "spot_spread_on_date",
+    targetDate: "2026-03-04",
+    interpolationDeadline: "2026-03-14",
+  },
+  // Outgoing webhook alerts (see lib/alerts.js).
+  alerts: [{ id: "spread-move", type: "spread_move", minChangeUsd: 0.5 }],
+};
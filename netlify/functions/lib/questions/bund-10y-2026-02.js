@@ -0,0 +1,24 @@
+// Question: Will the German 10Y Bund yield move ±20bp from its Jan 30, 2026 level during February 2026?
+
+module.exports = {
+  id: "bund-10y-2026-02",
+  tracker: "bond-yield",
+  title: "Will the German 10-year Bund yield move at least 20bp during February 2026?",
+  metaculusUrl: "https://www.metaculus.com/questions/41358/german-10y-yield-20bps-in-feb-2026/",
+  instrument: {
+    type: "bund",
+    tenor: "10Y",
+    seriesId: "BBSSY.D.REN.EUR.A630.000000WT1010.A",
+    calendar: "TARGET2",
+  },
+  baselineDate: "2026-01-30",
+  window: { month: "2026-02", start: "2026-02-01", end: "2026-02-28", lastTradingDay: "2026-02-27" },
+  threshold: { bp: 20, direction: "either" },
+  resolution: {
+    source: "Deutsche Bundesbank",
+    rule: "range_breach",
+    field: "yield",
+  },
+  // Outgoing webhook alerts (see lib/alerts.js).
+  alerts: [{ id: "near-trigger", type: "trigger_distance", withinBp: 3 }],
+};
@@ -0,0 +1,36 @@
+// Question: Which major currency will increase most (or decrease least) vs USD during February 2026?
+
+module.exports = {
+  id: "fx-2026-02",
+  tracker: "fx-tracker",
+  title: "Which major currency will increase most (or decrease least) vs USD during February 2026?",
+  metaculusUrl:
+    "https://www.metaculus.com/questions/41465/which-major-currency-will-increase-most-during-february-2026/",
+  instrument: {
+    type: "fx",
+    quote: "USD",
+    calendar: "FX",
+    tickers: {
+      EUR: "EURUSD=X",
+      JPY: "JPYUSD=X",
+      GBP: "GBPUSD=X",
+      CNY: "CNYUSD=X",
+      CHF: "CHFUSD=X",
+      AUD: "AUDUSD=X",
+      CAD: "CADUSD=X",
+      MXN: "MXNUSD=X",
+    },
+  },
+  baselineDate: "2026-01-30",
+  window: { month: "2026-02", start: "2026-02-01", end: "2026-02-28" },
+  threshold: null,
+  resolution: {
+    source: "Yahoo Finance",
+    rule: "largest_pct_change",
+    field: "close",
+    roundDecimals: 4, // Yahoo Finance quotes the FX closes to 4 decimals
+    resolvesAt: "2026-03-01T19:00:00Z", // 2 PM ET
+  },
+  // Outgoing webhook alerts (see lib/alerts.js).
+  alerts: [{ id: "leader-change", type: "leader_change" }],
+};
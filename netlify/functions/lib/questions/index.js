@@ -0,0 +1,60 @@
+// Question registry: one config module per Metaculus question.
+//
+// Handlers look questions up via `?question=<id>` and fall back to their default entry, so a new
+// question (e.g. a March FX month or another Bund window) is a new file here rather than a fork.
+// `instrument.calendar` names the holiday calendar (lib/calendars.js) its trading days follow.
+
+const QUESTIONS = [
+  require("./fx-2026-02"),
+  require("./bund-10y-2026-02"),
+  require("./brent-wti-2026-03-04"),
+  require("./ivv-ai-basket-2026-02-27"),
+];
+
+const BY_ID = Object.fromEntries(QUESTIONS.map((q) => [q.id, q]));
+
+const DEFAULT_QUESTION_BY_TRACKER = {
+  "fx-tracker": "fx-2026-02",
+  "bond-yield": "bund-10y-2026-02",
+  "oil-calibrated": "brent-wti-2026-03-04",
+  "ivv-holdings-weight": "ivv-ai-basket-2026-02-27",
+};
+
+function getQuestion(id) {
+  if (typeof id !== "string") return null;
+  return BY_ID[id] || null;
+}
+
+function listQuestions({ tracker } = {}) {
+  return QUESTIONS.filter((q) => !tracker || q.tracker === tracker);
+}
+
+// Resolve the question for a handler from its query string. Returns null when the id is unknown or
+// belongs to a different tracker, so the handler can answer 400 instead of guessing.
+function resolveQuestion(qs, tracker) {
+  const requested = qs && typeof qs.question === "string" && qs.question ? qs.question : null;
+  const id = requested || DEFAULT_QUESTION_BY_TRACKER[tracker];
+  const question = getQuestion(id);
+  if (!question || question.tracker !== tracker) return null;
+  return question;
+}
+
+// The question fields a page needs: its period and target date come from here, not page constants.
+function summarizeQuestion(question) {
+  return {
+    id: question.id,
+    title: question.title,
+    url: question.metaculusUrl,
+    window: question.window ? { start: question.window.start, end: question.window.end } : null,
+    targetDate: question.resolution?.targetDate ?? null,
+  };
+}
+
+module.exports = {
+  QUESTIONS,
+  DEFAULT_QUESTION_BY_TRACKER,
+  getQuestion,
+  listQuestions,
+  resolveQuestion,
+  summarizeQuestion,
+};
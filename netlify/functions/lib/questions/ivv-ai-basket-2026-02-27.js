@@ -0,0 +1,22 @@
+// Question: AI companies' S&P 500 weight (IVV holdings) on Feb 27, 2026.
+
+module.exports = {
+  id: "ivv-ai-basket-2026-02-27",
+  tracker: "ivv-holdings-weight",
+  title: "AI companies' S&P 500 weight on Feb 27, 2026",
+  metaculusUrl: "https://www.metaculus.com/questions/41341/ai-companies-sp-500-weight-on-feb-27-2026/",
+  instrument: {
+    type: "etf_basket",
+    fund: "IVV",
+    calendar: "NYSE",
+    tickers: ["NVDA", "MSFT", "GOOGL", "GOOG", "AMZN", "META", "AMD"],
+  },
+  baselineDate: null,
+  window: { start: "2026-02-01", end: "2026-02-27" },
+  threshold: null,
+  resolution: {
+    source: "iShares / BlackRock",
+    rule: "basket_weight_on_date",
+    targetDate: "2026-02-27",
+  },
+};
@@ -0,0 +1,44 @@
+// Seeded pseudo-random numbers for simulations whose output must be reproducible between requests
+// (same inputs + seed -> same probabilities, so CDN refreshes don't make the numbers jitter).
+
+// mulberry32: small, fast 32-bit generator; plenty for Monte Carlo over a few thousand paths.
+function createRng(seed = 1) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draws via Box-Muller, caching the second value of each pair.
+function createNormalSampler(rng) {
+  let spare = null;
+  return function nextNormal() {
+    if (spare !== null) {
+      const v = spare;
+      spare = null;
+      return v;
+    }
+    let u = 0;
+    while (u === 0) u = rng();
+    const v = rng();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+}
+
+// Stable 32-bit seed from a string (FNV-1a), e.g. hashSeed("fx-2026-02").
+function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i += 1) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+module.exports = { createRng, createNormalSampler, hashSeed };
@@ -0,0 +1,412 @@
+// Resolution engine: evaluates a registered question against its source data, one evaluator per
+// `resolution.rule` in the question registry.
+//
+// Every evaluator returns the same shape:
+//   { status, value, reason?, observations: [{ role, source, series, date, value }], ... }
+// with `status` one of
+//   exact         resolved from published observations (value is final)
+//   interpolated  resolved by the question's fallback rule (e.g. linear interpolation across a gap)
+//   pending       the deciding observations are not published yet; `provisional` holds the answer
+//                 implied by the data so far, where there is one
+//   unavailable   the source data cannot resolve the question (reason says why)
+//
+// `observations` are the source values the answer was derived from, so a resolution can be audited
+// against what Metaculus publishes.
+
+const { parseISODate, toISODate, addDays, roundTo } = require("./dates");
+const { isBusinessDay, lastBusinessDayOnOrBefore } = require("./calendars");
+const { fetchEiaSpot } = require("./eia");
+const { fetchBundesbankSeries } = require("./bundesbank");
+const { FX_PROVIDERS, fetchFxCloses } = require("./fx");
+const { fetchBasketWeightSeries } = require("./ishares");
+
+const RULE_DESCRIPTIONS = {
+  spot_spread_on_date:
+    "Brent spot minus WTI spot on the target date; if EIA has not published both by the deadline, linear interpolation between the nearest published dates.",
+  range_breach:
+    "YES if any daily close in the window is at or beyond baseline ± threshold, NO once the last trading day's close is published without a breach.",
+  largest_pct_change:
+    "Currency with the largest % change vs the quote currency from the baseline close to the last close of the window.",
+  basket_weight_on_date: "Sum of the basket tickers' weights in the fund's holdings snapshot for the target date.",
+};
+
+const EIA_WINDOW_DAYS = 14; // calendar days either side of the target, enough to interpolate
+const BASKET_PROVISIONAL_DAYS = 7;
+
+function round2(v) {
+  return Math.round(Number(v) * 100) / 100;
+}
+
+// Brent - WTI spot spread on `targetDate` (EIA). Interpolates only once `interpolationDeadline` passed.
+function resolveSpotSpreadOnDate({
+  eiaWtiByDate,
+  eiaBrentByDate,
+  nowDateStr,
+  targetDate,
+  interpolationDeadline,
+  series = { wti: "RWTC", brent: "RBRTE" },
+}) {
+  const obs = (role, date, value) => ({ role, source: "EIA", series: series[role], date, value });
+
+  const targetWti = eiaWtiByDate?.[targetDate];
+  const targetBrent = eiaBrentByDate?.[targetDate];
+
+  const canExact = Number.isFinite(targetWti) && Number.isFinite(targetBrent);
+  if (canExact) {
+    return {
+      status: "exact",
+      targetDate,
+      value: round2(targetBrent - targetWti),
+      legs: { brent: targetBrent, wti: targetWti },
+      observations: [obs("brent", targetDate, targetBrent), obs("wti", targetDate, targetWti)],
+    };
+  }
+
+  // Only interpolate after the Metaculus deadline.
+  if (nowDateStr < interpolationDeadline) {
+    return {
+      status: "pending",
+      targetDate,
+      deadline: interpolationDeadline,
+      reason: "EIA has not published both spot prices for the target date yet.",
+      observations: [],
+    };
+  }
+
+  const commonDates = Object.keys(eiaWtiByDate || {})
+    .filter((d) => Number.isFinite(eiaWtiByDate[d]) && Number.isFinite(eiaBrentByDate?.[d]))
+    .sort();
+
+  const prev = commonDates.filter((d) => d < targetDate).at(-1) || null;
+  const next = commonDates.find((d) => d > targetDate) || null;
+  if (!prev || !next) {
+    return {
+      status: "unavailable",
+      targetDate,
+      deadline: interpolationDeadline,
+      reason: "Insufficient EIA data to interpolate (need dates on both sides of target).",
+      observations: [],
+    };
+  }
+
+  const prevDate = parseISODate(prev);
+  const nextDate = parseISODate(next);
+  const tgtDate = parseISODate(targetDate);
+  if (!prevDate || !nextDate || !tgtDate) {
+    return {
+      status: "unavailable",
+      targetDate,
+      deadline: interpolationDeadline,
+      reason: "Internal date parse failure.",
+      observations: [],
+    };
+  }
+
+  const t = (tgtDate.getTime() - prevDate.getTime()) / (nextDate.getTime() - prevDate.getTime());
+  const wti = eiaWtiByDate[prev] + t * (eiaWtiByDate[next] - eiaWtiByDate[prev]);
+  const brent = eiaBrentByDate[prev] + t * (eiaBrentByDate[next] - eiaBrentByDate[prev]);
+
+  return {
+    status: "interpolated",
+    targetDate,
+    deadline: interpolationDeadline,
+    value: round2(brent - wti),
+    interpolation: {
+      prevDate: prev,
+      nextDate: next,
+      t,
+      wti: round2(wti),
+      brent: round2(brent),
+    },
+    observations: [
+      obs("brent", prev, eiaBrentByDate[prev]),
+      obs("wti", prev, eiaWtiByDate[prev]),
+      obs("brent", next, eiaBrentByDate[next]),
+      obs("wti", next, eiaWtiByDate[next]),
+    ],
+  };
+}
+
+// ±`thresholdBp` breach of the baseline yield by any close from `periodStart` to `lastTradingDay`.
+// The window counts as complete once the last trading day (or any later day) has been published.
+function resolveRangeBreach({ yieldByDate, baselineDate, thresholdBp, periodStart, lastTradingDay, seriesId }) {
+  const obs = (role, date, value) => ({ role, source: "Deutsche Bundesbank", series: seriesId, date, value });
+
+  const baselineYield = yieldByDate?.[baselineDate];
+  if (!Number.isFinite(baselineYield)) {
+    return {
+      status: "unavailable",
+      value: null,
+      reason: `Missing baseline yield on ${baselineDate}.`,
+      observations: [],
+    };
+  }
+  const upperTrigger = round2(baselineYield + thresholdBp / 100);
+  const lowerTrigger = round2(baselineYield - thresholdBp / 100);
+  const triggers = { upper: upperTrigger, lower: lowerTrigger };
+
+  const dates = Object.keys(yieldByDate).filter((d) => Number.isFinite(yieldByDate[d])).sort();
+  const inWindow = dates.filter((d) => d >= periodStart && d <= lastTradingDay);
+
+  let minDate = null;
+  let maxDate = null;
+  for (const d of inWindow) {
+    const y = yieldByDate[d];
+    if (minDate === null || y < yieldByDate[minDate]) minDate = d;
+    if (maxDate === null || y > yieldByDate[maxDate]) maxDate = d;
+    if (y >= upperTrigger || y <= lowerTrigger) {
+      return {
+        status: "exact",
+        value: "yes",
+        baselineYield,
+        triggers,
+        breach: { date: d, yield: y, direction: y >= upperTrigger ? "upper" : "lower" },
+        observations: [obs("baseline", baselineDate, baselineYield), obs("breach", d, y)],
+      };
+    }
+  }
+
+  const lastDate = inWindow.at(-1) || null;
+  const extremes = [];
+  if (maxDate) extremes.push(obs("max", maxDate, yieldByDate[maxDate]));
+  if (minDate) extremes.push(obs("min", minDate, yieldByDate[minDate]));
+  const complete = dates.some((d) => d >= lastTradingDay);
+  if (complete) {
+    return {
+      status: "exact",
+      value: "no",
+      baselineYield,
+      triggers,
+      breach: null,
+      observations: [obs("baseline", baselineDate, baselineYield), ...extremes],
+    };
+  }
+
+  return {
+    status: "pending",
+    value: null,
+    reason: `No breach through ${lastDate || baselineDate}; waiting for closes up to ${lastTradingDay}.`,
+    baselineYield,
+    triggers,
+    provisional: lastDate
+      ? {
+          asOfDate: lastDate,
+          yield: yieldByDate[lastDate],
+          changeBp: Math.round((yieldByDate[lastDate] - baselineYield) * 100),
+        }
+      : null,
+    observations: [obs("baseline", baselineDate, baselineYield), ...extremes],
+  };
+}
+
+// Currency with the largest % change from `baselineDate` to the last common close in the window.
+// Final once `resolvesAt` has passed and the window's last trading day (holiday `calendar`) has a close
+// for every currency.
+function resolveLargestPctChange({
+  closesByCode,
+  baselineDate,
+  periodStart,
+  periodEnd,
+  resolvesAt,
+  nowIso,
+  quote = "USD",
+  calendar = "FX",
+}) {
+  const codes = Object.keys(closesByCode || {});
+  const closeOf = (code, date) => closesByCode[code]?.closeByDate?.[date];
+  const obs = (role, code, date) => {
+    const provider = closesByCode[code]?.providerByDate?.[date];
+    return {
+      role,
+      source: FX_PROVIDERS[provider]?.name || provider || null,
+      series: `${code}${quote}`,
+      date,
+      value: closeOf(code, date),
+    };
+  };
+
+  const missingBaseline = codes.filter((code) => !Number.isFinite(closeOf(code, baselineDate)));
+  if (!codes.length || missingBaseline.length) {
+    return {
+      status: "unavailable",
+      value: null,
+      reason: `Missing baseline close on ${baselineDate} for ${missingBaseline.join(", ") || "every currency"}.`,
+      observations: [],
+    };
+  }
+
+  let common = null;
+  for (const code of codes) {
+    const dates = Object.keys(closesByCode[code].closeByDate).filter(
+      (d) => d >= periodStart && d <= periodEnd && isBusinessDay(calendar, d)
+    );
+    common = common ? common.filter((d) => dates.includes(d)) : dates;
+  }
+  const finalDate = common.sort().at(-1) || null;
+  if (!finalDate) {
+    return {
+      status: "pending",
+      value: null,
+      reason: `No common close in ${periodStart}..${periodEnd} yet.`,
+      provisional: null,
+      observations: codes.map((code) => obs("baseline", code, baselineDate)),
+    };
+  }
+
+  const standings = codes
+    .map((code) => {
+      const baseline = closeOf(code, baselineDate);
+      const final = closeOf(code, finalDate);
+      return { code, baselineClose: baseline, finalClose: final, pctChange: roundTo(((final - baseline) / baseline) * 100, 6) };
+    })
+    .sort((a, b) => b.pctChange - a.pctChange);
+
+  const observations = [];
+  for (const code of codes) observations.push(obs("baseline", code, baselineDate), obs("final", code, finalDate));
+
+  const lastTradingDay = lastBusinessDayOnOrBefore(calendar, periodEnd);
+  const complete = finalDate === lastTradingDay && (!resolvesAt || Date.parse(nowIso) >= Date.parse(resolvesAt));
+  if (!complete) {
+    return {
+      status: "pending",
+      value: null,
+      reason:
+        finalDate === lastTradingDay
+          ? `Resolves at ${resolvesAt}.`
+          : `Closes available through ${finalDate}; the window ends ${lastTradingDay}.`,
+      provisional: { asOfDate: finalDate, leader: standings[0].code, standings },
+      observations,
+    };
+  }
+
+  return { status: "exact", value: standings[0].code, asOfDate: finalDate, standings, observations };
+}
+
+// Basket weight in the holdings snapshot dated `targetDate`; `points` come from fetchBasketWeightSeries.
+function resolveBasketWeightOnDate({ points, targetDate, nowDateStr, fund = "IVV" }) {
+  const obsFor = (role, point) =>
+    Object.entries(point.weightByTicker || {}).map(([ticker, value]) => ({
+      role,
+      source: `iShares ${fund} holdings (as of ${point.holdingsAsOfLabel})`,
+      series: ticker,
+      date: point.date,
+      value,
+    }));
+
+  const sorted = (points || []).slice().sort((a, b) => (a.date < b.date ? -1 : 1));
+  const target = sorted.find((p) => p.date === targetDate);
+  if (target) {
+    return {
+      status: "exact",
+      value: target.totalWeight,
+      missingTickers: target.missingTickers || [],
+      observations: obsFor("weight", target),
+    };
+  }
+
+  const latest = sorted.filter((p) => p.date < targetDate).at(-1) || null;
+  return {
+    status: "pending",
+    value: null,
+    reason:
+      nowDateStr <= targetDate
+        ? `The ${targetDate} holdings snapshot is not published yet.`
+        : `No ${fund} holdings snapshot for ${targetDate} yet.`,
+    provisional: latest ? { asOfDate: latest.date, value: latest.totalWeight } : null,
+    observations: latest ? obsFor("provisional", latest) : [],
+  };
+}
+
+// Fetches the source data for `question` and applies its rule. Throws for upstream failures.
+async function evaluateQuestion(question, { now = new Date(), client = "resolution", eiaApiKey = process.env.EIA_API_KEY } = {}) {
+  const nowIso = now.toISOString();
+  const nowDateStr = toISODate(now);
+  const r = question.resolution || {};
+
+  switch (r.rule) {
+    case "spot_spread_on_date": {
+      if (!eiaApiKey) throw new Error("Missing EIA_API_KEY environment variable.");
+      const { wti, brent } = question.instrument.eia;
+      const target = parseISODate(r.targetDate);
+      const eia = await fetchEiaSpot({
+        apiKey: eiaApiKey,
+        series: [wti, brent],
+        length: 200,
+        startDate: toISODate(addDays(target, -EIA_WINDOW_DAYS)),
+        endDate: toISODate(addDays(target, EIA_WINDOW_DAYS)),
+        client,
+      });
+      return resolveSpotSpreadOnDate({
+        eiaWtiByDate: eia.bySeries[wti] || {},
+        eiaBrentByDate: eia.bySeries[brent] || {},
+        nowDateStr,
+        targetDate: r.targetDate,
+        interpolationDeadline: r.interpolationDeadline,
+        series: { wti, brent },
+      });
+    }
+
+    case "range_breach": {
+      const seriesId = question.instrument.seriesId;
+      const yieldByDate = await fetchBundesbankSeries(seriesId, {
+        startDate: question.baselineDate,
+        endDate: toISODate(addDays(parseISODate(question.window.lastTradingDay), 7)),
+        bounded: true,
+        client,
+      });
+      return resolveRangeBreach({
+        yieldByDate,
+        baselineDate: question.baselineDate,
+        thresholdBp: question.threshold.bp,
+        periodStart: question.window.start,
+        lastTradingDay: question.window.lastTradingDay,
+        seriesId,
+      });
+    }
+
+    case "largest_pct_change": {
+      const { byCode } = await fetchFxCloses(question.instrument.tickers, {
+        quote: question.instrument.quote,
+        startInclusive: parseISODate(question.baselineDate),
+        endExclusive: addDays(parseISODate(question.window.end), 1),
+        requiredDates: [question.baselineDate],
+        // Rank on the closes as the resolution source publishes them, like fx-tracker does.
+        roundDecimals: r.roundDecimals ?? null,
+        client,
+      });
+      return resolveLargestPctChange({
+        closesByCode: byCode,
+        baselineDate: question.baselineDate,
+        periodStart: question.window.start,
+        periodEnd: question.window.end,
+        resolvesAt: r.resolvesAt || null,
+        nowIso,
+        quote: question.instrument.quote,
+        calendar: question.instrument.calendar,
+      });
+    }
+
+    case "basket_weight_on_date": {
+      // The target snapshot, plus the last week's snapshots for a provisional value.
+      const dates = [r.targetDate];
+      const until = parseISODate(nowDateStr < r.targetDate ? nowDateStr : r.targetDate);
+      for (let d = addDays(until, -BASKET_PROVISIONAL_DAYS); d <= until; d = addDays(d, 1)) {
+        if (isBusinessDay(question.instrument.calendar, d) && toISODate(d) !== r.targetDate) dates.push(toISODate(d));
+      }
+      const points = await fetchBasketWeightSeries(dates, { basketTickers: question.instrument.tickers, client });
+      return resolveBasketWeightOnDate({ points, targetDate: r.targetDate, nowDateStr, fund: question.instrument.fund });
+    }
+
+    default:
+      throw new Error(`No resolution rule "${r.rule}" for ${question.id}`);
+  }
+}
+
+module.exports = {
+  RULE_DESCRIPTIONS,
+  resolveSpotSpreadOnDate,
+  resolveRangeBreach,
+  resolveLargestPctChange,
+  resolveBasketWeightOnDate,
+  evaluateQuestion,
+};
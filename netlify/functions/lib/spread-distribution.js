@@ -0,0 +1,163 @@
+// Predictive distribution for a spread on a future date.
+//
+// Samples are `center + Δ + e` for every pairing of
+//   Δ: historical h-step changes of the observed spread (h = business days to the target), demeaned so
+//      the forecast has no drift; with too little history, 1-step changes scaled by √h instead;
+//   e: basis-estimation residuals (raw daily basis minus the smoothed basis used for `center`).
+// The empirical sample is smoothed with a Gaussian kernel (Silverman bandwidth) so the CDF is
+// continuous, which is what a Metaculus continuous question expects.
+
+const { normalCdf, mean, sampleStdDev, quantileSorted } = require("./stats");
+
+const DEFAULT_QUANTILES = [0.01, 0.05, 0.1, 0.25, 0.5, 0.75, 0.9, 0.95, 0.99];
+const FAN_QUANTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+const CDF_POINTS = 201;
+const MIN_HORIZON_SAMPLES = 30;
+const GRID_TAIL = 0.001; // default CDF grid covers the 0.1%-99.9% sample range, padded
+
+// Overlapping h-step changes of an ascending value series; falls back to √h-scaled 1-step changes.
+function horizonChanges(valuesAsc, horizon) {
+  if (horizon <= 0) return { changes: [0], method: "none" };
+  const direct = [];
+  for (let i = 0; i + horizon < valuesAsc.length; i += 1) direct.push(valuesAsc[i + horizon] - valuesAsc[i]);
+  if (direct.length >= MIN_HORIZON_SAMPLES) {
+    const m = mean(direct);
+    return { changes: direct.map((c) => c - m), method: "empirical" };
+  }
+  const daily = [];
+  for (let i = 1; i < valuesAsc.length; i += 1) daily.push(valuesAsc[i] - valuesAsc[i - 1]);
+  if (daily.length < 2) throw new Error("Not enough spread history for a forecast distribution");
+  const m = mean(daily);
+  const scale = Math.sqrt(horizon);
+  return { changes: daily.map((c) => (c - m) * scale), method: "sqrt_scaled_daily" };
+}
+
+function silvermanBandwidth(samples) {
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const sd = sampleStdDev(sorted);
+  const iqr = quantileSorted(sorted, 0.75) - quantileSorted(sorted, 0.25);
+  const spread = Math.min(sd, iqr / 1.34) || sd || iqr;
+  const h = 0.9 * spread * Math.pow(sorted.length, -0.2);
+  return Number.isFinite(h) && h > 0 ? h : 0.01;
+}
+
+function kdeCdf(samples, bandwidth, x) {
+  let s = 0;
+  for (const v of samples) s += normalCdf((x - v) / bandwidth);
+  return s / samples.length;
+}
+
+function kdeQuantile(samples, bandwidth, p, lo, hi) {
+  let a = lo;
+  let b = hi;
+  for (let i = 0; i < 60; i += 1) {
+    const mid = (a + b) / 2;
+    if (kdeCdf(samples, bandwidth, mid) < p) a = mid;
+    else b = mid;
+  }
+  return (a + b) / 2;
+}
+
+function round4(v) {
+  return Math.round(v * 1e4) / 1e4;
+}
+
+// `observedAsc`: historical spread values (one per business day, oldest first).
+// `basisResiduals`: raw-minus-smoothed basis errors for the spread.
+// `range`: optional `{ min, max }` for the CDF grid (e.g. the Metaculus question bounds).
+function buildSpreadDistribution({ center, observedAsc, horizon, basisResiduals = [], quantiles = DEFAULT_QUANTILES, range = null }) {
+  const { changes, method } = horizonChanges(observedAsc, horizon);
+  const errors = basisResiduals.length ? basisResiduals : [0];
+
+  const samples = [];
+  for (const d of changes) for (const e of errors) samples.push(center + d + e);
+  samples.sort((a, b) => a - b);
+
+  const bandwidth = silvermanBandwidth(samples);
+  const searchLo = samples[0] - 8 * bandwidth;
+  const searchHi = samples.at(-1) + 8 * bandwidth;
+
+  let min = range && Number.isFinite(range.min) ? range.min : null;
+  let max = range && Number.isFinite(range.max) ? range.max : null;
+  if (min === null || max === null) {
+    const pad = 2 * bandwidth;
+    min = min === null ? quantileSorted(samples, GRID_TAIL) - pad : min;
+    max = max === null ? quantileSorted(samples, 1 - GRID_TAIL) + pad : max;
+  }
+
+  const x = [];
+  const cdf = [];
+  for (let i = 0; i < CDF_POINTS; i += 1) {
+    const xi = min + ((max - min) * i) / (CDF_POINTS - 1);
+    x.push(round4(xi));
+    cdf.push(Math.round(kdeCdf(samples, bandwidth, xi) * 1e6) / 1e6);
+  }
+
+  return {
+    center: round4(center),
+    horizonBusinessDays: horizon,
+    samples: samples.length,
+    bandwidth: round4(bandwidth),
+    mean: round4(mean(samples)),
+    stdev: round4(Math.sqrt(sampleStdDev(samples) ** 2 + bandwidth ** 2)),
+    quantiles: quantiles.map((p) => ({ p, value: round4(kdeQuantile(samples, bandwidth, p, searchLo, searchHi)) })),
+    cdf: { min: round4(min), max: round4(max), x, p: cdf },
+    components: {
+      spreadChanges: { method, n: changes.length, stdev: changes.length > 1 ? round4(sampleStdDev(changes)) : 0 },
+      basisError: {
+        n: basisResiduals.length,
+        mean: basisResiduals.length ? round4(mean(basisResiduals)) : 0,
+        stdev: basisResiduals.length > 1 ? round4(sampleStdDev(basisResiduals)) : 0,
+      },
+    },
+  };
+}
+
+// Fan-chart bands for each horizon 1..`horizon` (sample quantiles; the KDE smoothing is skipped since
+// only the band edges are drawn).
+function buildSpreadFan({ center, observedAsc, horizon, basisResiduals = [], quantiles = FAN_QUANTILES }) {
+  const errors = basisResiduals.length ? basisResiduals : [0];
+  const out = [];
+  for (let h = 1; h <= horizon; h += 1) {
+    const { changes } = horizonChanges(observedAsc, h);
+    const samples = [];
+    for (const d of changes) for (const e of errors) samples.push(center + d + e);
+    samples.sort((a, b) => a - b);
+    out.push({ horizon: h, quantiles: quantiles.map((p) => ({ p, value: round4(quantileSorted(samples, p)) })) });
+  }
+  return out;
+}
+
+// Point mass once the spread has resolved: every quantile is the value and the CDF steps there.
+function resolvedDistribution(value, { quantiles = DEFAULT_QUANTILES, range = null } = {}) {
+  const min = range && Number.isFinite(range.min) ? range.min : value - 1;
+  const max = range && Number.isFinite(range.max) ? range.max : value + 1;
+  const x = [];
+  const cdf = [];
+  for (let i = 0; i < CDF_POINTS; i += 1) {
+    const xi = min + ((max - min) * i) / (CDF_POINTS - 1);
+    x.push(round4(xi));
+    cdf.push(xi >= value ? 1 : 0);
+  }
+  return {
+    center: value,
+    horizonBusinessDays: 0,
+    samples: 1,
+    bandwidth: 0,
+    mean: value,
+    stdev: 0,
+    quantiles: quantiles.map((p) => ({ p, value })),
+    cdf: { min: round4(min), max: round4(max), x, p: cdf },
+    components: null,
+  };
+}
+
+module.exports = {
+  DEFAULT_QUANTILES,
+  FAN_QUANTILES,
+  CDF_POINTS,
+  horizonChanges,
+  buildSpreadDistribution,
+  buildSpreadFan,
+  resolvedDistribution,
+};
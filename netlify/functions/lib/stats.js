@@ -0,0 +1,42 @@
+// Small numeric helpers shared by the probability models.
+
+// Standard normal CDF via the Abramowitz & Stegun 7.1.26 erf approximation (|error| < 1.5e-7).
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function mean(values) {
+  if (!values.length) return NaN;
+  let s = 0;
+  for (const v of values) s += v;
+  return s / values.length;
+}
+
+// Sample standard deviation (n - 1).
+function sampleStdDev(values) {
+  if (values.length < 2) return NaN;
+  const m = mean(values);
+  let s = 0;
+  for (const v of values) s += (v - m) * (v - m);
+  return Math.sqrt(s / (values.length - 1));
+}
+
+// Linear-interpolated quantile of an ascending array (same as numpy's default).
+function quantileSorted(sortedAsc, p) {
+  const n = sortedAsc.length;
+  if (!n) return NaN;
+  const pos = Math.min(1, Math.max(0, p)) * (n - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.min(n - 1, lo + 1);
+  return sortedAsc[lo] + (pos - lo) * (sortedAsc[hi] - sortedAsc[lo]);
+}
+
+function clamp01(p) {
+  return Math.min(1, Math.max(0, p));
+}
+
+module.exports = { normalCdf, mean, sampleStdDev, quantileSorted, clamp01 };
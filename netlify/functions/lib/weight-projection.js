@@ -0,0 +1,221 @@
+// Projection models for a basket-weight series (percent of a fund), each returning p10/p50/p90 for
+// 1..`steps` snapshots ahead, plus a rolling-origin backtest scored with the pinball (quantile) loss.
+//
+// Models (all fit on the last `lookback` snapshots up to the forecast origin):
+//   linear  OLS trend re-anchored on the last value; band = σ(daily Δ)·√h around it.
+//   exp     OLS trend of log(weight) re-anchored the same way; band = σ(daily Δlog)·√h in log space.
+//   mc      Random walk with the mean/σ of daily Δ as drift/noise (seeded Monte Carlo).
+//   logret  Bootstrap of daily constituent log returns relative to the fund: each ticker's weight is
+//           w·exp(Σ(r_ticker − r_fund)) over h resampled days (seeded).
+
+const { mean, sampleStdDev, quantileSorted } = require("./stats");
+const { createRng, createNormalSampler, hashSeed } = require("./random");
+
+const MODEL_KEYS = ["linear", "exp", "mc", "logret"];
+const PROJECTION_QUANTILES = [0.1, 0.5, 0.9];
+const Z90 = 1.2815515655446004; // standard normal 90th percentile
+const MIN_LOOKBACK = 5;
+const DEFAULT_PATHS = 2000;
+
+function olsFit(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return { a: ys[0] ?? 0, b: 0 };
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let cov = 0;
+  let varX = 0;
+  for (let i = 0; i < n; i += 1) {
+    const dx = xs[i] - meanX;
+    cov += dx * (ys[i] - meanY);
+    varX += dx * dx;
+  }
+  if (varX === 0) return { a: meanY, b: 0 };
+  const b = cov / varX;
+  return { a: meanY - b * meanX, b };
+}
+
+function diffs(values) {
+  const out = [];
+  for (let i = 1; i < values.length; i += 1) out.push(values[i] - values[i - 1]);
+  return out;
+}
+
+function stdOrZero(values) {
+  const sd = sampleStdDev(values);
+  return Number.isFinite(sd) ? sd : 0;
+}
+
+function emptyBands() {
+  return { p10: [], p50: [], p90: [] };
+}
+
+// Slope of the OLS trend; callers re-anchor it on the last observation.
+function anchoredSlope(ys) {
+  const xs = ys.map((_, i) => i);
+  return olsFit(xs, ys).b;
+}
+
+function linearModel({ history }, steps) {
+  const last = history.at(-1);
+  const slope = anchoredSlope(history);
+  const sd = stdOrZero(diffs(history));
+  const out = emptyBands();
+  for (let h = 1; h <= steps; h += 1) {
+    const mid = last + slope * h;
+    const half = Z90 * sd * Math.sqrt(h);
+    out.p10.push(mid - half);
+    out.p50.push(mid);
+    out.p90.push(mid + half);
+  }
+  return out;
+}
+
+function expModel(ctx, steps) {
+  const { history } = ctx;
+  if (history.some((v) => !(v > 0))) return linearModel(ctx, steps);
+  const logs = history.map(Math.log);
+  const last = logs.at(-1);
+  const slope = anchoredSlope(logs);
+  const sd = stdOrZero(diffs(logs));
+  const out = emptyBands();
+  for (let h = 1; h <= steps; h += 1) {
+    const mid = last + slope * h;
+    const half = Z90 * sd * Math.sqrt(h);
+    out.p10.push(Math.exp(mid - half));
+    out.p50.push(Math.exp(mid));
+    out.p90.push(Math.exp(mid + half));
+  }
+  return out;
+}
+
+function bandsFromPaths(perStep) {
+  const out = emptyBands();
+  for (const values of perStep) {
+    values.sort((a, b) => a - b);
+    out.p10.push(quantileSorted(values, 0.1));
+    out.p50.push(quantileSorted(values, 0.5));
+    out.p90.push(quantileSorted(values, 0.9));
+  }
+  return out;
+}
+
+function mcModel({ history, seed, paths = DEFAULT_PATHS }, steps) {
+  const deltas = diffs(history);
+  const drift = deltas.length ? mean(deltas) : 0;
+  const sd = stdOrZero(deltas);
+  const normal = createNormalSampler(createRng(seed));
+  const perStep = Array.from({ length: steps }, () => new Array(paths));
+  for (let p = 0; p < paths; p += 1) {
+    let y = history.at(-1);
+    for (let s = 0; s < steps; s += 1) {
+      y += drift + sd * normal();
+      perStep[s][p] = y;
+    }
+  }
+  return bandsFromPaths(perStep);
+}
+
+// `weights`: { ticker: weight% } at the origin; `relReturns`: recent rows of { ticker: r_ticker − r_fund }.
+function logReturnModel({ weights, relReturns, seed, paths = DEFAULT_PATHS }, steps) {
+  if (!weights || !relReturns || relReturns.length < MIN_LOOKBACK) return null;
+  const tickers = Object.keys(weights).filter((t) => weights[t] > 0);
+  const rng = createRng(seed);
+  const perStep = Array.from({ length: steps }, () => new Array(paths));
+  const cum = new Array(tickers.length);
+  for (let p = 0; p < paths; p += 1) {
+    cum.fill(0);
+    for (let s = 0; s < steps; s += 1) {
+      const row = relReturns[Math.floor(rng() * relReturns.length)];
+      let total = 0;
+      for (let k = 0; k < tickers.length; k += 1) {
+        cum[k] += row[tickers[k]] || 0;
+        total += weights[tickers[k]] * Math.exp(cum[k]);
+      }
+      perStep[s][p] = total;
+    }
+  }
+  return bandsFromPaths(perStep);
+}
+
+const MODELS = { linear: linearModel, exp: expModel, mc: mcModel, logret: logReturnModel };
+
+function runModel(key, ctx, steps) {
+  if (steps <= 0) return emptyBands();
+  return MODELS[key](ctx, steps);
+}
+
+// Daily log returns of each ticker minus the fund's, on dates where every series has consecutive closes.
+function relativeLogReturns(closeByDateByTicker, fundCloseByDate) {
+  const tickers = Object.keys(closeByDateByTicker);
+  const dates = Object.keys(fundCloseByDate)
+    .filter((d) => tickers.every((t) => Number.isFinite(closeByDateByTicker[t][d])))
+    .sort();
+  const rows = [];
+  for (let i = 1; i < dates.length; i += 1) {
+    const d0 = dates[i - 1];
+    const d1 = dates[i];
+    const rFund = Math.log(fundCloseByDate[d1] / fundCloseByDate[d0]);
+    const row = { date: d1 };
+    for (const t of tickers) row[t] = Math.log(closeByDateByTicker[t][d1] / closeByDateByTicker[t][d0]) - rFund;
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Pinball loss of quantile forecast `q` at level `p` for outcome `y`.
+function pinballLoss(p, q, y) {
+  return y >= q ? p * (y - q) : (1 - p) * (q - y);
+}
+
+// Model inputs for a forecast made at `points[t]` (points: ascending { date, totalWeight, weightByTicker }).
+function contextAt(points, t, { lookback, relReturns, seed, paths }) {
+  const from = Math.max(0, t - lookback + 1);
+  const origin = points[t];
+  const returnsUpTo = relReturns ? relReturns.filter((r) => r.date <= origin.date).slice(-lookback) : null;
+  return {
+    history: points.slice(from, t + 1).map((p) => p.totalWeight),
+    weights: origin.weightByTicker,
+    relReturns: returnsUpTo,
+    seed,
+    paths,
+  };
+}
+
+// Rolling-origin backtest: forecast `horizon` snapshots ahead from every origin with at least
+// `lookback` points of history, scored against the realised weight.
+function backtestModels(points, { horizon, lookback, relReturns = null, seedBase = "", paths = 1000, models = MODEL_KEYS }) {
+  const results = {};
+  for (const key of models) {
+    let loss = 0;
+    let absErr = 0;
+    let covered = 0;
+    let n = 0;
+    for (let t = lookback - 1; t + horizon < points.length; t += 1) {
+      const seed = hashSeed(`${seedBase}:${key}:${points[t].date}`);
+      const bands = runModel(key, contextAt(points, t, { lookback, relReturns, seed, paths }), horizon);
+      if (!bands) continue;
+      const y = points[t + horizon].totalWeight;
+      const q = { 0.1: bands.p10.at(-1), 0.5: bands.p50.at(-1), 0.9: bands.p90.at(-1) };
+      loss += PROJECTION_QUANTILES.reduce((s, p) => s + pinballLoss(p, q[p], y), 0) / PROJECTION_QUANTILES.length;
+      absErr += Math.abs(q[0.5] - y);
+      if (y >= q[0.1] && y <= q[0.9]) covered += 1;
+      n += 1;
+    }
+    results[key] = n
+      ? { origins: n, pinballLoss: loss / n, maeP50: absErr / n, coverage80: covered / n }
+      : { origins: 0, pinballLoss: null, maeP50: null, coverage80: null };
+  }
+  return results;
+}
+
+module.exports = {
+  MODEL_KEYS,
+  PROJECTION_QUANTILES,
+  MIN_LOOKBACK,
+  DEFAULT_PATHS,
+  runModel,
+  contextAt,
+  relativeLogReturns,
+  pinballLoss,
+  backtestModels,
+};
@@ -0,0 +1,199 @@
+// Yahoo Finance chart API adapter (query1 /v8/finance/chart).
+//
+// Daily closes are normalized to `{ "YYYY-MM-DD": close }` with weekends dropped; intraday bars are
+// keyed by unix seconds. Callers pass `client` (their function name) for the User-Agent.
+//
+// Settled daily closes are kept in the upstream cache (see ./cache) as one entry per symbol with a
+// contiguous covered range, so repeat requests only fetch dates outside that range.
+
+const { parseISODate, toISODate, addDays, isWeekday, roundTo } = require("./dates");
+const { fetchUpstream } = require("./http");
+const { cacheGet, cacheSet } = require("./cache");
+
+const YAHOO_CHART_URL = "https://query1.finance.yahoo.com/v8/finance/chart";
+const YAHOO_TIMEOUT_MS = 12_000;
+
+// Closes newer than this many days may still be revised (or be today's live bar); never cache them.
+const SETTLE_DAYS = 2;
+
+async function fetchYahooChart(symbol, params, { client } = {}) {
+  const url = `${YAHOO_CHART_URL}/${encodeURIComponent(symbol)}?${params.toString()}`;
+  const res = await fetchUpstream(url, {
+    provider: "Yahoo",
+    subject: symbol,
+    client,
+    timeoutMs: YAHOO_TIMEOUT_MS,
+  });
+  const json = await res.json();
+
+  const chart = json?.chart;
+  if (!chart) throw new Error(`Yahoo response missing chart for ${symbol}`);
+  if (chart.error) throw new Error(`Yahoo chart error for ${symbol}: ${JSON.stringify(chart.error)}`);
+
+  const result = (chart.result && chart.result[0]) || null;
+  if (!result) throw new Error(`Yahoo response missing result for ${symbol}`);
+
+  return result;
+}
+
+function extractCloses(result, symbol, label) {
+  const timestamps = result.timestamp || [];
+  const closes = result?.indicators?.quote?.[0]?.close || [];
+  if (!Array.isArray(timestamps) || !Array.isArray(closes)) {
+    throw new Error(`Yahoo ${label}response missing timestamp/close arrays for ${symbol}`);
+  }
+  return { timestamps, closes };
+}
+
+function toValue(raw, roundDecimals) {
+  if (raw === null || raw === undefined) return null;
+  let v = Number(raw);
+  if (!Number.isFinite(v)) return null;
+  if (roundDecimals !== null && roundDecimals !== undefined) v = roundTo(v, roundDecimals);
+  return Number.isFinite(v) ? v : null;
+}
+
+function extractLive(result, roundDecimals) {
+  const meta = result.meta || {};
+  const price = toValue(meta?.regularMarketPrice, roundDecimals);
+  const timeSec = Number(meta?.regularMarketTime);
+  return {
+    price,
+    timestamp: Number.isFinite(timeSec) ? new Date(timeSec * 1000).toISOString() : null,
+  };
+}
+
+async function fetchYahooDailyRange(symbol, startInclusive, endExclusive, { client } = {}) {
+  const params = new URLSearchParams({
+    period1: String(Math.floor(startInclusive.getTime() / 1000)),
+    period2: String(Math.floor(endExclusive.getTime() / 1000)),
+    interval: "1d",
+    events: "history",
+    includeAdjustedClose: "true",
+  });
+
+  const result = await fetchYahooChart(symbol, params, { client });
+  const { timestamps, closes } = extractCloses(result, symbol, "");
+
+  const closeByDate = {};
+  for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
+    const v = toValue(closes[i], null);
+    if (v === null) continue;
+    const dateStr = new Date(timestamps[i] * 1000).toISOString().slice(0, 10);
+    const dateObj = parseISODate(dateStr);
+    if (!dateObj || !isWeekday(dateObj)) continue;
+    closeByDate[dateStr] = v;
+  }
+
+  return { closeByDate, result };
+}
+
+// Fetch [startInclusive, endExclusive) through the cache: only the parts outside the cached
+// coverage are requested, and the merged coverage is written back up to the settle cutoff.
+async function fetchYahooDailyCached(symbol, startInclusive, endExclusive, { client } = {}) {
+  const key = `yahoo/daily/${symbol}`;
+  const startStr = toISODate(startInclusive);
+  const lastStr = toISODate(addDays(endExclusive, -1));
+  const settledThrough = toISODate(addDays(new Date(), -SETTLE_DAYS));
+
+  const entry = await cacheGet(key);
+  const hasEntry = Boolean(entry && entry.from && entry.to && entry.values);
+  const closeByDate = {};
+  let from = null;
+  let to = null;
+  let liveResult = null;
+
+  if (!hasEntry) {
+    const fetched = await fetchYahooDailyRange(symbol, startInclusive, endExclusive, { client });
+    Object.assign(closeByDate, fetched.closeByDate);
+    liveResult = fetched.result;
+    from = startStr;
+    to = lastStr < settledThrough ? lastStr : settledThrough;
+  } else {
+    from = entry.from;
+    to = entry.to;
+    if (startStr < entry.from) {
+      const headEnd = parseISODate(entry.from);
+      const head = await fetchYahooDailyRange(symbol, startInclusive, headEnd, { client });
+      Object.assign(closeByDate, head.closeByDate);
+      from = startStr;
+    }
+    for (const [date, v] of Object.entries(entry.values)) {
+      if (date >= startStr && date <= lastStr) closeByDate[date] = v;
+    }
+    if (lastStr > entry.to) {
+      const tailStart = addDays(parseISODate(entry.to), 1);
+      const tail = await fetchYahooDailyRange(symbol, tailStart, endExclusive, { client });
+      Object.assign(closeByDate, tail.closeByDate);
+      liveResult = tail.result;
+      const tailTo = lastStr < settledThrough ? lastStr : settledThrough;
+      if (tailTo > to) to = tailTo;
+    }
+  }
+
+  if (from && to && from <= to && (!hasEntry || from !== entry.from || to !== entry.to)) {
+    const values = hasEntry ? { ...entry.values } : {};
+    for (const [date, v] of Object.entries(closeByDate)) {
+      if (date >= from && date <= to) values[date] = v;
+    }
+    await cacheSet(key, { symbol, from, to, values });
+  }
+
+  return { closeByDate, liveResult };
+}
+
+// Daily closes plus the chart's live quote (`meta.regularMarketPrice`). `live` is null when the
+// whole range was served from the cache.
+async function fetchYahooDaily(symbol, startInclusive, endExclusive, { roundDecimals = null, client } = {}) {
+  const { closeByDate: raw, liveResult } = await fetchYahooDailyCached(symbol, startInclusive, endExclusive, {
+    client,
+  });
+
+  const closeByDate = {};
+  for (const date of Object.keys(raw).sort()) {
+    const v = toValue(raw[date], roundDecimals);
+    if (v !== null) closeByDate[date] = v;
+  }
+
+  return {
+    closeByDate,
+    live: liveResult ? extractLive(liveResult, roundDecimals) : { price: null, timestamp: null },
+  };
+}
+
+async function fetchYahooDailyCloses(symbol, startInclusive, endExclusive, options = {}) {
+  const { closeByDate } = await fetchYahooDaily(symbol, startInclusive, endExclusive, options);
+  return closeByDate;
+}
+
+async function fetchYahooIntraday(
+  symbol,
+  { interval, range, includePrePost = false, roundDecimals = null, client } = {}
+) {
+  const params = new URLSearchParams({
+    interval,
+    range: String(range),
+    includePrePost: includePrePost ? "true" : "false",
+  });
+
+  const result = await fetchYahooChart(symbol, params, { client });
+  const { timestamps, closes } = extractCloses(result, symbol, "intraday ");
+
+  const byTs = new Map();
+  for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
+    const ts = Number(timestamps[i]);
+    const v = toValue(closes[i], roundDecimals);
+    if (!Number.isFinite(ts) || v === null) continue;
+    byTs.set(ts, v);
+  }
+
+  return { byTs, timestamps, live: extractLive(result, roundDecimals) };
+}
+
+module.exports = {
+  YAHOO_CHART_URL,
+  fetchYahooChart,
+  fetchYahooDaily,
+  fetchYahooDailyCloses,
+  fetchYahooIntraday,
+};
@@ -0,0 +1,81 @@
+// Netlify Function: Metaculus metadata and community prediction for a registry question.
+//
+// `?question=<id>` picks the question from lib/questions; its `metaculusUrl` gives the post id. The
+// response carries the title, status, close/resolve times, resolution criteria and the community
+// prediction history (see lib/metaculus.js) so each tracker page can show it beside our estimate.
+
+const { getQuestion, summarizeQuestion } = require("./lib/questions");
+const { metaculusPostId, metaculusPostUrl, fetchMetaculusPost } = require("./lib/metaculus");
+
+const DEFAULT_CDN_CACHE_SECONDS = 10 * 60; // 10 minutes
+const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 60 * 60; // 1 hour
+
+function formatTimestampUtc(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return (
+    d.toLocaleString("en-US", {
+      timeZone: "UTC",
+      year: "numeric",
+      month: "long",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: true,
+    }) + " GMT"
+  );
+}
+
+function badRequest(error, message) {
+  return {
+    statusCode: 400,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(message ? { error, message } : { error }),
+  };
+}
+
+exports.handler = async (event = {}) => {
+  try {
+    const qs = event.queryStringParameters || {};
+    const question = getQuestion(qs.question);
+    if (!question) return badRequest("invalid_question");
+    const postId = metaculusPostId(question.metaculusUrl);
+    if (!postId) return badRequest("invalid_question", `${question.id} has no Metaculus URL`);
+
+    const fetchedAt = new Date().toISOString();
+    const metaculus = await fetchMetaculusPost(postId, { client: "metaculus-question" });
+
+    const body = {
+      question: summarizeQuestion(question),
+      metaculus,
+      fetchedAt,
+      lastUpdated: formatTimestampUtc(fetchedAt),
+      source: {
+        provider: "Metaculus",
+        url: metaculusPostUrl(postId),
+      },
+    };
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "public, max-age=0, must-revalidate",
+        "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
+      },
+      body: JSON.stringify(body),
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "no-store",
+      },
+      body: JSON.stringify({
+        error: "metaculus_question_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
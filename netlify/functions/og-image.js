@@ -0,0 +1,176 @@
+// Netlify Function: OpenGraph preview image with the current headline numbers of one tracker.
+//
+// `?tracker=<name>[&question=<id>][&format=png|svg]` (default PNG: Slack, X and Discord ignore SVG
+// og:images). The numbers come from the tracker function's own payload:
+// - fx-tracker: leader and its % change, then the next places.
+// - bond-yield: 10Y yield, move vs the baseline and the distance to both triggers.
+// - oil-calibrated: calibrated Brent − WTI spot spread and the last EIA print.
+// - ivv-holdings-weight: basket weight in IVV and the tickers.
+// When the tracker call fails the card says so instead of breaking the link preview.
+
+const { siteOrigin } = require("./lib/atom");
+const { resolveQuestion } = require("./lib/questions");
+const { COLORS, renderCardPng, renderCardSvg } = require("./lib/og-card");
+const { connectBlobs } = require("./lib/blobs");
+
+const DEFAULT_CDN_CACHE_SECONDS = 15 * 60; // 15 minutes
+const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
+const FALLBACK_CDN_CACHE_SECONDS = 5 * 60;
+
+const FORMATS = {
+  png: { contentType: "image/png", render: (card) => renderCardPng(card).toString("base64"), isBase64Encoded: true },
+  svg: { contentType: "image/svg+xml; charset=utf-8", render: renderCardSvg, isBase64Encoded: false },
+};
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function signed(v, digits) {
+  return `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(digits)}`;
+}
+
+// Per tracker: card title, extra query params for the tracker call, and payload -> `{ headline,
+// headlineColor?, lines, asOf }`.
+const CARDS = {
+  "fx-tracker": {
+    handler: () => require("./fx-tracker").handler,
+    title: "Currency leaderboard vs USD",
+    card(body) {
+      const standings = Array.isArray(body.standings) ? body.standings : [];
+      const leader = standings[0];
+      return {
+        headline: leader ? `${leader.code} ${signed(leader.pctChange, 2)}%` : "—",
+        headlineColor: leader ? (leader.pctChange >= 0 ? COLORS.up : COLORS.down) : null,
+        lines: [
+          `Change vs ${body.baselineDate} close (${body.quote})`,
+          ...standings.slice(1, 4).map((s, i) => `${i + 2}. ${s.code} ${signed(s.pctChange, 2)}%`),
+        ],
+        asOf: body.asOfDate,
+      };
+    },
+  },
+  "bond-yield": {
+    handler: () => require("./bond-yield").handler,
+    title: "German 10Y Bund yield",
+    card(body) {
+      const y = body.currentYield;
+      const lines = [];
+      if (isNum(y) && isNum(body.baselineYield)) {
+        lines.push(`${signed((y - body.baselineYield) * 100, 1)}bp vs ${body.baselineDate} baseline ${body.baselineYield.toFixed(2)}%`);
+        if (isNum(body.thresholdBp)) {
+          const upper = body.baselineYield + body.thresholdBp / 100;
+          const lower = body.baselineYield - body.thresholdBp / 100;
+          lines.push(`Upper trigger ${upper.toFixed(2)}%: ${((upper - y) * 100).toFixed(1)}bp away`);
+          lines.push(`Lower trigger ${lower.toFixed(2)}%: ${((y - lower) * 100).toFixed(1)}bp away`);
+        }
+      }
+      return { headline: isNum(y) ? `${y.toFixed(2)}%` : "—", lines, asOf: body.asOfDate };
+    },
+  },
+  "oil-calibrated": {
+    handler: () => require("./oil-calibrated").handler,
+    title: "Brent − WTI spot spread",
+    card(body) {
+      const spread = body.spread || {};
+      const lines = ["Calibrated spot spread (futures + EIA basis)"];
+      if (isNum(spread.live_futures)) lines.push(`Futures spread $${spread.live_futures.toFixed(2)}`);
+      if (isNum(spread.last_eia)) lines.push(`Last EIA print $${spread.last_eia.toFixed(2)} (${spread.last_eia_date})`);
+      return {
+        headline: isNum(spread.calibrated) ? `$${spread.calibrated.toFixed(2)}` : "—",
+        lines,
+        asOf: typeof body.timestamp === "string" ? body.timestamp.slice(0, 10) : null,
+      };
+    },
+  },
+  "ivv-holdings-weight": {
+    handler: () => require("./ivv-holdings-weight").handler,
+    title: "AI basket weight in IVV",
+    // Recent snapshots only; the default window downloads months of holdings files.
+    params: { days: "10" },
+    card(body) {
+      const dates = Array.isArray(body.series?.dates) ? body.series.dates : [];
+      const total = Array.isArray(body.series?.total) ? body.series.total : [];
+      const latest = total.length ? total[total.length - 1] : null;
+      const previous = total.length > 1 ? total[total.length - 2] : null;
+      const lines = [];
+      if (Array.isArray(body.basket?.tickers)) lines.push(body.basket.tickers.join(", "));
+      if (isNum(latest) && isNum(previous)) lines.push(`${signed(latest - previous, 2)} pts vs previous snapshot`);
+      return {
+        headline: isNum(latest) ? `${latest.toFixed(2)}%` : "—",
+        lines,
+        asOf: dates.length ? dates[dates.length - 1] : null,
+      };
+    },
+  },
+};
+
+function badRequest(body) {
+  return {
+    statusCode: 400,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(body),
+  };
+}
+
+async function loadCard(cfg, tracker, qs, question) {
+  const res = await cfg.handler()({
+    httpMethod: "GET",
+    queryStringParameters: { ...(cfg.params || {}), ...(qs.question ? { question: question.id } : {}) },
+  });
+  const body = JSON.parse(res.body);
+  if (res.statusCode !== 200) {
+    throw new Error(`${tracker} returned ${res.statusCode}${body && body.message ? `: ${body.message}` : ""}`);
+  }
+  return cfg.card(body);
+}
+
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
+  const qs = event.queryStringParameters || {};
+  const tracker = typeof qs.tracker === "string" ? qs.tracker : "";
+  const cfg = CARDS[tracker] || null;
+  if (!cfg) return badRequest({ error: "invalid_tracker", trackers: Object.keys(CARDS) });
+  const format = FORMATS[qs.format || "png"] || null;
+  if (!format) return badRequest({ error: "invalid_format", formats: Object.keys(FORMATS) });
+  const question = resolveQuestion(qs, tracker);
+  if (!question) return badRequest({ error: "invalid_question" });
+
+  try {
+    let data = null;
+    let failed = false;
+    try {
+      data = await loadCard(cfg, tracker, qs, question);
+    } catch {
+      failed = true;
+      data = { headline: "—", lines: ["Live data temporarily unavailable"], asOf: null };
+    }
+
+    const host = siteOrigin(event).replace(/^https?:\/\//, "");
+    const footer = [data.asOf ? `As of ${data.asOf}` : null, host || null].filter(Boolean).join(" · ");
+    const body = format.render({ title: cfg.title, ...data, footer });
+    // Failed renders are cached briefly so the next unfurl retries soon.
+    const cdnSeconds = failed ? FALLBACK_CDN_CACHE_SECONDS : DEFAULT_CDN_CACHE_SECONDS;
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": format.contentType,
+        "Cache-Control": "public, max-age=0, must-revalidate",
+        "Netlify-CDN-Cache-Control": `public, max-age=${cdnSeconds}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
+        "Access-Control-Allow-Origin": "*",
+      },
+      body,
+      isBase64Encoded: format.isBase64Encoded,
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        error: "og_image_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
@@ -1,31 +1,50 @@
 // Netlify Function: Calibrated Brent/WTI spot estimates.
 // Ground truth: EIA spot (RBRTE, RWTC). Live input: Yahoo Finance futures (BZ=F, CL=F).
 //
-// Metaculus question: Brent - WTI spot on 2026-03-04 (EIA).
-// https://www.metaculus.com/questions/41689/brent-minus-wti-on-mar-4-2026/
-
-const EIA_ENDPOINT = "https://api.eia.gov/v2/petroleum/pri/spt/data/";
-const EIA_SERIES_WTI = "RWTC"; // WTI - Cushing, Oklahoma
-const EIA_SERIES_BRENT = "RBRTE"; // Brent - Europe
-
-const YAHOO_SYMBOL_WTI = "CL=F";
-const YAHOO_SYMBOL_BRENT = "BZ=F";
-
-const TARGET_DATE = "2026-03-04";
-const INTERPOLATION_DEADLINE = "2026-03-14";
-
-// UI tracking window (for charts). Keep explicit dates to avoid shifting as time passes.
-const TRACKING_YEAR_START = "2026-01-01";
-const TRACKING_PERIOD_START = "2026-02-01";
-
-const BASIS_HALF_LIFE_BUSINESS_DAYS = 3;
-const BASIS_LAMBDA = Math.pow(0.5, 1 / BASIS_HALF_LIFE_BUSINESS_DAYS); // ~0.794
-const BASIS_ALPHA = 1 - BASIS_LAMBDA; // ~0.206
+// Target date, interpolation deadline, tracking window and the EIA series / futures symbols
+// (`instrument.eia`, `instrument.yahoo`) come from the question registry (`?question=`, default:
+// Brent - WTI spot on 2026-03-04).
+//
+// `forecast` is a predictive distribution for the spread on the target date (quantiles + a 201-point
+// CDF, see lib/spread-distribution.js). `cdfMin`/`cdfMax` pin the CDF grid, e.g. to the Metaculus
+// question's range.
+//
+// `?backtest=1` returns MAE/RMSE of the basis calibration per half-life and window instead (see
+// lib/basis.js); `halfLives=`, `windows=`, `lag=` and `days=` set the grid and replay period.
+
+const { resolveQuestion } = require("./lib/questions");
+const { parseISODate, toISODate, addDays } = require("./lib/dates");
+const { isBusinessDay, countBusinessDaysAfter, businessDatesBetween } = require("./lib/calendars");
+const { EIA_SPOT_URL, fetchEiaSpot } = require("./lib/eia");
+const { fetchYahooDaily, fetchYahooIntraday } = require("./lib/yahoo");
+const { buildSpreadDistribution, buildSpreadFan, resolvedDistribution } = require("./lib/spread-distribution");
+const { resolveSpotSpreadOnDate } = require("./lib/resolution");
+const { connectBlobs } = require("./lib/blobs");
+const {
+  DEFAULT_HALF_LIFE,
+  DEFAULT_WINDOW,
+  ewmaParams,
+  computeSmoothedBasis,
+  backtestBasisCalibration,
+} = require("./lib/basis");
+
+const YAHOO_OPTIONS = { roundDecimals: 2, client: "oil-calibrated" };
+
+const BASIS_HALF_LIFE_BUSINESS_DAYS = DEFAULT_HALF_LIFE;
+const { lambda: BASIS_LAMBDA, alpha: BASIS_ALPHA } = ewmaParams(BASIS_HALF_LIFE_BUSINESS_DAYS); // ~0.794 / ~0.206
 
 const EIA_FETCH_LENGTH = 200;
-const RAW_BASIS_WINDOW_DAYS = 10;
+const RAW_BASIS_WINDOW_DAYS = DEFAULT_WINDOW;
 const DAILY_FETCH_LOOKBACK_DAYS = 240;
 
+// `?backtest=1`: replay the basis calibration over past EIA prints (see lib/basis.js).
+const BACKTEST_HALF_LIVES = [1, 2, 3, 5, 8];
+const BACKTEST_WINDOWS = [5, 10, 20];
+const BACKTEST_DEFAULT_LAG = 1;
+const BACKTEST_DEFAULT_DAYS = 120;
+const BACKTEST_MAX_DAYS = 500;
+const BACKTEST_CDN_CACHE_SECONDS = 6 * 60 * 60; // 6 hours
+
 const INTRADAY_INTERVAL = "5m";
 const INTRADAY_RANGE = "1mo";
 
@@ -33,38 +52,6 @@ const DEFAULT_CDN_CACHE_SECONDS = 10 * 60; // 10 minutes
 const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
 const DEFAULT_STALE_IF_ERROR_SECONDS = 24 * 60 * 60; // 1 day
 
-function parseISODate(dateStr) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
-  if (!m) return null;
-  const year = Number(m[1]);
-  const month = Number(m[2]);
-  const day = Number(m[3]);
-  const date = new Date(Date.UTC(year, month - 1, day));
-  if (
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-  return date;
-}
-
-function toISODate(date) {
-  return date.toISOString().slice(0, 10);
-}
-
-function addDays(date, days) {
-  const d = new Date(date.getTime());
-  d.setUTCDate(d.getUTCDate() + days);
-  return d;
-}
-
-function isWeekday(date) {
-  const day = date.getUTCDay();
-  return day >= 1 && day <= 5;
-}
-
 function round2(v) {
   return Math.round(Number(v) * 100) / 100;
 }
@@ -85,196 +72,18 @@ function formatTimestampUtc(iso) {
   );
 }
 
-function businessDaysBetween(startDateStr, endDateStr) {
-  const start = parseISODate(startDateStr);
-  const end = parseISODate(endDateStr);
-  if (!start || !end) return null;
-  if (end < start) return 0;
-  let count = 0;
-  // Count weekdays from the day after start through end inclusive.
-  let cur = addDays(start, 1);
-  while (cur <= end) {
-    if (isWeekday(cur)) count += 1;
-    cur = addDays(cur, 1);
-  }
-  return count;
-}
-
-async function fetchEiaSpot({ apiKey, length }) {
-  const params = new URLSearchParams();
-  params.set("api_key", apiKey);
-  params.set("frequency", "daily");
-  params.set("data[0]", "value");
-  params.append("facets[series][]", EIA_SERIES_WTI);
-  params.append("facets[series][]", EIA_SERIES_BRENT);
-  params.set("sort[0][column]", "period");
-  params.set("sort[0][direction]", "desc");
-  params.set("length", String(length));
-
-  const url = `${EIA_ENDPOINT}?${params.toString()}`;
-  const res = await fetch(url, {
-    headers: { Accept: "application/json", "User-Agent": "Mozilla/5.0 (Netlify oil-calibrated)" },
-    signal: AbortSignal.timeout(15_000),
-  });
-  if (!res.ok) {
-    throw new Error(`EIA request failed: ${res.status} ${res.statusText}`);
-  }
-  const json = await res.json();
-  const rows = json?.response?.data;
-  if (!Array.isArray(rows)) throw new Error("EIA response missing response.data array");
-
-  const bySeries = {
-    [EIA_SERIES_WTI]: {},
-    [EIA_SERIES_BRENT]: {},
-  };
-
-  for (const row of rows) {
-    const series = row?.series;
-    const period = row?.period;
-    const value = row?.value;
-    if (series !== EIA_SERIES_WTI && series !== EIA_SERIES_BRENT) continue;
-    if (typeof period !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(period)) continue;
-    const dateObj = parseISODate(period);
-    if (!dateObj || !isWeekday(dateObj)) continue;
-    const v = round2(value);
-    if (!Number.isFinite(v)) continue;
-    bySeries[series][period] = v;
-  }
-
-  return { bySeries };
-}
-
-async function fetchYahooChart(symbol, params) {
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(
-    symbol
-  )}?${params.toString()}`;
-
-  const res = await fetch(url, {
-    headers: { Accept: "application/json", "User-Agent": `Mozilla/5.0 (Netlify oil-calibrated; ${symbol})` },
-    signal: AbortSignal.timeout(12_000),
-  });
-  if (!res.ok) {
-    throw new Error(`Yahoo request failed for ${symbol}: ${res.status} ${res.statusText}`);
-  }
-  const json = await res.json();
-
-  const chart = json?.chart;
-  if (!chart) throw new Error(`Yahoo response missing chart for ${symbol}`);
-  if (chart.error) throw new Error(`Yahoo chart error for ${symbol}: ${JSON.stringify(chart.error)}`);
-
-  const result = (chart.result && chart.result[0]) || null;
-  if (!result) throw new Error(`Yahoo response missing result for ${symbol}`);
-
-  return result;
-}
-
-async function fetchYahooDailyCloses(symbol, startInclusive, endExclusive) {
-  const period1 = Math.floor(startInclusive.getTime() / 1000);
-  const period2 = Math.floor(endExclusive.getTime() / 1000);
-
-  const params = new URLSearchParams({
-    period1: String(period1),
-    period2: String(period2),
-    interval: "1d",
-    events: "history",
-    includeAdjustedClose: "true",
-  });
-
-  const result = await fetchYahooChart(symbol, params);
-
-  const timestamps = result.timestamp || [];
-  const closes = result?.indicators?.quote?.[0]?.close || [];
-  if (!Array.isArray(timestamps) || !Array.isArray(closes)) {
-    throw new Error(`Yahoo response missing timestamp/close arrays for ${symbol}`);
-  }
-
-  const closeByDate = {};
-  for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
-    const ts = timestamps[i];
-    const close = closes[i];
-    if (close === null || close === undefined) continue;
-
-    const dateStr = new Date(ts * 1000).toISOString().slice(0, 10);
-    const dateObj = parseISODate(dateStr);
-    if (!dateObj || !isWeekday(dateObj)) continue;
-
-    const v = round2(close);
-    if (!Number.isFinite(v)) continue;
-    closeByDate[dateStr] = v;
-  }
-
-  const meta = result.meta || {};
-  const livePrice = round2(meta?.regularMarketPrice);
-  const liveTimeSec = Number(meta?.regularMarketTime);
-  const liveTimestamp = Number.isFinite(liveTimeSec)
-    ? new Date(liveTimeSec * 1000).toISOString()
-    : null;
-
-  return {
-    closeByDate,
-    live: {
-      price: Number.isFinite(livePrice) ? livePrice : null,
-      timestamp: liveTimestamp,
-    },
-  };
-}
-
-async function fetchYahooIntraday(symbol, { range, interval }) {
-  const params = new URLSearchParams({
-    interval,
-    range: String(range),
-    includePrePost: "false",
-  });
-
-  const result = await fetchYahooChart(symbol, params);
-  const timestamps = result.timestamp || [];
-  const closes = result?.indicators?.quote?.[0]?.close || [];
-  if (!Array.isArray(timestamps) || !Array.isArray(closes)) {
-    throw new Error(`Yahoo intraday response missing timestamp/close arrays for ${symbol}`);
-  }
-
-  const byTs = new Map();
-  for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
-    const ts = Number(timestamps[i]);
-    const close = closes[i];
-    if (!Number.isFinite(ts) || close === null || close === undefined) continue;
-    const v = round2(close);
-    if (!Number.isFinite(v)) continue;
-    byTs.set(ts, v);
+// Optional `cdfMin`/`cdfMax` query params. Returns `{ range }` or `{ error }`.
+function parseCdfRange(qs) {
+  const hasMin = typeof qs.cdfMin === "string" && qs.cdfMin !== "";
+  const hasMax = typeof qs.cdfMax === "string" && qs.cdfMax !== "";
+  if (!hasMin && !hasMax) return { range: null };
+  const min = hasMin ? Number(qs.cdfMin) : null;
+  const max = hasMax ? Number(qs.cdfMax) : null;
+  if ((hasMin && !Number.isFinite(min)) || (hasMax && !Number.isFinite(max))) {
+    return { error: "cdfMin/cdfMax must be numbers" };
   }
-
-  const meta = result.meta || {};
-  const livePrice = round2(meta?.regularMarketPrice);
-  const liveTimeSec = Number(meta?.regularMarketTime);
-  const liveTimestamp = Number.isFinite(liveTimeSec)
-    ? new Date(liveTimeSec * 1000).toISOString()
-    : null;
-
-  return {
-    byTs,
-    live: {
-      price: Number.isFinite(livePrice) ? livePrice : null,
-      timestamp: liveTimestamp,
-    },
-  };
-}
-
-function computeSmoothedBasis(rawBasisPointsAsc) {
-  const n = rawBasisPointsAsc.length;
-  if (n === 0) return { smoothed: null, method: "none" };
-  if (n < 3) {
-    const mean = rawBasisPointsAsc.reduce((a, p) => a + p.value, 0) / n;
-    return { smoothed: mean, method: "mean_cold_start" };
-  }
-
-  const initMean =
-    (rawBasisPointsAsc[0].value + rawBasisPointsAsc[1].value + rawBasisPointsAsc[2].value) / 3;
-  let smoothed = initMean;
-  for (let i = 3; i < n; i += 1) {
-    smoothed = BASIS_ALPHA * rawBasisPointsAsc[i].value + BASIS_LAMBDA * smoothed;
-  }
-
-  return { smoothed, method: "ewma_half_life_3bd" };
+  if (hasMin && hasMax && min >= max) return { error: "cdfMin must be < cdfMax" };
+  return { range: { min, max } };
 }
 
 function lastCommonDate(mapA, mapB) {
@@ -284,78 +93,150 @@ function lastCommonDate(mapA, mapB) {
   return common.length ? common.at(-1) : null;
 }
 
-function computeResolution({ eiaWtiByDate, eiaBrentByDate, nowDateStr }) {
-  const targetWti = eiaWtiByDate?.[TARGET_DATE];
-  const targetBrent = eiaBrentByDate?.[TARGET_DATE];
+// Comma-separated list param; `fallback` when absent, null when any entry is out of range.
+function parseNumberList(raw, { min, max, integer = false, fallback }) {
+  if (typeof raw !== "string" || raw === "") return fallback;
+  const values = raw.split(",").map((v) => Number(v.trim()));
+  const ok = values.every((v) => Number.isFinite(v) && v >= min && v <= max && (!integer || Number.isInteger(v)));
+  return ok && values.length <= 10 ? Array.from(new Set(values)).sort((a, b) => a - b) : null;
+}
 
-  const canExact = Number.isFinite(targetWti) && Number.isFinite(targetBrent);
-  if (canExact) {
-    return {
-      status: "exact",
-      targetDate: TARGET_DATE,
-      value: round2(targetBrent - targetWti),
-      legs: { brent: targetBrent, wti: targetWti },
-    };
-  }
+function parseIntParam(raw, { min, max, fallback }) {
+  if (typeof raw !== "string" || !raw) return fallback;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
 
-  // Only interpolate after the Metaculus deadline.
-  if (nowDateStr < INTERPOLATION_DEADLINE) {
+// `?backtest=1` params. Returns `{ params }` (null when not a backtest request) or `{ error }`.
+function parseBacktestParams(qs) {
+  if (qs.backtest !== "1" && qs.backtest !== "true") return { params: null };
+  const halfLives = parseNumberList(qs.halfLives, { min: 0.5, max: 30, fallback: BACKTEST_HALF_LIVES });
+  const windows = parseNumberList(qs.windows, { min: 3, max: 60, integer: true, fallback: BACKTEST_WINDOWS });
+  // lag counts aligned observations; lag=0 would score each day against a basis that already
+  // contains that day's EIA print.
+  const lag = parseIntParam(qs.lag, { min: 1, max: 10, fallback: BACKTEST_DEFAULT_LAG });
+  const days = parseIntParam(qs.days, { min: 20, max: BACKTEST_MAX_DAYS, fallback: BACKTEST_DEFAULT_DAYS });
+  if (!halfLives || !windows || lag === null || days === null) {
     return {
-      status: "pending",
-      targetDate: TARGET_DATE,
-      deadline: INTERPOLATION_DEADLINE,
-      reason: "EIA has not published both spot prices for the target date yet.",
+      error: `halfLives must be 0.5-30, windows 3-60 (up to 10 each, comma-separated), lag 1-10, days 20-${BACKTEST_MAX_DAYS}`,
     };
   }
+  return { params: { halfLives, windows, lag, days } };
+}
 
-  const commonDates = Object.keys(eiaWtiByDate || {})
-    .filter((d) => Number.isFinite(eiaWtiByDate[d]) && Number.isFinite(eiaBrentByDate?.[d]))
-    .sort();
-
-  const prev = commonDates.filter((d) => d < TARGET_DATE).at(-1) || null;
-  const next = commonDates.find((d) => d > TARGET_DATE) || null;
-  if (!prev || !next) {
-    return {
-      status: "unavailable",
-      targetDate: TARGET_DATE,
-      deadline: INTERPOLATION_DEADLINE,
-      reason: "Insufficient EIA data to interpolate (need dates on both sides of target).",
-    };
-  }
+function round4(v) {
+  return v === null ? null : Math.round(v * 1e4) / 1e4;
+}
 
-  const prevDate = parseISODate(prev);
-  const nextDate = parseISODate(next);
-  const tgtDate = parseISODate(TARGET_DATE);
-  if (!prevDate || !nextDate || !tgtDate) {
-    return {
-      status: "unavailable",
-      targetDate: TARGET_DATE,
-      deadline: INTERPOLATION_DEADLINE,
-      reason: "Internal date parse failure.",
-    };
-  }
+function roundErrors(row) {
+  const r = (e) => ({ mae: round4(e.mae), rmse: round4(e.rmse) });
+  return { n: row.n, wti: r(row.wti), brent: r(row.brent), spread: r(row.spread) };
+}
 
-  const t = (tgtDate.getTime() - prevDate.getTime()) / (nextDate.getTime() - prevDate.getTime());
-  const wti = eiaWtiByDate[prev] + t * (eiaWtiByDate[next] - eiaWtiByDate[prev]);
-  const brent = eiaBrentByDate[prev] + t * (eiaBrentByDate[next] - eiaBrentByDate[prev]);
+// Replays futures + smoothed basis for every (half-life, window) pair against later EIA prints.
+async function runBasisBacktest(question, apiKey, { halfLives, windows, lag, days }) {
+  const { eia: eiaSeries, yahoo: symbols } = question.instrument;
+  const fetchedAt = new Date().toISOString();
+  const observations = days + Math.max(...windows) + lag + 20;
+  const endExclusive = addDays(new Date(), 1);
+  const startInclusive = addDays(endExclusive, -Math.ceil(observations * 1.6));
+
+  const [eia, wtiDaily, brentDaily] = await Promise.all([
+    fetchEiaSpot({
+      apiKey,
+      series: [eiaSeries.wti, eiaSeries.brent],
+      length: 2 * observations,
+      client: "oil-calibrated",
+    }),
+    fetchYahooDaily(symbols.wti, startInclusive, endExclusive, YAHOO_OPTIONS),
+    fetchYahooDaily(symbols.brent, startInclusive, endExclusive, YAHOO_OPTIONS),
+  ]);
+
+  const bt = backtestBasisCalibration({
+    eia: { wti: eia.bySeries[eiaSeries.wti] || {}, brent: eia.bySeries[eiaSeries.brent] || {} },
+    futures: { wti: wtiDaily.closeByDate || {}, brent: brentDaily.closeByDate || {} },
+    halfLives,
+    windows,
+    lag,
+    evalDays: days,
+    calendar: question.instrument.calendar,
+  });
+  if (!bt.evalFrom) throw new Error("Not enough aligned EIA and futures history to backtest");
+
+  const results = bt.results.map((row) => ({
+    halfLife: row.halfLife,
+    window: row.window,
+    current: row.halfLife === BASIS_HALF_LIFE_BUSINESS_DAYS && row.window === RAW_BASIS_WINDOW_DAYS,
+    ...roundErrors(row),
+  }));
+  const best = results.reduce((a, r) => (!a || r.spread.rmse < a.spread.rmse ? r : a), null);
+
+  const body = {
+    timestamp: fetchedAt,
+    lastUpdated: formatTimestampUtc(fetchedAt),
+    metaculus: { id: question.id, url: question.metaculusUrl },
+    backtest: {
+      evalFrom: bt.evalFrom,
+      evalTo: bt.evalTo,
+      lag,
+      current: { halfLife: BASIS_HALF_LIFE_BUSINESS_DAYS, window: RAW_BASIS_WINDOW_DAYS },
+      best: { halfLife: best.halfLife, window: best.window, metric: "spread.rmse" },
+      results,
+      baseline: { description: "Futures close with no basis correction", ...roundErrors(bt.baseline) },
+      note:
+        "Errors (USD/bbl) of futures close + smoothed basis vs the EIA print for each evaluation day, using only EIA prints at least `lag` aligned observations (dates with both EIA prints and both futures closes) earlier.",
+    },
+    source: {
+      eia: { provider: "U.S. Energy Information Administration (EIA)", endpoint: EIA_SPOT_URL },
+      futures: { provider: "Yahoo Finance", symbols: { wti: symbols.wti, brent: symbols.brent } },
+    },
+  };
 
   return {
-    status: "interpolated",
-    targetDate: TARGET_DATE,
-    deadline: INTERPOLATION_DEADLINE,
-    value: round2(brent - wti),
-    interpolation: {
-      prevDate: prev,
-      nextDate: next,
-      t,
-      wti: round2(wti),
-      brent: round2(brent),
+    statusCode: 200,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "public, max-age=0, must-revalidate",
+      "Access-Control-Allow-Origin": "*",
+      "Netlify-CDN-Cache-Control": `public, max-age=${BACKTEST_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
     },
+    body: JSON.stringify(body),
   };
 }
 
-exports.handler = async () => {
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
   try {
+    const qs = event.queryStringParameters || {};
+    const question = resolveQuestion(qs, "oil-calibrated");
+    if (!question) {
+      return {
+        statusCode: 400,
+        headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+        body: JSON.stringify({ error: "invalid_question" }),
+      };
+    }
+    const { eia: eiaSeries, yahoo: symbols } = question.instrument;
+    const targetDate = question.resolution.targetDate;
+    const interpolationDeadline = question.resolution.interpolationDeadline;
+
+    const cdfRange = parseCdfRange(qs);
+    if (cdfRange.error) {
+      return {
+        statusCode: 400,
+        headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+        body: JSON.stringify({ error: "invalid_params", message: cdfRange.error }),
+      };
+    }
+    const backtest = parseBacktestParams(qs);
+    if (backtest.error) {
+      return {
+        statusCode: 400,
+        headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+        body: JSON.stringify({ error: "invalid_params", message: backtest.error }),
+      };
+    }
+
     const apiKey = process.env.EIA_API_KEY;
     if (!apiKey) {
       return {
@@ -368,6 +249,8 @@ exports.handler = async () => {
       };
     }
 
+    if (backtest.params) return await runBasisBacktest(question, apiKey, backtest.params);
+
     const fetchedAt = new Date().toISOString();
     const nowDateStr = toISODate(new Date());
 
@@ -375,21 +258,29 @@ exports.handler = async () => {
     const startInclusive = addDays(endExclusive, -DAILY_FETCH_LOOKBACK_DAYS);
 
     const [eia, wtiDaily, brentDaily] = await Promise.all([
-      fetchEiaSpot({ apiKey, length: EIA_FETCH_LENGTH }),
-      fetchYahooDailyCloses(YAHOO_SYMBOL_WTI, startInclusive, endExclusive),
-      fetchYahooDailyCloses(YAHOO_SYMBOL_BRENT, startInclusive, endExclusive),
+      fetchEiaSpot({
+        apiKey,
+        series: [eiaSeries.wti, eiaSeries.brent],
+        length: EIA_FETCH_LENGTH,
+        client: "oil-calibrated",
+      }),
+      fetchYahooDaily(symbols.wti, startInclusive, endExclusive, YAHOO_OPTIONS),
+      fetchYahooDaily(symbols.brent, startInclusive, endExclusive, YAHOO_OPTIONS),
     ]);
 
-    const eiaWtiByDate = eia.bySeries[EIA_SERIES_WTI] || {};
-    const eiaBrentByDate = eia.bySeries[EIA_SERIES_BRENT] || {};
+    const eiaWtiByDate = eia.bySeries[eiaSeries.wti] || {};
+    const eiaBrentByDate = eia.bySeries[eiaSeries.brent] || {};
 
-    // Raw basis window: last N common EIA dates where we also have the futures close.
+    // Raw basis window: last N common EIA dates where we also have the futures close. Holiday rows
+    // (stale futures closes, EIA prints with no settlement behind them) are left out, so the
+    // half-life counts settlement days.
     const commonEiaDates = Object.keys(eiaWtiByDate)
       .filter((d) => Number.isFinite(eiaWtiByDate[d]) && Number.isFinite(eiaBrentByDate?.[d]))
       .sort();
 
     const basisDates = commonEiaDates
       .filter((d) => Number.isFinite(wtiDaily.closeByDate?.[d]) && Number.isFinite(brentDaily.closeByDate?.[d]))
+      .filter((d) => isBusinessDay(question.instrument.calendar, d))
       .slice(-RAW_BASIS_WINDOW_DAYS);
 
     const rawBasisWtiAsc = [];
@@ -437,12 +328,14 @@ exports.handler = async () => {
         : null;
 
     const mostRecentBasisDate = basisDates.length ? basisDates.at(-1) : null;
-    const basisAgeDays = mostRecentBasisDate ? businessDaysBetween(mostRecentBasisDate, nowDateStr) : null;
+    const basisAgeDays = mostRecentBasisDate
+      ? countBusinessDaysAfter(question.instrument.calendar, mostRecentBasisDate, nowDateStr)
+      : null;
 
     const basisSpread = smoothedBasisBrent - smoothedBasisWti;
 
-    const yearStartStr = TRACKING_YEAR_START;
-    const periodStartStr = TRACKING_PERIOD_START;
+    const yearStartStr = question.window.yearStart;
+    const periodStartStr = question.window.start;
 
     const dailyCommonDates = Object.keys(wtiDaily.closeByDate || {})
       .filter((d) => Number.isFinite(wtiDaily.closeByDate[d]) && Number.isFinite(brentDaily.closeByDate?.[d]))
@@ -494,8 +387,8 @@ exports.handler = async () => {
       for (const attempt of attempts) {
         try {
           [wtiIntra, brentIntra] = await Promise.all([
-            fetchYahooIntraday(YAHOO_SYMBOL_WTI, attempt),
-            fetchYahooIntraday(YAHOO_SYMBOL_BRENT, attempt),
+            fetchYahooIntraday(symbols.wti, { ...attempt, ...YAHOO_OPTIONS }),
+            fetchYahooIntraday(symbols.brent, { ...attempt, ...YAHOO_OPTIONS }),
           ]);
           intraday.interval = attempt.interval;
           intraday.range = attempt.range;
@@ -550,15 +443,49 @@ exports.handler = async () => {
       return Date.now() - t > 60 * 60 * 1000; // > 1 hour since last futures update
     })();
 
-    const resolution = computeResolution({ eiaWtiByDate, eiaBrentByDate, nowDateStr });
+    const resolution = resolveSpotSpreadOnDate({
+      eiaWtiByDate,
+      eiaBrentByDate,
+      nowDateStr,
+      targetDate,
+      interpolationDeadline,
+      series: { wti: eiaSeries.wti, brent: eiaSeries.brent },
+    });
+
+    // Predictive distribution for the target-date spread. Best-effort: the point estimates above are
+    // still returned if there is not enough history for it.
+    let forecast;
+    try {
+      const resolved = resolution.status === "exact" || resolution.status === "interpolated";
+      const model = {
+        center: calibratedBrent - calibratedWti,
+        observedAsc: commonEiaDates.map((d) => eiaBrentByDate[d] - eiaWtiByDate[d]),
+        horizon: countBusinessDaysAfter(question.instrument.calendar, nowDateStr, targetDate),
+        basisResiduals: rawBasisBrentAsc.map((p, i) => p.value - rawBasisWtiAsc[i].value - basisSpread),
+      };
+      const dist = resolved
+        ? resolvedDistribution(resolution.value, { range: cdfRange.range })
+        : buildSpreadDistribution({ ...model, range: cdfRange.range });
+
+      // Fan bands for each business day from tomorrow to the target date.
+      const fanDates = businessDatesBetween(question.instrument.calendar, nowDateStr, targetDate);
+      const fan = resolved
+        ? []
+        : buildSpreadFan(model).map((row, i) => ({ date: fanDates[i], ...row }));
+
+      forecast = { status: resolved ? "resolved" : "forecast", targetDate, ...dist, fan };
+    } catch (err) {
+      forecast = { status: "unavailable", targetDate, reason: err instanceof Error ? err.message : String(err) };
+    }
 
     const body = {
       timestamp: fetchedAt,
       lastUpdated: formatTimestampUtc(fetchedAt),
       metaculus: {
-        url: "https://www.metaculus.com/questions/41689/brent-minus-wti-on-mar-4-2026/",
-        targetDate: TARGET_DATE,
-        interpolationDeadline: INTERPOLATION_DEADLINE,
+        id: question.id,
+        url: question.metaculusUrl,
+        targetDate,
+        interpolationDeadline,
         resolution,
       },
       wti: {
@@ -597,6 +524,7 @@ exports.handler = async () => {
           brent: rawBasisBrentAsc.map((p) => ({ date: p.date, raw_basis: round2(p.value), eia_spot: p.eiaSpot, futures_settle: p.futuresSettle })),
         },
       },
+      forecast,
       history: {
         year_start: yearStartStr,
         period_start: periodStartStr,
@@ -606,16 +534,13 @@ exports.handler = async () => {
       source: {
         eia: {
           provider: "U.S. Energy Information Administration (EIA)",
-          endpoint: EIA_ENDPOINT,
-          series: {
-            wti: EIA_SERIES_WTI,
-            brent: EIA_SERIES_BRENT,
-          },
+          endpoint: EIA_SPOT_URL,
+          series: { wti: eiaSeries.wti, brent: eiaSeries.brent },
         },
         futures: {
           provider: "Yahoo Finance",
           method: "chart",
-          symbols: { wti: YAHOO_SYMBOL_WTI, brent: YAHOO_SYMBOL_BRENT },
+          symbols: { wti: symbols.wti, brent: symbols.brent },
         },
       },
     };
@@ -625,6 +550,7 @@ exports.handler = async () => {
       headers: {
         "Content-Type": "application/json; charset=utf-8",
         "Cache-Control": "public, max-age=0, must-revalidate",
+        "Access-Control-Allow-Origin": "*",
         "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}, stale-if-error=${DEFAULT_STALE_IF_ERROR_SECONDS}`,
       },
       body: JSON.stringify(body),
@@ -0,0 +1,112 @@
+// Netlify Function: resolution of every registered question, evaluated the same way for all trackers
+// (see lib/resolution.js).
+//
+// `?question=<id>` evaluates one question; without it every question in the registry is evaluated.
+// Each entry is an audit record: the resolved (or provisional) value, the rule applied, the source
+// observations it was derived from and when it was evaluated. An upstream failure for one question is
+// reported as `status: "unavailable"` on that entry rather than failing the whole response.
+
+const { QUESTIONS, getQuestion, summarizeQuestion } = require("./lib/questions");
+const { RULE_DESCRIPTIONS, evaluateQuestion } = require("./lib/resolution");
+const { connectBlobs } = require("./lib/blobs");
+
+const DEFAULT_CDN_CACHE_SECONDS = 10 * 60; // 10 minutes
+const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 60 * 60; // 1 hour
+
+function formatTimestampUtc(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return (
+    d.toLocaleString("en-US", {
+      timeZone: "UTC",
+      year: "numeric",
+      month: "long",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: true,
+    }) + " GMT"
+  );
+}
+
+function badRequest(error, message) {
+  return {
+    statusCode: 400,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(message ? { error, message } : { error }),
+  };
+}
+
+async function auditQuestion(question) {
+  const r = question.resolution || {};
+  const rule = {
+    id: r.rule || null,
+    description: RULE_DESCRIPTIONS[r.rule] || null,
+    source: r.source || null,
+    roundDecimals: r.roundDecimals ?? null,
+    targetDate: r.targetDate || null,
+    deadline: r.interpolationDeadline || r.resolvesAt || null,
+  };
+  let result;
+  try {
+    result = await evaluateQuestion(question, { client: "resolution" });
+  } catch (err) {
+    result = {
+      status: "unavailable",
+      value: null,
+      reason: err instanceof Error ? err.message : String(err),
+      observations: [],
+    };
+  }
+  const { status, value, reason, observations, ...details } = result;
+  return {
+    question: summarizeQuestion(question),
+    tracker: question.tracker,
+    rule,
+    status,
+    value: value ?? null,
+    ...(reason ? { reason } : {}),
+    details,
+    observations,
+    evaluatedAt: new Date().toISOString(),
+  };
+}
+
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
+  try {
+    const qs = event.queryStringParameters || {};
+    let questions = QUESTIONS;
+    if (typeof qs.question === "string" && qs.question) {
+      const question = getQuestion(qs.question);
+      if (!question) return badRequest("invalid_question");
+      questions = [question];
+    }
+
+    const fetchedAt = new Date().toISOString();
+    const resolutions = await Promise.all(questions.map(auditQuestion));
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "public, max-age=0, must-revalidate",
+        "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
+      },
+      body: JSON.stringify({
+        resolutions,
+        fetchedAt,
+        lastUpdated: formatTimestampUtc(fetchedAt),
+      }),
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        error: "resolution_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
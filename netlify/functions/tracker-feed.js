@@ -0,0 +1,189 @@
+// Netlify Function: Atom feed of data changes for one tracker.
+//
+// `?tracker=<name>[&question=<id>]`. One entry per new observation, taken from the tracker's own
+// payload so no state is needed:
+// - fx-tracker: each new `asOfDate` (common close across the currencies) with the leader that day.
+// - bond-yield: each new Bundesbank `asOfDate` with the yield of the question's tenor and its move
+//   from the baseline.
+// - oil-calibrated: each new EIA spot print for both legs, with the spread.
+// - ivv-holdings-weight: each new iShares holdings snapshot with the basket weight.
+// Entry ids are `tag:` URIs of (tracker, question, date); see lib/atom.js.
+
+const { tagId, siteOrigin, renderAtomFeed } = require("./lib/atom");
+const { DEFAULT_QUESTION_BY_TRACKER, resolveQuestion } = require("./lib/questions");
+const { connectBlobs } = require("./lib/blobs");
+
+const MAX_ENTRIES = 30;
+
+const DEFAULT_CDN_CACHE_SECONDS = 60 * 60; // 1 hour
+const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 24 * 60 * 60; // 1 day
+
+function signed(v, digits) {
+  return `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(digits)}`;
+}
+
+// Per tracker: the page it feeds, extra query params for the tracker call, and how to turn its payload
+// (and the resolved question) into `[{ date, title, content }]` (any order).
+const FEEDS = {
+  "fx-tracker": {
+    handler: () => require("./fx-tracker").handler,
+    page: "february-2026-currency-tracker.html",
+    observations(body) {
+      const { dates, pct } = body.series || {};
+      if (!Array.isArray(dates)) return [];
+      const codes = Object.keys(pct || {});
+      // Index 0 is the baseline date.
+      return dates.slice(1).map((date, i) => {
+        const ranked = codes
+          .map((code) => ({ code, value: pct[code][i + 1] }))
+          .filter((r) => Number.isFinite(r.value))
+          .sort((a, b) => b.value - a.value);
+        const leader = ranked[0];
+        return {
+          date,
+          title: leader ? `${date}: ${leader.code} leads at ${signed(leader.value, 2)}%` : `${date}: new closes`,
+          content: `Change vs ${body.baselineDate} close (${body.quote}): ${ranked
+            .map((r) => `${r.code} ${signed(r.value, 2)}%`)
+            .join(", ")}.`,
+        };
+      });
+    },
+  },
+  "bond-yield": {
+    handler: () => require("./bond-yield").handler,
+    page: "german-bond-tracker.html",
+    observations(body, question) {
+      const tenor = question.instrument.tenor;
+      return (body.series || [])
+        .filter((p) => p.date > body.baselineDate && Number.isFinite(p.yield))
+        .map((p) => {
+          const moveBp = Number.isFinite(body.baselineYield) ? (p.yield - body.baselineYield) * 100 : null;
+          const move = moveBp === null ? "" : ` (${signed(moveBp, 1)}bp vs ${body.baselineDate})`;
+          return {
+            date: p.date,
+            title: `${p.date}: ${tenor} Bund ${p.yield.toFixed(2)}%${move}`,
+            content: `Deutsche Bundesbank ${tenor} yield ${p.yield.toFixed(2)}% on ${p.date}${move}.${
+              Number.isFinite(body.thresholdBp) ? ` Trigger: ±${body.thresholdBp}bp.` : ""
+            }`,
+          };
+        });
+    },
+  },
+  "oil-calibrated": {
+    handler: () => require("./oil-calibrated").handler,
+    page: "brent-wti-spread-tracker.html",
+    observations(body) {
+      const { dates, eia_spread: eiaSpread, futures_spread: futuresSpread } = body.history?.daily || {};
+      if (!Array.isArray(dates)) return [];
+      return dates
+        .map((date, i) => ({ date, spread: eiaSpread[i], futures: futuresSpread[i] }))
+        .filter((p) => Number.isFinite(p.spread))
+        .map((p) => ({
+          date: p.date,
+          title: `${p.date}: EIA Brent − WTI spot spread $${p.spread.toFixed(2)}`,
+          content: `New EIA spot print for ${p.date}: Brent − WTI $${p.spread.toFixed(2)}/bbl (futures spread $${
+            Number.isFinite(p.futures) ? p.futures.toFixed(2) : "n/a"
+          }).`,
+        }));
+    },
+  },
+  "ivv-holdings-weight": {
+    handler: () => require("./ivv-holdings-weight").handler,
+    page: "ivv-basket-weight-tracker.html",
+    // Recent snapshots only; the default window downloads months of holdings files. `stride=1` keeps
+    // every snapshot: dates before Jan 1 would otherwise be sampled, so January feeds would skip some.
+    params: { days: "45", stride: "1" },
+    observations(body) {
+      const { dates, total } = body.series || {};
+      if (!Array.isArray(dates)) return [];
+      const tickers = body.basket?.tickers;
+      const basket = Array.isArray(tickers) && tickers.length ? tickers.join(", ") : "basket";
+      return dates
+        .map((date, i) => ({ date, weight: total[i] }))
+        .filter((p) => Number.isFinite(p.weight))
+        .map((p) => ({
+          date: p.date,
+          title: `${p.date}: basket weight ${p.weight.toFixed(2)}% of IVV`,
+          content: `iShares holdings snapshot as of ${p.date}: ${basket} make up ${p.weight.toFixed(2)}% of IVV.`,
+        }));
+    },
+  },
+};
+
+exports.handler = async (event = {}) => {
+  connectBlobs(event);
+  try {
+    const qs = event.queryStringParameters || {};
+    const tracker = typeof qs.tracker === "string" ? qs.tracker : "";
+    const feed = FEEDS[tracker] || null;
+    if (!feed) {
+      return {
+        statusCode: 400,
+        headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+        body: JSON.stringify({ error: "invalid_tracker", trackers: Object.keys(FEEDS) }),
+      };
+    }
+    const question = resolveQuestion(qs, tracker);
+    if (!question) {
+      return {
+        statusCode: 400,
+        headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+        body: JSON.stringify({ error: "invalid_question" }),
+      };
+    }
+
+    const res = await feed.handler()({
+      httpMethod: "GET",
+      queryStringParameters: { ...(feed.params || {}), ...(qs.question ? { question: question.id } : {}) },
+    });
+    const body = JSON.parse(res.body);
+    if (res.statusCode !== 200) {
+      throw new Error(`${tracker} returned ${res.statusCode}${body && body.message ? `: ${body.message}` : ""}`);
+    }
+
+    const origin = siteOrigin(event);
+    const pageUrl = `${origin}/${feed.page}`;
+    const selfQuery = `tracker=${encodeURIComponent(tracker)}${
+      question.id !== DEFAULT_QUESTION_BY_TRACKER[tracker] ? `&question=${encodeURIComponent(question.id)}` : ""
+    }`;
+    const entries = feed
+      .observations(body, question)
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+      .slice(0, MAX_ENTRIES)
+      .map((o) => ({
+        id: tagId(tracker, question.id, o.date),
+        title: o.title,
+        updated: o.date,
+        link: pageUrl,
+        content: o.content,
+      }));
+
+    const xml = renderAtomFeed({
+      id: tagId(tracker, question.id),
+      title: `${question.title} — data updates`,
+      subtitle: `New observations from ${tracker}`,
+      selfUrl: `${origin}/.netlify/functions/tracker-feed?${selfQuery}`,
+      alternateUrl: pageUrl,
+      entries,
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/atom+xml; charset=utf-8",
+        "Cache-Control": "public, max-age=0, must-revalidate",
+        "Netlify-CDN-Cache-Control": `public, max-age=${DEFAULT_CDN_CACHE_SECONDS}, stale-while-revalidate=${DEFAULT_STALE_WHILE_REVALIDATE_SECONDS}`,
+      },
+      body: xml,
+    };
+  } catch (err) {
+    return {
+      statusCode: 502,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+      body: JSON.stringify({
+        error: "tracker_feed_failed",
+        message: err instanceof Error ? err.message : String(err),
+      }),
+    };
+  }
+};
@@ -0,0 +1,203 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  RULE_EVALUATORS,
+  configureAlerts,
+  getAlertStore,
+  questionLastDate,
+  runAlerts,
+  readAlertLog,
+} = require("../netlify/functions/lib/alerts");
+const { getQuestion } = require("../netlify/functions/lib/questions");
+
+test("alert rules fire on transitions only", () => {
+  const near = { id: "near-trigger", type: "trigger_distance", withinBp: 3 };
+  const question = getQuestion("bund-10y-2026-02");
+  const bund = { baselineYield: 2.8, thresholdBp: 10, asOfDate: "2026-02-10" };
+  const far = RULE_EVALUATORS.trigger_distance(near, { ...bund, currentYield: 2.8 }, {}, question);
+  assert.deepEqual(far.events, []);
+  const close = RULE_EVALUATORS.trigger_distance(near, { ...bund, currentYield: 2.88 }, far.state, question);
+  assert.equal(close.events.length, 1);
+  assert.equal(close.events[0].key, "upper:2026-02-10");
+  assert.match(close.events[0].text, /^10Y Bund yield 2\.88% is 2bp from the upper trigger 2\.90%/);
+  const still = RULE_EVALUATORS.trigger_distance(near, { ...bund, currentYield: 2.91 }, close.state, question);
+  assert.deepEqual(still.events, []);
+  // The tenor comes from the question (or the payload), not a fixed label.
+  const twoYear = { ...question, instrument: { ...question.instrument, tenor: "2Y" } };
+  const short = RULE_EVALUATORS.trigger_distance(near, { ...bund, currentYield: 2.88 }, {}, twoYear);
+  assert.match(short.events[0].text, /^2Y Bund yield 2\.88%/);
+  const curve = RULE_EVALUATORS.trigger_distance(near, { ...bund, tenor: "30Y", currentYield: 2.88 }, {}, question);
+  assert.match(curve.events[0].text, /^30Y Bund yield/);
+
+  const leader = { id: "leader-change", type: "leader_change" };
+  const first = RULE_EVALUATORS.leader_change(leader, { leader: { code: "JPY", pctChange: 1.2 }, asOfDate: "2026-02-10" }, {});
+  assert.deepEqual(first.events, []);
+  const changed = RULE_EVALUATORS.leader_change(leader, { leader: { code: "CHF", pctChange: -1.5 }, asOfDate: "2026-02-11" }, first.state);
+  assert.equal(changed.events[0].text, "FX leader changed: JPY → CHF at −1.50% (as of 2026-02-11).");
+
+  const move = { id: "spread-move", type: "spread_move", minChangeUsd: 0.5 };
+  const seed = RULE_EVALUATORS.spread_move(move, { spread: { calibrated: 4.1 }, timestamp: "t0" }, {});
+  assert.deepEqual(seed.events, []);
+  const small = RULE_EVALUATORS.spread_move(move, { spread: { calibrated: 4.5 }, timestamp: "t1" }, seed.state);
+  assert.deepEqual(small, { state: seed.state, events: [] });
+  const big = RULE_EVALUATORS.spread_move(move, { spread: { calibrated: 4.75 }, timestamp: "t2" }, small.state);
+  assert.match(big.events[0].text, /moved \+0\.65 to \$4\.75 since t0/);
+  assert.deepEqual(big.state, { reference: 4.75, referenceAt: "t2" });
+});
+
+test("runAlerts posts to a webhook receiver, dedupes repeats and keeps a local log", async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url === "/broken" ? 500 : 204);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-test-"));
+  configureAlerts({ backend: "fs", dir });
+  try {
+    const store = getAlertStore();
+    const bund = getQuestion("bund-10y-2026-02");
+    const fx = getQuestion("fx-2026-02");
+    const payloads = {
+      [bund.id]: { baselineYield: 2.8, thresholdBp: 10, currentYield: 2.89, asOfDate: "2026-02-10" },
+      [fx.id]: { leader: { code: "JPY", pctChange: 1.2 }, asOfDate: "2026-02-10" },
+    };
+    const run = (now) =>
+      runAlerts({
+        store,
+        questions: [bund, fx],
+        loadPayload: async (q) => payloads[q.id],
+        webhooks: [`${base}/hook`, `${base}/broken`],
+        now: new Date(now),
+      });
+
+    const first = await run("2026-02-10T12:00:00Z");
+    assert.deepEqual(
+      first.fired.map((f) => f.key),
+      ["bund-10y-2026-02/near-trigger/upper:2026-02-10"]
+    );
+    assert.deepEqual(first.fired[0].deliveries, [
+      { target: new URL(base).host, status: 204, ok: true },
+      { target: new URL(base).host, status: 500, ok: false },
+    ]);
+    assert.equal(received.length, 2);
+    assert.equal(received[0].body.text, received[0].body.content);
+    assert.match(received[0].body.text, /^.+: 10Y Bund yield 2\.89% is 1bp from the upper trigger 2\.90%/);
+
+    // Same reading again: still inside the zone, nothing new.
+    const second = await run("2026-02-10T12:15:00Z");
+    assert.deepEqual(second.fired, []);
+
+    // Lost state must not re-send within the dedupe window; a new leader fires.
+    await store.set("state", {
+      "fx-2026-02/leader-change": { leader: "CHF", asOfDate: "2026-02-09" },
+    });
+    const third = await run("2026-02-10T12:30:00Z");
+    assert.deepEqual(third.suppressed, ["bund-10y-2026-02/near-trigger/upper:2026-02-10"]);
+    assert.deepEqual(
+      third.fired.map((f) => f.key),
+      ["fx-2026-02/leader-change/JPY:2026-02-10"]
+    );
+    assert.equal(received.length, 4);
+
+    const log = await readAlertLog(store);
+    assert.deepEqual(
+      log.map((e) => [e.question, e.rule, e.firedAt]),
+      [
+        ["bund-10y-2026-02", "near-trigger", "2026-02-10T12:00:00.000Z"],
+        ["fx-2026-02", "leader-change", "2026-02-10T12:30:00.000Z"],
+      ]
+    );
+  } finally {
+    configureAlerts(null);
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("runAlerts skips questions past their resolution window", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-test-"));
+  configureAlerts({ backend: "fs", dir });
+  try {
+    const bund = getQuestion("bund-10y-2026-02");
+    const fx = getQuestion("fx-2026-02");
+    const oil = getQuestion("brent-wti-2026-03-04");
+    assert.equal(questionLastDate(bund), "2026-02-28");
+    assert.equal(questionLastDate(fx), "2026-03-01");
+    assert.equal(questionLastDate(oil), "2026-03-14");
+
+    const loaded = [];
+    const result = await runAlerts({
+      store: getAlertStore(),
+      questions: [bund, fx, oil],
+      loadPayload: async (q) => {
+        loaded.push(q.id);
+        return {};
+      },
+      webhooks: [],
+      now: new Date("2026-03-02T12:00:00Z"),
+    });
+    assert.deepEqual(result.skipped, ["bund-10y-2026-02", "fx-2026-02"]);
+    assert.deepEqual(loaded, ["brent-wti-2026-03-04"]);
+  } finally {
+    configureAlerts(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("alerts keeps its state in the Netlify Blobs store connected from the event", async () => {
+  const names = ["ALERTS", "ALERTS_DIR", "NETLIFY_BLOBS_CONTEXT"];
+  const saved = Object.fromEntries(names.map((name) => [name, process.env[name]]));
+  const originalFetch = global.fetch;
+  try {
+    for (const name of names) delete process.env[name];
+    configureAlerts(null);
+    const requests = [];
+    global.fetch = async (url, init = {}) => {
+      const method = (init.method || "GET").toUpperCase();
+      requests.push(`${method} ${url}`);
+      return new Response(null, { status: method === "PUT" ? 200 : 404 });
+    };
+
+    const { handler } = require("../netlify/functions/alerts");
+    const res = await handler({
+      blobs: Buffer.from(JSON.stringify({ url: "https://blobs.example", token: "tok-1" })).toString("base64"),
+      headers: { "x-nf-site-id": "site-1", "x-nf-deploy-id": "deploy-1" },
+    });
+    assert.equal(res.statusCode, 200);
+    // Every registered question has closed by now, so only the store is touched.
+    assert.deepEqual(JSON.parse(res.body).skipped.sort(), ["brent-wti-2026-03-04", "bund-10y-2026-02", "fx-2026-02"]);
+    const base = "https://blobs.example/site-1/site:alerts";
+    assert.deepEqual(requests, [`GET ${base}/state`, `GET ${base}/log`, `PUT ${base}/state`, `PUT ${base}/log`]);
+  } finally {
+    global.fetch = originalFetch;
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    configureAlerts(null);
+  }
+});
+
+test("alerts reports a missing store", async () => {
+  configureAlerts({ backend: "off" });
+  try {
+    const { handler } = require("../netlify/functions/alerts");
+    const res = await handler({});
+    assert.equal(res.statusCode, 502);
+    assert.equal(JSON.parse(res.body).error, "alerts_failed");
+  } finally {
+    configureAlerts(null);
+  }
+});
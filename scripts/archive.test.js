@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { configureArchive } = require("../netlify/functions/lib/archive");
+
+function makeBundesbankFixture(yieldByDate) {
+  const dates = Object.keys(yieldByDate).sort();
+  return {
+    data: {
+      dataSets: [
+        {
+          series: {
+            "0:0:0:0:0:0": {
+              observations: Object.fromEntries(dates.map((d, i) => [String(i), [yieldByDate[d]]])),
+            },
+          },
+        },
+      ],
+      structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+    },
+  };
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+test("archive-snapshots stores each tracker's payload and archive serves it back", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tracker-archive-test-"));
+  const originalFetch = global.fetch;
+  configureArchive({ backend: "fs", dir });
+  try {
+    // Only the Bundesbank answers; every other tracker fails and must not be stored.
+    global.fetch = async (url) => {
+      if (String(url).includes("bundesbank")) {
+        const json = makeBundesbankFixture({ "2026-01-30": 2.8, "2026-02-02": 2.85 });
+        return { ok: true, status: 200, statusText: "OK", json: async () => json };
+      }
+      return { ok: false, status: 503, statusText: "Service Unavailable" };
+    };
+
+    const { handler: capture } = require("../netlify/functions/archive-snapshots");
+    const run = await capture({});
+    assert.equal(run.statusCode, 200);
+    const summary = JSON.parse(run.body);
+    const date = todayIso();
+    assert.equal(summary.date, date);
+    assert.equal(summary.backend, "fs");
+    assert.deepEqual(summary.stored, ["bond-yield"]);
+    assert.deepEqual(
+      summary.failed.map((f) => f.tracker),
+      ["fx-tracker", "oil-calibrated", "ivv-holdings-weight", "ivv-live-basket"]
+    );
+
+    const { handler: archive } = require("../netlify/functions/archive");
+    const snap = await archive({ queryStringParameters: { tracker: "bond-yield", date } });
+    assert.equal(snap.statusCode, 200);
+    const record = JSON.parse(snap.body);
+    assert.equal(record.tracker, "bond-yield");
+    assert.equal(record.date, date);
+    assert.ok(record.capturedAt);
+    assert.equal(record.payload.question.id, "bund-10y-2026-02");
+
+    const list = JSON.parse((await archive({ queryStringParameters: { tracker: "bond-yield" } })).body);
+    assert.deepEqual(list, { tracker: "bond-yield", dates: [date] });
+    const all = JSON.parse((await archive({})).body);
+    assert.deepEqual(all.trackers["bond-yield"], [date]);
+    assert.deepEqual(all.trackers["fx-tracker"], []);
+
+    const missing = await archive({ queryStringParameters: { tracker: "fx-tracker", date } });
+    assert.equal(missing.statusCode, 404);
+    assert.equal(JSON.parse(missing.body).error, "snapshot_not_found");
+  } finally {
+    global.fetch = originalFetch;
+    configureArchive(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("archive-snapshots captures trackers in parallel and reports the ones over the time budget", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tracker-archive-test-"));
+  const originalFetch = global.fetch;
+  configureArchive({ backend: "fs", dir });
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  try {
+    // The Bundesbank answers at once; every other upstream never does.
+    global.fetch = (url) => {
+      if (String(url).includes("bundesbank")) {
+        const json = makeBundesbankFixture({ "2026-01-30": 2.8, "2026-02-02": 2.85 });
+        return Promise.resolve({ ok: true, status: 200, statusText: "OK", json: async () => json });
+      }
+      return new Promise(() => {});
+    };
+
+    const { handler: capture } = require("../netlify/functions/archive-snapshots");
+    const pending = capture({});
+    // Let bond-yield finish before the clock jumps: its snapshot file appears, then the write's
+    // completion callback needs a few more turns of the event loop.
+    const written = path.join(dir, "bond-yield", `${todayIso()}.json`);
+    let settledAt = null;
+    for (const started = Date.now(); Date.now() - started < 5000; ) {
+      if (settledAt === null && fs.existsSync(written)) settledAt = Date.now();
+      if (settledAt !== null && Date.now() - settledAt > 100) break;
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    // TIME_BUDGET_MS in archive-snapshots.js.
+    t.mock.timers.tick(25 * 1000);
+    const summary = JSON.parse((await pending).body);
+
+    assert.deepEqual(summary.stored, ["bond-yield"]);
+    // oil-calibrated fails at once without an EIA key; the hanging ones are cut off at the budget.
+    assert.deepEqual(summary.failed.map((f) => [f.tracker, f.message]), [
+      ["fx-tracker", "Timed out after 25s"],
+      ["oil-calibrated", "Missing EIA_API_KEY environment variable."],
+      ["ivv-holdings-weight", "Timed out after 25s"],
+      ["ivv-live-basket", "Timed out after 25s"],
+    ]);
+  } finally {
+    t.mock.timers.reset();
+    global.fetch = originalFetch;
+    configureArchive(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("archive validates params and reports an unconfigured archive", async () => {
+  configureArchive({ backend: "off" });
+  try {
+    const { handler } = require("../netlify/functions/archive");
+    const bad = await handler({ queryStringParameters: { tracker: "nope" } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_tracker");
+
+    const badDate = await handler({ queryStringParameters: { tracker: "bond-yield", date: "2026-02-30" } });
+    assert.equal(JSON.parse(badDate.body).error, "invalid_params");
+
+    const off = await handler({ queryStringParameters: { tracker: "bond-yield" } });
+    assert.equal(off.statusCode, 503);
+    assert.equal(JSON.parse(off.body).error, "archive_unavailable");
+  } finally {
+    configureArchive(null);
+  }
+});
+
+test("archive reads the Netlify Blobs store from the Blobs context in its event", async () => {
+  const names = ["TRACKER_ARCHIVE", "TRACKER_ARCHIVE_DIR", "NETLIFY_BLOBS_CONTEXT"];
+  const saved = Object.fromEntries(names.map((name) => [name, process.env[name]]));
+  const originalFetch = global.fetch;
+  try {
+    for (const name of names) delete process.env[name];
+    configureArchive(null);
+    const urls = [];
+    global.fetch = async (url) => {
+      urls.push(String(url));
+      return new Response(null, { status: 404 });
+    };
+
+    const { handler } = require("../netlify/functions/archive");
+    const res = await handler({
+      queryStringParameters: { tracker: "bond-yield", date: "2026-02-02" },
+      blobs: Buffer.from(JSON.stringify({ url: "https://blobs.example", token: "tok-1" })).toString("base64"),
+      headers: { "x-nf-site-id": "site-1", "x-nf-deploy-id": "deploy-1" },
+    });
+    assert.equal(res.statusCode, 404);
+    assert.equal(JSON.parse(res.body).error, "snapshot_not_found");
+    assert.deepEqual(urls, ["https://blobs.example/site-1/site:tracker-archive/bond-yield/2026-02-02"]);
+  } finally {
+    global.fetch = originalFetch;
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    configureArchive(null);
+  }
+});
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  calibrateDailyVolBp,
+  singleBarrierHitProbability,
+  doubleBarrierHitProbability,
+  breachProbabilities,
+} = require("../netlify/functions/lib/breach-probability");
+
+function weekdaysBefore(endExclusive, count) {
+  const out = [];
+  const d = new Date(`${endExclusive}T00:00:00Z`);
+  while (out.length < count) {
+    d.setUTCDate(d.getUTCDate() - 1);
+    const day = d.getUTCDay();
+    if (day >= 1 && day <= 5) out.unshift(d.toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+// Bundesbank SDMX-JSON shape for `{ date: yield }` (the adapter drops weekends itself).
+function makeBundesbankFixture(yieldByDate) {
+  const dates = Object.keys(yieldByDate).sort();
+  return {
+    data: {
+      dataSets: [
+        {
+          series: {
+            "0:0:0:0:0:0": {
+              observations: Object.fromEntries(dates.map((d, i) => [String(i), [yieldByDate[d]]])),
+            },
+          },
+        },
+      ],
+      structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+    },
+  };
+}
+
+test("barrier probabilities: closed form, monotonic in time, already-breached states", () => {
+  // No time or no volatility -> no breach; at/through the barrier -> certain.
+  assert.equal(singleBarrierHitProbability(10, 4, 0), 0);
+  assert.equal(singleBarrierHitProbability(0, 4, 5), 1);
+
+  const p5 = singleBarrierHitProbability(20, 4, 5);
+  const p20 = singleBarrierHitProbability(20, 4, 20);
+  assert.ok(p5 > 0 && p5 < p20 && p20 < 1);
+
+  const either = doubleBarrierHitProbability(20, 20, 4, 20);
+  assert.ok(either > p20 && either <= 2 * p20);
+
+  const probs = breachProbabilities({
+    changeBp: -21,
+    thresholdBp: 20,
+    dailyVolBp: 4,
+    remainingDays: 10,
+    breachedUpper: false,
+    breachedLower: true,
+  });
+  assert.equal(probs.lower, 1);
+  assert.equal(probs.either, 1);
+  assert.ok(probs.upper < 0.01);
+});
+
+test("calibrateDailyVolBp uses the RMS of the last N daily changes", () => {
+  const dates = weekdaysBefore("2026-01-31", 41);
+  const yieldByDate = Object.fromEntries(dates.map((d, i) => [d, i % 2 ? 2.83 : 2.85]));
+  const cal = calibrateDailyVolBp(yieldByDate, { lookback: 30 });
+  assert.equal(cal.observations, 30);
+  assert.ok(Math.abs(cal.dailyVolBp - 2) < 1e-9);
+  assert.equal(cal.to, dates.at(-1));
+  assert.equal(calibrateDailyVolBp(yieldByDate, { endDate: dates[10] }), null);
+});
+
+test("bond-breach-probability replays the month and projects the decay to the deadline", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const history = weekdaysBefore("2026-01-31", 300);
+    const yieldByDate = {};
+    history.forEach((d, i) => {
+      yieldByDate[d] = i % 2 ? 2.82 : 2.85; // ±3bp every day
+    });
+    yieldByDate["2026-01-30"] = 2.85;
+    Object.assign(yieldByDate, {
+      "2026-02-02": 2.9,
+      "2026-02-03": 2.96,
+      "2026-02-04": 3.05, // +20bp: upper trigger
+      "2026-02-05": 3.0,
+    });
+    const fixture = makeBundesbankFixture(yieldByDate);
+    let seenUrl = null;
+    global.fetch = async (url) => {
+      seenUrl = String(url);
+      return { ok: true, status: 200, statusText: "OK", json: async () => fixture };
+    };
+
+    const { handler } = require("../netlify/functions/bond-breach-probability");
+    const res = await handler({ queryStringParameters: {} });
+    assert.equal(res.statusCode, 200);
+    assert.match(seenUrl, /startPeriod=/);
+    const body = JSON.parse(res.body);
+
+    assert.equal(body.upperTrigger, 3.05);
+    assert.equal(body.lowerTrigger, 2.65);
+    assert.deepEqual(body.breach, { date: "2026-02-04", yield: 3.05, direction: "upper" });
+    assert.equal(body.probabilities.upper, 1);
+    assert.equal(body.probabilities.either, 1);
+    assert.equal(body.asOfDate, "2026-02-05");
+
+    assert.deepEqual(
+      body.series.map((p) => p.date),
+      ["2026-01-30", "2026-02-02", "2026-02-03", "2026-02-04", "2026-02-05"]
+    );
+    const [start, , day3] = body.series;
+    assert.equal(start.remainingTradingDays, 20);
+    assert.ok(start.either > 0 && start.either < 1);
+    assert.ok(Math.abs(start.upper - start.lower) < 1e-6);
+    // Moving toward the upper trigger raises P(upper) and lowers P(lower).
+    assert.ok(day3.upper > start.upper && day3.lower < start.lower);
+
+    assert.equal(body.projection.at(-1).date, "2026-02-27");
+    assert.equal(body.projection.at(-1).remainingTradingDays, 0);
+    assert.ok(body.projection.at(-1).lower < body.projection[0].lower);
+    assert.ok(body.calibration.dailyVolBp > 2.5 && body.calibration.dailyVolBp < 3.5);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("bond-breach-probability rejects an out-of-range lookback", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async () => {
+      throw new Error("fetch should not be called");
+    };
+    const { handler } = require("../netlify/functions/bond-breach-probability");
+    const res = await handler({ queryStringParameters: { lookback: "5" } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(JSON.parse(res.body).error, "invalid_params");
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
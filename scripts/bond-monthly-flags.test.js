@@ -81,3 +81,93 @@ test("bond-monthly-flags marks a month YES when ±20bp is breached", async () =>
   }
 });
 
+
+test("base-rate table counts breaches by direction and volatility regime", () => {
+  const { baseRateTable, regimeCutoffs, regimeOf } = require("../netlify/functions/lib/base-rates");
+  const months = [
+    { baselineYield: 2.0, minYield: 1.95, maxYield: 2.21, regime: "low" },
+    { baselineYield: 2.0, minYield: 1.85, maxYield: 2.05, regime: "high" },
+    { baselineYield: 2.0, minYield: 1.79, maxYield: 2.12, regime: "high" },
+    { baselineYield: 2.0, minYield: 1.99, maxYield: 2.01, regime: "normal" },
+  ];
+  const [ten, twenty] = baseRateTable(months, [10, 20]);
+  assert.deepEqual(
+    [ten.thresholdBp, ten.months, ten.either, ten.upper, ten.lower, ten.both],
+    [10, 4, 0.75, 0.5, 0.5, 0.25]
+  );
+  assert.deepEqual(ten.byRegime.high.counts, { either: 2, upper: 1, lower: 2, both: 1 });
+  assert.equal(ten.byRegime.normal.either, 0);
+  // 2.21 reaches the 2.20 trigger and 1.79 the 1.80 one.
+  assert.deepEqual([twenty.upper, twenty.lower, twenty.either, twenty.both], [0.25, 0.25, 0.5, 0]);
+
+  const cutoffs = regimeCutoffs([1, 2, 3, 4, 5, 6].map((v) => ({ trailingVolBp: v })));
+  assert.deepEqual(cutoffs, { lowMaxBp: 2.67, highMinBp: 4.33 });
+  assert.deepEqual([2, 3, 5, null].map((v) => regimeOf(v, cutoffs)), ["low", "normal", "high", null]);
+});
+
+test("bond-monthly-flags takes several thresholds and adds base rates on request", async () => {
+  const originalFetch = global.fetch;
+  try {
+    // Weekday closes from Aug 2024 to Mar 2025, oscillating with a growing amplitude.
+    const { parseISODate, toISODate, addDays, isWeekday } = require("../netlify/functions/lib/dates");
+    const byDate = {};
+    let i = 0;
+    for (let d = parseISODate("2024-08-01"); toISODate(d) <= "2025-03-31"; d = addDays(d, 1)) {
+      if (!isWeekday(d)) continue;
+      byDate[toISODate(d)] = Math.round((2.5 + (0.02 + i / 2000) * Math.sin(i / 3) * 10) * 100) / 100;
+      i += 1;
+    }
+    const dates = Object.keys(byDate);
+    const fixture = {
+      data: {
+        dataSets: [{ series: { "0:0:0:0:0:0": { observations: Object.fromEntries(dates.map((d, k) => [String(k), [byDate[d]]])) } } }],
+        structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+      },
+    };
+    const urls = [];
+    global.fetch = async (url) => {
+      urls.push(String(url));
+      return { ok: true, status: 200, statusText: "OK", json: async () => fixture };
+    };
+
+    const { handler } = require("../netlify/functions/bond-monthly-flags");
+    const res = await handler({
+      queryStringParameters: { startMonth: "2025-01", endMonth: "2025-03", thresholdBp: "10,20", baseRates: "1" },
+    });
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    // Four months of closes before the window feed the trailing volatility.
+    assert.match(urls[0], /startPeriod=2024-09-01/);
+    assert.equal(body.thresholdBp, 10);
+    assert.deepEqual(body.thresholds, [10, 20]);
+    assert.equal(body.months.length, 3);
+    for (const m of body.months) {
+      assert.deepEqual(Object.keys(m.breaches), ["10", "20"]);
+      assert.equal(m.status, m.breaches["10"] ? "YES" : "NO");
+      assert.ok(Number.isFinite(m.trailingVolBp) && m.trailingVolBp > 0);
+      assert.ok(["low", "normal", "high"].includes(m.regime));
+    }
+    // The amplitude grows, so the last month has the highest trailing volatility.
+    assert.equal(body.months[2].regime, "high");
+
+    const { baseRates } = body;
+    assert.deepEqual([baseRates.months, baseRates.firstMonth, baseRates.lastMonth], [3, "2025-01", "2025-03"]);
+    assert.deepEqual(baseRates.table.map((r) => r.thresholdBp), [10, 20]);
+    assert.equal(baseRates.current.asOfDate, "2025-03-31");
+    assert.equal(baseRates.current.regime, "high");
+    const yes10 = body.months.filter((m) => m.status === "YES").length;
+    assert.equal(baseRates.table[0].counts.either, yes10);
+
+    const plain = JSON.parse((await handler({ queryStringParameters: { startMonth: "2025-01", endMonth: "2025-01" } })).body);
+    assert.equal(plain.baseRates, null);
+    assert.deepEqual(plain.thresholds, [20]);
+
+    for (const thresholdBp of ["abc", "0", "600", "10,,x"]) {
+      const bad = await handler({ queryStringParameters: { thresholdBp } });
+      assert.equal(bad.statusCode, 400, thresholdBp);
+      assert.equal(JSON.parse(bad.body).error, "invalid_threshold");
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
@@ -57,6 +57,8 @@ test("bond-yield excludes non-trading-day placeholder points", async () => {
     const bond = require("../netlify/functions/bond-yield");
     const res = await bond.handler({}, {});
     assert.equal(res.statusCode, 200);
+    // Public JSON: embed.js reads it from other origins.
+    assert.equal(res.headers["Access-Control-Allow-Origin"], "*");
 
     const body = JSON.parse(res.body);
     assert.equal(body.baselineDate, "2026-01-30");
@@ -79,3 +81,102 @@ test("bond-yield excludes non-trading-day placeholder points", async () => {
   }
 });
 
+
+function makeSeriesFixture(yieldByDate) {
+  const dates = Object.keys(yieldByDate).sort();
+  return {
+    data: {
+      dataSets: [{ series: { "0:0:0:0:0:0": { observations: Object.fromEntries(dates.map((d, i) => [String(i), [yieldByDate[d]]])) } } }],
+      structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+    },
+  };
+}
+
+// Tenor -> { date: yield }; the 30Y series has not published Feb 05 yet.
+const CURVE_FIXTURES = {
+  WT0202: { "2026-01-29": 2.1, "2026-01-30": 2.12, "2026-02-02": 2.15, "2026-02-03": 2.2, "2026-02-05": 2.18 },
+  WT0505: { "2026-01-29": 2.4, "2026-01-30": 2.41, "2026-02-02": 2.44, "2026-02-03": 2.47, "2026-02-05": 2.46 },
+  WT1010: { "2026-01-29": 2.83, "2026-01-30": 2.85, "2026-02-02": 2.85, "2026-02-03": 2.88, "2026-02-05": 2.87 },
+  WT3030: { "2026-01-29": 3.45, "2026-01-30": 3.47, "2026-02-02": 3.5, "2026-02-03": 3.52 },
+};
+
+function mockCurveFetch(urls) {
+  return async (url) => {
+    urls.push(String(url));
+    const key = Object.keys(CURVE_FIXTURES).find((k) => String(url).includes(`000000${k}.A`));
+    assert.ok(key, `unexpected fetch url: ${url}`);
+    const json = makeSeriesFixture(CURVE_FIXTURES[key]);
+    return { ok: true, status: 200, statusText: "OK", json: async () => json };
+  };
+}
+
+test("bond-yield ?tenor= switches to another Bundesbank maturity", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const urls = [];
+    global.fetch = mockCurveFetch(urls);
+    const { handler } = require("../netlify/functions/bond-yield");
+
+    const res = await handler({ queryStringParameters: { tenor: "2y" } });
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.equal(body.tenor, "2Y");
+    assert.equal(body.seriesId, "BBSSY.D.REN.EUR.A630.000000WT0202.A");
+    assert.deepEqual([body.baselineYield, body.currentYield], [2.12, 2.18]);
+    // The ±20bp trigger belongs to the 10Y question.
+    assert.equal(body.thresholdBp, null);
+    assert.match(urls[0], /WT0202/);
+
+    const tenYear = JSON.parse((await handler({})).body);
+    assert.deepEqual([tenYear.tenor, tenYear.thresholdBp], ["10Y", 20]);
+
+    const bad = await handler({ queryStringParameters: { tenor: "7Y" } });
+    assert.equal(bad.statusCode, 400);
+    assert.deepEqual(JSON.parse(bad.body), { error: "invalid_tenor", tenors: ["2Y", "5Y", "10Y", "30Y"] });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("bond-curve returns every tenor on a date, the baseline curve and the 2s10s slope", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const urls = [];
+    global.fetch = mockCurveFetch(urls);
+    const { handler } = require("../netlify/functions/bond-curve");
+
+    const res = await handler({});
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.equal(urls.length, 4);
+    assert.ok(urls.every((u) => u.includes("startPeriod=2026-01-16")));
+    // Feb 05 lacks the 30Y print, so the latest complete curve is Feb 03.
+    assert.equal(body.asOfDate, "2026-02-03");
+    assert.equal(body.baselineCurveDate, "2026-01-30");
+    assert.deepEqual(
+      body.tenors.map((t) => [t.tenor, t.yield, t.baselineYield, t.changeBp]),
+      [
+        ["2Y", 2.2, 2.12, 8],
+        ["5Y", 2.47, 2.41, 6],
+        ["10Y", 2.88, 2.85, 3],
+        ["30Y", 3.52, 3.47, 5],
+      ]
+    );
+    assert.deepEqual(body.slope2s10s.series, [
+      { date: "2026-01-30", bp: 73 },
+      { date: "2026-02-02", bp: 70 },
+      { date: "2026-02-03", bp: 68 },
+    ]);
+    assert.deepEqual([body.slope2s10s.current, body.slope2s10s.baseline, body.slope2s10s.changeBp], [68, 73, -5]);
+
+    const onDate = JSON.parse((await handler({ queryStringParameters: { date: "2026-02-01" } })).body);
+    assert.equal(onDate.asOfDate, "2026-01-30");
+    assert.deepEqual(onDate.slope2s10s.series, [{ date: "2026-01-30", bp: 73 }]);
+
+    const bad = await handler({ queryStringParameters: { date: "2026-02-30" } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_date");
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
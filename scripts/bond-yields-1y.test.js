@@ -63,6 +63,10 @@ test("bond-yields-1y returns DE from Bundesbank and others from FRED", async ()
       "IRLTLT01GBD156N",
       "IRLTLT01FRD156N",
       "IRLTLT01ITD156N",
+      "IRLTLT01ESD156N",
+      "IRLTLT01NLD156N",
+      "IRLTLT01JPD156N",
+      "IRLTLT01CHD156N",
     ]);
 
     global.fetch = async (url) => {
@@ -75,7 +79,7 @@ test("bond-yields-1y returns DE from Bundesbank and others from FRED", async ()
         const idParam = parsed.searchParams.get("id");
         assert.ok(idParam, "missing FRED id param");
         const ids = idParam.split(",").filter(Boolean);
-        assert.ok(ids.length >= 2, "expected multiple FRED ids");
+        assert.equal(ids.length, 1, "expected one FRED series per request");
         for (const id of ids) assert.ok(fredSeries.has(id), `unexpected FRED series id: ${id}`);
         return { ok: true, status: 200, statusText: "OK", text: async () => makeFredCsvMulti(ids) };
       }
@@ -101,6 +105,46 @@ test("bond-yields-1y returns DE from Bundesbank and others from FRED", async ()
 
     // FRED series parsed.
     assert.deepEqual(body.series.US.map((p) => p.date), ["2026-02-02", "2026-02-03", "2026-02-04", "2026-02-05"]);
+    assert.deepEqual(Object.keys(body.countries), ["DE", "US", "GB", "FR", "IT", "ES", "NL", "JP", "CH"]);
+    assert.equal(body.errors, null);
+
+    // Spreads over the Bund on common dates (Jan 30 has no FRED print).
+    assert.deepEqual(Object.keys(body.spreads), ["IT-DE", "FR-DE", "ES-DE", "US-DE"]);
+    assert.equal(body.spreads["IT-DE"].name, "BTP − Bund");
+    assert.deepEqual(body.spreads["ES-DE"].series, [
+      { date: "2026-02-02", bp: 125 },
+      { date: "2026-02-03", bp: 124 },
+      { date: "2026-02-04", bp: 124 },
+      { date: "2026-02-05", bp: 123 },
+    ]);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("bond-yields-1y reports a failing FRED series under its own country", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const bundesbankFixture = makeBundesbankFixture();
+    global.fetch = async (url) => {
+      const u = String(url);
+      if (u.startsWith("https://api.statistiken.bundesbank.de/")) {
+        return { ok: true, status: 200, statusText: "OK", json: async () => bundesbankFixture };
+      }
+      const id = new URL(u).searchParams.get("id");
+      if (id === "IRLTLT01ESD156N") return { ok: false, status: 404, statusText: "Not Found" };
+      return { ok: true, status: 200, statusText: "OK", text: async () => makeFredCsvMulti([id]) };
+    };
+
+    const { handler } = require("../netlify/functions/bond-yields-1y");
+    const res = await handler({ queryStringParameters: { asof: "2026-02-05" } });
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.deepEqual(body.errors, { ES: "FRED request failed for IRLTLT01ESD156N: 404 Not Found" });
+    assert.deepEqual(body.series.ES, []);
+    assert.deepEqual(body.spreads["ES-DE"].series, []);
+    assert.equal(body.series.IT.length, 4);
+    assert.equal(body.spreads["IT-DE"].series.length, 4);
   } finally {
     global.fetch = originalFetch;
   }
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  easterSunday,
+  holidaysInYear,
+  holidayName,
+  isBusinessDay,
+  countBusinessDaysAfter,
+  businessDatesBetween,
+  lastBusinessDayOnOrBefore,
+  addBusinessDays,
+} = require("../netlify/functions/lib/calendars");
+
+test("holiday rules reproduce the published 2026 calendars", () => {
+  assert.equal(easterSunday(2024).toISOString().slice(0, 10), "2024-03-31");
+  assert.equal(easterSunday(2026).toISOString().slice(0, 10), "2026-04-05");
+
+  assert.deepEqual(Object.keys(holidaysInYear("TARGET2", 2026)), [
+    "2026-01-01",
+    "2026-04-03",
+    "2026-04-06",
+    "2026-05-01",
+    "2026-12-25",
+  ]);
+  assert.deepEqual(Object.keys(holidaysInYear("NYSE", 2026)), [
+    "2026-01-01",
+    "2026-01-19",
+    "2026-02-16",
+    "2026-04-03",
+    "2026-05-25",
+    "2026-06-19",
+    "2026-07-03", // July 4 is a Saturday
+    "2026-09-07",
+    "2026-11-26",
+    "2026-12-25",
+  ]);
+  // Boxing Day falls on a Saturday: ICE Futures Europe closes Monday the 28th instead.
+  assert.equal(holidayName("ICE_NYMEX", "2026-12-28"), "Boxing Day");
+  assert.deepEqual(Object.keys(holidaysInYear("FX", 2026)), ["2026-01-01", "2026-12-25"]);
+});
+
+test("observance rules move weekend holidays", () => {
+  // New Year's Day 2022 was a Saturday: NYSE stayed open on Dec 31, ICE closed on Jan 3.
+  assert.equal(isBusinessDay("NYSE", "2021-12-31"), true);
+  assert.equal(isBusinessDay("NYSE", "2022-01-03"), true);
+  assert.equal(isBusinessDay("ICE_NYMEX", "2022-01-03"), false);
+  // Juneteenth 2022 (Sunday) observed on Monday; not a holiday before 2022.
+  assert.equal(holidayName("NYSE", "2022-06-20"), "Juneteenth");
+  assert.equal(isBusinessDay("NYSE", "2021-06-18"), true);
+  // Christmas 2021 on a Saturday: US exchanges closed Friday the 24th, ICE Monday 27th and Tuesday 28th.
+  assert.deepEqual(
+    ["2021-12-24", "2021-12-27", "2021-12-28"].map((d) => holidayName("ICE_NYMEX", d)),
+    ["Christmas Day", "Christmas Day", "Boxing Day"]
+  );
+  assert.equal(holidayName("NYSE", "2025-01-09"), "National Day of Mourning (Jimmy Carter)");
+});
+
+test("NYSE lists its unscheduled closures back to 1998 and rejects earlier years", () => {
+  assert.deepEqual(businessDatesBetween("NYSE", "2001-09-07", "2001-09-17"), ["2001-09-10", "2001-09-17"]);
+  assert.equal(holidayName("NYSE", "2007-01-02"), "National Day of Mourning (Gerald Ford)");
+  assert.deepEqual(businessDatesBetween("NYSE", "2012-10-26", "2012-10-31"), ["2012-10-31"]);
+  assert.equal(holidayName("NYSE", "1998-01-19"), "Martin Luther King Jr. Day");
+  assert.throws(() => isBusinessDay("NYSE", "1997-12-31"), /NYSE holiday calendar starts in 1998, not 1997/);
+  assert.throws(() => businessDatesBetween("NYSE", "1997-12-24", "1998-01-05"), /starts in 1998/);
+});
+
+test("business-day counts skip weekends and holidays of the calendar", () => {
+  // Easter 2026: Good Friday closes everything, Easter Monday only TARGET2.
+  assert.equal(countBusinessDaysAfter("TARGET2", "2026-04-02", "2026-04-07"), 1);
+  assert.equal(countBusinessDaysAfter("NYSE", "2026-04-02", "2026-04-07"), 2);
+  assert.equal(countBusinessDaysAfter("FX", "2026-04-02", "2026-04-07"), 3);
+  assert.equal(countBusinessDaysAfter("NYSE", "2026-04-07", "2026-04-02"), 0);
+
+  assert.deepEqual(businessDatesBetween("NYSE", "2026-11-24", "2026-11-30"), ["2026-11-25", "2026-11-27", "2026-11-30"]);
+  assert.equal(lastBusinessDayOnOrBefore("TARGET2", "2026-12-27"), "2026-12-24");
+  assert.equal(lastBusinessDayOnOrBefore("FX", "2026-02-28"), "2026-02-27");
+  assert.equal(addBusinessDays("TARGET2", "2026-04-07", -1), "2026-04-02");
+  assert.equal(addBusinessDays("NYSE", "2026-04-02", 1), "2026-04-06");
+  assert.throws(() => isBusinessDay("LSE", "2026-01-02"), /Unknown holiday calendar: LSE/);
+});
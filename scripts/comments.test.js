@@ -62,3 +62,206 @@ test("comments lists submissions for a thread via Netlify API", async () => {
   }
 });
 
+
+function mockNetlifyApi({ visible = [], hidden = [] } = {}) {
+  const calls = [];
+  global.fetch = async (url, opts = {}) => {
+    const u = String(url);
+    const method = opts.method || "GET";
+    calls.push({ url: u, method, auth: opts.headers?.Authorization });
+    if (u.endsWith("/api/v1/sites/site_123/forms")) {
+      return {
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        json: async () => [
+          { id: "form_oil", name: "sf-comments-oil" },
+          { id: "form_ivv", name: "sf-comments-ivv" },
+        ],
+      };
+    }
+    if (u.includes("/api/v1/forms/form_oil/submissions")) {
+      const batch = u.includes("state=spam") ? hidden : visible;
+      return { ok: true, status: 200, statusText: "OK", json: async () => batch };
+    }
+    if (/\/api\/v1\/submissions\/sub_\w+(\/(spam|ham))?$/.test(u)) {
+      return { ok: true, status: 204, statusText: "No Content" };
+    }
+    throw new Error(`unexpected fetch url: ${method} ${url}`);
+  };
+  return calls;
+}
+
+const SPAMMY_SUBMISSIONS = [
+  { id: "sub_1", created_at: "2026-03-01T10:00:00.000Z", data: { handle: "SpreadWatcher", message: "Cushing stocks look tight." } },
+  {
+    id: "sub_2",
+    created_at: "2026-03-01T10:01:00.000Z",
+    data: { handle: "Linker", message: "see http://a.example http://b.example www.c.example" },
+  },
+  { id: "sub_3", created_at: "2026-03-01T10:02:00.000Z", data: { handle: "Echo", message: "Cushing  stocks look TIGHT." } },
+  { id: "sub_4", created_at: "2026-03-01T10:03:00.000Z", data: { handle: "Promo", message: "Best casino bonus here" } },
+  { id: "sub_5", created_at: "2026-03-01T10:04:00.000Z", data: { handle: "Trader", message: "Brent leg rolls on the 31st, see https://www.ice.com" } },
+];
+
+test("comments hides submissions that trip the spam heuristics on the oil thread", async () => {
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  const { resetFormsCache } = require("../netlify/functions/lib/comments");
+  try {
+    process.env.SITE_ID = "site_123";
+    process.env.NETLIFY_API_TOKEN = "token_abc";
+    resetFormsCache();
+    mockNetlifyApi({ visible: SPAMMY_SUBMISSIONS });
+
+    const fn = require("../netlify/functions/comments");
+    const res = await fn.handler({ httpMethod: "GET", queryStringParameters: { thread: "oil" } });
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.equal(body.formName, "sf-comments-oil");
+    assert.deepEqual(
+      body.comments.map((c) => c.id),
+      ["sub_1", "sub_5"]
+    );
+    assert.equal(body.comments[0].spam, undefined);
+  } finally {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+    resetFormsCache();
+  }
+});
+
+test("comments-moderate requires the moderation token and hides, unhides and deletes submissions", async () => {
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  const { resetFormsCache } = require("../netlify/functions/lib/comments");
+  try {
+    process.env.SITE_ID = "site_123";
+    process.env.NETLIFY_API_TOKEN = "token_abc";
+    resetFormsCache();
+    const calls = mockNetlifyApi({
+      visible: SPAMMY_SUBMISSIONS,
+      hidden: [{ id: "sub_9", created_at: "2026-03-01T09:00:00.000Z", data: { handle: "Gone", message: "hidden earlier" } }],
+    });
+    const { handler } = require("../netlify/functions/comments-moderate");
+
+    delete process.env.COMMENTS_MODERATION_TOKEN;
+    assert.equal(JSON.parse((await handler({ httpMethod: "GET" })).body).error, "moderation_not_configured");
+
+    process.env.COMMENTS_MODERATION_TOKEN = "mod-secret";
+    const noAuth = await handler({ httpMethod: "GET", queryStringParameters: { thread: "oil" } });
+    assert.equal(noAuth.statusCode, 401);
+    const wrongAuth = await handler({
+      httpMethod: "GET",
+      headers: { authorization: "Bearer mod-secreT" },
+      queryStringParameters: { thread: "oil" },
+    });
+    assert.equal(wrongAuth.statusCode, 401);
+
+    const headers = { authorization: "Bearer mod-secret" };
+    const list = await handler({ httpMethod: "GET", headers, queryStringParameters: { thread: "oil" } });
+    assert.equal(list.statusCode, 200);
+    assert.equal(list.headers["Cache-Control"], "no-store");
+    const listed = JSON.parse(list.body);
+    assert.deepEqual(
+      listed.comments.map((c) => [c.id, c.spam]),
+      [
+        ["sub_1", []],
+        ["sub_2", ["link_flood"]],
+        ["sub_3", ["repeated_message"]],
+        ["sub_4", ["banned_word"]],
+        ["sub_5", []],
+      ]
+    );
+    assert.deepEqual(
+      listed.hidden.map((c) => c.id),
+      ["sub_9"]
+    );
+
+    calls.length = 0;
+    for (const action of ["hide", "unhide", "delete"]) {
+      const res = await handler({ httpMethod: "POST", headers, body: JSON.stringify({ action, id: "sub_4" }) });
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(JSON.parse(res.body), { id: "sub_4", action, ok: true });
+    }
+    assert.deepEqual(
+      calls.map((c) => `${c.method} ${c.url.replace("https://api.netlify.com/api/v1", "")}`),
+      ["PUT /submissions/sub_4/spam", "PUT /submissions/sub_4/ham", "DELETE /submissions/sub_4"]
+    );
+    assert.ok(calls.every((c) => c.auth === "Bearer token_abc"));
+
+    const bad = await handler({ httpMethod: "POST", headers, body: JSON.stringify({ action: "ban", id: "sub_4" }) });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_params");
+  } finally {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+    resetFormsCache();
+  }
+});
+
+test("comments pages older submissions through an opaque cursor and keeps reply parents", async () => {
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  const { resetFormsCache } = require("../netlify/functions/lib/comments");
+  try {
+    process.env.SITE_ID = "site_123";
+    process.env.NETLIFY_API_TOKEN = "token_abc";
+    resetFormsCache();
+
+    // 205 submissions, newest first as the Netlify API returns them.
+    const makeSubmission = (n) => ({
+      id: `sub_${n}`,
+      created_at: new Date(Date.UTC(2026, 1, 1) + n * 60_000).toISOString(),
+      data: { handle: `User${n}`, message: `Point number ${n}`, ...(n === 204 ? { parentId: "sub_3" } : {}) },
+    });
+    let all = Array.from({ length: 205 }, (_, i) => makeSubmission(204 - i));
+    const pages = [];
+    global.fetch = async (url) => {
+      const u = String(url);
+      if (u.endsWith("/api/v1/sites/site_123/forms")) {
+        return { ok: true, status: 200, statusText: "OK", json: async () => [{ id: "form_bond", name: "sf-comments-bond" }] };
+      }
+      const m = /\/api\/v1\/forms\/form_bond\/submissions\?per_page=(\d+)&page=(\d+)$/.exec(u);
+      if (m) {
+        const perPage = Number(m[1]);
+        const page = Number(m[2]);
+        pages.push(page);
+        const batch = all.slice((page - 1) * perPage, page * perPage);
+        return { ok: true, status: 200, statusText: "OK", json: async () => batch };
+      }
+      throw new Error(`unexpected fetch url: ${url}`);
+    };
+
+    const fn = require("../netlify/functions/comments");
+    const first = JSON.parse((await fn.handler({ httpMethod: "GET", queryStringParameters: { thread: "bond" } })).body);
+    assert.equal(first.comments.length, 200);
+    assert.equal(first.comments[0].id, "sub_5");
+    assert.equal(first.comments.at(-1).id, "sub_204");
+    assert.equal(first.comments.at(-1).parentId, "sub_3");
+    assert.equal(first.comments[0].parentId, null);
+    assert.equal(typeof first.nextCursor, "string");
+    assert.deepEqual(pages, [1, 2]);
+
+    // Two new comments push sub_5 and sub_6 onto page 3; the cursor must not return them again.
+    all = [makeSubmission(206), makeSubmission(205), ...all];
+    pages.length = 0;
+    const second = JSON.parse(
+      (await fn.handler({ httpMethod: "GET", queryStringParameters: { thread: "bond", cursor: first.nextCursor } })).body
+    );
+    assert.deepEqual(pages, [3]);
+    assert.deepEqual(
+      second.comments.map((c) => c.id),
+      ["sub_0", "sub_1", "sub_2", "sub_3", "sub_4"]
+    );
+    assert.equal(second.nextCursor, null);
+
+    const bad = await fn.handler({ httpMethod: "GET", queryStringParameters: { thread: "bond", cursor: "not-a-cursor" } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_cursor");
+  } finally {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+    resetFormsCache();
+  }
+});
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// Local dev server: serves the static pages and mounts every `netlify/functions/*.js` handler under
+// `/.netlify/functions/<name>`, the same paths the pages fetch on Netlify.
+//
+// Upstream modes (`--mode`):
+//   live    functions call Yahoo/EIA/Bundesbank/FRED/ECB/iShares as usual (default).
+//   record  like live, but every upstream response is also written to the fixtures directory. The
+//           clock is frozen at the start of the recording so a later replay asks for the same URLs.
+//   replay  upstream requests are answered from the fixtures directory only; a missing fixture is a
+//           404 from the "upstream", so the site runs offline. The clock is frozen at the recording
+//           time (or `--now`), so every request returns the same data.
+//
+// Usage:
+//   node scripts/dev-server.js [--port 8888] [--mode live|record|replay] [--fixtures fixtures/upstream]
+//                              [--now 2026-02-20T18:00:00Z]
+//
+// Fixtures are one JSON file per upstream URL: `<fixtures>/<host>/<path-slug>-<hash>.json` holding
+// `{ url, status, statusText, contentType, body }`. Secrets (`api_key`) are stripped from the URL
+// before it is hashed or stored.
+
+const http = require("node:http");
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+const ROOT = path.resolve(__dirname, "..");
+const FUNCTIONS_DIR = path.join(ROOT, "netlify", "functions");
+const DEFAULT_FIXTURES_DIR = path.join(ROOT, "fixtures", "upstream");
+const RECORDING_FILE = "_recording.json";
+const FUNCTIONS_PREFIX = "/.netlify/functions/";
+const MODES = ["live", "record", "replay"];
+const SECRET_PARAMS = ["api_key"];
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+};
+
+// URL used as the fixture identity: secrets removed so fixtures can be shared.
+function fixtureUrl(url) {
+  const u = new URL(String(url));
+  for (const p of SECRET_PARAMS) u.searchParams.delete(p);
+  return u.toString();
+}
+
+function fixturePath(fixturesDir, url) {
+  const clean = fixtureUrl(url);
+  const u = new URL(clean);
+  const slug = (u.pathname.replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^_+|_+$/g, "") || "root").slice(-80);
+  const hash = crypto.createHash("sha1").update(clean).digest("hex").slice(0, 12);
+  return path.join(fixturesDir, u.host, `${slug}-${hash}.json`);
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function toResponse(fixture) {
+  return new Response(fixture.body, {
+    status: fixture.status,
+    statusText: fixture.statusText,
+    headers: fixture.contentType ? { "Content-Type": fixture.contentType } : {},
+  });
+}
+
+// Replaces global.fetch (and, in replay mode, Date) until the returned `restore()` is called.
+function installUpstream({ mode, fixturesDir, now = null, log = () => {} }) {
+  const realFetch = global.fetch;
+  const RealDate = global.Date;
+
+  if (mode === "record") {
+    global.fetch = async (url, options) => {
+      const res = await realFetch(url, options);
+      const body = await res.text();
+      const fixture = {
+        url: fixtureUrl(url),
+        status: res.status,
+        statusText: res.statusText,
+        contentType: res.headers.get("content-type"),
+        body,
+      };
+      const file = fixturePath(fixturesDir, url);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+      log(`recorded ${fixture.url}`);
+      return toResponse(fixture);
+    };
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(fixturesDir, RECORDING_FILE),
+      JSON.stringify({ recordedAt: new RealDate(now ?? RealDate.now()).toISOString() }, null, 2)
+    );
+  }
+
+  if (mode === "replay") {
+    global.fetch = async (url) => {
+      const fixture = readJsonFile(fixturePath(fixturesDir, url));
+      if (!fixture) {
+        log(`no fixture for ${fixtureUrl(url)}`);
+        return new Response("", { status: 404, statusText: "No replay fixture" });
+      }
+      return toResponse(fixture);
+    };
+  }
+
+  if (mode === "record" || mode === "replay") {
+    const recording = readJsonFile(path.join(fixturesDir, RECORDING_FILE));
+    const fixedMs = now ?? (recording ? RealDate.parse(recording.recordedAt) : null);
+    if (Number.isFinite(fixedMs)) {
+      global.Date = class FrozenDate extends RealDate {
+        constructor(...args) {
+          if (args.length) super(...args);
+          else super(fixedMs);
+        }
+
+        static now() {
+          return fixedMs;
+        }
+      };
+    }
+  }
+
+  return function restore() {
+    global.fetch = realFetch;
+    global.Date = RealDate;
+  };
+}
+
+function loadHandler(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) return null;
+  const file = path.join(FUNCTIONS_DIR, `${name}.js`);
+  if (!fs.existsSync(file)) return null;
+  const mod = require(file);
+  return typeof mod.handler === "function" ? mod.handler : null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+async function serveFunction(req, res, url) {
+  const name = url.pathname.slice(FUNCTIONS_PREFIX.length).split("/")[0];
+  const handler = loadHandler(name);
+  if (!handler) {
+    res.writeHead(404, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify({ error: "function_not_found", message: name }));
+    return;
+  }
+
+  const event = {
+    httpMethod: req.method,
+    path: url.pathname,
+    rawUrl: url.toString(),
+    headers: req.headers,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    body: req.method === "GET" || req.method === "HEAD" ? null : await readBody(req),
+    isBase64Encoded: false,
+  };
+
+  let result;
+  try {
+    result = (await handler(event, {})) || {};
+  } catch (err) {
+    result = {
+      statusCode: 500,
+      headers: { "Content-Type": "application/json; charset=utf-8" },
+      body: JSON.stringify({ error: "handler_threw", message: err instanceof Error ? err.message : String(err) }),
+    };
+  }
+  const body = result.body === undefined || result.body === null ? "" : result.body;
+  res.writeHead(result.statusCode || 200, result.headers || {});
+  res.end(result.isBase64Encoded ? Buffer.from(body, "base64") : body);
+}
+
+// Static files from the publish directory; `/x` falls back to `/x.html` like Netlify pretty URLs.
+function serveStatic(res, url, root) {
+  let rel = decodeURIComponent(url.pathname);
+  if (rel.endsWith("/")) rel += "index.html";
+  const candidates = [rel, path.extname(rel) ? null : `${rel}.html`].filter(Boolean);
+  for (const candidate of candidates) {
+    const file = path.resolve(root, `.${candidate}`);
+    const inside = file.startsWith(root + path.sep);
+    const hidden = path.relative(root, file).split(path.sep).some((part) => part.startsWith("."));
+    if (!inside || hidden || !fs.existsSync(file) || !fs.statSync(file).isFile()) continue;
+    res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream",
+      "Cache-Control": "no-store",
+    });
+    res.end(fs.readFileSync(file));
+    return;
+  }
+  res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end("Not found");
+}
+
+// Returns `{ server, close }`; `close()` stops the server and restores fetch/Date.
+function createDevServer({ mode = "live", fixturesDir = DEFAULT_FIXTURES_DIR, now = null, root = ROOT, log = () => {} } = {}) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown mode "${mode}" (expected ${MODES.join(", ")})`);
+  if (mode === "replay" && !process.env.EIA_API_KEY) process.env.EIA_API_KEY = "replay";
+  const restore = installUpstream({ mode, fixturesDir, now, log });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    try {
+      if (url.pathname.startsWith(FUNCTIONS_PREFIX)) await serveFunction(req, res, url);
+      else serveStatic(res, url, root);
+    } catch (err) {
+      res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(err instanceof Error ? err.message : String(err));
+    }
+    log(`${req.method} ${url.pathname}${url.search} -> ${res.statusCode}`);
+  });
+
+  return {
+    server,
+    close() {
+      restore();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+function parseArgs(argv) {
+  const opts = { port: Number(process.env.PORT) || 8888, mode: "live", fixturesDir: DEFAULT_FIXTURES_DIR, now: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const [flag, inline] = argv[i].split("=", 2);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+    if (flag === "--port") opts.port = Number(value());
+    else if (flag === "--mode") opts.mode = value();
+    else if (flag === "--fixtures") opts.fixturesDir = path.resolve(value());
+    else if (flag === "--now") opts.now = Date.parse(value());
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (opts.now !== null && !Number.isFinite(opts.now)) throw new Error("--now must be an ISO timestamp");
+  return opts;
+}
+
+if (require.main === module) {
+  const opts = parseArgs(process.argv.slice(2));
+  const { server } = createDevServer({ ...opts, log: (msg) => console.log(msg) });
+  server.listen(opts.port, () => {
+    console.log(`dev server (${opts.mode}) on http://localhost:${opts.port}/ — fixtures: ${path.relative(ROOT, opts.fixturesDir)}`);
+  });
+}
+
+module.exports = { createDevServer, installUpstream, fixturePath, fixtureUrl };
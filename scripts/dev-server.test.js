@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { createDevServer, fixturePath, fixtureUrl } = require("./dev-server");
+
+function makeBundesbankFixture(yieldByDate) {
+  const dates = Object.keys(yieldByDate).sort();
+  return {
+    data: {
+      dataSets: [
+        { series: { "0:0:0:0:0:0": { observations: Object.fromEntries(dates.map((d, i) => [String(i), [yieldByDate[d]]])) } } },
+      ],
+      structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+    },
+  };
+}
+
+async function listen(dev) {
+  await new Promise((resolve) => dev.server.listen(0, "127.0.0.1", resolve));
+  return `http://127.0.0.1:${dev.server.address().port}`;
+}
+
+test("fixture paths drop secrets and are stable per URL", () => {
+  const dir = "/tmp/fx";
+  const a = fixturePath(dir, "https://api.eia.gov/v2/seriesid/PET.RBRTE.D?api_key=SECRET&length=10");
+  const b = fixturePath(dir, "https://api.eia.gov/v2/seriesid/PET.RBRTE.D?api_key=OTHER&length=10");
+  assert.equal(a, b);
+  assert.ok(a.startsWith(path.join(dir, "api.eia.gov")));
+  assert.doesNotMatch(fixtureUrl("https://x.test/a?api_key=SECRET&b=1"), /SECRET/);
+});
+
+test("dev server records upstream responses and replays them offline", async () => {
+  const originalFetch = global.fetch;
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "dev-server-fixtures-"));
+  const now = Date.parse("2026-02-06T18:00:00Z");
+  const upstream = makeBundesbankFixture({
+    "2026-01-30": 2.85,
+    "2026-02-02": 2.85,
+    "2026-02-03": 2.88,
+    "2026-02-04": 2.88,
+    "2026-02-05": 2.87,
+  });
+  try {
+    let upstreamCalls = 0;
+    global.fetch = async () => {
+      upstreamCalls += 1;
+      return new Response(JSON.stringify(upstream), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    };
+
+    const recorder = createDevServer({ mode: "record", fixturesDir, now });
+    let recorded;
+    try {
+      const base = await listen(recorder);
+      const res = await originalFetch(`${base}/.netlify/functions/bond-yield`);
+      assert.equal(res.status, 200);
+      recorded = await res.json();
+    } finally {
+      await recorder.close();
+    }
+    assert.ok(upstreamCalls > 0);
+    assert.ok(fs.existsSync(path.join(fixturesDir, "_recording.json")));
+
+    global.fetch = async () => {
+      throw new Error("replay must not reach the network");
+    };
+    const replayer = createDevServer({ mode: "replay", fixturesDir });
+    try {
+      const base = await listen(replayer);
+      const res = await originalFetch(`${base}/.netlify/functions/bond-yield`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), recorded);
+
+      const page = await originalFetch(`${base}/german-bond-tracker`);
+      assert.equal(page.status, 200);
+      assert.match(page.headers.get("content-type"), /text\/html/);
+
+      assert.equal((await originalFetch(`${base}/.netlify/functions/no-such-function`)).status, 404);
+      assert.equal((await originalFetch(`${base}/.git/config`)).status, 404);
+    } finally {
+      await replayer.close();
+    }
+  } finally {
+    global.fetch = originalFetch;
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  }
+});
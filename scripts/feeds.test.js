@@ -0,0 +1,228 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+function makeBundesbankFixture(yieldByDate) {
+  const dates = Object.keys(yieldByDate).sort();
+  return {
+    data: {
+      dataSets: [
+        {
+          series: {
+            "0:0:0:0:0:0": {
+              observations: Object.fromEntries(dates.map((d, i) => [String(i), [yieldByDate[d]]])),
+            },
+          },
+        },
+      ],
+      structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+    },
+  };
+}
+
+// No XML parser ships with Node, so check what a reader would reject: characters XML 1.0 forbids,
+// unescaped markup characters and unbalanced elements.
+function assertWellFormedXml(xml) {
+  assert.doesNotMatch(xml, /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/);
+  const body = xml.replace(/^<\?xml[^>]*\?>\n/, "");
+  assert.doesNotMatch(body, /&(?!(?:amp|lt|gt|quot|apos);)/);
+  const stack = [];
+  for (const m of body.matchAll(/<(\/?)([A-Za-z][\w:-]*)[^<>]*?(\/?)>|[<>]/g)) {
+    assert.ok(m[2], `stray markup character at ${m.index}`);
+    if (m[3]) continue;
+    if (m[1]) assert.equal(stack.pop(), m[2]);
+    else stack.push(m[2]);
+  }
+  assert.deepEqual(stack, []);
+}
+
+function entryIds(xml) {
+  return [...xml.matchAll(/<entry>\s*<id>([^<]+)<\/id>/g)].map((m) => m[1]);
+}
+
+test("tracker-feed emits one Atom entry per new Bundesbank observation with stable ids", async () => {
+  const originalFetch = global.fetch;
+  const originalUrl = process.env.URL;
+  try {
+    process.env.URL = "https://trackers.example";
+    let yields = { "2026-01-29": 2.84, "2026-01-30": 2.8, "2026-02-02": 2.85 };
+    global.fetch = async (url) => {
+      assert.ok(String(url).includes("bundesbank"), `unexpected fetch url: ${url}`);
+      const json = makeBundesbankFixture(yields);
+      return { ok: true, status: 200, statusText: "OK", json: async () => json };
+    };
+
+    const { handler } = require("../netlify/functions/tracker-feed");
+    const first = await handler({ queryStringParameters: { tracker: "bond-yield" } });
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.headers["Content-Type"], "application/atom+xml; charset=utf-8");
+    assert.match(first.body, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+    assert.match(first.body, /<updated>2026-02-02T00:00:00\.000Z<\/updated>/);
+    assert.match(first.body, /<title>2026-02-02: 10Y Bund 2\.85% \(\+5\.0bp vs 2026-01-30\)<\/title>/);
+    assert.match(first.body, /href="https:\/\/trackers\.example\/german-bond-tracker\.html"/);
+    assert.deepEqual(entryIds(first.body), ["tag:metaculus-trackers,2026:bond-yield/bund-10y-2026-02/2026-02-02"]);
+
+    // A new print adds one entry and keeps the existing id.
+    yields = { ...yields, "2026-02-03": 2.79 };
+    const second = await handler({ queryStringParameters: { tracker: "bond-yield" } });
+    assert.deepEqual(entryIds(second.body), [
+      "tag:metaculus-trackers,2026:bond-yield/bund-10y-2026-02/2026-02-03",
+      "tag:metaculus-trackers,2026:bond-yield/bund-10y-2026-02/2026-02-02",
+    ]);
+
+    const bad = await handler({ queryStringParameters: { tracker: "nope" } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_tracker");
+    const wrongQuestion = await handler({ queryStringParameters: { tracker: "bond-yield", question: "fx-2026-02" } });
+    assert.equal(JSON.parse(wrongQuestion.body).error, "invalid_question");
+  } finally {
+    global.fetch = originalFetch;
+    if (originalUrl === undefined) delete process.env.URL;
+    else process.env.URL = originalUrl;
+  }
+});
+
+test("tracker-feed names the bond question's own tenor in its entries", async () => {
+  const originalFetch = global.fetch;
+  const { getQuestion } = require("../netlify/functions/lib/questions");
+  const { BUND_TENORS } = require("../netlify/functions/lib/bundesbank");
+  const question = getQuestion("bund-10y-2026-02");
+  const originalInstrument = question.instrument;
+  try {
+    question.instrument = { ...originalInstrument, tenor: "2Y", seriesId: BUND_TENORS["2Y"].seriesId };
+    const yields = { "2026-01-30": 2.1, "2026-02-02": 2.14 };
+    global.fetch = async () => {
+      const json = makeBundesbankFixture(yields);
+      return { ok: true, status: 200, statusText: "OK", json: async () => json };
+    };
+
+    const { handler } = require("../netlify/functions/tracker-feed");
+    const res = await handler({ queryStringParameters: { tracker: "bond-yield" } });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /<title>2026-02-02: 2Y Bund 2\.14% \(\+4\.0bp vs 2026-01-30\)<\/title>/);
+    assert.match(res.body, /Deutsche Bundesbank 2Y yield 2\.14% on 2026-02-02/);
+    assert.doesNotMatch(res.body, /10Y/);
+  } finally {
+    question.instrument = originalInstrument;
+    global.fetch = originalFetch;
+  }
+});
+
+test("comments-feed lists comments newest first, keyed by submission id, with XML escaped", async () => {
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  try {
+    process.env.SITE_ID = "site_123";
+    process.env.NETLIFY_API_TOKEN = "token_abc";
+    delete process.env.URL;
+    global.fetch = async (url) => {
+      if (String(url).endsWith("/api/v1/sites/site_123/forms")) {
+        return { ok: true, status: 200, statusText: "OK", json: async () => [{ id: "form_bond", name: "sf-comments-bond" }] };
+      }
+      if (String(url).includes("/api/v1/forms/form_bond/submissions")) {
+        return {
+          ok: true,
+          status: 200,
+          statusText: "OK",
+          json: async () => [
+            { id: "sub_2", created_at: "2026-02-06T10:01:00.000Z", data: { handle: "BrierBaron42", message: "Yield < 3% & falling" } },
+            { id: "sub_1", created_at: "2026-02-06T10:00:00.000Z", data: { handle: "Early", message: "First!" } },
+          ],
+        };
+      }
+      throw new Error(`unexpected fetch url: ${url}`);
+    };
+
+    const { handler } = require("../netlify/functions/comments-feed");
+    const res = await handler({ queryStringParameters: { thread: "bond" }, headers: { host: "localhost:8888" } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(entryIds(res.body), [
+      "tag:metaculus-trackers,2026:comments/bond/sub_2",
+      "tag:metaculus-trackers,2026:comments/bond/sub_1",
+    ]);
+    assertWellFormedXml(res.body);
+    assert.match(res.body, /<content type="text">Yield &lt; 3% &amp; falling<\/content>/);
+    assert.match(res.body, /<author><name>BrierBaron42<\/name><\/author>/);
+    assert.match(res.body, /<link rel="self" type="application\/atom\+xml" href="http:\/\/localhost:8888\/\.netlify\/functions\/comments-feed\?thread=bond"\/>/);
+    assert.match(res.body, /<updated>2026-02-06T10:01:00\.000Z<\/updated>/);
+
+    const bad = await handler({ queryStringParameters: { thread: "nope" } });
+    assert.equal(JSON.parse(bad.body).error, "invalid_thread");
+  } finally {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+  }
+});
+
+test("tracker-feed lists every IVV holdings snapshot across the year start, naming the basket", async (t) => {
+  const originalFetch = global.fetch;
+  try {
+    t.mock.method(Date, "now", () => new Date("2026-01-09T12:00:00Z").getTime());
+    global.fetch = async (url) => {
+      const m = String(url).match(/asOfDate=(\d{8})/);
+      assert.ok(m, `unexpected url: ${url}`);
+      const body = [
+        "﻿iShares Core S&P 500 ETF",
+        `Fund Holdings as of,"${m[1]}"`,
+        "",
+        "Ticker,Name,Weight (%)",
+        '"NVDA","NVIDIA","7.50"',
+        '"MSFT","Microsoft","6.10"',
+      ].join("\n");
+      return { ok: true, status: 200, statusText: "OK", text: async () => body };
+    };
+
+    const { handler } = require("../netlify/functions/tracker-feed");
+    const res = await handler({ queryStringParameters: { tracker: "ivv-holdings-weight" } });
+    assert.equal(res.statusCode, 200);
+    const dates = entryIds(res.body).map((id) => id.slice(id.lastIndexOf("/") + 1));
+    // The newest 30 NYSE trading days, with no gaps before Jan 1.
+    assert.equal(dates.length, 30);
+    assert.deepEqual(dates.slice(0, 8), [
+      "2026-01-09",
+      "2026-01-08",
+      "2026-01-07",
+      "2026-01-06",
+      "2026-01-05",
+      "2026-01-02",
+      "2025-12-31",
+      "2025-12-30",
+    ]);
+    assert.ok(dates.includes("2025-12-01"));
+    assert.match(res.body, /NVDA, MSFT, GOOGL, GOOG, AMZN, META, AMD make up 13\.60% of IVV/);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("comments-feed drops control characters so the feed stays well-formed XML", async () => {
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  try {
+    process.env.SITE_ID = "site_123";
+    process.env.NETLIFY_API_TOKEN = "token_abc";
+    global.fetch = async (url) => {
+      if (String(url).endsWith("/api/v1/sites/site_123/forms")) {
+        return { ok: true, status: 200, statusText: "OK", json: async () => [{ id: "form_bond", name: "sf-comments-bond" }] };
+      }
+      if (String(url).includes("/api/v1/forms/form_bond/submissions")) {
+        const data = { handle: "Bell\u0007Ringer", message: "Spread\u0001 at\u000B 3%\uFFFF\ttoday" };
+        return { ok: true, status: 200, statusText: "OK", json: async () => [{ id: "sub_9", created_at: "2026-02-07T09:00:00.000Z", data }] };
+      }
+      throw new Error(`unexpected fetch url: ${url}`);
+    };
+
+    const { handler } = require("../netlify/functions/comments-feed");
+    const res = await handler({ queryStringParameters: { thread: "bond" } });
+    assert.equal(res.statusCode, 200);
+    assertWellFormedXml(res.body);
+    assert.match(res.body, /<content type="text">Spread at 3%\ttoday<\/content>/);
+    assert.match(res.body, /<author><name>BellRinger<\/name><\/author>/);
+
+    // The writer strips them too, whatever the caller passes in.
+    const { escapeXml } = require("../netlify/functions/lib/atom");
+    assert.equal(escapeXml("a\u0000b\u001Fc\uFFFE<d>\n"), "abc&lt;d&gt;\n");
+  } finally {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+  }
+});
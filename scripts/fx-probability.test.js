@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  estimateFxCovariance,
+  cholesky,
+  simulateWinProbabilities,
+} = require("../netlify/functions/lib/fx-probability");
+const { createRng } = require("../netlify/functions/lib/random");
+const { countBusinessDaysAfter } = require("../netlify/functions/lib/calendars");
+
+function weekdays(start, count) {
+  const out = [];
+  const d = new Date(`${start}T00:00:00Z`);
+  while (out.length < count) {
+    const day = d.getUTCDay();
+    if (day >= 1 && day <= 5) out.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
+
+test("countBusinessDaysAfter excludes the start date and weekends", () => {
+  assert.equal(countBusinessDaysAfter("FX", "2026-01-30", "2026-02-28"), 20);
+  assert.equal(countBusinessDaysAfter("FX", "2026-02-26", "2026-02-28"), 1);
+  assert.equal(countBusinessDaysAfter("FX", "2026-02-27", "2026-02-28"), 0);
+});
+
+test("estimateFxCovariance recovers volatility and correlation of simulated returns", () => {
+  const rng = createRng(7);
+  const dates = weekdays("2025-01-01", 260);
+  const a = {};
+  const b = {};
+  let pa = 1;
+  let pb = 1;
+  for (const d of dates) {
+    const shock = rng() - 0.5;
+    pa *= Math.exp(0.01 * shock);
+    pb *= Math.exp(-0.01 * shock); // perfectly anti-correlated
+    a[d] = pa;
+    b[d] = pb;
+  }
+  const est = estimateFxCovariance({ A: a, B: b }, ["A", "B"], { endDate: dates.at(-1) });
+  assert.ok(est);
+  const [[va, cab], [cba, vb]] = est.covariance;
+  assert.equal(cab, cba);
+  assert.ok(Math.abs(cab / Math.sqrt(va * vb) + 1) < 1e-9);
+
+  assert.equal(estimateFxCovariance({ A: a, B: b }, ["A", "B"], { endDate: dates[10] }), null);
+});
+
+test("cholesky tolerates singular (pegged) covariance matrices", () => {
+  const L = cholesky([
+    [4, 4],
+    [4, 4],
+  ]);
+  assert.deepEqual(L, [
+    [2, 0],
+    [2, 0],
+  ]);
+});
+
+test("simulateWinProbabilities is seeded, sums to 1 and favours the leader", () => {
+  const codes = ["EUR", "JPY", "GBP"];
+  const covariance = [
+    [4e-5, 1e-5, 2e-5],
+    [1e-5, 6e-5, 1e-5],
+    [2e-5, 1e-5, 4e-5],
+  ];
+  const pctByCode = { EUR: 1.5, JPY: 0.2, GBP: -0.5 };
+  const args = { codes, pctByCode, covariance, remainingDays: 5, paths: 4000, seed: 42 };
+
+  const probs = simulateWinProbabilities(args);
+  assert.deepEqual(simulateWinProbabilities(args), probs);
+  assert.ok(Math.abs(Object.values(probs).reduce((s, p) => s + p, 0) - 1) < 1e-12);
+  assert.ok(probs.EUR > probs.JPY && probs.JPY > probs.GBP);
+
+  // More time left -> less certainty about the leader.
+  const later = simulateWinProbabilities({ ...args, remainingDays: 60 });
+  assert.ok(later.EUR < probs.EUR);
+
+  assert.deepEqual(simulateWinProbabilities({ ...args, covariance: null, remainingDays: 0 }), {
+    EUR: 1,
+    JPY: 0,
+    GBP: 0,
+  });
+});
@@ -123,3 +123,172 @@ test("fx-tracker returns aligned time series and correct as-of date", async () =
     global.fetch = originalFetch;
   }
 });
+
+test("fx-tracker fills a ticker Yahoo dropped from ECB reference rates and tags the provider", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const yahooCloses = {
+      "2026-01-30": 1.0,
+      "2026-02-02": 1.01,
+      "2026-02-03": 1.02,
+    };
+    const calls = [];
+    global.fetch = async (url) => {
+      const u = String(url);
+      calls.push(u);
+      const m = u.match(/\/v8\/finance\/chart\/([^?]+)/);
+      if (m) {
+        const symbol = decodeURIComponent(m[1]);
+        if (symbol === "MXNUSD=X") return { ok: false, status: 404, statusText: "Not Found" };
+        return {
+          ok: true,
+          status: 200,
+          statusText: "OK",
+          json: async () => makeYahooChartFixture({ closesByDate: yahooCloses }),
+        };
+      }
+      if (u.startsWith("https://data-api.ecb.europa.eu/service/data/EXR/D.USD+MXN.EUR.SP00.A")) {
+        const csv = [
+          "KEY,FREQ,CURRENCY,CURRENCY_DENOM,EXR_TYPE,EXR_SUFFIX,TIME_PERIOD,OBS_VALUE,TITLE",
+          'EXR.D.USD.EUR.SP00.A,D,USD,EUR,SP00,A,2026-01-30,1.2,"US dollar, Euro"',
+          'EXR.D.USD.EUR.SP00.A,D,USD,EUR,SP00,A,2026-02-02,1.2,"US dollar, Euro"',
+          'EXR.D.USD.EUR.SP00.A,D,USD,EUR,SP00,A,2026-02-03,1.2,"US dollar, Euro"',
+          'EXR.D.MXN.EUR.SP00.A,D,MXN,EUR,SP00,A,2026-01-30,20,"Mexican peso, Euro"',
+          'EXR.D.MXN.EUR.SP00.A,D,MXN,EUR,SP00,A,2026-02-02,19.2,"Mexican peso, Euro"',
+          'EXR.D.MXN.EUR.SP00.A,D,MXN,EUR,SP00,A,2026-02-03,19.2,"Mexican peso, Euro"',
+        ].join("\n");
+        return { ok: true, status: 200, statusText: "OK", text: async () => csv };
+      }
+      throw new Error(`unexpected fetch url: ${u}`);
+    };
+
+    const fx = require("../netlify/functions/fx-tracker");
+    const res = await fx.handler({ queryStringParameters: { asof: "2026-02-03", noRound: "1" } }, {});
+    assert.equal(res.statusCode, 200);
+
+    const body = JSON.parse(res.body);
+    assert.equal(body.baseline.MXN, 0.06);
+    assert.equal(body.current.MXN, 0.0625);
+    assert.deepEqual(body.series.provider.MXN, ["ecb", "ecb", "ecb"]);
+    assert.deepEqual(body.series.provider.EUR, ["yahoo", "yahoo", "yahoo"]);
+    assert.equal(body.fallbacks.length, 3);
+    assert.deepEqual(body.fallbacks[0], { code: "MXN", date: "2026-01-30", provider: "ecb" });
+    assert.match(body.providerErrors.yahoo.MXN, /Yahoo request failed for MXNUSD=X: 404/);
+    assert.ok(!calls.some((u) => u.includes("fred.stlouisfed.org")));
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("fx-tracker tracks a custom month/currency set with a derived baseline", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const bySymbol = {
+      "EURGBP=X": makeYahooChartFixture({
+        closesByDate: { "2026-02-26": 0.86, "2026-02-27": 0.87, "2026-03-02": 0.88, "2026-03-03": 0.89 },
+      }),
+      "JPYGBP=X": makeYahooChartFixture({
+        // No Feb 27 close: the baseline must be the last date common to every currency.
+        closesByDate: { "2026-02-26": 0.005, "2026-03-02": 0.0051, "2026-03-03": 0.0052 },
+      }),
+    };
+    const requested = [];
+    global.fetch = async (url) => {
+      const m = String(url).match(/\/v8\/finance\/chart\/([^?]+)/);
+      if (!m) throw new Error(`unexpected fetch url: ${url}`);
+      const symbol = decodeURIComponent(m[1]);
+      requested.push(symbol);
+      return { ok: true, status: 200, statusText: "OK", json: async () => bySymbol[symbol] };
+    };
+
+    const fx = require("../netlify/functions/fx-tracker");
+    const res = await fx.handler({
+      queryStringParameters: { month: "2026-03", currencies: "eur,jpy", quote: "gbp", asof: "2026-03-03", noRound: "1" },
+    });
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+
+    assert.deepEqual(requested.sort(), ["EURGBP=X", "JPYGBP=X"]);
+    assert.equal(body.question, null);
+    assert.equal(body.month, "2026-03");
+    assert.equal(body.quote, "GBP");
+    assert.deepEqual(body.currencies, ["EUR", "JPY"]);
+    assert.equal(body.baselineDate, "2026-02-26");
+    assert.equal(body.asOfDate, "2026-03-03");
+    assert.equal(body.lastTradingDay, "2026-03-31");
+    assert.deepEqual(body.series.dates, ["2026-02-26", "2026-03-02", "2026-03-03"]);
+    assert.equal(body.leader.code, "JPY"); // +4.0% vs EUR +3.5%
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("fx-tracker rejects malformed month/currency params with 400", async () => {
+  const fx = require("../netlify/functions/fx-tracker");
+  for (const qs of [{ month: "2026-13" }, { currencies: "EURO" }, { currencies: "USD" }, { quote: "US" }]) {
+    const res = await fx.handler({ queryStringParameters: qs });
+    assert.equal(res.statusCode, 400, JSON.stringify(qs));
+    assert.equal(JSON.parse(res.body).error, "invalid_params");
+  }
+});
+
+test("fx-tracker estimates daily win probabilities from trailing-year volatility", async () => {
+  const originalFetch = global.fetch;
+  try {
+    // A year of random-walk closes, then February where EUR pulls clearly ahead of JPY.
+    const closesBySymbol = { "EURUSD=X": {}, "JPYUSD=X": {} };
+    let state = 12345;
+    const noise = () => {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      return state / 2147483648 - 0.5;
+    };
+    let eur = 1.1;
+    let jpy = 0.0067;
+    for (let d = new Date("2025-01-01T00:00:00Z"); d <= new Date("2026-02-27T00:00:00Z"); d.setUTCDate(d.getUTCDate() + 1)) {
+      const day = d.getUTCDay();
+      if (day === 0 || day === 6) continue;
+      const iso = d.toISOString().slice(0, 10);
+      const drift = iso >= "2026-02-01" ? 0.002 : 0;
+      eur *= Math.exp(drift + 0.01 * noise());
+      jpy *= Math.exp(0.01 * noise());
+      closesBySymbol["EURUSD=X"][iso] = eur;
+      closesBySymbol["JPYUSD=X"][iso] = jpy;
+    }
+    global.fetch = async (url) => {
+      const m = String(url).match(/\/v8\/finance\/chart\/([^?]+)/);
+      if (!m) throw new Error(`unexpected fetch url: ${url}`);
+      const closesByDate = closesBySymbol[decodeURIComponent(m[1])];
+      return { ok: true, status: 200, statusText: "OK", json: async () => makeYahooChartFixture({ closesByDate }) };
+    };
+
+    const fx = require("../netlify/functions/fx-tracker");
+    const mid = JSON.parse(
+      (await fx.handler({ queryStringParameters: { month: "2026-02", currencies: "EUR,JPY", asof: "2026-02-13", noRound: "1" } }))
+        .body
+    );
+    assert.equal(mid.probabilityModel.method, "monte-carlo");
+    assert.equal(mid.probabilityModel.remainingTradingDays, 10);
+    assert.ok(mid.probabilityModel.returnsUsed > 200);
+    assert.ok(Math.abs(mid.winProbability.EUR + mid.winProbability.JPY - 1) < 1e-12);
+    assert.equal(mid.standings[0].winProbability, mid.winProbability[mid.standings[0].code]);
+    assert.equal(mid.series.winProbability.EUR.length, mid.series.dates.length);
+    assert.equal(mid.series.winProbability.EUR.at(-1), mid.winProbability.EUR);
+
+    const final = JSON.parse(
+      (await fx.handler({ queryStringParameters: { month: "2026-02", currencies: "EUR,JPY", asof: "2026-02-27", noRound: "1" } }))
+        .body
+    );
+    assert.equal(final.probabilityModel.remainingTradingDays, 0);
+    assert.equal(final.winProbability[final.leader.code], 1);
+
+    // Display rounding (4dp by default) must not leak into the volatility estimate.
+    const rounded = JSON.parse(
+      (await fx.handler({ queryStringParameters: { month: "2026-02", currencies: "EUR,JPY", asof: "2026-02-13" } })).body
+    );
+    assert.deepEqual(rounded.probabilityModel.annualizedVolPct, mid.probabilityModel.annualizedVolPct);
+    assert.ok(rounded.probabilityModel.annualizedVolPct.JPY < 20);
+    assert.ok(rounded.series.close.JPY.every((v) => v === Math.round(v * 1e4) / 1e4));
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ENV_NAMES = [
+  "EIA_API_KEY",
+  "NETLIFY_API_TOKEN",
+  "NETLIFY_ACCESS_TOKEN",
+  "NETLIFY_TOKEN",
+  "SITE_ID",
+  "NETLIFY_SITE_ID",
+  "COMMENTS_MODERATION_TOKEN",
+  "ALERT_WEBHOOK_URLS",
+  "METACULUS_API_TOKEN",
+];
+
+// Runs `fn` with only `env` set among the variables the health report looks at.
+async function withEnv(env, fn) {
+  const saved = Object.fromEntries(ENV_NAMES.map((name) => [name, process.env[name]]));
+  try {
+    for (const name of ENV_NAMES) delete process.env[name];
+    Object.assign(process.env, env);
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+function jsonResponse(json) {
+  return { ok: true, status: 200, statusText: "OK", json: async () => json, text: async () => JSON.stringify(json) };
+}
+
+function textResponse(text) {
+  return { ok: true, status: 200, statusText: "OK", text: async () => text };
+}
+
+function makeYahooChart(dates) {
+  return {
+    chart: {
+      result: [
+        {
+          timestamp: dates.map((d) => Date.parse(`${d}T12:00:00Z`) / 1000),
+          indicators: { quote: [{ close: dates.map((_, i) => 1 + i / 100) }] },
+        },
+      ],
+    },
+  };
+}
+
+function makeBundesbankFixture(dates) {
+  return {
+    data: {
+      dataSets: [{ series: { "0:0:0:0:0:0": { observations: Object.fromEntries(dates.map((d, i) => [String(i), [2.8]])) } } }],
+      structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+    },
+  };
+}
+
+function makeHoldingsCsv(asOfLabel) {
+  return [`Fund Holdings as of,"${asOfLabel}"`, "", "Ticker,Name,Weight (%)", '"NVDA","NVIDIA","7.1"'].join("\n");
+}
+
+// Tuesday after Easter 2026: Good Friday (Apr 3) closes every calendar but FX, Easter Monday (Apr 6)
+// only TARGET2.
+const NOW = new Date("2026-04-07T15:00:00Z");
+
+function routeFetch(url) {
+  const u = String(url);
+  if (u.includes("EURUSD%3DX")) return jsonResponse(makeYahooChart(["2026-04-02", "2026-04-03", "2026-04-06", "2026-04-07"]));
+  if (u.includes("BZ%3DF")) return jsonResponse(makeYahooChart(["2026-03-31", "2026-04-01", "2026-04-02"]));
+  if (u.includes("bundesbank")) return jsonResponse(makeBundesbankFixture(["2026-03-31", "2026-04-01", "2026-04-02"]));
+  if (u.includes("fred")) return textResponse("DATE,DGS10\n2026-04-01,4.21\n2026-04-02,4.25\n");
+  if (u.includes("ishares")) {
+    return textResponse(u.includes("asOfDate=20260407") ? makeHoldingsCsv("-") : makeHoldingsCsv("Apr 06, 2026"));
+  }
+  if (u.includes("api.eia.gov")) {
+    return jsonResponse({
+      response: {
+        data: [
+          { series: "RWTC", period: "2026-03-30", value: 61.2 },
+          { series: "RBRTE", period: "2026-03-30", value: 64.9 },
+          { series: "RWTC", period: "2026-03-27", value: 60.8 },
+        ],
+      },
+    });
+  }
+  if (u.includes("api.netlify.com")) return jsonResponse([{ id: "f1", name: "sf-comments-currency" }, { id: "f2", name: "sf-comments-bond" }]);
+  throw new Error(`unexpected fetch url: ${u}`);
+}
+
+test("health compares each upstream's latest date with its trading calendar", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async (url) => routeFetch(url);
+    await withEnv({ ALERT_WEBHOOK_URLS: "https://hooks.example/x" }, async () => {
+      const { runHealthChecks } = require("../netlify/functions/lib/health");
+      const report = await runHealthChecks({ now: NOW });
+      const byId = Object.fromEntries(report.checks.map((c) => [c.id, c]));
+
+      assert.equal(report.overall, "degraded");
+      assert.equal(byId["yahoo-fx"].status, "ok");
+      assert.equal(byId["yahoo-fx"].expectedDate, "2026-04-06");
+      assert.ok(Number.isFinite(byId["yahoo-fx"].latencyMs));
+      // Brent settles on Easter Monday, so a last bar on Apr 2 is stale.
+      assert.equal(byId["yahoo-oil"].status, "stale");
+      assert.equal(byId["yahoo-oil"].latestDate, "2026-04-02");
+      assert.equal(byId["yahoo-oil"].expectedDate, "2026-04-06");
+      assert.match(byId["yahoo-oil"].message, /expected 2026-04-06 or later/);
+      // TARGET2 is closed Good Friday and Easter Monday: Apr 2 is the expected Bund date.
+      assert.deepEqual([byId.bundesbank.status, byId.bundesbank.expectedDate], ["ok", "2026-04-02"]);
+      assert.deepEqual([byId.fred.status, byId.fred.latestDate], ["ok", "2026-04-02"]);
+      assert.deepEqual([byId.ishares.status, byId.ishares.latestDate], ["ok", "2026-04-06"]);
+      assert.equal(byId.ishares.detail, "Fund Holdings as of Apr 06, 2026");
+
+      assert.equal(byId.eia.status, "not_configured");
+      assert.equal(byId.eia.message, "Missing EIA_API_KEY");
+      assert.equal(byId["netlify-forms"].status, "not_configured");
+      assert.equal(byId["netlify-forms"].message, "Missing NETLIFY_API_TOKEN, SITE_ID");
+
+      const config = Object.fromEntries(report.config.map((c) => [c.name, c]));
+      assert.deepEqual([config.EIA_API_KEY.set, config.EIA_API_KEY.required], [false, true]);
+      assert.equal(config.ALERT_WEBHOOK_URLS.set, true);
+      assert.ok(!JSON.stringify(report).includes("hooks.example"));
+    });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("health handler reports configured EIA and missing comment forms", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async (url) => routeFetch(url);
+    await withEnv({ EIA_API_KEY: "test-key", NETLIFY_TOKEN: "tok", NETLIFY_SITE_ID: "site_123" }, async () => {
+      require("../netlify/functions/lib/comments").resetFormsCache();
+      const { CHECKS, runHealthChecks } = require("../netlify/functions/lib/health");
+      const report = await runHealthChecks({ now: NOW, checks: CHECKS.filter((c) => ["eia", "netlify-forms"].includes(c.id)) });
+      const [eia, forms] = report.checks;
+      // The older of the two legs' latest prints counts; weekly releases allow 8 business days.
+      assert.deepEqual([eia.status, eia.latestDate, eia.expectedDate], ["ok", "2026-03-30", "2026-03-25"]);
+      assert.equal(forms.status, "error");
+      assert.equal(forms.message, "Missing forms: sf-comments-oil, sf-comments-ivv");
+
+      const { handler } = require("../netlify/functions/health");
+      const res = await handler({});
+      assert.equal(res.statusCode, 200);
+      assert.match(res.headers["Netlify-CDN-Cache-Control"], /max-age=300/);
+      const body = JSON.parse(res.body);
+      assert.equal(body.checks.length, CHECKS.length);
+      assert.ok(body.config.every((c) => typeof c.set === "boolean"));
+    });
+  } finally {
+    global.fetch = originalFetch;
+    require("../netlify/functions/lib/comments").resetFormsCache();
+  }
+});
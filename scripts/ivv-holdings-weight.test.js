@@ -184,3 +184,33 @@ test("ivv-holdings-weight includes target when provided (available=false)", asyn
     global.fetch = originalFetch;
   }
 });
+
+test("ivv-holdings-weight with ?question= ends at the target date and returns the question's period", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const requested = [];
+    global.fetch = async (url) => {
+      const m = String(url).match(/asOfDate=(\d{8})/);
+      assert.ok(m, `unexpected iShares url: ${url}`);
+      requested.push(m[1]);
+      const body =
+        m[1] === "20260227"
+          ? makeHoldingsCsv({ asOfLabel: "Feb 27, 2026", rows: [{ ticker: "NVDA", weight: "7.50" }] })
+          : makeHoldingsCsv({ asOfLabel: "-", rows: [] });
+      return { ok: true, status: 200, statusText: "OK", text: async () => body };
+    };
+
+    const fn = require("../netlify/functions/ivv-holdings-weight");
+    const res = await fn.handler({ queryStringParameters: { question: "ivv-ai-basket-2026-02-27", days: "3" } });
+
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.equal(body.asOfLimit, "2026-02-27");
+    assert.ok(requested.every((d) => d <= "20260227"));
+    assert.equal(body.question.targetDate, "2026-02-27");
+    assert.deepEqual(body.question.window, { start: "2026-02-01", end: "2026-02-27" });
+    assert.equal(body.target.available, true);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,174 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runModel, backtestModels, pinballLoss } = require("../netlify/functions/lib/weight-projection");
+
+function ts(dateStr) {
+  return Math.floor(new Date(`${dateStr}T00:00:00Z`).getTime() / 1000);
+}
+
+// NYSE trading days from `fromIso` through `toIso` (the function skips exchange holidays too).
+function tradingDaysBetween(fromIso, toIso) {
+  const { businessDatesBetween } = require("../netlify/functions/lib/calendars");
+  const dayBefore = new Date(Date.parse(`${fromIso}T00:00:00Z`) - 86_400_000).toISOString().slice(0, 10);
+  return businessDatesBetween("NYSE", dayBefore, toIso);
+}
+
+function makeHoldingsCsv({ asOfLabel, rows }) {
+  const lines = ["﻿iShares Core S&P 500 ETF", `Fund Holdings as of,"${asOfLabel}"`, "", "Ticker,Name,Weight (%)"];
+  for (const r of rows) lines.push(`"${r.ticker}","${r.ticker}","${r.weight}"`);
+  return lines.join("\n");
+}
+
+function makeYahooChartFixture(closesByDate) {
+  const dates = Object.keys(closesByDate).sort();
+  return {
+    chart: {
+      result: [{ timestamp: dates.map(ts), indicators: { quote: [{ close: dates.map((d) => closesByDate[d]) }] } }],
+      error: null,
+    },
+  };
+}
+
+// NVDA's weight rises 0.01pp per snapshot (MSFT flat); its price outperforms IVV by 0.1%/day.
+function installFixtures(days) {
+  const holdingsByParam = {};
+  days.forEach((d, i) => {
+    holdingsByParam[d.replace(/-/g, "")] = makeHoldingsCsv({
+      asOfLabel: d,
+      rows: [
+        { ticker: "NVDA", weight: (7 + 0.01 * i).toFixed(2) },
+        { ticker: "MSFT", weight: "5.00" },
+      ],
+    });
+  });
+  const flat = makeYahooChartFixture(Object.fromEntries(days.map((d) => [d, 100])));
+  const nvda = makeYahooChartFixture(Object.fromEntries(days.map((d, i) => [d, 100 * Math.exp(0.001 * i)])));
+
+  global.fetch = async (url) => {
+    const u = String(url);
+    const holdings = /asOfDate=(\d{8})/.exec(u);
+    if (holdings) {
+      const body = holdingsByParam[holdings[1]] || makeHoldingsCsv({ asOfLabel: "-", rows: [] });
+      return { ok: true, status: 200, statusText: "OK", text: async () => body };
+    }
+    const yahoo = /\/chart\/([^?]+)\?/.exec(u);
+    assert.ok(yahoo, `unexpected url: ${u}`);
+    const json = decodeURIComponent(yahoo[1]) === "NVDA" ? nvda : flat;
+    return { ok: true, status: 200, statusText: "OK", json: async () => json };
+  };
+}
+
+test("weight-projection models: bands, pinball loss and backtest", () => {
+  assert.equal(pinballLoss(0.9, 10, 12), 0.9 * 2);
+  assert.ok(Math.abs(pinballLoss(0.9, 10, 8) - 0.2) < 1e-12);
+
+  const history = Array.from({ length: 30 }, (_, i) => 12 + 0.01 * i + (i % 2 ? 0.02 : -0.02));
+  const linear = runModel("linear", { history }, 5);
+  assert.equal(linear.p50.length, 5);
+  assert.ok(linear.p10[4] < linear.p50[4] && linear.p50[4] < linear.p90[4]);
+  assert.ok(linear.p90[4] - linear.p10[4] > linear.p90[0] - linear.p10[0]);
+
+  const mcA = runModel("mc", { history, seed: 7, paths: 500 }, 5);
+  const mcB = runModel("mc", { history, seed: 7, paths: 500 }, 5);
+  assert.deepEqual(mcA, mcB);
+
+  const points = history.map((totalWeight, i) => ({ date: `2026-01-${String(i + 1).padStart(2, "0")}`, totalWeight }));
+  const scores = backtestModels(points, { horizon: 3, lookback: 10, models: ["linear", "mc"], paths: 200 });
+  assert.equal(scores.linear.origins, 18);
+  assert.ok(scores.linear.pinballLoss > 0);
+  assert.ok(scores.mc.coverage80 >= 0 && scores.mc.coverage80 <= 1);
+});
+
+test("ivv-projection projects to the resolution date and backtests every model", async () => {
+  const originalFetch = global.fetch;
+  try {
+    installFixtures(tradingDaysBetween("2025-10-01", "2026-02-10"));
+    const { handler } = require("../netlify/functions/ivv-projection");
+    const event = { queryStringParameters: { asof: "2026-02-10", days: "90", lookback: "20" } };
+    const res = await handler(event);
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+
+    assert.equal(body.asOfDate, "2026-02-10");
+    // NYSE trading days Feb 11-27; Feb 16 is Washington's Birthday.
+    assert.equal(body.remainingSnapshots, 12);
+    const { linear, exp, mc, logret } = body.projections;
+    assert.equal(linear.dates.at(-1), "2026-02-27");
+    assert.equal(linear.p50.length, 12);
+    assert.ok(Math.abs(linear.p50.at(-1) - (body.currentWeight + 0.12)) < 1e-6);
+    assert.ok(exp.p50.at(-1) > body.currentWeight);
+
+    // NVDA outperforms IVV by 0.1%/day, so its weight grows by exp(0.012) over 12 days.
+    const nvdaWeight = body.currentWeight - 5;
+    assert.ok(Math.abs(logret.p50.at(-1) - (5 + nvdaWeight * Math.exp(0.012))) < 1e-3);
+
+    assert.equal(body.backtest.horizon, 12);
+    assert.ok(body.backtest.models.linear.origins > 0);
+    assert.ok(body.backtest.models.linear.pinballLoss < 1e-6);
+    assert.equal(body.backtest.best, "linear");
+    for (const key of ["exp", "mc", "logret"]) {
+      assert.ok(Number.isFinite(body.backtest.models[key].pinballLoss), key);
+    }
+
+    // Seeded: a second request returns the same Monte Carlo bands.
+    const again = JSON.parse((await handler(event)).body);
+    assert.deepEqual(again.projections.mc, mc);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("ivv-projection rejects out-of-range params", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async () => {
+      throw new Error("fetch should not be called");
+    };
+    const { handler } = require("../netlify/functions/ivv-projection");
+    const res = await handler({ queryStringParameters: { lookback: "2" } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(JSON.parse(res.body).error, "invalid_params");
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("ivv-projection fetches at most 100 daily snapshots and rejects windows too short to backtest", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const days = tradingDaysBetween("2025-06-02", "2026-02-10");
+    installFixtures(days);
+    const fixtureFetch = global.fetch;
+    const holdingsDates = [];
+    global.fetch = async (url) => {
+      const m = /asOfDate=(\d{8})/.exec(String(url));
+      if (m) holdingsDates.push(m[1]);
+      return fixtureFetch(url);
+    };
+
+    const { handler } = require("../netlify/functions/ivv-projection");
+    const res = await handler({ queryStringParameters: { asof: "2026-02-10", days: "140", lookback: "71" } });
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    // Sep 24 - Feb 10: 100 weekdays less Thanksgiving, Christmas, New Year's Day and MLK Day.
+    assert.equal(holdingsDates.length, 96);
+    assert.deepEqual([body.backtest.snapshots, body.backtest.maxSnapshots, body.backtest.historyDays], [96, 100, 140]);
+    assert.equal(body.backtest.horizon, 12);
+    assert.equal(body.backtest.models.linear.origins, 96 - 71 - 12 + 1);
+    assert.equal(body.backtest.reason, undefined);
+
+    // Beyond the snapshot cap, or too short for lookback + horizon + 10 origins: 400 before any fetch.
+    holdingsDates.length = 0;
+    for (const qs of [{ days: "141" }, { lookback: "72" }, { days: "60" }]) {
+      const bad = await handler({ queryStringParameters: { asof: "2026-02-10", ...qs } });
+      assert.equal(bad.statusCode, 400, JSON.stringify(qs));
+      assert.equal(JSON.parse(bad.body).error, "invalid_params");
+    }
+    const short = JSON.parse((await handler({ queryStringParameters: { asof: "2026-02-10", days: "60" } })).body);
+    assert.match(short.message, /lookback 60 \+ horizon 12 leaves 0 backtest origins \(need 10\)/);
+    assert.equal(holdingsDates.length, 0);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
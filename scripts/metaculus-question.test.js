@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { unscaleContinuous } = require("../netlify/functions/lib/metaculus");
+
+// Minimal Metaculus `/api/posts/<id>/` payloads, keyed by post id.
+const POSTS = {
+  41689: {
+    id: 41689,
+    title: "Brent minus WTI on Mar 4, 2026?",
+    status: "open",
+    question: {
+      id: 40901,
+      type: "numeric",
+      status: "open",
+      resolution: null,
+      open_time: "2026-02-01T15:00:00Z",
+      scheduled_close_time: "2026-03-01T15:00:00Z",
+      scheduled_resolve_time: "2026-03-05T15:00:00Z",
+      resolution_criteria: "Resolves to the EIA Brent spot minus WTI spot on Mar 4, 2026.",
+      fine_print: "",
+      scaling: { range_min: 0, range_max: 10, zero_point: null },
+      aggregations: {
+        recency_weighted: {
+          history: [
+            { start_time: 1769958000, end_time: 1770044400, centers: [0.42], interval_lower_bounds: [0.38], interval_upper_bounds: [0.47], forecaster_count: 12 },
+            { start_time: 1770044400, end_time: 1770130800, centers: [0.45], interval_lower_bounds: [0.4], interval_upper_bounds: [0.5], forecaster_count: 15 },
+          ],
+          latest: { start_time: 1770044400, end_time: null, centers: [0.45], interval_lower_bounds: [0.4], interval_upper_bounds: [0.5], forecaster_count: 15 },
+        },
+      },
+    },
+  },
+  41358: {
+    id: 41358,
+    title: "German 10Y yield ±20bps in Feb 2026?",
+    question: {
+      id: 40600,
+      type: "binary",
+      status: "resolved",
+      resolution: "no",
+      scheduled_close_time: "2026-02-27T16:00:00Z",
+      aggregations: { recency_weighted: { history: [{ start_time: 1770000000, end_time: 1770086400, centers: [0.18], forecaster_count: 30 }] } },
+    },
+  },
+  41465: {
+    id: 41465,
+    title: "Which major currency will increase most during February 2026?",
+    question: {
+      id: 40700,
+      type: "multiple_choice",
+      status: "open",
+      options: ["EUR", "JPY", "GBP"],
+      aggregations: { recency_weighted: { latest: { start_time: 1770000000, centers: [0.5, 0.3, 0.2], forecaster_count: 40 } } },
+    },
+  },
+};
+
+async function withMockMetaculus(fn) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push({ url: req.url, auth: req.headers.authorization || null });
+    const m = /^\/api\/posts\/(\d+)\/$/.exec(req.url);
+    const post = m ? POSTS[m[1]] : null;
+    res.writeHead(post ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(post || { detail: "Not found." }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const prevUrl = process.env.METACULUS_API_URL;
+  const prevToken = process.env.METACULUS_API_TOKEN;
+  process.env.METACULUS_API_URL = `http://127.0.0.1:${server.address().port}/api/posts`;
+  process.env.METACULUS_API_TOKEN = "test-token";
+  try {
+    await fn(seen);
+  } finally {
+    if (prevUrl === undefined) delete process.env.METACULUS_API_URL;
+    else process.env.METACULUS_API_URL = prevUrl;
+    if (prevToken === undefined) delete process.env.METACULUS_API_TOKEN;
+    else process.env.METACULUS_API_TOKEN = prevToken;
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("unscaleContinuous maps Metaculus' internal scale to question units", () => {
+  assert.equal(unscaleContinuous(0.5, { range_min: 0, range_max: 10 }), 5);
+  // Log scaling: the midpoint is the geometric mean when zero_point is 0.
+  assert.ok(Math.abs(unscaleContinuous(0.5, { range_min: 1, range_max: 100, zero_point: 0 }) - 10) < 1e-9);
+});
+
+test("metaculus-question normalizes a continuous question from the API", async () => {
+  await withMockMetaculus(async (seen) => {
+    const { handler } = require("../netlify/functions/metaculus-question");
+    const res = await handler({ queryStringParameters: { question: "brent-wti-2026-03-04" } });
+    assert.equal(res.statusCode, 200);
+    const { metaculus, question } = JSON.parse(res.body);
+
+    assert.equal(question.id, "brent-wti-2026-03-04");
+    assert.deepEqual(seen, [{ url: "/api/posts/41689/", auth: "Token test-token" }]);
+    assert.equal(metaculus.title, "Brent minus WTI on Mar 4, 2026?");
+    assert.equal(metaculus.type, "numeric");
+    assert.equal(metaculus.status, "open");
+    assert.equal(metaculus.closeTime, "2026-03-01T15:00:00.000Z");
+    assert.match(metaculus.resolutionCriteria, /EIA Brent spot/);
+    assert.equal(metaculus.community.history.length, 2);
+    assert.equal(metaculus.community.history[0].time, "2026-02-02T15:00:00.000Z");
+    assert.equal(metaculus.community.latest.median, 4.5);
+    assert.equal(metaculus.community.latest.lower, 4);
+    assert.equal(metaculus.community.latest.upper, 5);
+    assert.equal(metaculus.community.latest.forecasters, 15);
+  });
+});
+
+test("metaculus-question handles binary and multiple-choice questions", async () => {
+  await withMockMetaculus(async () => {
+    const { handler } = require("../netlify/functions/metaculus-question");
+
+    const bund = JSON.parse((await handler({ queryStringParameters: { question: "bund-10y-2026-02" } })).body).metaculus;
+    assert.equal(bund.status, "resolved");
+    assert.equal(bund.resolution, "no");
+    assert.equal(bund.community.latest.probability, 0.18);
+
+    const fx = JSON.parse((await handler({ queryStringParameters: { question: "fx-2026-02" } })).body).metaculus;
+    assert.deepEqual(fx.community.latest.probabilities, { EUR: 0.5, JPY: 0.3, GBP: 0.2 });
+    assert.deepEqual(fx.community.history, []);
+  });
+});
+
+test("metaculus-question rejects unknown questions and surfaces API errors", async () => {
+  await withMockMetaculus(async () => {
+    const { handler } = require("../netlify/functions/metaculus-question");
+    const bad = await handler({ queryStringParameters: { question: "nope" } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_question");
+
+    const missing = await handler({ queryStringParameters: { question: "ivv-ai-basket-2026-02-27" } });
+    assert.equal(missing.statusCode, 502);
+    assert.equal(JSON.parse(missing.body).message, "Metaculus request failed for post 41341: 404 Not Found");
+  });
+});
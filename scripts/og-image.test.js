@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+
+function makeBundesbankFixture(yieldByDate) {
+  const dates = Object.keys(yieldByDate).sort();
+  return {
+    data: {
+      dataSets: [
+        {
+          series: {
+            "0:0:0:0:0:0": {
+              observations: Object.fromEntries(dates.map((d, i) => [String(i), [yieldByDate[d]]])),
+            },
+          },
+        },
+      ],
+      structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+    },
+  };
+}
+
+// Splits a PNG into `[{ type, data }]`, checking each chunk's CRC.
+function readPngChunks(buf) {
+  const { crc32 } = require("../netlify/functions/lib/png");
+  assert.deepEqual([...buf.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const chunks = [];
+  let offset = 8;
+  while (offset < buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const typed = buf.subarray(offset + 4, offset + 8 + length);
+    assert.equal(buf.readUInt32BE(offset + 8 + length), crc32(typed));
+    chunks.push({ type: typed.subarray(0, 4).toString("ascii"), data: typed.subarray(4) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+test("og-image renders the Bund headline numbers as a 1200x630 PNG and as SVG", async () => {
+  const originalFetch = global.fetch;
+  const originalUrl = process.env.URL;
+  try {
+    process.env.URL = "https://trackers.example";
+    global.fetch = async (url) => {
+      assert.ok(String(url).includes("bundesbank"), `unexpected fetch url: ${url}`);
+      const json = makeBundesbankFixture({ "2026-01-29": 2.84, "2026-01-30": 2.8, "2026-02-02": 2.85 });
+      return { ok: true, status: 200, statusText: "OK", json: async () => json };
+    };
+
+    const { handler } = require("../netlify/functions/og-image");
+    const png = await handler({ queryStringParameters: { tracker: "bond-yield" } });
+    assert.equal(png.statusCode, 200);
+    assert.equal(png.headers["Content-Type"], "image/png");
+    assert.equal(png.isBase64Encoded, true);
+    assert.match(png.headers["Netlify-CDN-Cache-Control"], /max-age=900/);
+
+    const chunks = readPngChunks(Buffer.from(png.body, "base64"));
+    assert.deepEqual(chunks.map((c) => c.type), ["IHDR", "IDAT", "IEND"]);
+    const ihdr = chunks[0].data;
+    assert.equal(ihdr.readUInt32BE(0), 1200);
+    assert.equal(ihdr.readUInt32BE(4), 630);
+    assert.equal(zlib.inflateSync(chunks[1].data).length, (1200 * 3 + 1) * 630);
+
+    const svg = await handler({ queryStringParameters: { tracker: "bond-yield", format: "svg" } });
+    assert.equal(svg.statusCode, 200);
+    assert.equal(svg.headers["Content-Type"], "image/svg+xml; charset=utf-8");
+    assert.match(svg.body, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="1200" height="630"/);
+    assert.match(svg.body, />2\.85%<\/text>/);
+    assert.match(svg.body, />\+5\.0bp vs 2026-01-30 baseline 2\.80%<\/text>/);
+    assert.match(svg.body, />Upper trigger 3\.00%: 15\.0bp away<\/text>/);
+    assert.match(svg.body, />As of 2026-02-02 · trackers\.example<\/text>/);
+
+    const bad = await handler({ queryStringParameters: { tracker: "nope" } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_tracker");
+    const badFormat = await handler({ queryStringParameters: { tracker: "bond-yield", format: "gif" } });
+    assert.equal(JSON.parse(badFormat.body).error, "invalid_format");
+  } finally {
+    global.fetch = originalFetch;
+    if (originalUrl === undefined) delete process.env.URL;
+    else process.env.URL = originalUrl;
+  }
+});
+
+test("og-image falls back to an 'unavailable' card when the tracker call fails", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async () => ({ ok: false, status: 503, statusText: "Service Unavailable" });
+
+    const { handler } = require("../netlify/functions/og-image");
+    const res = await handler({ queryStringParameters: { tracker: "fx-tracker", format: "svg" } });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["Netlify-CDN-Cache-Control"], /max-age=300/);
+    assert.match(res.body, />Currency leaderboard vs USD<\/text>/);
+    assert.match(res.body, />Live data temporarily unavailable<\/text>/);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
@@ -150,6 +150,24 @@ test("oil-calibrated computes EWMA basis and calibrated spread", async () => {
       assert.equal(body.intraday.timestamps.length, 2);
       assert.equal(body.intraday.calibrated.spread.length, 2);
       assert.equal(body.intraday.calibrated.spread[0], 11.41);
+
+      // Forecast distribution for the target date (14 ICE/NYMEX business days out, Feb 16 is a US
+      // holiday; too little EIA history for 14-day changes, so daily changes are scaled by sqrt(14)).
+      assert.equal(body.forecast.status, "forecast");
+      assert.equal(body.forecast.horizonBusinessDays, 14);
+      assert.equal(body.forecast.components.spreadChanges.method, "sqrt_scaled_daily");
+      assert.equal(body.forecast.cdf.x.length, 201);
+      assert.equal(body.forecast.cdf.p.length, 201);
+      for (let i = 1; i < body.forecast.cdf.p.length; i += 1) {
+        assert.ok(body.forecast.cdf.p[i] >= body.forecast.cdf.p[i - 1]);
+      }
+      const values = body.forecast.quantiles.map((q) => q.value);
+      assert.deepEqual(values.slice().sort((x, y) => x - y), values);
+      const median = body.forecast.quantiles.find((q) => q.p === 0.5).value;
+      assert.ok(Math.abs(median - body.spread.calibrated) < 0.5);
+      assert.equal(body.forecast.fan.length, 14);
+      assert.equal(body.forecast.fan[0].date, "2026-02-12");
+      assert.equal(body.forecast.fan.at(-1).date, "2026-03-04");
     } finally {
       global.fetch = originalFetch;
       if (originalEnv === undefined) delete process.env.EIA_API_KEY;
@@ -237,6 +255,10 @@ test("oil-calibrated interpolates target spread after deadline when missing", as
       assert.equal(body.metaculus.resolution.value, 10.0);
       assert.equal(body.metaculus.resolution.interpolation.prevDate, "2026-03-03");
       assert.equal(body.metaculus.resolution.interpolation.nextDate, "2026-03-05");
+
+      // Once resolved the forecast collapses to the resolution value.
+      assert.equal(body.forecast.status, "resolved");
+      assert.ok(body.forecast.quantiles.every((q) => q.value === 10));
     } finally {
       global.fetch = originalFetch;
       if (originalEnv === undefined) delete process.env.EIA_API_KEY;
@@ -245,3 +267,185 @@ test("oil-calibrated interpolates target spread after deadline when missing", as
   });
 });
 
+
+test("spread distribution uses empirical horizon changes and honours a fixed CDF range", () => {
+  const { buildSpreadDistribution } = require("../netlify/functions/lib/spread-distribution");
+  // Alternating +/-1 daily moves: 2-day changes are exactly 0 or +/-2.
+  const observedAsc = Array.from({ length: 80 }, (_, i) => 10 + (i % 2));
+  const dist = buildSpreadDistribution({
+    center: 10,
+    observedAsc,
+    horizon: 2,
+    basisResiduals: [-0.1, 0.1],
+    range: { min: 0, max: 20 },
+  });
+  assert.equal(dist.components.spreadChanges.method, "empirical");
+  assert.equal(dist.components.spreadChanges.stdev, 0);
+  assert.equal(dist.cdf.min, 0);
+  assert.equal(dist.cdf.max, 20);
+  assert.equal(dist.cdf.x[100], 10);
+  assert.ok(Math.abs(dist.cdf.p[100] - 0.5) < 1e-6);
+  assert.ok(dist.cdf.p[0] < 1e-6 && dist.cdf.p[200] > 1 - 1e-6);
+});
+
+test("oil-calibrated rejects a malformed CDF range", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async () => {
+      throw new Error("fetch should not be called");
+    };
+    const fn = require("../netlify/functions/oil-calibrated");
+    const res = await fn.handler({ queryStringParameters: { cdfMin: "5", cdfMax: "1" } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(JSON.parse(res.body).error, "invalid_params");
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+// ICE/NYMEX settlement days (the backtest skips the holidays in between).
+function tradingDaysFrom(startIso, count) {
+  const { isBusinessDay } = require("../netlify/functions/lib/calendars");
+  const out = [];
+  for (let d = new Date(`${startIso}T00:00:00Z`); out.length < count; d.setUTCDate(d.getUTCDate() + 1)) {
+    if (isBusinessDay("ICE_NYMEX", d)) out.push(d.toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+test("basis backtest scores each half-life/window on prints known at the time", () => {
+  const { backtestBasisCalibration } = require("../netlify/functions/lib/basis");
+  const dates = tradingDaysFrom("2025-11-03", 60);
+  // WTI basis jumps from 1 to 3 on day 40; Brent basis is a constant 2.
+  const futures = { wti: {}, brent: {} };
+  const eia = { wti: {}, brent: {} };
+  dates.forEach((d, i) => {
+    futures.wti[d] = 70 + 0.1 * i;
+    futures.brent[d] = 74 + 0.1 * i;
+    eia.wti[d] = futures.wti[d] + (i < 40 ? 1 : 3);
+    eia.brent[d] = futures.brent[d] + 2;
+  });
+
+  const bt = backtestBasisCalibration({ eia, futures, halfLives: [1, 8], windows: [5, 20], lag: 1, evalDays: 30 });
+  assert.equal(bt.evalFrom, dates[30]);
+  assert.equal(bt.evalTo, dates[59]);
+  const row = (h, w) => bt.results.find((r) => r.halfLife === h && r.window === w);
+  assert.equal(row(1, 5).n, 30);
+  assert.ok(Math.abs(row(1, 5).brent.mae) < 1e-9);
+  // After the jump, the short/fast calibration catches up sooner.
+  assert.ok(row(1, 5).wti.rmse < row(8, 20).wti.rmse);
+  // Without a basis correction the spread is off by the basis difference on every day.
+  assert.ok(Math.abs(bt.baseline.spread.mae - (20 * 1 + 10 * 1) / 30) < 1e-9);
+});
+
+test("oil-calibrated backtest mode reports MAE/RMSE per half-life and window", async () => {
+  const originalFetch = global.fetch;
+  const originalEnv = process.env.EIA_API_KEY;
+  try {
+    process.env.EIA_API_KEY = "test";
+    const dates = tradingDaysFrom("2025-11-03", 60);
+    const rows = [];
+    dates.forEach((d, i) => {
+      rows.push({ period: d, series: "RWTC", value: 71 + 0.1 * i });
+      rows.push({ period: d, series: "RBRTE", value: 76 + 0.1 * i });
+    });
+    const chart = (base) =>
+      makeYahooChartFixture({
+        timestampsSec: dates.map((d) => ts(`${d}T00:00:00Z`)),
+        closes: dates.map((_, i) => base + 0.1 * i + (i % 2 ? 0.2 : -0.2)),
+      });
+    const fixtures = { "CL=F": chart(70), "BZ=F": chart(74) };
+
+    global.fetch = async (url) => {
+      const u = String(url);
+      if (u.startsWith("https://api.eia.gov/")) {
+        return { ok: true, status: 200, statusText: "OK", json: async () => makeEiaFixture({ rows }) };
+      }
+      const m = u.match(/\/v8\/finance\/chart\/([^?]+)/);
+      assert.ok(m, `unexpected url: ${u}`);
+      assert.equal(new URL(u).searchParams.get("interval"), "1d");
+      return { ok: true, status: 200, statusText: "OK", json: async () => fixtures[decodeURIComponent(m[1])] };
+    };
+
+    const fn = require("../netlify/functions/oil-calibrated");
+    const res = await fn.handler({
+      queryStringParameters: { backtest: "1", halfLives: "3,1", windows: "10,5", days: "30" },
+    });
+    assert.equal(res.statusCode, 200);
+    const { backtest } = JSON.parse(res.body);
+    assert.equal(backtest.lag, 1);
+    assert.match(backtest.note, /`lag` aligned observations/);
+    assert.deepEqual(
+      backtest.results.map((r) => [r.halfLife, r.window, r.current]),
+      [[1, 5, false], [1, 10, false], [3, 5, false], [3, 10, true]]
+    );
+    for (const r of backtest.results) {
+      assert.equal(r.n, 30);
+      assert.ok(r.spread.rmse >= r.spread.mae);
+    }
+    assert.deepEqual(backtest.current, { halfLife: 3, window: 10 });
+    assert.equal(backtest.baseline.n, 30);
+    assert.ok(backtest.results.some((r) => r.halfLife === backtest.best.halfLife && r.window === backtest.best.window));
+
+    const bad = await fn.handler({ queryStringParameters: { backtest: "1", windows: "2" } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_params");
+
+    // lag=0 would be look-ahead: the day's own EIA print in its basis.
+    const lookAhead = await fn.handler({ queryStringParameters: { backtest: "1", lag: "0" } });
+    assert.equal(lookAhead.statusCode, 400);
+    assert.match(JSON.parse(lookAhead.body).message, /lag 1-10/);
+  } finally {
+    global.fetch = originalFetch;
+    if (originalEnv === undefined) delete process.env.EIA_API_KEY;
+    else process.env.EIA_API_KEY = originalEnv;
+  }
+});
+
+test("oil-calibrated fetches the question's EIA series and futures symbols", async () => {
+  const originalFetch = global.fetch;
+  const originalEnv = process.env.EIA_API_KEY;
+  const { getQuestion } = require("../netlify/functions/lib/questions");
+  const question = getQuestion("brent-wti-2026-03-04");
+  const originalInstrument = question.instrument;
+  try {
+    process.env.EIA_API_KEY = "test";
+    question.instrument = {
+      ...originalInstrument,
+      eia: { wti: "W-TEST", brent: "B-TEST" },
+      yahoo: { wti: "WT=F", brent: "BR=F" },
+    };
+    const dates = tradingDaysFrom("2025-11-03", 60);
+    const rows = dates.flatMap((d) => [
+      { period: d, series: "W-TEST", value: 71 },
+      { period: d, series: "B-TEST", value: 76 },
+    ]);
+    const chart = makeYahooChartFixture({
+      timestampsSec: dates.map((d) => ts(`${d}T00:00:00Z`)),
+      closes: dates.map(() => 70),
+    });
+    const requested = [];
+    global.fetch = async (url) => {
+      const u = String(url);
+      if (u.startsWith("https://api.eia.gov/")) {
+        requested.push(...new URL(u).searchParams.getAll("facets[series][]"));
+        return { ok: true, status: 200, statusText: "OK", json: async () => makeEiaFixture({ rows }) };
+      }
+      const m = u.match(/\/v8\/finance\/chart\/([^?]+)/);
+      assert.ok(m, `unexpected url: ${u}`);
+      requested.push(decodeURIComponent(m[1]));
+      return { ok: true, status: 200, statusText: "OK", json: async () => chart };
+    };
+
+    const fn = require("../netlify/functions/oil-calibrated");
+    const res = await fn.handler({ queryStringParameters: { backtest: "1", windows: "5", halfLives: "1", days: "20" } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual([...new Set(requested)].sort(), ["B-TEST", "BR=F", "W-TEST", "WT=F"]);
+    assert.deepEqual(JSON.parse(res.body).source.futures.symbols, { wti: "WT=F", brent: "BR=F" });
+  } finally {
+    question.instrument = originalInstrument;
+    global.fetch = originalFetch;
+    if (originalEnv === undefined) delete process.env.EIA_API_KEY;
+    else process.env.EIA_API_KEY = originalEnv;
+  }
+});
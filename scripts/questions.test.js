@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { QUESTIONS, getQuestion, listQuestions, resolveQuestion } = require("../netlify/functions/lib/questions");
+
+test("question registry entries have unique ids and a known tracker", () => {
+  const ids = QUESTIONS.map((q) => q.id);
+  assert.equal(new Set(ids).size, ids.length);
+  for (const q of QUESTIONS) {
+    assert.ok(q.tracker, `${q.id} has no tracker`);
+    assert.ok(q.window && q.window.start && q.window.end, `${q.id} has no window`);
+    assert.ok(q.resolution && q.resolution.rule, `${q.id} has no resolution rule`);
+  }
+  assert.equal(getQuestion("fx-2026-02").tracker, "fx-tracker");
+  assert.equal(getQuestion("nope"), null);
+  assert.deepEqual(
+    listQuestions({ tracker: "bond-yield" }).map((q) => q.id),
+    ["bund-10y-2026-02"],
+  );
+  const { BUND_TENORS } = require("../netlify/functions/lib/bundesbank");
+  for (const q of listQuestions({ tracker: "bond-yield" })) {
+    assert.equal(BUND_TENORS[q.instrument.tenor].seriesId, q.instrument.seriesId, q.id);
+  }
+});
+
+test("each question names a holiday calendar and its last trading day matches it", () => {
+  const { CALENDARS, lastBusinessDayOnOrBefore } = require("../netlify/functions/lib/calendars");
+  for (const q of QUESTIONS) {
+    assert.ok(CALENDARS[q.instrument.calendar], `${q.id} has no known calendar`);
+    if (q.window.lastTradingDay) {
+      assert.equal(q.window.lastTradingDay, lastBusinessDayOnOrBefore(q.instrument.calendar, q.window.end), q.id);
+    }
+  }
+});
+
+test("resolveQuestion falls back to the tracker default and rejects mismatched ids", () => {
+  assert.equal(resolveQuestion({}, "fx-tracker").id, "fx-2026-02");
+  assert.equal(resolveQuestion({ question: "fx-2026-02" }, "fx-tracker").id, "fx-2026-02");
+  assert.equal(resolveQuestion({ question: "bund-10y-2026-02" }, "fx-tracker"), null);
+  assert.equal(resolveQuestion({ question: "missing" }, "fx-tracker"), null);
+});
+
+test("fx-tracker rejects an unknown ?question= with 400", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async () => {
+      throw new Error("fetch should not be called");
+    };
+    const { handler } = require("../netlify/functions/fx-tracker");
+    const res = await handler({ queryStringParameters: { question: "does-not-exist" } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.headers["Cache-Control"], "no-store");
+    assert.equal(JSON.parse(res.body).error, "invalid_question");
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
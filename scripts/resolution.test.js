@@ -0,0 +1,239 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  resolveRangeBreach,
+  resolveLargestPctChange,
+  resolveBasketWeightOnDate,
+} = require("../netlify/functions/lib/resolution");
+
+function ts(dateStr) {
+  return Math.floor(new Date(`${dateStr}T00:00:00Z`).getTime() / 1000);
+}
+
+function weekdaysBetween(fromIso, toIso) {
+  const out = [];
+  for (let d = new Date(`${fromIso}T00:00:00Z`); d <= new Date(`${toIso}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+    const day = d.getUTCDay();
+    if (day >= 1 && day <= 5) out.push(d.toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+function makeBundesbankFixture(yieldByDate) {
+  const dates = Object.keys(yieldByDate).sort();
+  return {
+    data: {
+      dataSets: [
+        {
+          series: {
+            "0:0:0:0:0:0": {
+              observations: Object.fromEntries(dates.map((d, i) => [String(i), [yieldByDate[d]]])),
+            },
+          },
+        },
+      ],
+      structure: { dimensions: { observation: [{ values: dates.map((id) => ({ id })) }] } },
+    },
+  };
+}
+
+function makeYahooChartFixture(closesByDate) {
+  const dates = Object.keys(closesByDate).sort();
+  return {
+    chart: {
+      result: [{ timestamp: dates.map(ts), indicators: { quote: [{ close: dates.map((d) => closesByDate[d]) }] } }],
+      error: null,
+    },
+  };
+}
+
+function makeHoldingsCsv({ asOfLabel, rows }) {
+  const lines = ["﻿iShares Core S&P 500 ETF", `Fund Holdings as of,"${asOfLabel}"`, "", "Ticker,Name,Weight (%)"];
+  for (const r of rows) lines.push(`"${r.ticker}","${r.ticker}","${r.weight}"`);
+  return lines.join("\n");
+}
+
+test("range_breach: first breach resolves YES, a complete window NO, otherwise pending", () => {
+  const base = { baselineDate: "2026-01-30", thresholdBp: 20, periodStart: "2026-02-01", lastTradingDay: "2026-02-27", seriesId: "S" };
+
+  const yes = resolveRangeBreach({ ...base, yieldByDate: { "2026-01-30": 2.8, "2026-02-02": 2.9, "2026-02-03": 3.0, "2026-02-04": 2.5 } });
+  assert.equal(yes.status, "exact");
+  assert.equal(yes.value, "yes");
+  assert.deepEqual(yes.breach, { date: "2026-02-03", yield: 3.0, direction: "upper" });
+  assert.deepEqual(
+    yes.observations.map((o) => [o.role, o.date, o.value]),
+    [["baseline", "2026-01-30", 2.8], ["breach", "2026-02-03", 3.0]]
+  );
+
+  const no = resolveRangeBreach({ ...base, yieldByDate: { "2026-01-30": 2.8, "2026-02-02": 2.9, "2026-02-27": 2.7 } });
+  assert.equal(no.status, "exact");
+  assert.equal(no.value, "no");
+  assert.deepEqual(no.observations.map((o) => o.role), ["baseline", "max", "min"]);
+
+  const pending = resolveRangeBreach({ ...base, yieldByDate: { "2026-01-30": 2.8, "2026-02-10": 2.95 } });
+  assert.equal(pending.status, "pending");
+  assert.deepEqual(pending.provisional, { asOfDate: "2026-02-10", yield: 2.95, changeBp: 15 });
+
+  assert.equal(resolveRangeBreach({ ...base, yieldByDate: {} }).status, "unavailable");
+});
+
+test("largest_pct_change waits for the window's last close and the resolve time", () => {
+  const closesByCode = {
+    EUR: { closeByDate: { "2026-01-30": 1.0, "2026-02-26": 1.02, "2026-02-27": 1.03 }, providerByDate: { "2026-02-27": "ecb" } },
+    JPY: { closeByDate: { "2026-01-30": 1.0, "2026-02-26": 1.04, "2026-02-27": 1.01 }, providerByDate: {} },
+  };
+  const args = { closesByCode, baselineDate: "2026-01-30", periodStart: "2026-02-01", periodEnd: "2026-02-28", resolvesAt: "2026-03-01T19:00:00Z" };
+
+  const early = resolveLargestPctChange({ ...args, nowIso: "2026-03-01T12:00:00.000Z" });
+  assert.equal(early.status, "pending");
+  assert.equal(early.provisional.leader, "EUR");
+
+  const done = resolveLargestPctChange({ ...args, nowIso: "2026-03-01T19:00:00.000Z" });
+  assert.equal(done.status, "exact");
+  assert.equal(done.value, "EUR");
+  assert.equal(done.asOfDate, "2026-02-27");
+  assert.deepEqual(done.observations.find((o) => o.role === "final" && o.series === "EURUSD"), {
+    role: "final",
+    source: "ECB reference rates",
+    series: "EURUSD",
+    date: "2026-02-27",
+    value: 1.03,
+  });
+
+  // Feb 26 is not the last weekday of the window, so the leader on that day is only provisional.
+  delete closesByCode.EUR.closeByDate["2026-02-27"];
+  const gap = resolveLargestPctChange({ ...args, nowIso: "2026-03-05T00:00:00.000Z" });
+  assert.equal(gap.status, "pending");
+  assert.equal(gap.provisional.leader, "JPY");
+});
+
+test("basket_weight_on_date uses the target snapshot, else the latest one provisionally", () => {
+  const points = [
+    { date: "2026-02-25", holdingsAsOfLabel: "Feb 25, 2026", weightByTicker: { NVDA: 7.1 }, totalWeight: 7.1 },
+    { date: "2026-02-26", holdingsAsOfLabel: "Feb 26, 2026", weightByTicker: { NVDA: 7.2 }, totalWeight: 7.2 },
+  ];
+  const pending = resolveBasketWeightOnDate({ points, targetDate: "2026-02-27", nowDateStr: "2026-02-27" });
+  assert.equal(pending.status, "pending");
+  assert.deepEqual(pending.provisional, { asOfDate: "2026-02-26", value: 7.2 });
+
+  points.push({ date: "2026-02-27", holdingsAsOfLabel: "Feb 27, 2026", weightByTicker: { NVDA: 7.3 }, totalWeight: 7.3 });
+  const exact = resolveBasketWeightOnDate({ points, targetDate: "2026-02-27", nowDateStr: "2026-03-02" });
+  assert.equal(exact.status, "exact");
+  assert.equal(exact.value, 7.3);
+  assert.equal(exact.observations[0].source, "iShares IVV holdings (as of Feb 27, 2026)");
+});
+
+test("resolution evaluates every registered question with its audit trail", async () => {
+  const originalFetch = global.fetch;
+  const prevKey = process.env.EIA_API_KEY;
+  try {
+    process.env.EIA_API_KEY = "test";
+    const fxDates = ["2026-01-30", ...weekdaysBetween("2026-02-02", "2026-02-27")];
+    global.fetch = async (url) => {
+      const u = String(url);
+      if (u.includes("bundesbank")) {
+        const json = makeBundesbankFixture({ "2026-01-30": 2.8, "2026-02-02": 2.85, "2026-02-20": 3.01, "2026-02-27": 2.9 });
+        return { ok: true, status: 200, statusText: "OK", json: async () => json };
+      }
+      if (u.includes("api.eia.gov")) {
+        assert.match(u, /start=2026-02-18&end=2026-03-18/);
+        const data = [
+          { period: "2026-03-03", series: "RWTC", value: 70 },
+          { period: "2026-03-03", series: "RBRTE", value: 74 },
+          { period: "2026-03-05", series: "RWTC", value: 71 },
+          { period: "2026-03-05", series: "RBRTE", value: 76 },
+        ];
+        return { ok: true, status: 200, statusText: "OK", json: async () => ({ response: { data } }) };
+      }
+      if (u.includes("ishares.com")) {
+        const body = u.includes("asOfDate=20260227")
+          ? makeHoldingsCsv({ asOfLabel: "Feb 27, 2026", rows: [{ ticker: "NVDA", weight: "7.50" }, { ticker: "MSFT", weight: "6.10" }] })
+          : makeHoldingsCsv({ asOfLabel: "-", rows: [] });
+        return { ok: true, status: 200, statusText: "OK", text: async () => body };
+      }
+      const m = /\/chart\/([^?]+)\?/.exec(u);
+      assert.ok(m, `unexpected url: ${u}`);
+      const symbol = decodeURIComponent(m[1]);
+      const growth = symbol === "GBPUSD=X" ? 0.002 : 0.001;
+      const json = makeYahooChartFixture(Object.fromEntries(fxDates.map((d, i) => [d, 1 + growth * i])));
+      return { ok: true, status: 200, statusText: "OK", json: async () => json };
+    };
+
+    const { handler } = require("../netlify/functions/resolution");
+    const res = await handler({});
+    assert.equal(res.statusCode, 200);
+    const byId = Object.fromEntries(JSON.parse(res.body).resolutions.map((r) => [r.question.id, r]));
+
+    const bund = byId["bund-10y-2026-02"];
+    assert.equal(bund.rule.id, "range_breach");
+    assert.equal(bund.status, "exact");
+    assert.equal(bund.value, "yes");
+    assert.deepEqual(bund.details.breach, { date: "2026-02-20", yield: 3.01, direction: "upper" });
+    assert.ok(bund.evaluatedAt);
+
+    const fx = byId["fx-2026-02"];
+    assert.equal(fx.status, "exact");
+    assert.equal(fx.value, "GBP");
+    assert.equal(fx.observations.length, 16);
+    assert.equal(fx.observations[0].source, "Yahoo Finance");
+
+    const oil = byId["brent-wti-2026-03-04"];
+    assert.equal(oil.status, "interpolated");
+    assert.equal(oil.value, 4.5);
+    assert.deepEqual(oil.observations.map((o) => `${o.series}@${o.date}`), [
+      "RBRTE@2026-03-03",
+      "RWTC@2026-03-03",
+      "RBRTE@2026-03-05",
+      "RWTC@2026-03-05",
+    ]);
+
+    const ivv = byId["ivv-ai-basket-2026-02-27"];
+    assert.equal(ivv.status, "exact");
+    assert.equal(ivv.value, 13.6);
+
+    const one = JSON.parse((await handler({ queryStringParameters: { question: "fx-2026-02" } })).body);
+    assert.deepEqual(one.resolutions.map((r) => r.question.id), ["fx-2026-02"]);
+
+    const bad = await handler({ queryStringParameters: { question: "nope" } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(JSON.parse(bad.body).error, "invalid_question");
+
+    // A failing upstream only marks its own question unavailable.
+    global.fetch = async () => ({ ok: false, status: 503, statusText: "Service Unavailable" });
+    const down = JSON.parse((await handler({ queryStringParameters: { question: "bund-10y-2026-02" } })).body);
+    assert.equal(down.resolutions[0].status, "unavailable");
+    assert.match(down.resolutions[0].reason, /Bundesbank request failed/);
+  } finally {
+    global.fetch = originalFetch;
+    if (prevKey === undefined) delete process.env.EIA_API_KEY;
+    else process.env.EIA_API_KEY = prevKey;
+  }
+});
+
+test("largest_pct_change ranks on the source's rounding, like fx-tracker, and records it", async () => {
+  const originalFetch = global.fetch;
+  try {
+    const fxDates = ["2026-01-30", ...weekdaysBetween("2026-02-02", "2026-02-27")];
+    // Unrounded, JPY gains most (+0.014% vs +0.012%); at 4dp EUR does (+0.02% vs +0.01%).
+    const closes = { "EURUSD=X": [1.00004, 1.00016], "JPYUSD=X": [1, 1.00014] };
+    global.fetch = async (url) => {
+      const m = /\/chart\/([^?]+)\?/.exec(String(url));
+      assert.ok(m, `unexpected url: ${url}`);
+      const [baseline, final] = closes[decodeURIComponent(m[1])] || [1, 1];
+      const json = makeYahooChartFixture(Object.fromEntries(fxDates.map((d, i) => [d, i === 0 ? baseline : final])));
+      return { ok: true, status: 200, statusText: "OK", json: async () => json };
+    };
+
+    const { handler } = require("../netlify/functions/resolution");
+    const [fx] = JSON.parse((await handler({ queryStringParameters: { question: "fx-2026-02" } })).body).resolutions;
+    assert.equal(fx.rule.roundDecimals, 4);
+    assert.equal(fx.value, "EUR");
+
+    const tracker = require("../netlify/functions/fx-tracker");
+    const page = JSON.parse((await tracker.handler({ queryStringParameters: { asof: "2026-02-27" } })).body);
+    assert.equal(page.leader.code, fx.value);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
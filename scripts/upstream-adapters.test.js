@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fetchYahooDaily } = require("../netlify/functions/lib/yahoo");
+const { parseBundesbankObservations } = require("../netlify/functions/lib/bundesbank");
+const { parseFredCsv } = require("../netlify/functions/lib/fred");
+const { fetchEiaSpot } = require("../netlify/functions/lib/eia");
+
+function ts(dateStr) {
+  return Math.floor(new Date(`${dateStr}T00:00:00Z`).getTime() / 1000);
+}
+
+test("yahoo adapter drops weekends/nulls, rounds, and returns the live quote", async () => {
+  const originalFetch = global.fetch;
+  try {
+    let seenHeaders = null;
+    global.fetch = async (url, opts) => {
+      assert.match(String(url), /\/v8\/finance\/chart\/CL%3DF\?/);
+      seenHeaders = opts.headers;
+      return {
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        json: async () => ({
+          chart: {
+            result: [
+              {
+                meta: { regularMarketPrice: 70.126, regularMarketTime: ts("2026-02-03") },
+                timestamp: [ts("2026-01-30"), ts("2026-01-31"), ts("2026-02-02"), ts("2026-02-03")],
+                indicators: { quote: [{ close: [70.004, 71, null, 72.555] }] },
+              },
+            ],
+            error: null,
+          },
+        }),
+      };
+    };
+
+    const out = await fetchYahooDaily("CL=F", new Date("2026-01-01"), new Date("2026-02-04"), {
+      roundDecimals: 2,
+      client: "test-client",
+    });
+    assert.deepEqual(out.closeByDate, { "2026-01-30": 70, "2026-02-03": 72.56 });
+    assert.equal(out.live.price, 70.13);
+    assert.equal(out.live.timestamp, "2026-02-03T00:00:00.000Z");
+    assert.equal(seenHeaders["User-Agent"], "Mozilla/5.0 (Netlify test-client)");
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("yahoo adapter reports HTTP failures with the symbol", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async () => ({ ok: false, status: 422, statusText: "Unprocessable Entity" });
+    await assert.rejects(
+      fetchYahooDaily("BZ=F", new Date("2026-01-01"), new Date("2026-02-04")),
+      /^Error: Yahoo request failed for BZ=F: 422 Unprocessable Entity$/
+    );
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("bundesbank parser skips zero placeholders and applies the date window", () => {
+  const json = {
+    data: {
+      dataSets: [{ series: { "0:0:0:0:0:0": { observations: { 0: [2.851], 1: [0], 2: [2.9], 3: [0] } } } }],
+      structure: {
+        dimensions: {
+          observation: [{ values: [{ id: "2026-01-29" }, { id: "2026-01-30" }, { id: "2026-02-02" }, { id: "2026-02-03" }] }],
+        },
+      },
+    },
+  };
+  assert.deepEqual(parseBundesbankObservations(json), { "2026-01-29": 2.85, "2026-02-02": 2.9 });
+  assert.deepEqual(parseBundesbankObservations(json, { startDate: "2026-01-30" }), { "2026-02-02": 2.9 });
+});
+
+test("fred parser skips '.' markers and weekend rows", () => {
+  const csv = ["DATE,DGS10,IRLTLT01GBD156N", "2026-01-30,4.25,.", "2026-01-31,4.30,4.6", "2026-02-02,4.271,4.55"].join(
+    "\n"
+  );
+  assert.deepEqual(parseFredCsv(csv), {
+    DGS10: { "2026-01-30": 4.25, "2026-02-02": 4.27 },
+    IRLTLT01GBD156N: { "2026-02-02": 4.55 },
+  });
+});
+
+test("eia adapter buckets rows by requested series only", async () => {
+  const originalFetch = global.fetch;
+  try {
+    global.fetch = async (url) => {
+      const u = String(url);
+      assert.ok(u.includes("facets%5Bseries%5D%5B%5D=RWTC"));
+      return {
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        json: async () => ({
+          response: {
+            data: [
+              { series: "RWTC", period: "2026-02-02", value: "63.1" },
+              { series: "RBRTE", period: "2026-02-02", value: 67.456 },
+              { series: "RBRTE", period: "2026-02-01", value: 67 },
+              { series: "OTHER", period: "2026-02-02", value: 1 },
+              { series: "RWTC", period: "2026-02-03", value: null },
+            ],
+          },
+        }),
+      };
+    };
+    const { bySeries } = await fetchEiaSpot({ apiKey: "k", series: ["RWTC", "RBRTE"], length: 10 });
+    assert.deepEqual(bySeries, { RWTC: { "2026-02-02": 63.1 }, RBRTE: { "2026-02-02": 67.46 } });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
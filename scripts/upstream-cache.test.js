@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { configureCache, cacheGet, getCacheStore } = require("../netlify/functions/lib/cache");
+const { connectBlobs } = require("../netlify/functions/lib/blobs");
+const { fetchYahooDailyCloses } = require("../netlify/functions/lib/yahoo");
+const { fetchHoldingsCsvText } = require("../netlify/functions/lib/ishares");
+
+function ts(dateStr) {
+  return Math.floor(new Date(`${dateStr}T00:00:00Z`).getTime() / 1000);
+}
+
+function isoDaysAgo(n) {
+  const d = new Date();
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - n);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdaysBetween(fromDaysAgo, toDaysAgo) {
+  const out = [];
+  for (let n = fromDaysAgo; n >= toDaysAgo; n -= 1) {
+    const iso = isoDaysAgo(n);
+    const day = new Date(`${iso}T00:00:00Z`).getUTCDay();
+    if (day >= 1 && day <= 5) out.push(iso);
+  }
+  return out;
+}
+
+function withTempCache(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "upstream-cache-test-"));
+    const originalFetch = global.fetch;
+    configureCache({ backend: "fs", dir });
+    try {
+      await fn(dir);
+    } finally {
+      global.fetch = originalFetch;
+      configureCache(null);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test(
+  "yahoo daily closes are served from cache and only the unsettled tail is refetched",
+  withTempCache(async () => {
+    const dates = weekdaysBetween(30, 0);
+    const calls = [];
+    global.fetch = async (url) => {
+      const params = new URL(String(url)).searchParams;
+      const p1 = Number(params.get("period1"));
+      const p2 = Number(params.get("period2"));
+      calls.push({ p1, p2 });
+      const inRange = dates.filter((d) => ts(d) >= p1 && ts(d) < p2);
+      return {
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        json: async () => ({
+          chart: {
+            result: [{ timestamp: inRange.map(ts), indicators: { quote: [{ close: inRange.map((_, i) => 1 + i / 100) }] } }],
+            error: null,
+          },
+        }),
+      };
+    };
+
+    const start = new Date(`${isoDaysAgo(30)}T00:00:00Z`);
+    const endExclusive = new Date(`${isoDaysAgo(-1)}T00:00:00Z`);
+
+    const first = await fetchYahooDailyCloses("EURUSD=X", start, endExclusive, { client: "test" });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(Object.keys(first), dates);
+
+    const entry = await cacheGet("yahoo/daily/EURUSD=X");
+    assert.equal(entry.from, isoDaysAgo(30));
+    assert.equal(entry.to, isoDaysAgo(2));
+
+    const second = await fetchYahooDailyCloses("EURUSD=X", start, endExclusive, { client: "test" });
+    assert.equal(calls.length, 2);
+    // The second request only asks Yahoo for dates after the cached (settled) range.
+    assert.equal(calls[1].p1, ts(isoDaysAgo(1)));
+    for (const d of dates.filter((x) => x <= isoDaysAgo(2))) {
+      assert.equal(second[d], first[d]);
+    }
+  })
+);
+
+test(
+  "iShares snapshots for past dates are cached; missing ('-') snapshots are not",
+  withTempCache(async () => {
+    let calls = 0;
+    global.fetch = async (url) => {
+      calls += 1;
+      const asOf = /asOfDate=(\d{8})/.exec(String(url))[1];
+      const label = asOf === "20260102" ? '"-"' : '"Jan 05, 2026"';
+      return {
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        text: async () => `Fund Holdings as of,${label}\n\nTicker,Name,Weight (%)\nNVDA,NVIDIA,7.1\n`,
+      };
+    };
+
+    await fetchHoldingsCsvText("20260105", { client: "test" });
+    await fetchHoldingsCsvText("20260105", { client: "test" });
+    assert.equal(calls, 1);
+
+    await fetchHoldingsCsvText("20260102", { client: "test" });
+    await fetchHoldingsCsvText("20260102", { client: "test" });
+    assert.equal(calls, 3);
+  })
+);
+
+test("a Blobs context passed in the function event selects the Netlify Blobs backend", async () => {
+  const names = ["UPSTREAM_CACHE", "UPSTREAM_CACHE_DIR", "NETLIFY_BLOBS_CONTEXT"];
+  const saved = Object.fromEntries(names.map((name) => [name, process.env[name]]));
+  const originalFetch = global.fetch;
+  try {
+    for (const name of names) delete process.env[name];
+    configureCache(null);
+    assert.equal(getCacheStore(), null);
+
+    // What Netlify passes to a Lambda-compatible handler.
+    const event = {
+      blobs: Buffer.from(JSON.stringify({ url: "https://blobs.example", token: "tok-1" })).toString("base64"),
+      headers: { "x-nf-site-id": "site-1", "x-nf-deploy-id": "deploy-1" },
+    };
+    assert.equal(connectBlobs({ queryStringParameters: {} }), false);
+    assert.equal(connectBlobs(event), true);
+    assert.equal(getCacheStore().backend, "blobs");
+
+    const calls = [];
+    global.fetch = async (url, init = {}) => {
+      calls.push({ url: String(url), authorization: new Headers(init.headers).get("authorization") });
+      return new Response(JSON.stringify({ close: 1.1 }), { status: 200 });
+    };
+    assert.deepEqual(await cacheGet("yahoo/daily/EURUSD/2026-01-02"), { close: 1.1 });
+    assert.equal(calls.length, 1);
+    assert.match(calls[0].url, /^https:\/\/blobs\.example\/site-1\/site:upstream-cache\/yahoo\/daily\/EURUSD\/2026-01-02$/);
+    assert.equal(calls[0].authorization, "Bearer tok-1");
+  } finally {
+    global.fetch = originalFetch;
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    configureCache(null);
+  }
+});